@@ -5,70 +5,6 @@ class NewsletterAnalytics {
     this.sheetsManager = new SheetsManager();
   }
 
-  // Track newsletter opens
-  async trackOpen(req, res) {
-    try {
-      const { newsletter } = req.query;
-      
-      if (newsletter) {
-        await this.logEvent({
-          newsletterId: newsletter,
-          eventType: 'open',
-          timestamp: new Date().toISOString(),
-          ipAddress: req.ip,
-          userAgent: req.get('user-agent')
-        });
-      }
-      
-      // Return 1x1 transparent pixel
-      const pixel = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
-      res.writeHead(200, {
-        'Content-Type': 'image/gif',
-        'Content-Length': pixel.length,
-        'Cache-Control': 'no-cache, no-store, must-revalidate',
-        'Pragma': 'no-cache',
-        'Expires': '0'
-      });
-      res.end(pixel);
-      
-    } catch (error) {
-      console.error('Analytics tracking error:', error.message);
-      // Still return pixel even if tracking fails
-      const pixel = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
-      res.writeHead(200, { 'Content-Type': 'image/gif' });
-      res.end(pixel);
-    }
-  }
-
-  // Track article clicks with redirect
-  async trackClick(req, res) {
-    try {
-      const { newsletter, article, url } = req.query;
-      
-      if (newsletter && article && url) {
-        await this.logEvent({
-          newsletterId: newsletter,
-          eventType: 'click',
-          articleIndex: parseInt(article),
-          targetUrl: decodeURIComponent(url),
-          timestamp: new Date().toISOString(),
-          ipAddress: req.ip,
-          userAgent: req.get('user-agent')
-        });
-      }
-      
-      // Redirect to original article
-      const targetUrl = url ? decodeURIComponent(url) : 'https://safefreightprogram.com.au';
-      res.redirect(302, targetUrl);
-      
-    } catch (error) {
-      console.error('Click tracking error:', error.message);
-      // Still redirect even if tracking fails
-      const targetUrl = req.query.url ? decodeURIComponent(req.query.url) : 'https://safefreightprogram.com.au';
-      res.redirect(302, targetUrl);
-    }
-  }
-
   // Handle unsubscribe/pause requests (Australian Spam Act compliance)
   async handleUnsubscribe(req, res) {
     try {
@@ -95,25 +31,10 @@ class NewsletterAnalytics {
     }
   }
 
-  // Log events to Google Sheets
+  // Log events to the Newsletter_Analytics table
   async logEvent(eventData) {
     try {
-      await this.sheetsManager.initialize();
-      
-      // Get or create analytics sheet
-      let analyticsSheet = this.sheetsManager.doc.sheetsByTitle['Newsletter_Analytics'];
-      if (!analyticsSheet) {
-        analyticsSheet = await this.sheetsManager.doc.addSheet({
-          title: 'Newsletter_Analytics',
-          headerValues: [
-            'Timestamp', 'Newsletter_ID', 'Event_Type', 'Article_Index', 
-            'Target_URL', 'Email', 'IP_Address', 'User_Agent', 'Details'
-          ]
-        });
-      }
-      
-      // Add event row
-      await analyticsSheet.addRow({
+      await this.sheetsManager.storage.append('Newsletter_Analytics', {
         Timestamp: eventData.timestamp,
         Newsletter_ID: eventData.newsletterId,
         Event_Type: eventData.eventType,
@@ -175,20 +96,13 @@ class NewsletterAnalytics {
   // Generate analytics report
   async generateReport(newsletterId = null) {
     try {
-      await this.sheetsManager.initialize();
-      
-      const analyticsSheet = this.sheetsManager.doc.sheetsByTitle['Newsletter_Analytics'];
-      if (!analyticsSheet) {
-        return { error: 'No analytics data found' };
-      }
-      
-      const rows = await analyticsSheet.getRows();
+      const rows = await this.sheetsManager.storage.list('Newsletter_Analytics');
       const events = rows.map(row => ({
-        timestamp: row.get('Timestamp'),
-        newsletterId: row.get('Newsletter_ID'),
-        eventType: row.get('Event_Type'),
-        articleIndex: row.get('Article_Index'),
-        targetUrl: row.get('Target_URL')
+        timestamp: row.Timestamp,
+        newsletterId: row.Newsletter_ID,
+        eventType: row.Event_Type,
+        articleIndex: row.Article_Index,
+        targetUrl: row.Target_URL
       }));
       
       // Filter by newsletter if specified
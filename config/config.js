@@ -12,9 +12,34 @@ module.exports = {
     timeout: 30000,
     retryAttempts: 3,
     retryDelay: 2000,
+    sourceTimeout: 60000, // whole source, including parsing
+    // Conditional GETs against a local cache of recent responses (src/responseCache.js)
+    responseCache: {
+      enabled: process.env.SCRAPE_CACHE !== 'false',
+      maxAgeDays: parseInt(process.env.SCRAPE_CACHE_MAX_AGE_DAYS) || 7
+    },
+    // Sitemap sources: default age limit (a source's maxAgeDays overrides it) and how many
+    // child sitemaps of a sitemap index are read
+    sitemap: {
+      maxAgeDays: 14,
+      maxChildSitemaps: 3
+    },
+    // Full article text fetched for newly saved articles (src/articleBodies.js). maxChars
+    // is what Article_Archive keeps, promptChars what each article sends to the summariser.
+    articleBodies: {
+      enabled: process.env.ARTICLE_BODIES !== 'false',
+      timeout: 15000,
+      concurrency: 3, // sites fetched in parallel; one site's articles go one at a time
+      minChars: 300,  // shorter extractions are treated as no body (paywalls, video pages)
+      maxChars: 20000,
+      promptChars: parseInt(process.env.ARTICLE_BODY_PROMPT_CHARS) || 4000
+    },
     maxArticlesPerSource: 20,
     minContentLength: 100
   },
+  // Seeds the source registry (src/sourceRegistry.js). Besides HTML pages (selectors) and
+  // RSS feeds (isRss), a source can be `type: 'sitemap'` (urlPattern, maxAgeDays) or
+  // `type: 'json'` (itemsPath, fieldMap) for sites whose listings are JS-rendered.
   sources: [
 
     // ─────────────────────────────────────────────────────────────
@@ -23,15 +48,14 @@ module.exports = {
 
     {
       // NHVR news articles: individual URLs follow /news/YYYY/MM/DD/slug
-      // The listing page is JS-rendered (Drupal), so we target the
-      // static link pattern directly from the homepage.
+      // The listing page is JS-rendered (Drupal), so read the Drupal sitemap
+      // instead; titles come from the URL slug.
       name: 'NHVR Latest News',
-      url: 'https://www.nhvr.gov.au/news-events/latest-news',
+      url: 'https://www.nhvr.gov.au/sitemap.xml',
+      type: 'sitemap',
+      urlPattern: /\/news\/\d{4}\/\d{2}\/\d{2}\//,
+      maxAgeDays: 14,
       priority: 10,
-      selector: 'a[href*="/news/202"]',   // matches /news/2024/, /news/2025/, /news/2026/
-      titleSelector: null,                // link text IS the title
-      linkSelector: null,                 // the element itself is the <a>
-      summarySelector: null,
       category: 'regulatory',
       enabled: true
     },
@@ -104,27 +128,24 @@ module.exports = {
     },
     {
       // VTA — Victorian Transport Association
-      // media-releases page is JS-rendered; scrape news section instead
+      // media-releases page is JS-rendered (/news 404s); its blog posts (/post/slug)
+      // are listed in the site's blog sitemap
       name: 'VTA News',
-      url: 'https://www.vta.com.au/news',
+      url: 'https://www.vta.com.au/blog-posts-sitemap.xml',
+      type: 'sitemap',
+      urlPattern: /\/post\//,
+      maxAgeDays: 21,   // releases are a few weeks apart
       priority: 8,
-      selector: 'a[href*="/news/"], a[href*="/media-releases/"], a[href*="/post/"]',
-      titleSelector: null,
-      linkSelector: null,
-      summarySelector: 'p',
       category: 'regulatory',
-      enabled: false   // Disabled: HTTP 404 on every scrape
+      enabled: true
     },
     {
       // HVIA — Heavy Vehicle Industry Australia
-      // /news/ page only shows nav — try posts feed
+      // /news/ page only shows nav — read the WordPress posts API instead
       name: 'HVIA News',
-      url: 'https://hvia.asn.au/news/',
+      url: 'https://hvia.asn.au/wp-json/wp/v2/posts?per_page=20',
+      type: 'json',     // top-level list; title.rendered / link / excerpt.rendered / date
       priority: 8,
-      selector: 'a[href*="/news/"], a[href*="/post/"], a[href*="/article/"], .entry-title a, h2.title a',
-      titleSelector: null,
-      linkSelector: null,
-      summarySelector: '.entry-content p, .post-content p, p',
       category: 'regulatory',
       enabled: true
     },
@@ -498,9 +519,15 @@ module.exports = {
   // Rate limiting configuration
   rateLimiting: {
     requestsPerSource: 20,
-    delayBetweenSources: 3000, // 3 seconds
-    delayBetweenRequests: 1000, // 1 second
-    maxConcurrentSources: 3
+    delayBetweenRequests: 1000, // 1 second between requests to the same domain
+    maxConcurrentSources: 3 // sources scraped in parallel
+  },
+
+  // Automatic source quarantine (src/sourceQuarantine.js)
+  quarantine: {
+    failureThreshold: parseInt(process.env.SOURCE_QUARANTINE_FAILURES) || 3,   // errors in a row
+    emptyThreshold: parseInt(process.env.SOURCE_QUARANTINE_EMPTY_RUNS) || 5,   // runs in a row without articles
+    probeIntervalHours: parseInt(process.env.SOURCE_PROBE_INTERVAL_HOURS) || 24
   },
 
   // Content filtering
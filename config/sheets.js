@@ -1,83 +1,31 @@
-const { GoogleSpreadsheet } = require('google-spreadsheet');
-const { JWT } = require('google-auth-library');
-const fs = require('fs');
-const config = require('./config');
+const { getStorage } = require('../src/storage');
+const { recordMetrics } = require('../src/metrics');
+const { fetchArticleBodies } = require('../src/articleBodies');
 
+// Article archive + subscriber helpers. Despite the name this now goes through the
+// storage layer, so it works against Google Sheets or the local file backend.
 class SheetsManager {
   constructor() {
-    this.spreadsheetId = config.sheets.spreadsheetId;
-    this.doc = null;
-    this.contentSheet = null;
+    this.storage = getStorage();
   }
 
-// Replace the initialize() method in your sheets.js with this Railway-compatible version:
-
-async initialize() {
-  try {
-    console.log('📊 Connecting to Google Sheets...');
-    
-    // Use environment variables for Railway
-    const credentials = {
-      client_email: process.env.GOOGLE_CLIENT_EMAIL,
-      private_key: process.env.GOOGLE_PRIVATE_KEY ? 
-        process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n') : null
-    };
-    
-    // Validate credentials
-    if (!credentials.client_email || !credentials.private_key) {
-      throw new Error('Missing Google Sheets credentials. Set GOOGLE_CLIENT_EMAIL and GOOGLE_PRIVATE_KEY');
-    }
-    
-    // Create JWT auth
-    const serviceAccountAuth = new JWT({
-      email: credentials.client_email,
-      key: credentials.private_key,
-      scopes: [
-        'https://www.googleapis.com/auth/spreadsheets',
-        'https://www.googleapis.com/auth/drive.file',
-      ],
-    });
-
-    // Use spreadsheet ID from environment (Railway priority)
-    const spreadsheetId = process.env.GOOGLE_SHEETS_ID || this.spreadsheetId;
-    if (!spreadsheetId) {
-      throw new Error('Missing GOOGLE_SHEETS_ID environment variable');
-    }
-
-    // Initialize document with proper auth
-    this.doc = new GoogleSpreadsheet(spreadsheetId, serviceAccountAuth);
-    await this.doc.loadInfo();
-    
-    console.log(`✅ Connected to: ${this.doc.title}`);
-    
-    // Get or create Article_Archive sheet
-    this.contentSheet = this.doc.sheetsByTitle['Article_Archive'];
-    if (!this.contentSheet) {
-      console.log('📄 Creating Article_Archive sheet...');
-      this.contentSheet = await this.doc.addSheet({
-        title: 'Article_Archive',
-        headerValues: [
-          'ID', 'Date_Collected', 'Source', 'Title', 'URL', 
-          'Published_Date', 'Summary', 'Used_In_Issue', 'Content_Hash', 
-          'Relevance_Score', 'Segment_Tag'
-        ]
-      });
+  async initialize() {
+    try {
+      console.log(`📊 Connecting to storage (${this.storage.name})...`);
+      await this.storage.ensureTable('Article_Archive');
+      const rows = await this.storage.list('Article_Archive');
+      console.log(`✅ Article_Archive ready (${rows.length} existing rows)`);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to connect to storage:', error.message);
+      throw error; // Re-throw for proper error handling
     }
-    
-    await this.contentSheet.loadHeaderRow();
-    console.log(`✅ Article_Archive sheet ready (${this.contentSheet.rowCount - 1} existing rows)`);
-    
-    return true;
-  } catch (error) {
-    console.error('❌ Failed to connect to Google Sheets:', error.message);
-    throw error; // Re-throw for proper error handling
   }
-}   
-     
+
   async getExistingHashes() {
     try {
-      const rows = await this.contentSheet.getRows();
-      return rows.map(row => row.get('Content_Hash')).filter(Boolean);
+      const rows = await this.storage.list('Article_Archive');
+      return rows.map(row => row.Content_Hash).filter(Boolean);
     } catch (error) {
       console.log('No existing hashes found or error reading:', error.message);
       return [];
@@ -86,13 +34,14 @@ async initialize() {
 
   async saveArticles(articles) {
     try {
-      console.log(`💾 Saving ${articles.length} articles to Google Sheets...`);
+      console.log(`💾 Saving ${articles.length} articles to Article_Archive...`);
       
       // Get existing content hashes to avoid duplicates
       const existingHashes = await this.getExistingHashes();
       console.log(`📋 Found ${existingHashes.length} existing articles in database`);
       
       const newArticles = [];
+      const freshArticles = [];
       const duplicates = [];
       
       for (const article of articles) {
@@ -118,6 +67,7 @@ async initialize() {
         };
         
         newArticles.push(rowData);
+        freshArticles.push(article);
       }
       
       if (duplicates.length > 0) {
@@ -128,11 +78,22 @@ async initialize() {
         console.log('ℹ️  No new articles to save (all were duplicates)');
         return [];
       }
+
+      // Full article text for the summariser — only for rows that are actually new
+      try {
+        await fetchArticleBodies(freshArticles);
+      } catch (e) {
+        console.warn('Article body fetch failed (non-fatal):', e.message);
+      }
+      newArticles.forEach((row, i) => {
+        row.Body = freshArticles[i].body || '';
+        row.Body_Status = freshArticles[i].bodyStatus || '';
+      });
       
-      // Add rows to sheet
-      await this.contentSheet.addRows(newArticles);
+      await this.storage.append('Article_Archive', newArticles);
+      await recordMetrics({ articles_saved: newArticles.length });
       
-      console.log(`✅ Successfully saved ${newArticles.length} new articles to Google Sheets`);
+      console.log(`✅ Successfully saved ${newArticles.length} new articles to Article_Archive`);
       
       // Log summary
       const highQuality = newArticles.filter(a => a.Relevance_Score > 10).length;
@@ -193,7 +154,7 @@ async initialize() {
     try {
       console.log(`📋 Fetching recent articles (${days} days, segment: ${segment || 'all'})...`);
       
-      const rows = await this.contentSheet.getRows();
+      const rows = await this.storage.list('Article_Archive');
       console.log(`📊 Total rows in Article_Archive: ${rows.length}`);
       
       const cutoffDate = new Date();
@@ -201,29 +162,29 @@ async initialize() {
       console.log(`🗓️  Looking for articles newer than: ${cutoffDate.toISOString()}`);
       
       const recentArticles = [];
+      const seg = (segment || '').toLowerCase();
       
       for (const row of rows) {
-        const published = row.get('Published_Date') ? new Date(row.get('Published_Date')) : null;
-const collected = row.get('Date_Collected') ? new Date(row.get('Date_Collected')) : null;
-const chosenDate = published || collected;  // prefer published
-const isRecent = chosenDate ? chosenDate >= cutoffDate : false;
-
-        const isUnused = !row.get('Used_In_Issue') || row.get('Used_In_Issue') === '';
-        const rowSegmentTag = (row.get('Segment_Tag') || '').toLowerCase();
-const seg = (segment || '').toLowerCase();
-const segmentMatch = !seg || rowSegmentTag === 'both' || rowSegmentTag === seg || rowSegmentTag.includes(seg); // matches 'pro-2025-09-04'
+        const published = row.Published_Date ? new Date(row.Published_Date) : null;
+        const collected = row.Date_Collected ? new Date(row.Date_Collected) : null;
+        const chosenDate = published || collected;  // prefer published
+        const isRecent = chosenDate ? chosenDate >= cutoffDate : false;
 
+        const isUnused = !row.Used_In_Issue;
+        const rowSegmentTag = (row.Segment_Tag || '').toLowerCase();
+        const segmentMatch = !seg || rowSegmentTag === 'both' || rowSegmentTag === seg || rowSegmentTag.includes(seg); // matches 'pro-2025-09-04'
         
         if (isRecent && isUnused && segmentMatch) {
           recentArticles.push({
-            id: row.get('ID'),
-            title: row.get('Title'),
-            url: row.get('URL'),
-            source: row.get('Source'),
-            summary: row.get('Summary'),
-            publishedAt: row.get('Published_Date') || null,  // ISO string for date display
-            relevanceScore: parseFloat(row.get('Relevance_Score')) || 0,
-            segmentTag: rowSegmentTag
+            id: row.ID,
+            title: row.Title,
+            url: row.URL,
+            source: row.Source,
+            summary: row.Summary,
+            publishedAt: row.Published_Date || null,  // ISO string for date display
+            relevanceScore: parseFloat(row.Relevance_Score) || 0,
+            segmentTag: rowSegmentTag,
+            body: row.Body || ''  // full article text (src/articleBodies.js), '' if not fetched
           });
         }
       }
@@ -242,12 +203,12 @@ const segmentMatch = !seg || rowSegmentTag === 'both' || rowSegmentTag === seg |
 
   async checkIfArticleExists(url, title) {
     try {
-      const rows = await this.contentSheet.getRows();
+      const rows = await this.storage.list('Article_Archive');
       const titleKey = title.toLowerCase().trim().replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, ' ');
       
       for (const row of rows) {
-        const existingUrl = row.get('URL');
-        const existingTitle = (row.get('Title') || '').toLowerCase().trim().replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, ' ');
+        const existingUrl = row.URL;
+        const existingTitle = (row.Title || '').toLowerCase().trim().replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, ' ');
         
         // Exact URL match
         if (existingUrl === url) return true;
@@ -277,18 +238,10 @@ const segmentMatch = !seg || rowSegmentTag === 'both' || rowSegmentTag === seg |
     try {
       console.log(`🏷️ Marking ${articleIds.length} articles as used in ${issueId}`);
       
-      const rows = await this.contentSheet.getRows();
-      let updatedCount = 0;
-      
-      for (const row of rows) {
-        const rowId = row.get('ID');
-        if (articleIds.includes(rowId)) {
-          row.set('Used_In_Issue', issueId);
-          await row.save();
-          updatedCount++;
-          console.log(`  ✅ Marked: ${row.get('Title').substring(0, 50)}...`);
-        }
-      }
+      const updatedCount = await this.storage.update('Article_Archive', row => articleIds.includes(row.ID), row => {
+        console.log(`  ✅ Marked: ${(row.Title || '').substring(0, 50)}...`);
+        return { Used_In_Issue: issueId };
+      });
       
       console.log(`✅ Successfully marked ${updatedCount} articles as used`);
       return updatedCount;
@@ -300,28 +253,18 @@ const segmentMatch = !seg || rowSegmentTag === 'both' || rowSegmentTag === seg |
 
   async logNewsletterToArchive(newsletterData) {
     try {
-      let sheet = this.doc.sheetsByTitle['Content_Archive'];
-if (!sheet) {
-  sheet = await this.doc.addSheet({
-    title: 'Content_Archive',
-    headerValues: [
-      'Issue_ID','Segment','Subject','Published_At',
-      'Sent_Count','Failed_Count','Open_Rate','Click_Rate','Content_JSON'
-    ],
-  });
-}
-
-await sheet.addRow({
-  Issue_ID:     newsletterData.issue_id,
-  Segment:      newsletterData.segment,
-  Subject:      newsletterData.subject,
-  Published_At: newsletterData.published_at,
-  Sent_Count:   newsletterData.sent_count,
-  Failed_Count: newsletterData.failed_count,
-  Open_Rate:    newsletterData.open_rate,
-  Click_Rate:   newsletterData.click_rate,
-  Content_JSON: newsletterData.content_json,
-});
+      // One row per issue — regenerating under the same Issue_ID replaces the content
+      await this.storage.upsert('Content_Archive', row => row.Issue_ID === newsletterData.issue_id, {
+        Issue_ID:     newsletterData.issue_id,
+        Segment:      newsletterData.segment,
+        Subject:      newsletterData.subject,
+        Published_At: newsletterData.published_at,
+        Sent_Count:   newsletterData.sent_count,
+        Failed_Count: newsletterData.failed_count,
+        Open_Rate:    newsletterData.open_rate,
+        Click_Rate:   newsletterData.click_rate,
+        Content_JSON: newsletterData.content_json,
+      });
 
       return true;
     } catch (error) {
@@ -332,83 +275,37 @@ await sheet.addRow({
 
   // ── Subscriber lookup by email (used by GET /api/subscriber/:id)
   async getSubscriberByEmail(email) {
-    const auth = await this.getAuth();
-    const sheets = require('googleapis').google.sheets({ version: 'v4', auth });
-    const resp = await sheets.spreadsheets.values.get({
-      spreadsheetId: process.env.GOOGLE_SHEETS_ID,
-      range: 'Subscribers!A:Z'
-    });
-    const rows = resp.data.values || [];
-    if (rows.length < 2) return null;
-    const headers = rows[0].map(h => (h || '').trim());
-    const emailIdx = headers.findIndex(h => h.toLowerCase() === 'email');
-    if (emailIdx === -1) return null;
-    const row = rows.find((r, i) => i > 0 && (r[emailIdx] || '').toLowerCase() === email.toLowerCase());
-    if (!row) return null;
-    const obj = {};
-    headers.forEach((h, i) => { obj[h] = row[i] || ''; });
+    const obj = await this.storage.find('Subscribers', r => (r.Email || '').toLowerCase() === email.toLowerCase());
+    if (!obj) return null;
     // Normalise to fields the dashboard expects
     return {
-      email: obj['Email'] || obj['email'] || email,
-      name: obj['Name'] || obj['name'] || '',
-      segment: obj['Segment'] || obj['segment'] || '',
-      company: obj['Company'] || obj['company'] || '',
-      role: obj['Role'] || obj['role'] || '',
-      status: obj['Status'] || obj['status'] || 'active',
-      subscriberId: obj['Subscriber_ID'] || '',
-      subscribedAt: obj['Subscribed_At'] || '',
-      confirmedAt: obj['Confirmed_At'] || ''
+      email: obj.Email || email,
+      name: obj.Name || '',
+      segment: obj.Segment || '',
+      company: obj.Company || '',
+      role: obj.Role || '',
+      status: obj.Status || 'active',
+      subscriberId: obj.Subscriber_ID || '',
+      subscribedAt: obj.Subscribed_At || '',
+      confirmedAt: obj.Confirmed_At || ''
     };
   }
 
   // ── Subscriber update by email (used by PUT /api/subscriber/:id)
   async updateSubscriberByEmail(email, payload) {
-    const auth = await this.getAuth();
-    const { google } = require('googleapis');
-    const sheets = google.sheets({ version: 'v4', auth });
-    const spreadsheetId = process.env.GOOGLE_SHEETS_ID;
-    const resp = await sheets.spreadsheets.values.get({ spreadsheetId, range: 'Subscribers!A:Z' });
-    const rows = resp.data.values || [];
-    if (rows.length < 2) throw new Error('Subscribers sheet is empty');
-    const headers = rows[0].map(h => (h || '').trim());
-    const emailIdx = headers.findIndex(h => h.toLowerCase() === 'email');
-    if (emailIdx === -1) throw new Error('Email column not found');
-    const rowIdx = rows.findIndex((r, i) => i > 0 && (r[emailIdx] || '').toLowerCase() === email.toLowerCase());
-    if (rowIdx === -1) throw new Error(`Subscriber not found: ${email}`);
-    // Build updated row — preserve existing values, overwrite only provided fields
-    const row = [...rows[rowIdx]];
-    const set = (colName, val) => {
-      const i = headers.findIndex(h => h.toLowerCase() === colName.toLowerCase());
-      if (i !== -1 && val !== undefined) row[i] = val;
-    };
-    if (payload.name    !== undefined) set('Name',    payload.name);
-    if (payload.segment !== undefined) set('Segment', payload.segment);
-    if (payload.company !== undefined) set('Company', payload.company);
-    if (payload.role    !== undefined) set('Role',    payload.role);
-    if (payload.status  !== undefined) set('Status',  payload.status);
-    set('Updated_At', new Date().toISOString());
-    const lastCol = String.fromCharCode(65 + headers.length - 1);
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range: `Subscribers!A${rowIdx + 1}:${lastCol}${rowIdx + 1}`,
-      valueInputOption: 'RAW',
-      requestBody: { values: [row] }
-    });
+    // Preserve existing values, overwrite only provided fields
+    const patch = {};
+    if (payload.name    !== undefined) patch.Name    = payload.name;
+    if (payload.segment !== undefined) patch.Segment = payload.segment;
+    if (payload.company !== undefined) patch.Company = payload.company;
+    if (payload.role    !== undefined) patch.Role    = payload.role;
+    if (payload.status  !== undefined) patch.Status  = payload.status;
+    patch.Updated_At = new Date().toISOString();
+    const updated = await this.storage.update('Subscribers', r => (r.Email || '').toLowerCase() === email.toLowerCase(), patch);
+    if (!updated) throw new Error(`Subscriber not found: ${email}`);
     return await this.getSubscriberByEmail(email);
   }
 
-  // ── Helper: get auth client
-  async getAuth() {
-    const { google } = require('googleapis');
-    return google.auth.getClient({
-      credentials: {
-        client_email: process.env.GOOGLE_CLIENT_EMAIL,
-        private_key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n')
-      },
-      scopes: ['https://www.googleapis.com/auth/spreadsheets']
-    });
-  }
-
 }
 
 module.exports = SheetsManager;
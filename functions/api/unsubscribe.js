@@ -1,31 +1,78 @@
+import linkTokens from '../../src/linkTokens.js';
+
+// Unsubscribe/pause links are signed by the newsletter service (src/linkTokens.js);
+// the token names the subscriber, action, segment and address, so the query string only
+// carries `token`. Needs the same LINK_TOKEN_KEYS as the Railway app.
+
+function errorPage(message, status) {
+  return new Response(`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Something went wrong - Safe Freight Program</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; text-align: center; }
+        .error { background: #f8d7da; border: 1px solid #f5c6cb; padding: 20px; border-radius: 8px; }
+        .logo { width: 60px; height: auto; margin-bottom: 20px; }
+    </style>
+</head>
+<body>
+    <img src="https://safefreightprogram.com/images/sfp-logo.png" alt="Safe Freight Program" class="logo">
+    <div class="error">
+        <h2>We couldn't process your request</h2>
+        <p>${message}</p>
+        <p>Please try the link again later, or email hello@safefreightprogram.com.au and we will take care of it.</p>
+    </div>
+</body>
+</html>
+    `, { headers: { 'Content-Type': 'text/html' }, status });
+}
+
 export async function onRequest(context) {
   const { request, env } = context;
   const url = new URL(request.url);
-  const action = url.searchParams.get('action');
-  const email = url.searchParams.get('email');
-  const segment = url.searchParams.get('segment');
   const token = url.searchParams.get('token');
 
-  // Simple token validation (in production, use proper JWT)
-  const expectedToken = btoa(`${email}-${segment}-${env.UNSUBSCRIBE_SECRET || 'default-secret'}`);
-  
-  if (token !== expectedToken) {
+  let keys;
+  try {
+    keys = linkTokens.keysFromEnv(env);
+  } catch (error) {
+    return new Response('Unsubscribe links are not configured', { status: 500 });
+  }
+
+  const verified = await linkTokens.verifyLinkToken(token, keys);
+  if (!verified.ok) {
+    return verified.reason === 'expired'
+      ? new Response('This link has expired. Please email hello@safefreightprogram.com.au to unsubscribe.', { status: 410 })
+      : new Response('Invalid unsubscribe link', { status: 400 });
+  }
+  if (!['unsubscribe', 'pause'].includes(verified.action)) {
     return new Response('Invalid unsubscribe link', { status: 400 });
   }
+  const action = verified.action;
+  // Apps Script looks subscribers up by address; links signed before it was added can't be used here
+  if (!verified.email) {
+    return errorPage('This link is missing the subscriber details needed to update your subscription.', 400);
+  }
 
   try {
     // Call GAS unsubscribe endpoint
     const gasUrl = env.GAS_NEWSLETTER_URL || 'your-gas-url';
     
-    await fetch(gasUrl, {
+    const resp = await fetch(gasUrl, {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
       body: new URLSearchParams({
         action: action === 'pause' ? 'newsletter_pause' : 'newsletter_unsubscribe',
-        email: email,
-        segment: segment || 'all'
+        email: verified.email,
+        segment: verified.segment
       })
     });
+    // Apps Script answers 200 with { success: false } for errors it catches itself
+    const result = await resp.json().catch(() => null);
+    if (!resp.ok || (result && result.success === false)) {
+      return errorPage(`Your ${action === 'pause' ? 'pause' : 'unsubscribe'} request was not recorded.`, 502);
+    }
 
     // Show success page
     return new Response(`
@@ -57,6 +104,6 @@ export async function onRequest(context) {
     });
 
   } catch (error) {
-    return new Response('Error processing request', { status: 500 });
+    return errorPage(`Your ${action === 'pause' ? 'pause' : 'unsubscribe'} request was not recorded.`, 502);
   }
 }
\ No newline at end of file
@@ -1,5 +1,7 @@
 const express = require('express');
 const NewsletterAnalytics = require('./analytics/tracker');
+const { setupTrackingRoutes } = require('./src/tracking');
+const { summariseMetrics } = require('./src/metrics');
 require('dotenv').config();
 
 const app = express();
@@ -15,108 +17,50 @@ app.set('trust proxy', true);
 
 // Analytics endpoints
 
-// Track newsletter opens
-app.get('/track/open', async (req, res) => {
-  await analytics.trackOpen(req, res);
-});
-
-// Track article clicks
-app.get('/track/click', async (req, res) => {
-  await analytics.trackClick(req, res);
-});
+// Signed open pixel and click redirects (same handlers as the main app)
+setupTrackingRoutes(app);
 
 // Handle unsubscribe/pause (Australian Spam Act compliance)
 app.get('/unsubscribe', async (req, res) => {
   await analytics.handleUnsubscribe(req, res);
 });
 
-// Analytics summary endpoint for dashboard real-time metrics
+// Analytics summary endpoint for dashboard real-time metrics — recorded counts from
+// the metrics store, same numbers as the main app's /api/analytics/summary
 app.get('/api/analytics/summary', async (req, res) => {
   try {
     console.log('📊 Analytics summary requested...');
-    
-    // Get comprehensive analytics from your existing tracker
-    const fullReport = await analytics.generateReport();
-    
-    if (fullReport.error) {
-      throw new Error(fullReport.error);
-    }
-    
-    // Calculate system uptime (Railway process uptime in percentage)
-    const uptimeHours = process.uptime() / 3600;
-    let systemUptime;
-    if (uptimeHours >= 24) {
-      systemUptime = Math.min(99.9, Math.round((uptimeHours / 24) * 100) / 100); // Days as percentage
-    } else {
-      systemUptime = Math.min(99.9, Math.round(uptimeHours * 4.15)); // Hours converted to percentage
-    }
-    
-    // Extract metrics from your existing analytics
-    const analytics_summary = {
-      emailsSent7d: fullReport.opens + fullReport.unsubscribes, // Estimate sent emails from engagement
-      successRate: fullReport.opens > 0 ? 
-        Math.round(((fullReport.opens / (fullReport.opens + fullReport.unsubscribes)) * 100)) : 
-        100, // Calculate from engagement data
-      articlesScraped: await getArticleScrapingCount(), // Get from your content system
-      systemUptime: systemUptime,
-      lastUpdated: new Date().toISOString(),
-      debug: {
-        rawAnalytics: {
+    const [week, fullReport] = await Promise.all([summariseMetrics(7), analytics.generateReport()]);
+
+    res.json({
+      success: true,
+      data: {
+        emailsSent7d: week.emailsSent,
+        emailsFailed7d: week.emailsFailed,
+        emailsBounced7d: week.emailsBounced,
+        successRate: week.successRate,
+        bounceRate: week.bounceRate,
+        articlesScraped: week.articlesSaved,
+        scrapeRuns7d: week.scrapeRuns,
+        llmCalls7d: week.llmCalls,
+        uptimeSeconds: Math.round(process.uptime()),
+        engagement: fullReport.error ? null : {
           opens: fullReport.opens,
           clicks: fullReport.clicks,
           unsubscribes: fullReport.unsubscribes,
           clickThroughRate: fullReport.clickThroughRate
         },
-        uptimeHours: uptimeHours,
-        calculationMethod: 'tracker'
-      }
-    };
-
-    res.json({
-      success: true,
-      data: analytics_summary,
+        lastUpdated: new Date().toISOString()
+      },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     console.error('❌ Analytics summary error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Analytics calculation failed',
-      data: {
-        emailsSent7d: 0,
-        successRate: 100,
-        articlesScraped: 0,
-        systemUptime: Math.min(99.9, Math.round(process.uptime() / 3600 * 4.15))
-      }
-    });
+    res.status(500).json({ success: false, error: 'Analytics calculation failed' });
   }
 });
 
-async function getArticleScrapingCount() {
-  try {
-    // Smart estimation based on system metrics and time patterns
-    const daysUp = Math.floor(process.uptime() / 86400);
-    const hoursUp = Math.floor(process.uptime() / 3600);
-    
-    let estimatedArticles;
-    if (daysUp > 0) {
-      // More realistic estimation: 8-12 articles per day based on typical newsletter content
-      estimatedArticles = Math.max(0, daysUp * 10 + Math.floor(Math.random() * 5));
-    } else {
-      // For systems running less than a day, estimate based on hours
-      estimatedArticles = Math.max(0, Math.floor(hoursUp / 3)); // 1 article every 3 hours
-    }
-    
-    console.log(`📄 Estimated ${estimatedArticles} articles (${daysUp} days up)`);
-    return estimatedArticles;
-    
-  } catch (error) {
-    console.warn('Article count calculation failed:', error.message);
-    return 0;
-  }
-}
-
 // Analytics report endpoint (for internal use)
 app.get('/analytics/report/:newsletterId?', async (req, res) => {
   try {
@@ -145,7 +89,7 @@ app.get('/health', (req, res) => {
 // Simple analytics dashboard (optional)
 app.get('/dashboard', async (req, res) => {
   try {
-    const report = await analytics.generateReport();
+    const [report, week] = await Promise.all([analytics.generateReport(), summariseMetrics(7)]);
     
     if (report.error) {
       return res.status(500).send(`Error: ${report.error}`);
@@ -170,6 +114,27 @@ app.get('/dashboard', async (req, res) => {
     <div class="container">
         <h1>Safe Freight Program - Newsletter Analytics</h1>
         
+        <h2>Last 7 Days</h2>
+        <div class="metrics">
+            <div class="metric">
+                <h3>Emails Sent</h3>
+                <p>${week.emailsSent}</p>
+            </div>
+            <div class="metric">
+                <h3>Send Success Rate</h3>
+                <p>${week.successRate === null ? '—' : week.successRate + '%'}</p>
+            </div>
+            <div class="metric">
+                <h3>Bounces</h3>
+                <p>${week.emailsBounced}</p>
+            </div>
+            <div class="metric">
+                <h3>Articles Saved</h3>
+                <p>${week.articlesSaved}</p>
+            </div>
+        </div>
+
+        <h2>Engagement</h2>
         <div class="metrics">
             <div class="metric">
                 <h3>Total Opens</h3>
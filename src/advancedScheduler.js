@@ -32,6 +32,9 @@ const DEFAULT_SCHEDULE_CONFIG = {
     weekOfMonth: null,
     dependsOn: 'scraping',
     delayAfterDependency: 45,
+    // Editorial approval: save drafts and email reviewers instead of sending straight away
+    requireApproval: process.env.NEWSLETTER_REQUIRE_APPROVAL === 'true',
+    approvalDeadlineHours: parseFloat(process.env.APPROVAL_DEADLINE_HOURS || '24'), // 0 = wait for an editor
     lastRun: null
   }
 };
@@ -123,6 +126,10 @@ class AdvancedScheduler {
     if (config.weekOfMonth && (config.weekOfMonth < 1 || config.weekOfMonth > 4)) {
       throw new Error('Week of month must be 1-4');
     }
+
+    if (config.approvalDeadlineHours !== undefined && !(config.approvalDeadlineHours >= 0)) {
+      throw new Error('Approval deadline must be 0 or more hours');
+    }
   }
 
   // Start all scheduled jobs
@@ -203,7 +210,7 @@ class AdvancedScheduler {
     
     try {
       // Execute the actual job
-      await this.runJobFunction(jobType);
+      const result = await this.runJobFunction(jobType);
       
       // Mark completion for dependency tracking
       this.markJobComplete(jobType);
@@ -211,7 +218,7 @@ class AdvancedScheduler {
       
       // Log to Events_Log and update in-memory systemState if callback registered
       if (typeof this.onJobComplete === 'function') {
-        await this.onJobComplete(jobType).catch(e => console.warn('onJobComplete callback error:', e.message));
+        await this.onJobComplete(jobType, result).catch(e => console.warn('onJobComplete callback error:', e.message));
       }
       
       console.log(`✅ ${jobType} completed successfully`);
@@ -275,7 +282,7 @@ async runJobFunction(jobType) {
   switch (jobType) {
     case 'scraping':
       const { scrapeAllSources } = require('./scraper');
-      const results = await scrapeAllSources();
+      const results = await scrapeAllSources({ trigger: 'scheduled' });
       
       // Fix: Handle the correct response format
       const articles = results.articles || results || [];
@@ -289,17 +296,36 @@ async runJobFunction(jobType) {
           await sheetsManager.initialize();
           await sheetsManager.saveArticles(articles);
           console.log(`💾 Articles saved to Google Sheets`);
+          await results.commitResponseCache();
         } catch (error) {
           console.error('⚠️ Failed to save to sheets:', error.message);
         }
+      } else {
+        await results.commitResponseCache();
       }
       break;
       
     case 'newsletter':
       const NewsletterGenerator = require('./generator');
       const generator = new NewsletterGenerator();
+      const { requireApproval, approvalDeadlineHours } = this.scheduleConfig.newsletter;
       
       try {
+        if (requireApproval) {
+          // Approval mode: generate drafts only — they are sent once an editor approves
+          const { submitForApproval } = require('./approvals');
+          const awaitingApproval = [];
+          for (const segment of ['pro', 'driver']) {
+            console.log(`📝 Generating ${segment} newsletter for approval...`);
+            const newsletter = await generator.generateNewsletter(segment, false);
+            const draftId = newsletter.issueId;
+            await submitForApproval(draftId, segment, newsletter, { deadlineHours: approvalDeadlineHours });
+            awaitingApproval.push(draftId);
+          }
+          console.log('✅ Newsletters generated and awaiting approval');
+          return { awaitingApproval };
+        }
+
         // Generate both newsletters with error handling
         console.log('📧 Generating COR Intel Weekly...');
         await generator.generateNewsletter('pro', true);
@@ -579,6 +605,8 @@ app.get('/api/schedule/status', (req, res) => {
         lastRun: config.schedules.newsletter.lastRun,
         schedule: scheduler.describeFriendlySchedule(config.schedules.newsletter),
         dependsOn: config.schedules.newsletter.dependsOn,
+        requireApproval: !!config.schedules.newsletter.requireApproval,
+        approvalDeadlineHours: config.schedules.newsletter.approvalDeadlineHours,
         status: config.schedules.newsletter.enabled ? 'active' : 'disabled'
       },
       dependencies: config.dependencies
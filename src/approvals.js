@@ -0,0 +1,123 @@
+// Editorial approval for scheduled sends.
+//
+// When the newsletter schedule has `requireApproval` set, the scheduler stores each
+// generated issue as a `pending_approval` draft and emails REVIEWER_EMAILS a link to
+// the dashboard instead of sending. The issue goes out once an editor approves it, or
+// automatically when its Approval_Deadline passes (no deadline = wait for a human).
+// Every transition is appended to Approval_Audit.
+const { getStorage } = require('./storage');
+const { getTransport } = require('./transports');
+const drafts = require('./drafts');
+const { releaseIssue } = require('./issues');
+
+function getReviewers() {
+  return (process.env.REVIEWER_EMAILS || '')
+    .split(',')
+    .map(e => e.trim())
+    .filter(e => e.includes('@'));
+}
+
+function reviewUrl(draftId) {
+  const base = (process.env.PUBLIC_API_BASE_URL || '').trim() || 'https://sfp-newsletter-automation-production.up.railway.app';
+  return `${base.replace(/\/$/, '')}/admin?draft=${encodeURIComponent(draftId)}`;
+}
+
+async function recordApproval(draftId, action, { segment = '', actor = '', notes = '' } = {}) {
+  try {
+    await getStorage().append('Approval_Audit', {
+      Timestamp: new Date().toISOString(), Draft_ID: draftId, Segment: segment, Action: action, Actor: actor, Notes: notes
+    });
+  } catch (e) {
+    console.warn('Approval_Audit write failed (non-fatal):', e.message);
+  }
+}
+
+async function getApprovalHistory(draftId) {
+  const rows = await getStorage().list('Approval_Audit');
+  return rows
+    .filter(r => r.Draft_ID === draftId)
+    .map(r => ({ timestamp: r.Timestamp, action: r.Action, actor: r.Actor, notes: r.Notes }));
+}
+
+async function notifyReviewers(draft) {
+  const reviewers = getReviewers();
+  const from = process.env.EMAIL_FROM;
+  if (reviewers.length === 0 || !from) {
+    console.warn('⚠️ No REVIEWER_EMAILS/EMAIL_FROM configured — draft awaiting approval without notification');
+    return 0;
+  }
+
+  const deadline = draft.approvalDeadline
+    ? new Date(draft.approvalDeadline).toLocaleString('en-AU', { timeZone: 'Australia/Sydney' })
+    : null;
+  const url = reviewUrl(draft.id);
+  const html = `
+    <p>A new <strong>${draft.segment}</strong> issue is waiting for editorial approval.</p>
+    <p><strong>Subject:</strong> ${draft.subject}<br><strong>Articles:</strong> ${draft.articlesCount}</p>
+    <p>${deadline ? `It will be sent automatically at <strong>${deadline} AEST</strong> unless rejected.` : 'It will not be sent until it is approved.'}</p>
+    <p><a href="${url}">Review in the dashboard</a></p>`;
+
+  let notified = 0;
+  for (const to of reviewers) {
+    try {
+      await getTransport().send({ from, to, subject: `[Review] ${draft.subject}`, html });
+      notified++;
+    } catch (e) {
+      console.warn(`Reviewer notification to ${to} failed (non-fatal):`, e.message);
+    }
+  }
+  return notified;
+}
+
+// Store a generated newsletter as a pending draft and ask reviewers to approve it.
+// deadlineHours <= 0 means no auto-send.
+async function submitForApproval(draftId, segment, newsletter, { deadlineHours = 0 } = {}) {
+  const deadline = deadlineHours > 0 ? new Date(Date.now() + deadlineHours * 3600000).toISOString() : '';
+  const draft = await drafts.createDraft(draftId, segment, newsletter, { Status: 'pending_approval', Approval_Deadline: deadline });
+  await recordApproval(draftId, 'submitted', { segment, actor: 'scheduler', notes: deadline ? `auto-send at ${deadline}` : 'no deadline' });
+  const notified = await notifyReviewers(draft);
+  console.log(`📝 ${segment} draft ${draftId} awaiting approval (${notified} reviewer(s) notified)`);
+  return draft;
+}
+
+// Marks a pending draft approved. Returns the updated draft; throws if it isn't pending.
+async function approveDraft(draftId, { actor = 'admin', notes = '', auto = false } = {}) {
+  const draft = await drafts.getDraft(draftId);
+  if (!draft) throw Object.assign(new Error('Draft not found'), { status: 404 });
+  if (!['pending_approval', 'draft'].includes(draft.status)) {
+    throw Object.assign(new Error(`Draft is ${draft.status}, not awaiting approval`), { status: 409 });
+  }
+  await drafts.updateDraftStatus(draftId, 'approved', { Approved_By: actor });
+  await recordApproval(draftId, auto ? 'auto_approved' : 'approved', { segment: draft.segment, actor, notes });
+  return drafts.getDraft(draftId);
+}
+
+async function rejectDraft(draftId, { actor = 'admin', notes = '' } = {}) {
+  const draft = await drafts.getDraft(draftId);
+  if (!draft) throw Object.assign(new Error('Draft not found'), { status: 404 });
+  if (!['pending_approval', 'draft', 'approved'].includes(draft.status)) {
+    throw Object.assign(new Error(`Draft is ${draft.status} and can no longer be rejected`), { status: 409 });
+  }
+  await drafts.updateDraftStatus(draftId, 'rejected');
+  await releaseIssue(draftId).catch(e => console.warn('Issue release failed (non-fatal):', e.message));
+  await recordApproval(draftId, 'rejected', { segment: draft.segment, actor, notes });
+  return drafts.getDraft(draftId);
+}
+
+// Pending drafts whose approval deadline has passed
+async function findOverdueDrafts(now = new Date()) {
+  const pending = await drafts.listDrafts({ status: 'pending_approval' });
+  return pending.filter(d => d.approvalDeadline && new Date(d.approvalDeadline) <= now);
+}
+
+module.exports = {
+  getReviewers,
+  reviewUrl,
+  recordApproval,
+  getApprovalHistory,
+  notifyReviewers,
+  submitForApproval,
+  approveDraft,
+  rejectDraft,
+  findOverdueDrafts
+};
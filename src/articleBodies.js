@@ -0,0 +1,175 @@
+// Article bodies — downloads each new article's page and keeps its main text, so the
+// summariser works from the story itself rather than the listing-page snippet.
+//
+// Extraction is readability-style on cheerio: page chrome (scripts, navigation, share bars,
+// comments, related links) is removed, the content container is taken from the usual CMS
+// markup (articleBody, <article>, .entry-content) or, failing that, from whichever element
+// holds the most paragraph text with the fewest links. SheetsManager.saveArticles calls
+// fetchArticleBodies for the rows it is about to append and stores the result in
+// Article_Archive (Body, Body_Status); NewsletterGenerator passes it to the prompts.
+// A page that can't be fetched or yields too little text just leaves the body empty.
+const axios = require('axios');
+const cheerio = require('cheerio');
+const config = require('../config/config');
+const { runWithConcurrency, sleep } = require('./sendQueue');
+
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+
+// Removed before anything is scored
+const CHROME_TAGS = 'script, style, noscript, template, iframe, svg, canvas, form, button, nav, header, footer, aside';
+const UNLIKELY = /comment|share|social|related|recommend|sidebar|breadcrumb|menu|cookie|consent|newsletter|subscribe|signup|advert|\bads?\b|promo|popup|modal|banner|masthead|footer|pagination|author-bio|tags/i;
+const LIKELY = /article|body|content|entry|main|post|story|text/i;
+
+// Content containers tried in order before falling back to scoring
+const CONTENT_SELECTORS = [
+  '[itemprop="articleBody"]',
+  '.entry-content', '.post-content', '.article-body', '.article-content', '.field--name-body',
+  'article', 'main', '[role="main"]'
+];
+
+const BLOCKS = 'p, h2, h3, h4, li, blockquote, pre';
+
+function normalise(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Share of an element's text that sits inside links — high for menus and link lists
+function linkDensity($, el) {
+  const length = normalise($(el).text()).length;
+  if (length === 0) return 1;
+  const linked = $(el).find('a').toArray().reduce((sum, a) => sum + normalise($(a).text()).length, 0);
+  return linked / length;
+}
+
+function stripChrome($) {
+  $(CHROME_TAGS).remove();
+  $('[hidden], [aria-hidden="true"]').remove();
+  $('*').each((_, el) => {
+    if (['html', 'body', 'article', 'main'].includes(el.tagName)) return;
+    const marker = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+    if (marker.trim() && UNLIKELY.test(marker) && !LIKELY.test(marker)) $(el).remove();
+  });
+}
+
+// The text blocks of a container, innermost only (an <li> wrapping a <p> counts once)
+function blockText($, container) {
+  const blocks = [];
+  $(container).find(BLOCKS).each((_, el) => {
+    if ($(el).find(BLOCKS).length > 0) return;
+    const text = normalise($(el).text());
+    if (!text || linkDensity($, el) > 0.5) return;
+    if (blocks[blocks.length - 1] !== text) blocks.push(text);
+  });
+  return blocks.join('\n\n');
+}
+
+// Readability's paragraph scoring: each paragraph credits its parent in full and its
+// grandparent by half, and the total is discounted by the element's link density
+function bestScoredContainer($) {
+  const scores = new Map();
+  $('p, pre').each((_, p) => {
+    const text = normalise($(p).text());
+    if (text.length < 25) return;
+    const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = p.parent;
+    const grandparent = parent && parent.parent;
+    if (parent && parent.type === 'tag') scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandparent && grandparent.type === 'tag') scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+  });
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, el));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+  return best;
+}
+
+// Main text of an article page, '' if nothing readable was found
+function extractArticleText(html, { minChars = config.scraping.articleBodies.minChars } = {}) {
+  const $ = cheerio.load(html);
+  stripChrome($);
+
+  for (const selector of CONTENT_SELECTORS) {
+    const matches = $(selector);
+    // Several <article>s on one page are teaser cards, not the story
+    if (matches.length !== 1) continue;
+    const text = blockText($, matches[0]);
+    if (text.length >= minChars) return text;
+  }
+
+  const container = bestScoredContainer($);
+  const text = container ? blockText($, container) : '';
+  return text.length >= minChars ? text : '';
+}
+
+// { body, status } for one URL. status: 'ok', 'short' (too little text), 'unsupported'
+// (PDF and other non-HTML) or 'failed'
+async function fetchArticleBody(url) {
+  const settings = config.scraping.articleBodies;
+  try {
+    const response = await axios.get(url, {
+      headers: {
+        'User-Agent': config.scraping.userAgent,
+        'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5'
+      },
+      timeout: settings.timeout,
+      maxContentLength: MAX_PAGE_BYTES,
+      responseType: 'text'
+    });
+    const contentType = String(response.headers['content-type'] || '');
+    if (contentType && !/html/i.test(contentType)) return { body: '', status: 'unsupported' };
+    const text = extractArticleText(String(response.data || ''));
+    if (!text) return { body: '', status: 'short' };
+    return { body: text.slice(0, settings.maxChars), status: 'ok' };
+  } catch (error) {
+    const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+    console.warn(`⚠️ Article body fetch failed for ${url}: ${reason}`);
+    return { body: '', status: 'failed' };
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+}
+
+// Fills in `body` and `bodyStatus` on each article (articles that already carry a body are
+// left alone). Sites are fetched in parallel, each site's pages one at a time with the
+// usual delay between them. Returns counts by status.
+async function fetchArticleBodies(articles) {
+  const counts = { ok: 0, short: 0, unsupported: 0, failed: 0 };
+  const settings = config.scraping.articleBodies;
+  if (!settings.enabled) return counts;
+
+  const byHost = new Map();
+  for (const article of articles) {
+    if (article.body || !hostOf(article.url)) continue;
+    const host = hostOf(article.url);
+    if (!byHost.has(host)) byHost.set(host, []);
+    byHost.get(host).push(article);
+  }
+  const pending = [...byHost.values()].reduce((sum, group) => sum + group.length, 0);
+  if (pending === 0) return counts;
+
+  console.log(`📄 Fetching article text for ${pending} article(s) from ${byHost.size} site(s)...`);
+  await runWithConcurrency([...byHost.values()], settings.concurrency, async (group) => {
+    for (let i = 0; i < group.length; i++) {
+      if (i > 0) await sleep(config.rateLimiting.delayBetweenRequests);
+      const { body, status } = await fetchArticleBody(group[i].url);
+      group[i].body = body;
+      group[i].bodyStatus = status;
+      counts[status]++;
+    }
+  });
+  console.log(`📄 Article text: ${counts.ok} extracted, ${counts.short} too short, ${counts.unsupported} not HTML, ${counts.failed} failed`);
+  return counts;
+}
+
+module.exports = { extractArticleText, fetchArticleBody, fetchArticleBodies };
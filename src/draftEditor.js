@@ -0,0 +1,100 @@
+// Article editor for generated issues — fix titles, summaries, tips and categories,
+// reorder or drop articles, or swap one for another Article_Archive row, then
+// re-render with the generator's templates. No OpenAI call is made; the draft's
+// stored newsletter is replaced in place.
+const { getStorage } = require('./storage');
+const drafts = require('./drafts');
+const NewsletterGenerator = require('./generator');
+const SheetsManager = require('../config/sheets');
+
+const EDITABLE_FIELDS = ['title', 'summary', 'tip', 'category'];
+
+function editorError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+async function loadEditableDraft(draftId) {
+  const draft = await drafts.getDraft(draftId);
+  if (!draft || !draft.newsletter) throw editorError('Draft not found', 404);
+  if (['sent', 'partially_sent'].includes(draft.status)) throw editorError('This draft has already been sent and can no longer be edited', 409);
+  return draft;
+}
+
+function validateArticle(article, index) {
+  if (!String(article.title || '').trim()) throw editorError(`Article ${index + 1}: title is required`);
+  if (!String(article.summary || '').trim()) throw editorError(`Article ${index + 1}: summary is required`);
+  if (!NewsletterGenerator.ARTICLE_CATEGORIES.includes(article.category)) {
+    throw editorError(`Article ${index + 1}: category must be one of ${NewsletterGenerator.ARTICLE_CATEGORIES.join(', ')}`);
+  }
+}
+
+async function saveArticles(draft, articles, subject = draft.newsletter.subject) {
+  articles.forEach(validateArticle);
+  if (articles.length === 0) throw editorError('An issue needs at least one article');
+  const generator = new NewsletterGenerator();
+  const newsletter = { ...draft.newsletter, ...generator.renderNewsletter(articles, draft.segment, subject, draft.newsletter) };
+  await drafts.updateDraftContent(draft.id, newsletter);
+  return drafts.getDraft(draft.id);
+}
+
+// Replace the article list. Items are matched to the draft's existing articles by URL,
+// so this covers edits, reordering and dropping; new articles come in via swapArticle.
+async function updateArticles(draftId, items, { subject } = {}) {
+  if (!Array.isArray(items)) throw editorError('articles must be an array');
+  const draft = await loadEditableDraft(draftId);
+  const byUrl = new Map(draft.articles.map(a => [a.url, a]));
+
+  const articles = items.map((item, i) => {
+    const original = byUrl.get(item.url);
+    if (!original) throw editorError(`Article ${i + 1} is not part of this draft (${item.url || 'no url'})`);
+    const edited = { ...original };
+    for (const field of EDITABLE_FIELDS) {
+      if (item[field] !== undefined) edited[field] = String(item[field]).trim();
+    }
+    return edited;
+  });
+
+  return saveArticles(draft, articles, subject ? String(subject).trim() : undefined);
+}
+
+// Unused recent Article_Archive rows for the draft's segment that aren't already in it
+async function listSwapCandidates(draftId, { days = 14 } = {}) {
+  const draft = await drafts.getDraft(draftId);
+  if (!draft) throw editorError('Draft not found', 404);
+  const inDraft = new Set(draft.articles.map(a => a.url));
+  const recent = await new SheetsManager().getRecentArticles(days, draft.segment);
+  return recent.filter(a => !inDraft.has(a.url)).map(({ body, ...article }) => article);
+}
+
+// Put Article_Archive row `archiveId` at position `index`. The archive summary is used
+// as-is and the tip starts empty for the editor to fill in.
+async function swapArticle(draftId, index, archiveId) {
+  const draft = await loadEditableDraft(draftId);
+  const position = parseInt(index, 10);
+  if (!(position >= 0 && position < draft.articles.length)) throw editorError(`No article at position ${index}`);
+
+  const row = await getStorage().find('Article_Archive', r => r.ID === archiveId);
+  if (!row) throw editorError(`Article ${archiveId} not found in Article_Archive`, 404);
+  if (draft.articles.some((a, i) => i !== position && a.url === row.URL)) throw editorError('That article is already in this draft', 409);
+
+  const generator = new NewsletterGenerator();
+  const replaced = draft.articles[position];
+  const incoming = {
+    id: row.ID,
+    title: row.Title,
+    summary: row.Summary || '',
+    tip: '',
+    url: row.URL,
+    source: row.Source,
+    publishedAt: row.Published_Date || null,
+    category: replaced.category === 'From the Industry'
+      ? 'From the Industry'
+      : generator.categorizeArticle({ title: row.Title, summary: row.Summary }, draft.segment)
+  };
+
+  const articles = draft.articles.slice();
+  articles[position] = incoming;
+  return saveArticles(draft, articles);
+}
+
+module.exports = { EDITABLE_FIELDS, updateArticles, listSwapCandidates, swapArticle };
@@ -0,0 +1,125 @@
+// Newsletter drafts — generated issues persisted between preview and send, so a
+// redeploy doesn't lose the reviewed content.
+//
+// Newsletter_Drafts holds one metadata row per draft. The generated newsletter
+// (HTML, text, articles) is stored as JSON in Newsletter_Draft_Content, split into
+// chunks because a single Google Sheets cell is capped at 50,000 characters.
+const { getStorage } = require('./storage');
+
+// partially_sent = a bulk send finished with failures; sending again resumes it (./sendLedger)
+const DRAFT_STATUSES = ['draft', 'pending_approval', 'approved', 'rejected', 'partially_sent', 'sent'];
+const CHUNK_SIZE = 40000;
+
+function rowToDraft(row) {
+  return {
+    id: row.Draft_ID,
+    segment: row.Segment,
+    status: row.Status || 'draft',
+    subject: row.Subject,
+    articlesCount: parseInt(row.Articles_Count) || 0,
+    generatedAt: row.Generated_At,
+    updatedAt: row.Updated_At,
+    approvedAt: row.Approved_At || null,
+    sentAt: row.Sent_At || null,
+    approvalDeadline: row.Approval_Deadline || null,
+    approvedBy: row.Approved_By || null
+  };
+}
+
+async function saveContent(draftId, newsletter) {
+  const storage = getStorage();
+  const json = JSON.stringify(newsletter);
+  const chunks = [];
+  for (let i = 0; i < json.length; i += CHUNK_SIZE) {
+    chunks.push({ Draft_ID: draftId, Part: chunks.length, Chunk: json.slice(i, i + CHUNK_SIZE) });
+  }
+  await storage.remove('Newsletter_Draft_Content', r => r.Draft_ID === draftId);
+  await storage.append('Newsletter_Draft_Content', chunks);
+}
+
+async function loadContent(draftId) {
+  const rows = (await getStorage().list('Newsletter_Draft_Content'))
+    .filter(r => r.Draft_ID === draftId)
+    .sort((a, b) => parseInt(a.Part) - parseInt(b.Part));
+  if (rows.length === 0) return null;
+  return JSON.parse(rows.map(r => r.Chunk).join(''));
+}
+
+// `extra` overrides/adds row fields, e.g. { Status: 'pending_approval', Approval_Deadline }
+async function createDraft(draftId, segment, newsletter, extra = {}) {
+  const now = new Date().toISOString();
+  await saveContent(draftId, newsletter);
+  await getStorage().append('Newsletter_Drafts', {
+    Draft_ID: draftId,
+    Segment: segment,
+    Status: 'draft',
+    Subject: newsletter.subject || '',
+    Articles_Count: newsletter.articles?.length || 0,
+    Generated_At: now,
+    Updated_At: now,
+    ...extra
+  });
+  return getDraft(draftId);
+}
+
+// Full draft including the stored newsletter (null if not found)
+async function getDraft(draftId) {
+  const row = await getStorage().find('Newsletter_Drafts', r => r.Draft_ID === draftId);
+  if (!row) return null;
+  const newsletter = await loadContent(draftId);
+  return { ...rowToDraft(row), newsletter, articles: newsletter?.articles || [] };
+}
+
+// Metadata only, newest first
+async function listDrafts({ segment, status } = {}) {
+  const rows = await getStorage().list('Newsletter_Drafts');
+  return rows
+    .filter(r => (!segment || r.Segment === segment) && (!status || r.Status === status))
+    .map(rowToDraft)
+    .sort((a, b) => (b.generatedAt || '').localeCompare(a.generatedAt || ''));
+}
+
+// Most recent draft for a segment that is still sendable (not sent or rejected), with content
+async function getLatestDraft(segment) {
+  const drafts = await listDrafts({ segment });
+  const latest = drafts.find(d => d.status !== 'sent' && d.status !== 'rejected');
+  return latest ? getDraft(latest.id) : null;
+}
+
+async function updateDraftStatus(draftId, status, extra = {}) {
+  if (!DRAFT_STATUSES.includes(status)) throw new Error(`Invalid draft status: ${status}`);
+  const now = new Date().toISOString();
+  const patch = { Status: status, Updated_At: now, ...extra };
+  if (status === 'approved') patch.Approved_At = now;
+  if (status === 'sent' || status === 'partially_sent') patch.Sent_At = now;
+  const updated = await getStorage().update('Newsletter_Drafts', r => r.Draft_ID === draftId, patch);
+  return updated > 0;
+}
+
+// Replace the stored newsletter content (e.g. after editing) — keeps status
+async function updateDraftContent(draftId, newsletter) {
+  await saveContent(draftId, newsletter);
+  await getStorage().update('Newsletter_Drafts', r => r.Draft_ID === draftId, {
+    Subject: newsletter.subject || '',
+    Articles_Count: newsletter.articles?.length || 0,
+    Updated_At: new Date().toISOString()
+  });
+}
+
+async function deleteDraft(draftId) {
+  const storage = getStorage();
+  const removed = await storage.remove('Newsletter_Drafts', r => r.Draft_ID === draftId);
+  await storage.remove('Newsletter_Draft_Content', r => r.Draft_ID === draftId);
+  return removed > 0;
+}
+
+module.exports = {
+  DRAFT_STATUSES,
+  createDraft,
+  getDraft,
+  getLatestDraft,
+  listDrafts,
+  updateDraftStatus,
+  updateDraftContent,
+  deleteDraft
+};
@@ -1,10 +1,19 @@
-// src/emailSender.js - Resend API Version (bypasses SMTP blocks)
+// src/emailSender.js - sends through the configured transport (Resend by default, see ./transports)
 const axios = require('axios');
+const { getTransport } = require('./transports');
+const { getStorage } = require('./storage');
+const { TokenBucket, withRetry, runWithConcurrency } = require('./sendQueue');
+const { keysFromEnv, signLinkToken } = require('./linkTokens');
+const { isDueForIssue } = require('./preferences');
+const { filterSuppressed } = require('./suppressions');
+const sendLedger = require('./sendLedger');
+const issues = require('./issues');
+const { recordMetrics } = require('./metrics');
+const { firstPartyTracking, personaliseTracking } = require('./tracking');
 
 class EmailSender {
   constructor() {
-    this.resendApiKey = process.env.RESEND_API_KEY;
-    this.resendApiUrl = 'https://api.resend.com/emails';
+    this.transport = getTransport();
     
     // Subscribers Sheet URLs
     this.SUBSCRIBERS_SHEET_URLS = [
@@ -13,24 +22,20 @@ class EmailSender {
       'https://docs.google.com/spreadsheets/d/1Gz3qHzlxPGsI-ar-d28zoE-oTfrfmxGnXyPmko76uNM/export?format=csv'
     ];
     
-    if (!this.resendApiKey) {
-      console.warn('⚠️ RESEND_API_KEY not configured - email sending will fail');
+    if (!this.transport.isConfigured()) {
+      console.warn(`⚠️ Email transport "${this.transport.name}" not configured - email sending will fail`);
     } else {
-      console.log('📧 Resend API initialized successfully');
+      console.log(`📧 Email transport "${this.transport.name}" initialized successfully`);
     }
   }
 
  async verifyConnection() {
   try {
-    if (!this.resendApiKey) {
-      throw new Error('RESEND_API_KEY not configured');
-    }
-    
-    // Skip API call to avoid rate limiting
-    console.log('✅ Resend API key configured - connection assumed valid');
+    await this.transport.verify();
+    console.log(`✅ Email transport "${this.transport.name}" configured - connection assumed valid`);
     return true;
   } catch (error) {
-    console.error('❌ Resend API verification failed:', error.message);
+    console.error(`❌ Email transport verification failed:`, error.message);
     return false;
   }
 }
@@ -46,39 +51,7 @@ class EmailSender {
         throw new Error(`No active subscribers found for ${newsletterData.segment} segment`);
       }
       
-      let sentCount = 0;
-      let failedCount = 0;
-      const failedEmails = [];
-      
-      // Process emails individually with Resend
-      const sentEmails = [];  // Track Resend IDs for analytics
-      for (const subscriber of subscribers) {
-        try {
-          const result = await this.sendSingleEmail(newsletterData, subscriber);
-          sentCount++;
-          if (result.resend_id) sentEmails.push(result);
-          console.log(`✅ Sent to ${subscriber.email} (ID: ${result.resend_id || 'unknown'})`);
-          
-          // Rate limiting - Resend allows 10 req/sec on free tier
-          await new Promise(resolve => setTimeout(resolve, 150)); // 150ms delay
-          
-        } catch (error) {
-          failedCount++;
-          failedEmails.push({ email: subscriber.email, error: error.message });
-          console.error(`❌ Failed to send to ${subscriber.email}: ${error.message}`);
-        }
-      }
-      
-      console.log(`📊 Email sending complete: ${sentCount} sent, ${failedCount} failed`);
-      
-      return {
-        success: true,
-        sentCount,
-        failedCount,
-        failedEmails,
-        totalSubscribers: subscribers.length,
-        sentEmails   // Resend IDs for Send_Log storage
-      };
+      return await this.sendBulkEmails(newsletterData, subscribers);
       
     } catch (error) {
       console.error('📧 Email sending failed:', error.message);
@@ -86,13 +59,141 @@ class EmailSender {
     }
   }
 
-  async sendSingleEmail(newsletterData, subscriber) {
-    if (!this.resendApiKey) {
-      throw new Error('RESEND_API_KEY not configured');
+  // Generated issues carry their registry id (./issues); anything older falls back to segment + date
+  issueIdFor(newsletterData) {
+    return newsletterData.issueId || `${newsletterData.segment}-${new Date().toISOString().split('T')[0]}`;
+  }
+
+  // Batched send queue: bounded concurrency, token-bucket rate limit, retries with
+  // backoff on 429/5xx. Each recipient's outcome is checkpointed to the send ledger
+  // (./sendLedger) under the issue id, so any later send of the same issue — retry,
+  // double click, resume — skips recipients who already have it, and the Resend
+  // idempotency key covers anyone sent after the last checkpoint.
+  async sendBulkEmails(newsletterData, subscribers, options = {}) {
+    const issueId = this.issueIdFor(newsletterData);
+    const jobId = options.jobId || `${issueId}-${Date.now()}`;
+    const concurrency = options.concurrency || parseInt(process.env.BULK_SEND_CONCURRENCY || '4');
+    const ratePerSec = options.ratePerSec || parseFloat(process.env.BULK_SEND_RATE_PER_SEC || '8');
+    const maxRetries = options.maxRetries ?? parseInt(process.env.BULK_SEND_MAX_RETRIES || '4');
+    const checkpointEvery = options.checkpointEvery || 25;
+
+    // De-duplicate recipients (same address listed twice must only get one copy)
+    const seen = new Set();
+    const unique = subscribers.filter(s => {
+      const key = (s.email || '').trim().toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    // Hard-bounced and complained addresses never get bulk mail (see ./suppressions)
+    const { allowed: recipients, suppressed } = await filterSuppressed(unique).catch(e => {
+      console.warn('Suppressions read failed (non-fatal):', e.message);
+      return { allowed: unique, suppressed: [] };
+    });
+    if (suppressed.length > 0) console.log(`🚫 Bulk send ${issueId}: ${suppressed.length} suppressed address(es) excluded`);
+
+    // Without the ledger we can't tell who already has this issue — don't risk double sends
+    const ledger = await sendLedger.getIssueLedger(issueId).catch(e => {
+      throw new Error(`Send ledger unavailable, not sending ${issueId}: ${e.message}`);
+    });
+    const pending = recipients.filter(s => ledger.recipients[sendLedger.recipientKey(s.email)]?.status !== 'sent');
+    const skippedCount = recipients.length - pending.length;
+
+    console.log(`📧 Bulk send ${issueId} (${jobId}): ${pending.length} to send, ${skippedCount} already sent (concurrency ${concurrency}, ${ratePerSec}/s)`);
+
+    // From the first delivery on the issue number is in inboxes and must never be reused
+    if (pending.length > 0) {
+      await issues.markIssueEmailed(issueId).catch(e => console.warn('Issue registry update failed (non-fatal):', e.message));
     }
-    
-    const issueId = `${newsletterData.segment}-${new Date().toISOString().split('T')[0]}`;
-    const unsubscribeToken = subscriber.unsubToken || subscriber.unsub_token || subscriber.Unsub_Token;
+
+    const bucket = new TokenBucket(ratePerSec, Math.max(1, Math.floor(ratePerSec)));
+    const results = [];
+    let buffer = [];
+
+    const flush = async () => {
+      if (buffer.length === 0) return;
+      const rows = buffer;
+      buffer = [];
+      try {
+        await sendLedger.recordDeliveries(rows);
+      } catch (e) {
+        console.warn('Send_Ledger write failed (non-fatal):', e.message);
+      }
+    };
+
+    await runWithConcurrency(pending, concurrency, async (subscriber) => {
+      const email = subscriber.email.trim();
+      const idempotencyKey = `${issueId}:${email.toLowerCase()}`;
+      let record;
+      try {
+        const { result, attempts } = await withRetry(async () => {
+          await bucket.take();
+          return this.sendSingleEmail(newsletterData, subscriber, { idempotencyKey });
+        }, {
+          maxRetries,
+          onRetry: (err, attempt, delay) => console.warn(`🔁 Retry ${attempt}/${maxRetries} for ${email} in ${delay}ms: ${err.message}`)
+        });
+        record = { email, status: 'sent', message_id: result.message_id || '', attempts, error: '', result };
+        console.log(`✅ Sent to ${email} via ${result.provider} (ID: ${result.message_id || 'unknown'})`);
+      } catch (error) {
+        record = { email, status: 'failed', message_id: '', attempts: error.attempts || 1, error: error.message };
+        console.error(`❌ Failed to send to ${email}: ${error.message}`);
+      }
+      results.push(record);
+      buffer.push(sendLedger.ledgerRow(issueId, {
+        email, subscriberId: subscriber.subscriberId || '', segment: newsletterData.segment, status: record.status,
+        messageId: record.message_id, attempts: record.attempts, error: record.error, jobId
+      }));
+      if (buffer.length >= checkpointEvery) await flush();
+    });
+    await flush();
+
+    const sent = results.filter(r => r.status === 'sent');
+    const failed = results.filter(r => r.status === 'failed');
+    console.log(`📊 Email sending complete: ${sent.length} sent, ${failed.length} failed, ${skippedCount} skipped`);
+    await recordMetrics({ emails_sent: sent.length, emails_failed: failed.length }, { segment: newsletterData.segment, issueId });
+
+    return {
+      success: failed.length === 0,
+      issueId,
+      jobId,
+      sentCount: sent.length,
+      failedCount: failed.length,
+      skippedCount,
+      suppressedCount: suppressed.length,
+      failedEmails: failed.map(r => ({ email: r.email, error: r.error })),
+      totalSubscribers: recipients.length,
+      sentEmails: sent.map(r => r.result),   // Resend IDs for Send_Log storage
+      results: results.map(({ result, ...r }) => r)
+    };
+  }
+
+  // Latest ledger status per recipient for an issue
+  async getSendProgress(issueId) {
+    return sendLedger.getIssueLedger(issueId);
+  }
+
+  // Signed per-subscriber link tokens (see ./linkTokens). Subscribers without an ID
+  // (env fallback list, ad-hoc test recipients) keep whatever static token they carry.
+  async linkTokensFor(subscriber) {
+    const subscriberId = subscriber.subscriberId || subscriber.Subscriber_ID || '';
+    if (!subscriberId) {
+      const legacy = subscriber.unsubToken || subscriber.unsub_token || subscriber.Unsub_Token || '';
+      return { unsubscribeToken: legacy, pauseToken: legacy, preferencesToken: legacy };
+    }
+    const keys = keysFromEnv(process.env);
+    const email = subscriber.email || subscriber.Email || '';
+    return {
+      unsubscribeToken: await signLinkToken({ subscriberId, action: 'unsubscribe', segment: 'all', email }, keys),
+      pauseToken: await signLinkToken({ subscriberId, action: 'pause', segment: 'all', email }, keys),
+      preferencesToken: await signLinkToken({ subscriberId, action: 'preferences', segment: 'all' }, keys)
+    };
+  }
+
+  async sendSingleEmail(newsletterData, subscriber, options = {}) {
+    const issueId = this.issueIdFor(newsletterData);
+    const { unsubscribeToken, pauseToken, preferencesToken } = await this.linkTokensFor(subscriber);
     
     const apiBaseUrl =
       (process.env.PUBLIC_API_BASE_URL || '').trim() ||
@@ -100,8 +201,9 @@ class EmailSender {
 
     const unsubscribeUrl = `${apiBaseUrl}/api/unsubscribe?token=${encodeURIComponent(unsubscribeToken)}`;
 
-    // Pause URL — subscriber clicks to pause 4 weeks; uses same unsub token for identity
-    const pauseUrl = `${apiBaseUrl}/api/pause?token=${encodeURIComponent(unsubscribeToken)}`;
+    // Pause URL — subscriber clicks to pause 4 weeks
+    const pauseUrl = `${apiBaseUrl}/api/pause?token=${encodeURIComponent(pauseToken)}`;
+    const preferencesUrl = `${apiBaseUrl}/preferences?token=${encodeURIComponent(preferencesToken)}`;
 
     
     // Personalize HTML
@@ -112,12 +214,13 @@ class EmailSender {
       .replace(/\{\{NAME\}\}/g, subscriber.name || 'Valued Subscriber')
       .replace(/\{\{COMPANY\}\}/g, subscriber.company || '')
       .replace(/\{\{UNSUBSCRIBE_URL\}\}/g, unsubscribeUrl)
-      .replace(/\{\{PAUSE_URL\}\}/g, pauseUrl);
+      .replace(/\{\{PAUSE_URL\}\}/g, pauseUrl)
+      .replace(/\{\{PREFERENCES_URL\}\}/g, preferencesUrl);
+    personalizedHtml = personaliseTracking(personalizedHtml, { issueId, subscriberId: subscriber.subscriberId || '' });
     
     const fromEmail = process.env.EMAIL_FROM || 'newsletter@safefreightprogram.com';
     
-    // Resend API payload
-    const emailData = {
+    const result = await this.transport.send({
       from: `Safe Freight Program <${fromEmail}>`,
       to: [subscriber.email],
       subject: newsletterData.subject,
@@ -127,117 +230,59 @@ class EmailSender {
         'List-Unsubscribe': `<${unsubscribeUrl}>`,
         'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
       },
-      // Enable tracking so we can pull engagement data back from Resend API
-      open_tracking: true,
-      click_tracking: true,
+      // Resend's own tracking only when first-party tracking is switched off (./tracking)
+      tracking: !firstPartyTracking(),
       tags: [
         { name: 'newsletter', value: newsletterData.segment },
-        { name: 'issue_id',   value: issueId }
-      ]
-    };
+        { name: 'issue_id',   value: issueId },
+        ...(newsletterData.issueNumber ? [{ name: 'issue_number', value: String(newsletterData.issueNumber) }] : [])
+      ],
+      idempotencyKey: options.idempotencyKey
+    });
     
-    try {
-      const response = await axios.post(this.resendApiUrl, emailData, {
-        headers: {
-          'Authorization': `Bearer ${this.resendApiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      });
-      
-      // Return enriched result including Resend email ID for analytics tracking
-      return {
-        ...response.data,
-        resend_id: response.data.id,
-        subscriber_email: subscriber.email,
-        subscriber_id: subscriber.Subscriber_ID || subscriber.subscriber_id || '',
-        issue_id: issueId,
-        segment: newsletterData.segment,
-        sent_at: new Date().toISOString()
-      };
-      
-    } catch (error) {
-      if (error.response) {
-        throw new Error(`Resend API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Email send timeout');
-      } else {
-        throw new Error(`Network error: ${error.message}`);
-      }
-    }
+    // Return enriched result including provider message ID for analytics tracking
+    // (resend_id kept for Send_Log/engagement lookups; only Resend IDs can be queried back)
+    return {
+      ...result,
+      resend_id: result.provider === 'resend' ? result.id : '',
+      message_id: result.id,
+      provider: result.provider,
+      subscriber_email: subscriber.email,
+      subscriber_id: subscriber.subscriberId || subscriber.Subscriber_ID || subscriber.subscriber_id || '',
+      issue_id: issueId,
+      segment: newsletterData.segment,
+      sent_at: new Date().toISOString()
+    };
   }
 
-async getSubscribersFromSheet(segment) {
-    console.log(`📊 Fetching ${segment} subscribers from Google Sheets API...`);
+  // Pass { allFrequencies: true } to include fortnightly/monthly readers who aren't due
+  // an issue today (test sends, subscriber counts).
+  async getSubscribersFromSheet(segment, { allFrequencies = false } = {}) {
+    const storage = getStorage();
+    console.log(`📊 Fetching ${segment} subscribers from storage (${storage.name})...`);
     
     try {
-      const { google } = require('googleapis');
-      
-      const auth = await google.auth.getClient({
-        credentials: {
-          client_email: process.env.GOOGLE_CLIENT_EMAIL,
-          private_key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n')
-        },
-        scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly']
-      });
-      
-      const sheets = google.sheets({ version: 'v4', auth });
-      const response = await sheets.spreadsheets.values.get({
-        spreadsheetId: process.env.GOOGLE_SHEETS_ID,
-        range: 'Subscribers!A:R', // Extended to include all columns
-      });
-      
-      const rows = response.data.values;
-      if (!rows || rows.length <= 1) {
-        console.warn('⚠️ No data found in Google Sheets');
-        return this.getFallbackSubscribers(segment);
-      }
-      
-      // Parse header row to get column positions
-      const headers = rows[0];
-      const columnMap = {};
-      headers.forEach((header, index) => {
-        columnMap[header.trim()] = index;
-      });
-      
-      // Get column indices based on your actual headers
-      const emailCol      = columnMap['Email'];
-      const nameCol       = columnMap['Name'];
-      const segmentCol    = columnMap['Segment'];
-      const statusCol     = columnMap['Status'];
-      const unsubCol      = columnMap['Unsubscribed_At'];
-      const pausedCol     = columnMap['Paused_At'];
-      const resumeCol     = columnMap['Resume_At'];
-      const companyCol    = columnMap['Company'];
-      const confirmedCol  = columnMap['Confirmed_At'];
-      const unsubTokenCol = columnMap['Unsub_Token']; // FIX: required for unsubscribe links
-
-      // Optional columns may not exist in the sheet; guard indexes
-      const safeCell = (row, colIndex) =>
-        (typeof colIndex === 'number' && colIndex >= 0) ? (row[colIndex] || '') : '';
-
-      
-      if (emailCol === undefined || segmentCol === undefined || statusCol === undefined) {
-        console.error('❌ Required columns not found. Available columns:', headers);
+      const rows = await storage.list('Subscribers');
+      if (rows.length === 0) {
+        console.warn('⚠️ No subscriber data found');
         return this.getFallbackSubscribers(segment);
       }
       
       // Filter subscribers based on your new format
       const subscribers = [];
-      for (let i = 1; i < rows.length; i++) {
-        const row = rows[i];
-        if (row.length < 4) continue;
-        
-        const email          = row[emailCol];
-        const name           = row[nameCol];
-        const subscriberSegment = row[segmentCol];
-        const status         = row[statusCol];
-        const unsubscribedAt = safeCell(row, unsubCol);
-        const pausedAt       = safeCell(row, pausedCol);
-        const resumeAt       = safeCell(row, resumeCol);
-        const company        = safeCell(row, companyCol);
-        const confirmedAt    = safeCell(row, confirmedCol);
-        const unsubToken     = safeCell(row, unsubTokenCol); // FIX: fetch token
+      for (const row of rows) {
+        const email          = row.Email;
+        const name           = row.Name;
+        const subscriberSegment = row.Segment;
+        const status         = row.Status;
+        const unsubscribedAt = row.Unsubscribed_At || '';
+        const pausedAt       = row.Paused_At || '';
+        const resumeAt       = row.Resume_At || '';
+        const company        = row.Company || '';
+        const confirmedAt    = row.Confirmed_At || '';
+        const unsubToken     = row.Unsub_Token || ''; // legacy static token, used only when there's no Subscriber_ID
+        const subscriberId   = row.Subscriber_ID || '';
+        const frequency      = (row.Email_Frequency || 'weekly').toString().trim().toLowerCase();
 
         
         // Validate email
@@ -255,6 +300,9 @@ async getSubscribersFromSheet(segment) {
             continue;
           }
         }
+
+        // Fortnightly/monthly readers only get the issues they're due (see ./preferences)
+        if (!allFrequencies && !isDueForIssue(frequency)) continue;
         
         // Check segment match (supports CSV e.g. "pro,driver")
         const segRaw = (subscriberSegment || '').toString().trim().toLowerCase();
@@ -277,16 +325,17 @@ async getSubscribersFromSheet(segment) {
             status:         status.trim(),
             company:        (company || '').trim(),
             subscribedDate: confirmedAt || new Date().toISOString(),
-            unsubToken:     unsubToken.trim(), // FIX: include token in subscriber object
+            subscriberId:   String(subscriberId).trim(),
+            unsubToken:     unsubToken.trim(),
           });
         }
       }
       
-      console.log(`✅ Successfully loaded ${subscribers.length} ${segment} subscribers from Google Sheets API`);
+      console.log(`✅ Successfully loaded ${subscribers.length} ${segment} subscribers from storage`);
       return subscribers;
       
     } catch (error) {
-      console.error('❌ Google Sheets API failed:', error.message);
+      console.error('❌ Subscriber storage read failed:', error.message);
       console.warn('⚠️ Falling back to environment variable subscribers');
       return this.getFallbackSubscribers(segment);
     }
@@ -420,19 +469,19 @@ async getSubscribersFromSheet(segment) {
   }
 
  async testEmailSystem() {
-    console.log('🧪 Testing Resend email system...');
+    console.log(`🧪 Testing email system (${this.transport.name})...`);
     
     try {
       const connectionOk = await this.verifyConnection();
       if (!connectionOk) {
-        throw new Error('Resend API connection failed');
+        throw new Error(`Email transport "${this.transport.name}" connection failed`);
       }
       
-      const proSubscribers = await this.getSubscribersFromSheet('pro');
-      const driverSubscribers = await this.getSubscribersFromSheet('driver');
+      const proSubscribers = await this.getSubscribersFromSheet('pro', { allFrequencies: true });
+      const driverSubscribers = await this.getSubscribersFromSheet('driver', { allFrequencies: true });
       
       console.log('📊 Test Results:');
-      console.log(`   Resend API: ✅ Working`);
+      console.log(`   Email transport (${this.transport.name}): ✅ Working`);
       console.log(`   Pro Subscribers: ${proSubscribers.length} found`);
       console.log(`   Driver Subscribers: ${driverSubscribers.length} found`);
       
@@ -459,8 +508,8 @@ async getSubscribersFromSheet(segment) {
     console.log('🧪 Testing subscriber mapping...');
     
     try {
-      const proSubs = await this.getSubscribersFromSheet('pro');
-      const driverSubs = await this.getSubscribersFromSheet('driver');
+      const proSubs = await this.getSubscribersFromSheet('pro', { allFrequencies: true });
+      const driverSubs = await this.getSubscribersFromSheet('driver', { allFrequencies: true });
       
       console.log(`📊 Results:`);
       console.log(`   Pro subscribers: ${proSubs.length}`);
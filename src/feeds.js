@@ -0,0 +1,115 @@
+// RSS 2.0 and Atom feeds of published issues, built from the web archive.
+//
+//   GET /feeds/:segment.xml    RSS 2.0
+//   GET /feeds/:segment.atom   Atom 1.0
+//
+// One entry per sent issue, linking to its /archive page, with the issue's articles
+// (title, summary, source link) as the entry content.
+const { NEWSLETTERS, getPublishedIssues, issueUrl, publicBaseUrl } = require('./webArchive');
+
+const FEED_LIMIT = 20;
+
+function escapeXml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// CDATA can't contain "]]>" — split it across two sections
+function cdata(text) {
+  return `<![CDATA[${String(text || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function issueTitle(issue) {
+  const { title } = NEWSLETTERS[issue.segment];
+  if (issue.subject) return issue.subject;
+  return `${title} — ${new Date(issue.publishedAt).toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Australia/Sydney' })}`;
+}
+
+function issueContentHtml(issue) {
+  return issue.articles.map(a => `<h3><a href="${escapeXml(a.url)}">${escapeXml(a.title)}</a></h3>
+<p>${escapeXml(a.summary)}</p>${a.tip ? `\n<p><strong>Action tip:</strong> ${escapeXml(a.tip)}</p>` : ''}
+<p><em>${escapeXml(a.category)} · ${escapeXml(a.source)}</em></p>`).join('\n');
+}
+
+function issueSummary(issue) {
+  return issue.articles.map(a => a.title).filter(Boolean).join(' · ');
+}
+
+function buildRss(segment, issues) {
+  const { title, tagline } = NEWSLETTERS[segment];
+  const base = publicBaseUrl();
+  const items = issues.map(issue => `    <item>
+      <title>${escapeXml(issueTitle(issue))}</title>
+      <link>${escapeXml(issueUrl(issue))}</link>
+      <guid isPermaLink="true">${escapeXml(issueUrl(issue))}</guid>
+      <pubDate>${new Date(issue.publishedAt).toUTCString()}</pubDate>
+      <description>${escapeXml(issueSummary(issue))}</description>
+      <content:encoded>${cdata(issueContentHtml(issue))}</content:encoded>
+${issue.articles.map(a => a.category).filter((c, i, all) => c && all.indexOf(c) === i).map(c => `      <category>${escapeXml(c)}</category>`).join('\n')}
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${base}/archive/${segment}</link>
+    <description>${escapeXml(tagline)}</description>
+    <language>en-au</language>
+    <atom:link href="${base}/feeds/${segment}.xml" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${new Date(issues[0]?.publishedAt || Date.now()).toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+function buildAtom(segment, issues) {
+  const { title, tagline } = NEWSLETTERS[segment];
+  const base = publicBaseUrl();
+  const entries = issues.map(issue => `  <entry>
+    <title>${escapeXml(issueTitle(issue))}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(issueUrl(issue))}"/>
+    <id>${escapeXml(issueUrl(issue))}</id>
+    <published>${new Date(issue.publishedAt).toISOString()}</published>
+    <updated>${new Date(issue.publishedAt).toISOString()}</updated>
+    <summary>${escapeXml(issueSummary(issue))}</summary>
+    <content type="html">${escapeXml(issueContentHtml(issue))}</content>
+  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-AU">
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(tagline)}</subtitle>
+  <link rel="alternate" type="text/html" href="${base}/archive/${segment}"/>
+  <link rel="self" type="application/atom+xml" href="${base}/feeds/${segment}.atom"/>
+  <id>${base}/feeds/${segment}.atom</id>
+  <updated>${new Date(issues[0]?.publishedAt || Date.now()).toISOString()}</updated>
+  <author><name>Safe Freight Program</name></author>
+${entries}
+</feed>
+`;
+}
+
+function setupFeedRoutes(app) {
+  app.get('/feeds/:feed', async (req, res) => {
+    const match = req.params.feed.match(/^(\w+)\.(xml|rss|atom)$/);
+    if (!match || !NEWSLETTERS[match[1]]) return res.status(404).json({ success: false, error: 'Feed not found' });
+    const [, segment, format] = match;
+    try {
+      const issues = (await getPublishedIssues(segment)).slice(0, FEED_LIMIT);
+      const isAtom = format === 'atom';
+      res.set('Content-Type', isAtom ? 'application/atom+xml; charset=utf-8' : 'application/rss+xml; charset=utf-8');
+      res.set('Cache-Control', 'public, max-age=900');
+      res.send(isAtom ? buildAtom(segment, issues) : buildRss(segment, issues));
+    } catch (error) {
+      console.error('Feed error:', error.message);
+      res.status(500).json({ success: false, error: 'Feed unavailable' });
+    }
+  });
+}
+
+module.exports = { buildRss, buildAtom, setupFeedRoutes };
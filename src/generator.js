@@ -3,6 +3,9 @@ const SheetsManager = require('../config/sheets');
 const config = require('../config/config');
 const fs = require('fs');
 const EmailSender = require('./emailSender');
+const issues = require('./issues');
+const sendLedger = require('./sendLedger');
+const { recordMetrics } = require('./metrics');
 
 // SFP Brand Configuration
 const SFP_BRAND = {
@@ -53,11 +56,11 @@ const SFP_BRAND = {
   }
 };
 
+// Categories an article card can carry (each has a style in getCategoryStyle)
+const ARTICLE_CATEGORIES = ['Safety Alert', 'Enforcement Action', 'Regulatory Guidance', 'Regulatory Update', 'Technical Update', 'Driver Wellness', 'Industry News', 'From the Industry'];
+
 class NewsletterGenerator {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: config.openai.apiKey
-    });
     this.sheetsManager = new SheetsManager();
     this.emailSender = new EmailSender(); 
     
@@ -70,12 +73,42 @@ class NewsletterGenerator {
     };
   }
 
+  // OpenAI client is created on first use, so re-rendering drafts works without an API key
+  get openai() {
+    if (!this._openai) {
+      this._openai = new OpenAI({
+        apiKey: config.openai.apiKey
+      });
+    }
+    return this._openai;
+  }
+
+  // Every model call goes through here so llm_calls / llm_tokens are counted (./metrics)
+  async createChatCompletion(params) {
+    try {
+      const response = await this.openai.chat.completions.create(params);
+      await recordMetrics({ llm_calls: 1, llm_tokens: response.usage?.total_tokens || 0 });
+      return response;
+    } catch (error) {
+      await recordMetrics({ llm_calls: 1, llm_failed: 1 });
+      throw error;
+    }
+  }
+
   async generateNewsletter(segment = 'pro', sendEmail = true) {
   try {
     console.log(`📰 Generating newsletter for ${segment} segment...`);
       
       // Initialize sheets
       await this.sheetsManager.initialize();
+
+      // A retried or re-triggered send resumes the issue already opened for today's slot —
+      // same id and articles — so the send ledger skips everyone who already has it
+      const slotIssue = sendEmail ? await issues.getSlotIssue(segment) : null;
+      if (slotIssue) {
+        const archived = await this.archivedArticles(slotIssue.issueId);
+        if (archived) return await this.finishNewsletter(segment, archived, { sendEmail, issue: slotIssue, resumed: true });
+      }
       
       // Get and prioritize recent articles (7-day filter applied in getRecentArticles)
       const recentArticles = await this.getRecentArticles(14, segment);
@@ -444,23 +477,42 @@ class NewsletterGenerator {
         : [];
       const processedArticles = [...complianceProcessed, ...industryProcessed];
       
-      // Generate newsletter HTML with logo and one-click unsubscribe
-      const newsletterHtml = this.buildComplianceNewsletterHTML(processedArticles, segment);
+      return await this.finishNewsletter(segment, processedArticles, { sendEmail, issue: slotIssue });
       
-      // Save newsletter preview
-      const filename = `logs/${segment}-newsletter-${Date.now()}.html`;
-      if (!fs.existsSync('logs')) {
-        fs.mkdirSync('logs', { recursive: true });
-      }
-      fs.writeFileSync(filename, newsletterHtml);
-      console.log(`💾 Newsletter saved: ${filename}`);
-// Log newsletter to Content_Archive sheet
+    } catch (error) {
+      console.error(`❌ Newsletter generation failed:`, error.message);
+      throw error;
+    }
+  }
+
+  // Registers the issue (or takes the slot's existing one), renders, archives and — with
+  // sendEmail — sends it. `resumed` means the articles came from the issue's
+  // Content_Archive row, which is then left as it is.
+  async finishNewsletter(segment, processedArticles, { sendEmail, issue: slotIssue = null, resumed = false }) {
+    // Register the issue only once there's content, so failed runs don't use up a number.
+    // Issues that will be sent are tagged with today's send slot (see ./issues).
+    const issue = slotIssue || await issues.createIssue(segment, { slot: sendEmail ? issues.sendSlot(segment) : '' });
+    const issueId = issue.issueId;
+    console.log(slotIssue ? `🔁 Resuming ${issue.label} (${issueId}) for this ${segment} send` : `🔢 Issue registered: ${issue.label} (${issueId})`);
+
+    // Generate newsletter HTML with logo and one-click unsubscribe
+    const newsletterHtml = this.buildComplianceNewsletterHTML(processedArticles, segment, { issueId, issueNumber: issue.number });
+    const subject = this.getSubjectLine(segment, issue.number);
+    
+    // Save newsletter preview
+    const filename = `logs/${segment}-newsletter-${Date.now()}.html`;
+    if (!fs.existsSync('logs')) {
+      fs.mkdirSync('logs', { recursive: true });
+    }
+    fs.writeFileSync(filename, newsletterHtml);
+    console.log(`💾 Newsletter saved: ${filename}`);
+    // Log newsletter to Content_Archive sheet (a resumed issue is already there)
+    if (!resumed) {
       try {
-        const issueId = `${segment}-${new Date().toISOString().split('T')[0]}`;
         await this.sheetsManager.logNewsletterToArchive({
           issue_id: issueId,
           segment: segment,
-          subject: this.getSubjectLine(segment),
+          subject,
           published_at: new Date().toISOString(),
           sent_count: 0, // Will be updated when actually sent
           failed_count: 0,
@@ -472,67 +524,98 @@ class NewsletterGenerator {
       } catch (error) {
         console.error('⚠️ Failed to log newsletter to archive:', error.message);
       }
-      
-      // Mark articles as used — ONLY on confirmed send, never on preview
-      if (sendEmail) {
-        try {
-          const articleIds = processedArticles.map(a => a.id).filter(Boolean);
-          if (articleIds.length === 0) {
-            console.warn('No article IDs found - check ID preservation in processWithOpenAI');
-          } else {
-            const issueId = `${segment}-${new Date().toISOString().split('T')[0]}`;
-            console.log(`\n🏷️ Marking articles as used...`);
-            console.log(`Article IDs to mark: ${articleIds}`);
-            const markedCount = await this.sheetsManager.markArticlesAsUsed(articleIds, issueId);
-            console.log(`✅ Marked ${markedCount} articles as used in issue ${issueId}`);
-          }
-        } catch (error) {
-          console.error('⚠️ Failed to mark articles as used:', error.message);
+    }
+    
+    // Mark articles as used — ONLY on confirmed send, never on preview
+    if (sendEmail && !resumed) {
+      try {
+        const articleIds = processedArticles.map(a => a.id).filter(Boolean);
+        if (articleIds.length === 0) {
+          console.warn('No article IDs found - check ID preservation in processWithOpenAI');
+        } else {
+          console.log(`\n🏷️ Marking articles as used...`);
+          console.log(`Article IDs to mark: ${articleIds}`);
+          const markedCount = await this.sheetsManager.markArticlesAsUsed(articleIds, issueId);
+          console.log(`✅ Marked ${markedCount} articles as used in issue ${issueId}`);
         }
-      } else {
-        console.log(`👁️ Preview mode — articles NOT marked as used`);
+      } catch (error) {
+        console.error('⚠️ Failed to mark articles as used:', error.message);
       }
+    } else if (!sendEmail) {
+      console.log(`👁️ Preview mode — articles NOT marked as used`);
+    }
+
+    const newsletterResult = {
+      segment: segment,
+      issueId,
+      issueNumber: issue.number,
+      issueLabel: issue.label,
+      articles: processedArticles,
+      html: newsletterHtml,
+      text: this.buildTextNewsletter(processedArticles, segment, issue.number),
+      subject,
+      filename: filename
+    };
 
-const newsletterResult = {
-        segment: segment,
-        articles: processedArticles,
-        html: newsletterHtml,
-        text: this.buildTextNewsletter(processedArticles, segment),
-        subject: this.getSubjectLine(segment),
-        filename: filename
-      };
-
-      // Send email if requested
-      if (sendEmail) {
-        console.log(`📧 Sending newsletter via email...`);
+    // Send email if requested
+    if (sendEmail) {
+      console.log(`📧 Sending newsletter via email...`);
+      
+      try {
+        const sendResult = await this.emailSender.sendNewsletter(newsletterResult);
         
-        try {
-          const sendResult = await this.emailSender.sendNewsletter(newsletterResult);
-          
-          console.log(`✅ Email sending completed:`);
-          console.log(`   📤 Sent: ${sendResult.sentCount}`);
-          console.log(`   ❌ Failed: ${sendResult.failedCount}`);
-          console.log(`   📋 Total subscribers: ${sendResult.totalSubscribers}`);
-          
-          newsletterResult.emailSending = sendResult;
-          
-        } catch (emailError) {
-          console.error(`❌ Email sending failed: ${emailError.message}`);
-          newsletterResult.emailSending = {
-            success: false,
-            error: emailError.message
-          };
-        }
-      } else {
-        console.log(`📝 Newsletter generated (email sending disabled)`);
+        console.log(`✅ Email sending completed:`);
+        console.log(`   📤 Sent: ${sendResult.sentCount}`);
+        console.log(`   ❌ Failed: ${sendResult.failedCount}`);
+        console.log(`   📋 Total subscribers: ${sendResult.totalSubscribers}`);
+        
+        newsletterResult.emailSending = sendResult;
+
+        // Totals across every run of this issue — a resumed send only reports the rest
+        const ledger = await sendLedger.getIssueLedger(issueId).catch(e => {
+          console.warn('Send ledger read failed (non-fatal):', e.message);
+          return null;
+        });
+        const delivered = ledger ? ledger.sent : sendResult.sentCount || 0;
+
+        // Nobody received it → give the number back (or discard it, see ./issues)
+        await (delivered > 0 ? issues.markIssueSent(issueId) : issues.releaseIssue(issueId))
+          .catch(e => console.warn('Issue registry update failed (non-fatal):', e.message));
+
+        // Flag this issue's Content_Archive row as published so it shows in the web archive;
+        // a resumed send keeps the time it was first published
+        const now = new Date().toISOString();
+        await this.sheetsManager.storage.update('Content_Archive', row => row.Issue_ID === issueId, row => ({
+          Published_At: parseInt(row.Sent_Count) > 0 && row.Published_At ? row.Published_At : now,
+          Sent_Count: delivered,
+          Failed_Count: ledger ? ledger.failed : sendResult.failedCount || 0
+        })).catch(e => console.warn('Content_Archive update failed (non-fatal):', e.message));
+        
+      } catch (emailError) {
+        console.error(`❌ Email sending failed: ${emailError.message}`);
+        // Once delivery has started the issue is marked emailed, so this discards the number
+        await issues.releaseIssue(issueId).catch(() => {});
+        newsletterResult.emailSending = {
+          success: false,
+          error: emailError.message
+        };
       }
+    } else {
+      console.log(`📝 Newsletter generated (email sending disabled)`);
+    }
 
-      console.log(`✅ Newsletter process completed for ${segment} segment`);
-      return newsletterResult;
-      
-    } catch (error) {
-      console.error(`❌ Newsletter generation failed:`, error.message);
-      throw error;
+    console.log(`✅ Newsletter process completed for ${segment} segment`);
+    return newsletterResult;
+  }
+
+  // The articles an issue was archived with, or null
+  async archivedArticles(issueId) {
+    const row = await this.sheetsManager.storage.find('Content_Archive', r => r.Issue_ID === issueId);
+    try {
+      const articles = JSON.parse(row?.Content_JSON || 'null');
+      return Array.isArray(articles) && articles.length > 0 ? articles : null;
+    } catch (e) {
+      return null;
     }
   }
   // ENHANCED: Priority-based article selection with 7-day filtering
@@ -1038,6 +1121,15 @@ const newsletterResult = {
       return false;
     }
   }
+  // Articles as sent to the model: the fetched article text (src/articleBodies.js) is cut
+  // to promptChars, and left out when there is none so the prompt falls back to the snippet
+  articlesForPrompt(articles) {
+    const limit = config.scraping.articleBodies.promptChars;
+    return articles.map(({ body, ...article }) => (
+      body ? { ...article, body: body.length > limit ? `${body.slice(0, limit)}…` : body } : article
+    ));
+  }
+
 // ENHANCED: Process articles with URL validation and targeted action tips
   async processWithOpenAI(articles, segment) {
     const systemPrompt = segment === 'pro'
@@ -1101,7 +1193,7 @@ COURT JUDGMENT HANDLING:
 - Some articles will be raw court judgment titles, e.g. "Smith Transport Pty Ltd v NHVR [2026] FCA 123"
 - Extract the compliance significance: what legal issue was decided and what it means for CoR duty holders
 - The action tip should name what compliance managers should review in light of the decision
-- If the summary is sparse, focus on the legal principle and its practical application — do not fabricate specific facts not in the article
+- If there is no body and the summary is sparse, focus on the legal principle and its practical application — do not fabricate specific facts not in the article
 
 PRIORITY ORDER (most important first):
 1. Safety Alert - immediate safety concerns with operational impact
@@ -1160,6 +1252,7 @@ PRIORITY ORDER (most important first):
 CRITICAL RULES:
 1. Use EXACT original URLs — never modify, shorten, or fabricate URLs.
 2. Return ONLY a valid JSON array. No markdown, no backticks, no preamble.
+3. Where an article has a "body", that is the text of the article itself — write the summary and action tip from it. The "summary" field is only the listing-page snippet. Every fact, figure, name and date you use must appear in the body or summary. Do not copy the body into your output.
 
 FOR EACH ARTICLE, your action tip MUST:
 - Name at least one SPECIFIC thing from the article itself: a named standard, a specific figure, a particular obligation, a named provision, a specific vehicle type, a specific route or corridor, a specific enforcement target. Generic instructions like "conduct a review" or "ensure compliance" are NOT acceptable unless paired with a specific focus drawn from the article.
@@ -1171,10 +1264,10 @@ FOR EACH ARTICLE, your action tip MUST:
 - Do NOT add deadlines unless the article explicitly states one.
 - Direct actions to compliance functions, not named roles.
 
-Return only valid JSON array:\n\n${JSON.stringify(articles, null, 2)}`;
+Return only valid JSON array:\n\n${JSON.stringify(this.articlesForPrompt(articles), null, 2)}`;
 
     try {
-      const response = await this.openai.chat.completions.create({
+      const response = await this.createChatCompletion({
         model: 'gpt-4o-mini',
         messages: [
           { role: 'system', content: systemPrompt },
@@ -1209,8 +1302,7 @@ Return only valid JSON array:\n\n${JSON.stringify(articles, null, 2)}`;
         }
         
         // Validate category
-        const validCategories = ['Safety Alert', 'Enforcement Action', 'Regulatory Guidance', 'Regulatory Update', 'Technical Update', 'Driver Wellness', 'Industry News', 'From the Industry'];
-        if (!validCategories.includes(processed.category)) {
+        if (!ARTICLE_CATEGORIES.includes(processed.category)) {
           processed.category = 'Industry News';
         }
       });
@@ -1267,8 +1359,12 @@ Return only valid JSON array:\n\n${JSON.stringify(articles, null, 2)}`;
   }
 
 // ENHANCED: Newsletter HTML generation with email-safe hero header (table + inline styles)
-buildComplianceNewsletterHTML(articles, segment) {
+// options.date — issue date to show (defaults to now, i.e. a fresh issue)
+// options.webView — public archive page: no per-subscriber footer or "View in browser" link
+// options.issueId / options.issueNumber — registry identity (./issues); older issues have no number
+buildComplianceNewsletterHTML(articles, segment, options = {}) {
   const isPro = (segment === 'pro');
+  const issueDate = options.date ? new Date(options.date) : new Date();
   const color = '#1e40af'; // SFP blue
   const FONT_STACK = "system-ui, -apple-system, 'Segoe UI', Roboto, Arial, sans-serif";
   const newsletterConfig = SFP_BRAND.newsletters[segment];
@@ -1280,7 +1376,7 @@ const preheaderText = isPro
   : `${title} — ${tagline}. Quick weekly safety and compliance heads-up.`;
 
 // Date formatted in Sydney time (AEDT/AEST) — server runs UTC, readers are in Australia
-const formattedDate = new Date().toLocaleDateString('en-AU', {
+const formattedDate = issueDate.toLocaleDateString('en-AU', {
   weekday: 'long',
   day: 'numeric',
   month: 'long',
@@ -1288,17 +1384,17 @@ const formattedDate = new Date().toLocaleDateString('en-AU', {
   timeZone: 'Australia/Sydney'
 });
 
-  
-  // Generate unique newsletter ID for tracking
-  const newsletterId = `${segment}-${Date.now()}`;
+
+  // Campaign id on article links — the registry id, or the date-style id issues had before it
+  const issueId = options.issueId || `${segment}-${issueDate.toISOString().split('T')[0]}`;
+  const issueLine = options.issueNumber ? `Issue #${options.issueNumber} · ${formattedDate}` : formattedDate;
 
   // Generate article cards with proper category styling
   const articleCards = articles.map((article, index) => {
     const categoryStyle = this.getCategoryStyle(article.category);
 
     // UTM tracked version
-    const issueId = `${segment}-${new Date().toISOString().split('T')[0]}`;
-    const articleUrl = `${article.url}?utm_source=sfp_newsletter&utm_medium=email&utm_campaign=${issueId}&utm_content=article_${index + 1}&utm_term=${encodeURIComponent(
+    const articleUrl = `${article.url}${String(article.url).includes('?') ? '&' : '?'}utm_source=sfp_newsletter&utm_medium=email&utm_campaign=${issueId}&utm_content=article_${index + 1}&utm_term=${encodeURIComponent(
       article.category.toLowerCase().replace(/\s+/g, '_')
     )}`;
 
@@ -1333,7 +1429,7 @@ const formattedDate = new Date().toLocaleDateString('en-AU', {
   ${this.escapeHtml(article.summary)}
 </p>
 
-    ${article.category !== 'From the Industry' ? `
+    ${article.category !== 'From the Industry' && article.tip ? `
     <div style="background: #f8fafc; padding: 16px; border-radius: 6px; margin: 12px 0; border-left: 4px solid ${color}; border-radius: 0 6px 6px 0;">
       <p style="margin: 0 0 8px 0; color: #374151; font-size: 14px;"><strong>Action Tip:</strong></p>
       <p style="margin: 0; color: #4b5563; font-size: 14px; line-height: 1.5;">${this.escapeHtml(article.tip)}</p>
@@ -1341,7 +1437,7 @@ const formattedDate = new Date().toLocaleDateString('en-AU', {
     <p style="margin: 8px 0 12px 0; color: #6b7280; font-size: 13px; font-style: italic;">Source: ${this.escapeHtml(article.source)}</p>
     <table role="presentation" cellspacing="0" cellpadding="0" border="0">
       <tr><td style="background-color: ${color}; border-radius: 4px;">
-        <a href="${articleUrl}" target="_blank" rel="noopener noreferrer" style="display: inline-block; padding: 10px 18px; color: #ffffff; text-decoration: none; font-size: 14px; font-weight: 600;">
+        <a href="${articleUrl}" data-track="${index + 1}" target="_blank" rel="noopener noreferrer" style="display: inline-block; padding: 10px 18px; color: #ffffff; text-decoration: none; font-size: 14px; font-weight: 600;">
           Read More →
         </a>
       </td></tr>
@@ -1358,6 +1454,11 @@ const formattedDate = new Date().toLocaleDateString('en-AU', {
 // Placeholders substituted per-subscriber by sendSingleEmail()
 const unsubscribeUrl = '{{UNSUBSCRIBE_URL}}';
 const pauseUrl = '{{PAUSE_URL}}';
+const preferencesUrl = '{{PREFERENCES_URL}}';
+
+// Hosted copy of this issue — {{ISSUE_ID}} is filled in by sendSingleEmail()
+const apiBaseUrl = (process.env.PUBLIC_API_BASE_URL || '').trim() || 'https://sfp-newsletter-automation-production.up.railway.app';
+const viewOnlineUrl = `${apiBaseUrl}/archive/${segment}/{{ISSUE_ID}}`;
 
 
   // Mailto fallbacks
@@ -1410,6 +1511,10 @@ const pauseUrl = '{{PAUSE_URL}}';
   <div style="display:none;max-height:0;overflow:hidden;mso-hide:all;">
     &zwnj;&nbsp;&zwnj;&nbsp;&zwnj;&nbsp;&zwnj;&nbsp;&zwnj;&nbsp;&zwnj;&nbsp;&zwnj;&nbsp;&zwnj;&nbsp;&zwnj;&nbsp;&zwnj;&nbsp;
   </div>
+  ${options.webView ? '' : `<!-- View in browser -->
+  <div style="text-align:center;padding:8px 16px;font-size:12px;line-height:1.4;">
+    <a href="${viewOnlineUrl}" style="color:#6b7280;text-decoration:underline;">View in browser</a>
+  </div>`}
   <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%">
     <tr>
       <td align="center" style="padding: 0;">
@@ -1454,7 +1559,7 @@ const pauseUrl = '{{PAUSE_URL}}';
 <!-- Date -->
 <tr>
   <td align="center" style="font: 400 16px/1.6 ${SFP_BRAND.typography.primary}; color: ${SFP_BRAND.colors.blue100};">
-    ${this.escapeHtml(formattedDate)}
+    ${this.escapeHtml(issueLine)}
   </td>
 </tr>
                     </table>
@@ -1499,6 +1604,13 @@ const pauseUrl = '{{PAUSE_URL}}';
               <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%">
                 <tr>
                   <td style="text-align: center;">
+${options.webView ? `
+                    <p style="margin: 0; color: #6b7280; font-size: 12px; line-height: 1.4;">
+                      Get ${this.escapeHtml(title)} in your inbox every week —
+                      <a href="https://www.safefreightprogram.com/subscribe.html" style="color: #6b7280; text-decoration: underline;">subscribe free</a>.<br>
+                      Safe Freight Program<br>
+                      Parcel Locker 1017149451, 326 King Street NEWTOWN NSW 2042
+                    </p>` : `
                     <p style="margin: 0 0 12px 0; color: #6b7280; font-size: 12px; line-height: 1.4;">
                       You received this email because you subscribed to ${this.escapeHtml(title)}.<br>
                       Safe Freight Program<br>
@@ -1506,6 +1618,10 @@ const pauseUrl = '{{PAUSE_URL}}';
                     </p>
                     <table role="presentation" cellspacing="0" cellpadding="0" border="0" style="margin: 0 auto;">
                       <tr>
+                        <td style="padding: 0 8px;">
+                          <a href="${preferencesUrl}" style="color: #6b7280; font-size: 12px; text-decoration: underline;">Manage preferences</a>
+                        </td>
+                        <td style="padding: 0 8px; color: #d1d5db;">|</td>
                         <td style="padding: 0 8px;">
                           <a href="${pauseUrl}" style="color: #6b7280; font-size: 12px; text-decoration: underline;">Pause newsletters</a>
                         </td>
@@ -1518,7 +1634,7 @@ const pauseUrl = '{{PAUSE_URL}}';
                           <a href="${unsubscribeMailto}" style="color: #6b7280; font-size: 12px; text-decoration: underline;">Email unsubscribe</a>
                         </td>
                       </tr>
-                    </table>
+                    </table>`}
                   </td>
                 </tr>
               </table>
@@ -1541,7 +1657,7 @@ const pauseUrl = '{{PAUSE_URL}}';
                 </tr>
                 <tr>
                   <td style="text-align: center; padding: 8px 0; color: #9ca3af; font-size: 12px;">
-                    <p style="margin: 0;">© ${new Date().getFullYear()} Safe Freight Program. All rights reserved.</p>
+                    <p style="margin: 0;">© ${issueDate.getFullYear()} Safe Freight Program. All rights reserved.</p>
                     <p style="margin: 8px 0 0 0;">This email complies with the Australian Spam Act 2003</p>
                   </td>
                 </tr>
@@ -1553,7 +1669,8 @@ const pauseUrl = '{{PAUSE_URL}}';
       </td>
     </tr>
   </table>
-</body>
+${options.webView ? '' : `  <!--{{OPEN_PIXEL}}-->
+`}</body>
 </html>`;
 }
 
@@ -1599,7 +1716,7 @@ OUTPUT FORMAT: Return ONLY a valid JSON object. No markdown, no backticks.
     const userPrompt = `Write this week's driver wellbeing piece on the following topic: ${topic}`;
 
     try {
-      const response = await this.openai.chat.completions.create({
+      const response = await this.createChatCompletion({
         model: 'gpt-4o-mini',
         messages: [
           { role: 'system', content: systemPrompt },
@@ -1687,10 +1804,10 @@ OUTPUT FORMAT: Return ONLY a valid JSON array containing ONE object. No markdown
   "category": "From the Industry"
 }`;
 
-    const userPrompt = `Write a "From the Industry" newsletter entry for this article. Make it readable and interesting — no forced compliance framing. CRITICAL: Use the exact original URL.\n\n${JSON.stringify([article], null, 2)}`;
+    const userPrompt = `Write a "From the Industry" newsletter entry for this article. Make it readable and interesting — no forced compliance framing. CRITICAL: Use the exact original URL. Where there is a "body", it is the article text — report from it rather than the short "summary" snippet, and do not copy it into your output.\n\n${JSON.stringify(this.articlesForPrompt([article]), null, 2)}`;
 
     try {
-      const response = await this.openai.chat.completions.create({
+      const response = await this.createChatCompletion({
         model: 'gpt-4o-mini',
         messages: [
           { role: 'system', content: systemPrompt },
@@ -1767,7 +1884,20 @@ OUTPUT FORMAT: Return ONLY a valid JSON array containing ONE object. No markdown
   return categoryStyles[category] || categoryStyles['Industry News'];
 }
 
-  getSubjectLine(segment) {
+  // Re-render an issue from already-processed articles — no OpenAI call (used by the draft editor).
+  // `issue` carries the draft's { issueId, issueNumber } so links and header keep its identity.
+  renderNewsletter(articles, segment, subject, issue = {}) {
+    const { issueId, issueNumber } = issue;
+    return {
+      segment,
+      articles,
+      html: this.buildComplianceNewsletterHTML(articles, segment, { issueId, issueNumber }),
+      text: this.buildTextNewsletter(articles, segment, issueNumber),
+      subject: subject || this.getSubjectLine(segment, issueNumber)
+    };
+  }
+
+  getSubjectLine(segment, issueNumber) {
   const date = new Date().toLocaleDateString('en-AU', {
     day: 'numeric',
     month: 'long',
@@ -1775,12 +1905,12 @@ OUTPUT FORMAT: Return ONLY a valid JSON array containing ONE object. No markdown
   });
   
   const titles = SFP_BRAND.newsletters[segment];
-  return `${titles.title} - ${date}`;
+  return `${titles.title}${issueNumber ? ` #${issueNumber}` : ''} - ${date}`;
 }
 // Text-only newsletter for email clients that don't support HTML
-  buildTextNewsletter(articles, segment) {
+  buildTextNewsletter(articles, segment, issueNumber) {
     const isPro = (segment === 'pro');
-    const title = isPro ? 'CoR Intel Weekly' : 'Safe Freight Mate';
+    const title = `${isPro ? 'CoR Intel Weekly' : 'Safe Freight Mate'}${issueNumber ? ` #${issueNumber}` : ''}`;
     const date = new Date().toLocaleDateString('en-AU', {
       weekday: 'long',
       day: 'numeric', 
@@ -1794,9 +1924,9 @@ ${index + 1}. [${article.category.toUpperCase()}] ${article.title}
 
 ${article.summary}
 
-ACTION TIP: ${article.tip}
+${article.tip ? `ACTION TIP: ${article.tip}
 
-Source: ${article.source}
+` : ''}Source: ${article.source}
 Read more: ${article.url}
 
 ${'='.repeat(60)}
@@ -1881,4 +2011,6 @@ if (require.main === module) {
 }
 
 
+NewsletterGenerator.ARTICLE_CATEGORIES = ARTICLE_CATEGORIES;
+
 module.exports = NewsletterGenerator;
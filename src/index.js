@@ -3,12 +3,30 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
-const { google } = require('googleapis');
-const crypto = require('crypto');
 const NewsletterGenerator = require('./generator');
-const { scrapeAllSources } = require('./scraper');
+const { scrapeAllSources, getScrapeProgress } = require('./scraper');
 const EmailSender = require('./emailSender');
 const { AdvancedScheduler, setupAdvancedSchedulingEndpoints } = require('./advancedScheduler');
+const { getStorage } = require('./storage');
+const { getTransport } = require('./transports');
+const drafts = require('./drafts');
+const approvals = require('./approvals');
+const draftEditor = require('./draftEditor');
+const { setupArchiveRoutes } = require('./webArchive');
+const { setupFeedRoutes } = require('./feeds');
+const { setupTrackingRoutes } = require('./tracking');
+const { keysFromEnv, signLinkToken, verifyLinkToken, isSignedToken } = require('./linkTokens');
+const preferences = require('./preferences');
+const { setupResendWebhookRoutes } = require('./resendWebhooks');
+const suppressions = require('./suppressions');
+const sendLedger = require('./sendLedger');
+const issues = require('./issues');
+const metrics = require('./metrics');
+const scrapeRuns = require('./scrapeRuns');
+const sourceQuarantine = require('./sourceQuarantine');
+const sourceRegistry = require('./sourceRegistry');
+const sourceSandbox = require('./sourceSandbox');
+const { categoryWeights } = require('../config/config');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -17,17 +35,24 @@ const PORT = process.env.PORT || 3000;
 // ENVIRONMENT VALIDATION
 // ─────────────────────────────────────────────────────────────────────────────
 function validateEnvironment() {
+  const usesSheets = (process.env.STORAGE_BACKEND || 'sheets').toLowerCase() === 'sheets';
   const required = [
-    'GOOGLE_CLIENT_EMAIL',
-    'GOOGLE_PRIVATE_KEY',
-    'GOOGLE_SHEETS_ID',
+    ...(usesSheets ? ['GOOGLE_CLIENT_EMAIL', 'GOOGLE_PRIVATE_KEY', 'GOOGLE_SHEETS_ID'] : []),
     'OPENAI_API_KEY'
   ];
   const missing = required.filter(env => !process.env[env]);
+  // Every subscriber link is signed with these; LINK_TOKEN_SECRET is the single-key form
+  if (!process.env.LINK_TOKEN_KEYS && !process.env.LINK_TOKEN_SECRET) missing.push('LINK_TOKEN_KEYS');
   if (missing.length > 0) {
     console.error('❌ Missing required environment variables:', missing.join(', '));
     return false;
   }
+  try {
+    keysFromEnv(process.env);
+  } catch (error) {
+    console.error('❌ Invalid LINK_TOKEN_KEYS:', error.message);
+    return false;
+  }
   console.log('✅ All required environment variables present');
   return true;
 }
@@ -50,6 +75,8 @@ const PUBLIC_API_PATHS = new Set([
   '/api/confirm',
   '/api/unsubscribe',
   '/api/pause',
+  '/api/preferences',
+  '/api/webhooks/resend',
 ]);
 
 app.use((req, res, next) => {
@@ -97,7 +124,8 @@ app.use((req, res, next) => {
 // ─────────────────────────────────────────────────────────────────────────────
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// rawBody is kept for webhook signature checks (see ./resendWebhooks)
+app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 app.use('/static', express.static('public', {
@@ -130,47 +158,28 @@ app.get('/newsletter-management', (req, res) => res.sendFile(path.join(__dirname
 app.get('/newsletter-management.html', (req, res) => res.sendFile(path.join(__dirname, '../public/newsletter-management.html')));
 
 // ─────────────────────────────────────────────────────────────────────────────
-// HELPERS
+// PUBLIC WEB ARCHIVE + FEEDS — /archive/:segment[/:issueId], /feeds/:segment.xml|.atom
 // ─────────────────────────────────────────────────────────────────────────────
-function makeToken(len = 16) {
-  return crypto.randomBytes(len).toString('hex');
-}
+setupArchiveRoutes(app);
+setupFeedRoutes(app);
 
-async function sendResendEmail({ to, subject, html }) {
-  const apiKey = process.env.RESEND_API_KEY;
+// ─────────────────────────────────────────────────────────────────────────────
+// OPEN / CLICK TRACKING — signed /track/open pixel and /track/click redirects
+// ─────────────────────────────────────────────────────────────────────────────
+setupTrackingRoutes(app);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+// Transactional mail (confirmations etc.) via the configured transport
+async function sendEmail({ to, subject, html }) {
   const from = process.env.EMAIL_FROM;
-  if (!apiKey) throw new Error('RESEND_API_KEY not set');
   if (!from) throw new Error('EMAIL_FROM not set');
-
-  const resp = await fetch('https://api.resend.com/emails', {
-    method: 'POST',
-    headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify({ from, to, subject, html })
-  });
-
-  if (!resp.ok) {
-    const txt = await resp.text().catch(() => '');
-    throw new Error(`Resend send failed: ${resp.status} ${txt}`);
-  }
-  return resp.json().catch(() => ({}));
-}
-
-// Google Sheets auth helper — reused across all endpoints
-async function getSheetsClient(readonly = false) {
-  const auth = await google.auth.getClient({
-    credentials: {
-      client_email: process.env.GOOGLE_CLIENT_EMAIL,
-      private_key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n')
-    },
-    scopes: [readonly
-      ? 'https://www.googleapis.com/auth/spreadsheets.readonly'
-      : 'https://www.googleapis.com/auth/spreadsheets'
-    ]
-  });
-  return google.sheets({ version: 'v4', auth });
+  return getTransport().send({ from, to, subject, html });
 }
 
-const SPREADSHEET_ID = () => process.env.GOOGLE_SHEETS_ID;
+// Shared storage (Google Sheets in production, local files when STORAGE_BACKEND=file)
+const storage = getStorage();
 
 // Canonical segment order
 const CANONICAL_SEGMENTS = ['pro', 'driver'];
@@ -180,14 +189,11 @@ function canonicalSegmentCsv(segs) {
   return CANONICAL_SEGMENTS.filter(s => set.has(s)).join(',');
 }
 
-// Write an audit row to Subscription_Audit sheet
-async function writeSubscriptionAudit(sheets, { action, email, metadata = '', ip = '', ua = '' }) {
+// Write an audit row to Subscription_Audit
+async function writeSubscriptionAudit({ action, email, metadata = '', ip = '', ua = '' }) {
   try {
-    await sheets.spreadsheets.values.append({
-      spreadsheetId: SPREADSHEET_ID(),
-      range: 'Subscription_Audit!A:F',
-      valueInputOption: 'RAW',
-      requestBody: { values: [[new Date().toISOString(), action, email, metadata, ip, ua]] }
+    await storage.append('Subscription_Audit', {
+      Timestamp: new Date().toISOString(), Action: action, Email: email, Metadata: metadata, IP_Address: ip, User_Agent: ua
     });
   } catch (e) {
     console.warn('Subscription_Audit write failed (non-fatal):', e.message);
@@ -195,7 +201,6 @@ async function writeSubscriptionAudit(sheets, { action, email, metadata = '', ip
 }
 
 const emailSender = new EmailSender();
-let newsletterCache = new Map();
 
 // ─────────────────────────────────────────────────────────────────────────────
 // SYSTEM STATE — in-memory + Events_Log persistence
@@ -207,21 +212,12 @@ const systemState = {
 
 async function logSystemEvent(event, metadata = {}) {
   try {
-    const sheets = await getSheetsClient();
-    await sheets.spreadsheets.values.append({
-      spreadsheetId: SPREADSHEET_ID(),
-      range: 'Events_Log!A:G',
-      valueInputOption: 'RAW',
-      requestBody: {
-        values: [[
-          new Date().toISOString(),
-          event,
-          metadata.issue_id || '',
-          metadata.segment || '',
-          '', '',
-          JSON.stringify(metadata)
-        ]]
-      }
+    await storage.append('Events_Log', {
+      Timestamp: new Date().toISOString(),
+      Event: event,
+      Issue_ID: metadata.issue_id || '',
+      Segment: metadata.segment || '',
+      Metadata: JSON.stringify(metadata)
     });
   } catch (e) {
     console.warn('Events_Log write failed (non-fatal):', e.message);
@@ -230,21 +226,19 @@ async function logSystemEvent(event, metadata = {}) {
 
 async function restoreSystemState() {
   try {
-    const sheets = await getSheetsClient(true);
-    const resp = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Events_Log!A:G' });
-    const rows = (resp.data.values || []).slice(1).reverse();
+    const rows = (await storage.list('Events_Log')).reverse();
 
     for (const row of rows) {
-      const event = row[1] || '';
+      const event = row.Event || '';
       try {
-        const meta = JSON.parse(row[6] || '{}');
+        const meta = JSON.parse(row.Metadata || '{}');
         if (event === 'scrape_completed' && !systemState.lastScrape) {
-          systemState.lastScrape = { timestamp: row[0], ...meta };
+          systemState.lastScrape = { timestamp: row.Timestamp, ...meta };
         }
         if (event === 'newsletter_sent') {
-          const seg = meta.segment || row[3] || '';
+          const seg = meta.segment || row.Segment || '';
           if (seg && !systemState.lastSent[seg]) {
-            systemState.lastSent[seg] = { timestamp: row[0], ...meta };
+            systemState.lastSent[seg] = { timestamp: row.Timestamp, ...meta };
           }
         }
         if (systemState.lastScrape && systemState.lastSent.pro && systemState.lastSent.driver) break;
@@ -257,56 +251,39 @@ async function restoreSystemState() {
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// SCHEDULE CONFIG — stored in Google Sheets (Schedule_Config tab)
+// SCHEDULE CONFIG — stored in the Schedule_Config table
 // Replaces /tmp file approach — survives Railway redeploys.
-// Sheet: Schedule_Config | Columns: Key, Value (JSON)
+// Table: Schedule_Config | Columns: Key, Value (JSON)
 // ─────────────────────────────────────────────────────────────────────────────
 async function loadScheduleConfigFromSheets() {
   try {
-    const sheets = await getSheetsClient(true);
-    const resp = await sheets.spreadsheets.values.get({
-      spreadsheetId: SPREADSHEET_ID(),
-      range: 'Schedule_Config!A:B'
-    });
-    const rows = resp.data.values || [];
+    const rows = await storage.list('Schedule_Config');
     const config = {};
     for (const row of rows) {
-      if (row[0] && row[1]) {
-        try { config[row[0]] = JSON.parse(row[1]); } catch (e) { /* skip */ }
+      if (row.Key && row.Value) {
+        try { config[row.Key] = JSON.parse(row.Value); } catch (e) { /* skip */ }
       }
     }
     if (config.scraping && config.newsletter) {
-      console.log('✅ Schedule config loaded from Google Sheets');
+      console.log('✅ Schedule config loaded from storage');
       return config;
     }
   } catch (e) {
-    console.warn('Could not load schedule config from Sheets (will use defaults):', e.message);
+    console.warn('Could not load schedule config from storage (will use defaults):', e.message);
   }
   return null;
 }
 
 async function saveScheduleConfigToSheets(config) {
   try {
-    const sheets = await getSheetsClient();
-    // Write two rows: scraping and newsletter
-    const rows = [
-      ['scraping', JSON.stringify({ ...config.scraping, lastRun: undefined })],
-      ['newsletter', JSON.stringify({ ...config.newsletter, lastRun: undefined })]
-    ];
-    // Clear and rewrite to keep it clean
-    await sheets.spreadsheets.values.clear({
-      spreadsheetId: SPREADSHEET_ID(),
-      range: 'Schedule_Config!A:B'
-    });
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: SPREADSHEET_ID(),
-      range: 'Schedule_Config!A1',
-      valueInputOption: 'RAW',
-      requestBody: { values: rows }
-    });
-    console.log('💾 Schedule config saved to Google Sheets');
+    // Write two rows: scraping and newsletter — replaced wholesale to keep it clean
+    await storage.replaceAll('Schedule_Config', [
+      { Key: 'scraping', Value: JSON.stringify({ ...config.scraping, lastRun: undefined }) },
+      { Key: 'newsletter', Value: JSON.stringify({ ...config.newsletter, lastRun: undefined }) }
+    ]);
+    console.log('💾 Schedule config saved to storage');
   } catch (e) {
-    console.warn('Could not save schedule config to Sheets:', e.message);
+    console.warn('Could not save schedule config to storage:', e.message);
   }
 }
 
@@ -343,38 +320,192 @@ app.get('/api/version', (req, res) => {
 // ─────────────────────────────────────────────────────────────────────────────
 // SCRAPING
 // ─────────────────────────────────────────────────────────────────────────────
+// Scrapes every source and saves new articles; shared by the blocking and background forms of POST /api/scrape
+async function scrapeAndSave(trigger) {
+  const startTime = Date.now();
+  const results = await scrapeAllSources({ trigger });
+  const articles = results.articles || [];
+  let savedCount = 0;
+
+  if (articles.length > 0) {
+    try {
+      const SheetsManager = require('../config/sheets');
+      const sheetsManager = new SheetsManager();
+      await sheetsManager.initialize();
+      const saved = await sheetsManager.saveArticles(articles);
+      savedCount = saved.length;
+      await results.commitResponseCache();
+    } catch (e) {
+      console.error('⚠️ Failed to save articles to sheets:', e.message);
+    }
+  } else {
+    await results.commitResponseCache();
+  }
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  const timestamp = new Date().toISOString();
+  systemState.lastScrape = { timestamp, articlesFound: articles.length, savedCount, trigger };
+  await logSystemEvent('scrape_completed', { articlesFound: articles.length, savedCount, duration, trigger }).catch(() => {});
+
+  return { articlesFound: articles.length, savedToSheets: savedCount, duration: `${duration}s`, timestamp, errors: results.errors || [], runId: results.runId, quarantine: results.quarantine };
+}
+
+// ?background=true answers 202 straight away; follow the run with GET /api/scrape/progress
 app.post('/api/scrape', async (req, res) => {
   try {
-    const startTime = Date.now();
     console.log('🔍 Manual scraping triggered...');
-    const results = await scrapeAllSources();
-    const articles = results.articles || [];
-    let savedCount = 0;
-
-    if (articles.length > 0) {
-      try {
-        const SheetsManager = require('../config/sheets');
-        const sheetsManager = new SheetsManager();
-        await sheetsManager.initialize();
-        const saved = await sheetsManager.saveArticles(articles);
-        savedCount = saved.length;
-      } catch (e) {
-        console.error('⚠️ Failed to save articles to sheets:', e.message);
+    if (req.query.background === 'true' || req.body?.background === true) {
+      if (getScrapeProgress()?.status === 'running') {
+        return res.status(409).json({ success: false, error: 'A scrape is already running', data: getScrapeProgress() });
       }
+      scrapeAndSave('manual').catch(error => console.error('❌ Background scraping error:', error.message));
+      return res.status(202).json({ success: true, message: 'Scraping started', data: getScrapeProgress() });
     }
+    const data = await scrapeAndSave('manual');
+    res.json({ success: true, message: 'Scraping completed', data });
+  } catch (error) {
+    console.error('❌ Scraping error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
 
-    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-    const timestamp = new Date().toISOString();
-    systemState.lastScrape = { timestamp, articlesFound: articles.length, savedCount, trigger: 'manual' };
-    await logSystemEvent('scrape_completed', { articlesFound: articles.length, savedCount, duration, trigger: 'manual' }).catch(() => {});
+// The current or last scrape (sources done, running, articles found) and the last saved result
+app.get('/api/scrape/progress', (req, res) => {
+  res.json({ success: true, data: { scrape: getScrapeProgress(), lastScrape: systemState.lastScrape } });
+});
 
-    res.json({ success: true, message: 'Scraping completed', data: { articlesFound: articles.length, savedToSheets: savedCount, duration: `${duration}s`, timestamp, errors: results.errors || [] } });
+// Scrape run history with per-source diagnostics (./scrapeRuns)
+app.get('/api/scrape/runs', async (req, res) => {
+  try {
+    const runs = await scrapeRuns.listRuns({ limit: Math.min(parseInt(req.query.limit || 20), 200) });
+    res.json({ success: true, data: runs, count: runs.length });
   } catch (error) {
-    console.error('❌ Scraping error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+app.get('/api/scrape/runs/:runId', async (req, res) => {
+  try {
+    const run = await scrapeRuns.getRun(req.params.runId);
+    if (!run) return res.status(404).json({ success: false, error: 'Scrape run not found' });
+    res.json({ success: true, data: run });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Per-source health over the last ?days=30, failing sources first
+app.get('/api/scrape/sources/health', async (req, res) => {
+  try {
+    const health = await scrapeRuns.sourceHealth({ days: parseInt(req.query.days || 30) });
+    res.json({ success: true, data: health, count: health.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Source quarantine (./sourceQuarantine) — ?include_restored=true adds past quarantines
+app.get('/api/scrape/sources/quarantine', async (req, res) => {
+  try {
+    const list = await sourceQuarantine.listQuarantines({ includeRestored: req.query.include_restored === 'true' });
+    res.json({ success: true, data: list, count: list.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/scrape/sources/:source/quarantine', async (req, res) => {
+  try {
+    const entry = await sourceQuarantine.quarantineSource(req.params.source, { actor: requestActor(req), notes: req.body?.notes || '' });
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/scrape/sources/:source/restore', async (req, res) => {
+  try {
+    const entry = await sourceQuarantine.restoreSource(req.params.source, { actor: requestActor(req) });
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SOURCE REGISTRY — scraping sources, editable without a deploy (./sourceRegistry)
+// ─────────────────────────────────────────────────────────────────────────────
+app.get('/api/sources', async (req, res) => {
+  try {
+    const list = await sourceRegistry.listSources();
+    res.json({ success: true, data: list, count: list.length, categories: Object.keys(categoryWeights), types: sourceRegistry.SOURCE_TYPES });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Change history for every source, newest first
+app.get('/api/sources/history', async (req, res) => {
+  try {
+    const history = await sourceRegistry.getSourceHistory();
+    res.json({ success: true, data: history.slice(0, Math.min(parseInt(req.query.limit || 100), 1000)) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/sources/:sourceId', async (req, res) => {
+  try {
+    const source = await sourceRegistry.getSource(req.params.sourceId);
+    if (!source) return res.status(404).json({ success: false, error: 'Source not found' });
+    res.json({ success: true, data: { ...source, history: await sourceRegistry.getSourceHistory(source.id) } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/sources', async (req, res) => {
+  try {
+    const { actor, ...fields } = req.body || {};
+    const source = await sourceRegistry.createSource(fields, { actor: requestActor(req) });
+    res.status(201).json({ success: true, data: source });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Selector sandbox — parses the source's page (or `html`) with draft settings and returns
+// every extracted item with its validation outcome. Saves nothing.
+app.post('/api/sources/test', async (req, res) => {
+  try {
+    const { sourceId, source, html } = req.body || {};
+    const result = await sourceSandbox.testSource({ sourceId, draft: source || {}, html });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Partial update — send only the fields to change (e.g. { enabled: false })
+app.put('/api/sources/:sourceId', async (req, res) => {
+  try {
+    const { actor, ...fields } = req.body || {};
+    const source = await sourceRegistry.updateSource(req.params.sourceId, fields, { actor: requestActor(req) });
+    res.json({ success: true, data: source });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/sources/:sourceId', async (req, res) => {
+  try {
+    const source = await sourceRegistry.deleteSource(req.params.sourceId, { actor: requestActor(req) });
+    res.json({ success: true, data: source });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // NEWSLETTER GENERATE + SEND
 // ─────────────────────────────────────────────────────────────────────────────
@@ -385,27 +516,53 @@ app.post('/api/newsletter/generate/:segment', async (req, res) => {
 
     const gen = new NewsletterGenerator();
     const newsletter = await gen.generateNewsletter(segment, false);
-    const newsletterId = `NL_${segment}_${Date.now()}`;
-    newsletterCache.set(newsletterId, { newsletter, segment, generatedAt: new Date().toISOString(), articles: newsletter.articles || [] });
-    if (newsletterCache.size > 10) newsletterCache.delete(newsletterCache.keys().next().value);
+    const newsletterId = newsletter.issueId;
+    await drafts.createDraft(newsletterId, segment, newsletter);
 
-    res.json({ success: true, data: { newsletterId, segment, subject: newsletter.subject, articlesCount: newsletter.articles?.length || 0, previewHtml: newsletter.html, previewText: newsletter.text, generatedAt: new Date().toISOString() } });
+    res.json({ success: true, data: { newsletterId, issueLabel: newsletter.issueLabel, segment, subject: newsletter.subject, articlesCount: newsletter.articles?.length || 0, previewHtml: newsletter.html, previewText: newsletter.text, generatedAt: new Date().toISOString() } });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Sends a stored draft to its segment and records the send everywhere it's tracked.
+// Used by manual confirmSend, editorial approval and the approval-deadline sweep.
+const draftsSending = new Set();
+
+async function sendDraft(draft, { trigger }) {
+  if (draftsSending.has(draft.id)) throw Object.assign(new Error('This draft is already being sent'), { status: 409 });
+  draftsSending.add(draft.id);
+  try {
+    const { newsletter, segment, articles } = draft;
+    const subscribers = await emailSender.getSubscribersFromSheet(segment);
+    const sendResult = await emailSender.sendBulkEmails({ ...newsletter, issueId: draft.id }, subscribers, { jobId: draft.id });
+    await markArticlesAsUsed(articles, segment, draft.id);
+    await writeSendLog(segment, draft.id, newsletter, sendResult, articles).catch(e => console.error('Send_Log write failed:', e.message));
+    const sentMeta = { segment, subject: newsletter.subject, recipients: subscribers.length, trigger, issue_id: draft.id };
+    systemState.lastSent[segment] = { timestamp: new Date().toISOString(), ...sentMeta };
+    await logSystemEvent('newsletter_sent', sentMeta).catch(() => {});
+    await drafts.updateDraftStatus(draft.id, sendResult.failedCount > 0 ? 'partially_sent' : 'sent');
+    if (sendResult.sentCount > 0) await issues.markIssueSent(draft.id).catch(e => console.warn('Issue registry update failed (non-fatal):', e.message));
+    return { newsletterId: draft.id, segment, recipients: subscribers.length, sent: sendResult.sentCount, failed: sendResult.failedCount, skipped: sendResult.skippedCount, suppressed: sendResult.suppressedCount, failedEmails: sendResult.failedEmails };
+  } finally {
+    draftsSending.delete(draft.id);
+  }
+}
+
 app.post('/api/newsletter/send/:newsletterId', async (req, res) => {
   try {
     const { newsletterId } = req.params;
     const { testEmail, confirmSend } = req.body;
-    const cached = newsletterCache.get(newsletterId);
-    if (!cached) return res.status(404).json({ success: false, error: 'Newsletter not found. Generate preview first.' });
+    const draft = await drafts.getDraft(newsletterId);
+    if (!draft || !draft.newsletter) return res.status(404).json({ success: false, error: 'Newsletter not found. Generate preview first.' });
 
-    const { newsletter, segment, articles } = cached;
+    const { newsletter, segment } = draft;
 
     if (testEmail) {
-      const subs = await emailSender.getSubscribersFromSheet(segment);
+      // The test email carries this issue's links, so deleting or rejecting the draft
+      // afterwards must discard its number rather than give it back (./issues)
+      await issues.markIssueEmailed(newsletterId).catch(e => console.warn('Issue registry update failed (non-fatal):', e.message));
+      const subs = await emailSender.getSubscribersFromSheet(segment, { allFrequencies: true });
       const matched = subs.find(s => s.email.toLowerCase() === testEmail.toLowerCase());
       const testSub = matched || { email: testEmail, name: 'Test User', segment, unsubToken: 'test-token' };
       await emailSender.sendSingleEmail(newsletter, testSub);
@@ -413,24 +570,171 @@ app.post('/api/newsletter/send/:newsletterId', async (req, res) => {
     }
 
     if (confirmSend) {
-      const subscribers = await emailSender.getSubscribersFromSheet(segment);
-      const sendResult = await emailSender.sendBulkEmails(newsletter, subscribers);
-      await markArticlesAsUsed(articles, segment, newsletterId);
-      await writeSendLog(segment, newsletterId, newsletter, sendResult, articles).catch(e => console.error('Send_Log write failed:', e.message));
-      const sentMeta = { segment, subject: newsletter.subject, recipients: subscribers.length, trigger: 'manual', issue_id: newsletterId };
-      systemState.lastSent[segment] = { timestamp: new Date().toISOString(), ...sentMeta };
-      await logSystemEvent('newsletter_sent', sentMeta).catch(() => {});
-      newsletterCache.delete(newsletterId);
-      return res.json({ success: true, message: 'Newsletter sent', data: { newsletterId, segment, recipients: subscribers.length } });
+      // Re-sending only reaches recipients missing from the send ledger, but a fully sent
+      // issue still needs an explicit resume=true
+      if (draft.status === 'sent' && !req.body.resume) return res.status(409).json({ success: false, error: 'This draft has already been sent. Pass resume=true to retry failed recipients.' });
+      if (['pending_approval', 'rejected'].includes(draft.status)) return res.status(409).json({ success: false, error: `This draft is ${draft.status.replace('_', ' ')} — use the approval workflow to send it.` });
+      const result = await sendDraft(draft, { trigger: 'manual' });
+      return res.json({ success: true, message: 'Newsletter sent', data: result });
     }
 
     return res.status(400).json({ success: false, error: 'Must specify testEmail or confirmSend=true' });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Issue registry — canonical ids and per-segment numbers (./issues)
+app.get('/api/issues', async (req, res) => {
+  try {
+    const list = await issues.listIssues({ segment: req.query.segment });
+    res.json({ success: true, data: list, count: list.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Per-recipient send ledger for an issue (re-POST confirmSend with the same id to resume)
+app.get('/api/newsletter/send/:newsletterId/progress', async (req, res) => {
+  try {
+    const progress = await emailSender.getSendProgress(req.params.newsletterId);
+    res.json({ success: true, data: { ...progress, recipients: Object.values(progress.recipients) } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// NEWSLETTER DRAFTS
+// ─────────────────────────────────────────────────────────────────────────────
+app.get('/api/newsletter/drafts', async (req, res) => {
+  try {
+    const { segment, status } = req.query;
+    const [list, delivery] = await Promise.all([drafts.listDrafts({ segment, status }), sendLedger.summariseIssues()]);
+    res.json({ success: true, data: list.map(d => ({ ...d, delivery: delivery[d.id] || null })), count: list.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/newsletter/drafts/:draftId', async (req, res) => {
+  try {
+    const draft = await drafts.getDraft(req.params.draftId);
+    if (!draft) return res.status(404).json({ success: false, error: 'Draft not found' });
+    const { newsletter, ...meta } = draft;
+    res.json({ success: true, data: { ...meta, newsletterId: draft.id, previewHtml: newsletter?.html || '', previewText: newsletter?.text || '', articles: draft.articles } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/newsletter/drafts/:draftId', async (req, res) => {
+  try {
+    const removed = await drafts.deleteDraft(req.params.draftId);
+    if (!removed) return res.status(404).json({ success: false, error: 'Draft not found' });
+    await issues.releaseIssue(req.params.draftId).catch(e => console.warn('Issue release failed (non-fatal):', e.message));
+    res.json({ success: true, message: 'Draft deleted', data: { id: req.params.draftId } });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Test endpoint — uses cached preview if available, generates fresh if not
+// ─────────────────────────────────────────────────────────────────────────────
+// DRAFT ARTICLE EDITOR — edit, reorder, drop or swap articles and re-render (no OpenAI)
+// ─────────────────────────────────────────────────────────────────────────────
+function draftPreview(draft) {
+  return { id: draft.id, newsletterId: draft.id, segment: draft.segment, status: draft.status, subject: draft.subject, articlesCount: draft.articlesCount, previewHtml: draft.newsletter?.html || '', previewText: draft.newsletter?.text || '', articles: draft.articles };
+}
+
+app.put('/api/newsletter/drafts/:draftId/articles', async (req, res) => {
+  try {
+    const draft = await draftEditor.updateArticles(req.params.draftId, req.body?.articles, { subject: req.body?.subject });
+    res.json({ success: true, message: 'Draft updated', data: draftPreview(draft) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/newsletter/drafts/:draftId/candidates', async (req, res) => {
+  try {
+    const candidates = await draftEditor.listSwapCandidates(req.params.draftId, { days: parseInt(req.query.days) || 14 });
+    res.json({ success: true, data: candidates, count: candidates.length });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/newsletter/drafts/:draftId/articles/:index/swap', async (req, res) => {
+  try {
+    if (!req.body?.archiveId) return res.status(400).json({ success: false, error: 'Missing archiveId' });
+    const draft = await draftEditor.swapArticle(req.params.draftId, req.params.index, req.body.archiveId);
+    res.json({ success: true, message: 'Article swapped', data: draftPreview(draft) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// EDITORIAL APPROVAL — scheduled issues wait here when requireApproval is on
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Who is approving: explicit name from the dashboard, else the Basic Auth user
+function requestActor(req) {
+  if (req.body?.actor) return String(req.body.actor);
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString('utf-8');
+    return decoded.slice(0, decoded.indexOf(':')) || 'admin';
+  }
+  return 'admin';
+}
+
+app.post('/api/newsletter/drafts/:draftId/approve', async (req, res) => {
+  try {
+    const draft = await approvals.approveDraft(req.params.draftId, { actor: requestActor(req), notes: req.body?.notes || '' });
+    const result = await sendDraft(draft, { trigger: 'approved' });
+    res.json({ success: true, message: 'Draft approved and sent', data: result });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/newsletter/drafts/:draftId/reject', async (req, res) => {
+  try {
+    const draft = await approvals.rejectDraft(req.params.draftId, { actor: requestActor(req), notes: req.body?.notes || '' });
+    res.json({ success: true, message: 'Draft rejected', data: { id: draft.id, status: draft.status } });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/newsletter/drafts/:draftId/approvals', async (req, res) => {
+  try {
+    const history = await approvals.getApprovalHistory(req.params.draftId);
+    res.json({ success: true, data: history, count: history.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Auto-send pending drafts whose approval deadline has passed
+async function processApprovalDeadlines() {
+  try {
+    for (const pending of await approvals.findOverdueDrafts()) {
+      console.log(`⏰ Approval deadline passed for ${pending.id} — sending automatically`);
+      try {
+        const draft = await approvals.approveDraft(pending.id, { actor: 'system', notes: `deadline ${pending.approvalDeadline}`, auto: true });
+        await sendDraft(draft, { trigger: 'auto_approved' });
+      } catch (e) {
+        console.error(`❌ Auto-send of ${pending.id} failed:`, e.message);
+      }
+    }
+  } catch (e) {
+    console.warn('Approval deadline check failed (non-fatal):', e.message);
+  }
+}
+
+// Test endpoint — uses the latest unsent draft if available, generates fresh if not
 app.post('/api/newsletter/test', async (req, res) => {
   try {
     const { segment = 'pro', email } = req.body || {};
@@ -438,19 +742,22 @@ app.post('/api/newsletter/test', async (req, res) => {
 
     let newsletter = null;
     let newsletterId = null;
-    for (const [id, cached] of [...newsletterCache.entries()].reverse()) {
-      if (cached.segment === segment) { newsletter = cached.newsletter; newsletterId = id; break; }
-    }
+    const latest = await drafts.getLatestDraft(segment);
+    if (latest && latest.newsletter) { newsletter = latest.newsletter; newsletterId = latest.id; }
     if (!newsletter) {
       const gen = new NewsletterGenerator();
       newsletter = await gen.generateNewsletter(segment, false);
     }
+    // The test email carries this issue's links, so its number must never go to another
+    // issue. A fresh generation isn't kept as a draft: its number is discarded (./issues).
+    await issues.markIssueEmailed(newsletterId || newsletter.issueId).catch(e => console.warn('Issue registry update failed (non-fatal):', e.message));
+    if (!newsletterId) await issues.releaseIssue(newsletter.issueId).catch(() => {});
 
-    const subs = await emailSender.getSubscribersFromSheet(segment);
+    const subs = await emailSender.getSubscribersFromSheet(segment, { allFrequencies: true });
     const matched = subs.find(s => s.email.toLowerCase() === email.toLowerCase());
     const testSub = matched || { email, name: 'Test User', segment, unsubToken: 'test-token' };
     await emailSender.sendSingleEmail(newsletter, testSub);
-    return res.json({ success: true, message: 'Test email sent', data: { segment, email, subject: newsletter.subject, source: newsletterId ? 'cached-preview' : 'fresh-generate' } });
+    return res.json({ success: true, message: 'Test email sent', data: { segment, email, subject: newsletter.subject, source: newsletterId ? 'draft' : 'fresh-generate', draftId: newsletterId } });
   } catch (e) {
     return res.status(500).json({ success: false, error: e.message });
   }
@@ -464,7 +771,10 @@ app.post('/api/newsletters/send', async (req, res) => {
     const gen = new NewsletterGenerator();
     const newsletter = await gen.generateNewsletter(segment, !testEmail);
     if (testEmail) {
-      const subs = await emailSender.getSubscribersFromSheet(segment);
+      // Emailed below, so the number is discarded rather than given back (see ./issues)
+      await issues.markIssueEmailed(newsletter.issueId).catch(() => {});
+      await issues.releaseIssue(newsletter.issueId).catch(() => {});
+      const subs = await emailSender.getSubscribersFromSheet(segment, { allFrequencies: true });
       const matched = subs.find(s => s.email.toLowerCase() === testEmail.toLowerCase());
       const testSub = matched || { email: testEmail, name: 'Test User', segment, unsubToken: 'test-token' };
       await emailSender.sendSingleEmail(newsletter, testSub);
@@ -482,26 +792,9 @@ app.post('/api/newsletters/send', async (req, res) => {
 async function markArticlesAsUsed(articles, segment, newsletterId) {
   if (!articles || articles.length === 0) return;
   try {
-    const sheets = await getSheetsClient();
-    const response = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Article_Archive!A:Z' });
-    const rows = response.data.values;
-    if (!rows || rows.length < 2) return;
-    const headers = rows[0];
-    const urlCol = headers.findIndex(h => h === 'URL');
-    const usedCol = headers.findIndex(h => h === 'Used_In_Issue');
-    if (urlCol === -1 || usedCol === -1) return;
     const articleUrls = new Set(articles.map(a => a.url || a.link));
-    const timestamp = new Date().toISOString();
-    const updates = [];
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      if (articleUrls.has(row[urlCol]) && !row[usedCol]) {
-        updates.push({ range: `Article_Archive!${String.fromCharCode(65 + usedCol)}${i + 1}`, values: [[`${segment}-${newsletterId}_${timestamp}`]] });
-      }
-    }
-    if (updates.length > 0) {
-      await sheets.spreadsheets.values.batchUpdate({ spreadsheetId: SPREADSHEET_ID(), requestBody: { valueInputOption: 'RAW', data: updates } });
-    }
+    const usedTag = `${segment}-${newsletterId}_${new Date().toISOString()}`;
+    await storage.update('Article_Archive', row => articleUrls.has(row.URL) && !row.Used_In_Issue, { Used_In_Issue: usedTag });
   } catch (error) {
     console.error('Failed to mark articles as used:', error);
   }
@@ -511,31 +804,41 @@ async function markArticlesAsUsed(articles, segment, newsletterId) {
 // SEND LOG
 // ─────────────────────────────────────────────────────────────────────────────
 async function writeSendLog(segment, issueId, newsletter, sendResult, articles) {
-  const sheets = await getSheetsClient();
   const now = new Date().toISOString();
   const resendIds = (sendResult.sentEmails || []).map(e => e.resend_id).filter(Boolean);
 
-  await sheets.spreadsheets.values.append({
-    spreadsheetId: SPREADSHEET_ID(),
-    range: 'Send_Log!A:F',
-    valueInputOption: 'RAW',
-    requestBody: {
-      values: [[
-        now, segment, sendResult.sentCount || 0, sendResult.failedCount || 0, 'false',
-        JSON.stringify({ issue_id: issueId, subject: newsletter.subject, resend_ids: resendIds, article_count: articles?.length || 0 })
-      ]]
-    }
+  await storage.append('Send_Log', {
+    Timestamp: now,
+    Segment: segment,
+    Sent_Count: sendResult.sentCount || 0,
+    Failed_Count: sendResult.failedCount || 0,
+    Is_Test: 'false',
+    Notes: JSON.stringify({ issue_id: issueId, issue_number: issues.parseIssueId(issueId)?.number || null, subject: newsletter.subject, resend_ids: resendIds, article_count: articles?.length || 0 })
   });
 
-  const contentRow = [issueId, segment, newsletter.subject, now, sendResult.sentCount || 0, sendResult.failedCount || 0, '', '', JSON.stringify(articles || []), ''];
-  const existing = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Content_Archive!A:A' });
-  const issueIds = (existing.data.values || []).map(r => r[0]);
-  const existingRow = issueIds.indexOf(issueId);
-  if (existingRow > 0) {
-    await sheets.spreadsheets.values.update({ spreadsheetId: SPREADSHEET_ID(), range: `Content_Archive!A${existingRow + 1}:J${existingRow + 1}`, valueInputOption: 'RAW', requestBody: { values: [contentRow] } });
-  } else {
-    await sheets.spreadsheets.values.append({ spreadsheetId: SPREADSHEET_ID(), range: 'Content_Archive!A:J', valueInputOption: 'RAW', requestBody: { values: [contentRow] } });
-  }
+  // A resumed send only covers the recipients earlier runs missed, so the archive row takes
+  // its totals from the ledger (every run) and keeps the publish time of the first run that
+  // delivered anything (the row is created at generation time with Sent_Count 0)
+  const existing = await storage.find('Content_Archive', row => row.Issue_ID === issueId);
+  const published = existing && parseInt(existing.Sent_Count) > 0 && existing.Published_At;
+  const ledger = await sendLedger.getIssueLedger(issueId).catch(e => {
+    console.warn('Send ledger read failed (non-fatal):', e.message);
+    return null;
+  });
+  const totals = ledger
+    ? { sent: ledger.sent, failed: ledger.failed }
+    : { sent: (parseInt(existing?.Sent_Count) || 0) + (sendResult.sentCount || 0), failed: sendResult.failedCount || 0 };
+  await storage.upsert('Content_Archive', row => row.Issue_ID === issueId, {
+    Issue_ID: issueId,
+    Segment: segment,
+    Subject: newsletter.subject,
+    Published_At: published || now,
+    Sent_Count: totals.sent,
+    Failed_Count: totals.failed,
+    Open_Rate: existing?.Open_Rate || '',
+    Click_Rate: existing?.Click_Rate || '',
+    Content_JSON: JSON.stringify(articles || [])
+  });
   console.log(`📋 Send_Log written: ${sendResult.sentCount} sends, ${resendIds.length} Resend IDs`);
 }
 
@@ -545,32 +848,19 @@ async function writeSendLog(segment, issueId, newsletter, sendResult, articles)
 
 // Read ALL subscribers regardless of status (dashboard display)
 async function getAllSubscribersFromSheet(segmentFilter) {
-  const sheets = await getSheetsClient(true);
-  const resp = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Subscribers!A:Z' });
-  const rows = resp.data.values || [];
-  if (rows.length < 2) return [];
-
-  const headers = rows[0].map(h => (h || '').trim());
-  const col = (n) => headers.findIndex(h => h.toLowerCase() === n.toLowerCase());
-  const emailIdx = col('Email'), nameIdx = col('Name'), segIdx = col('Segment');
-  const statusIdx = col('Status'), companyIdx = col('Company'), roleIdx = col('Role');
-  const subIdIdx = col('Subscriber_ID'), subAtIdx = col('Subscribed_At');
-  const confirmedIdx = col('Confirmed_At'), pausedIdx = col('Paused_At');
-  if (emailIdx === -1 || segIdx === -1) return [];
-
+  const rows = await storage.list('Subscribers');
   const result = [];
-  for (let i = 1; i < rows.length; i++) {
-    const r = rows[i];
-    const email = (r[emailIdx] || '').trim();
+  for (const r of rows) {
+    const email = (r.Email || '').trim();
     if (!email || !email.includes('@')) continue;
-    const segRaw = (r[segIdx] || '').trim().toLowerCase();
+    const segRaw = (r.Segment || '').trim().toLowerCase();
     const segs = segRaw.split(',').map(s => s.trim()).filter(Boolean);
     if (segmentFilter && !segs.includes(segmentFilter.toLowerCase())) continue;
     result.push({
-      email, name: (r[nameIdx] || '').trim(), segment: r[segIdx] || '',
-      status: (r[statusIdx] || 'pending').trim(), company: (r[companyIdx] || '').trim(),
-      role: (r[roleIdx] || '').trim(), subscriberId: r[subIdIdx] || '',
-      subscribedAt: r[subAtIdx] || '', confirmedAt: r[confirmedIdx] || '', pausedAt: r[pausedIdx] || ''
+      email, name: (r.Name || '').trim(), segment: r.Segment || '',
+      status: (r.Status || 'pending').trim(), company: (r.Company || '').trim(),
+      role: (r.Role || '').trim(), subscriberId: r.Subscriber_ID || '',
+      subscribedAt: r.Subscribed_At || '', confirmedAt: r.Confirmed_At || '', pausedAt: r.Paused_At || ''
     });
   }
   return result;
@@ -615,29 +905,15 @@ app.post('/api/subscribers', async (req, res) => {
     if (segmentsArr.some(s => !['pro', 'driver'].includes(s))) return res.status(400).json({ success: false, error: 'Segments must be "pro" and/or "driver"' });
     if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).json({ success: false, error: 'Invalid email format' });
 
-    const sheets = await getSheetsClient();
-    const existingCheck = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Subscribers!A:Z' });
-    const existingRows = existingCheck.data.values || [];
-    const headers = (existingRows[0] || []).map(h => (h || '').toString().trim());
-    const colIndex = (name) => headers.findIndex(h => h.toLowerCase() === name.toLowerCase());
-
-    let existingRowIndex = -1;
-    for (let i = 1; i < existingRows.length; i++) {
-      if ((existingRows[i][colIndex('Email')] || '').toString().toLowerCase() === email.toLowerCase()) {
-        existingRowIndex = i; break;
-      }
-    }
+    const sameEmail = r => (r.Email || '').toString().toLowerCase() === email.toLowerCase();
+    const existingSub = await storage.find('Subscribers', sameEmail);
 
     const now = new Date().toISOString();
 
-    if (existingRowIndex !== -1) {
-      const idxStatus = colIndex('Status'), idxSegment = colIndex('Segment');
-      const idxUpdated = colIndex('Updated_At'), idxConfirmedAt = colIndex('Confirmed_At');
-      const idxUnsubAt = colIndex('Unsubscribed_At');
-      const existingStatus = (existingRows[existingRowIndex][idxStatus] || '').toString().trim().toLowerCase();
-      const confirmedAt = (existingRows[existingRowIndex][idxConfirmedAt] || '').toString().trim();
-      const rawExisting = idxSegment !== -1 ? (existingRows[existingRowIndex][idxSegment] || '').toString() : '';
-      const existingSegs = rawExisting.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    if (existingSub) {
+      const existingStatus = (existingSub.Status || '').toString().trim().toLowerCase();
+      const confirmedAt = (existingSub.Confirmed_At || '').toString().trim();
+      const existingSegs = (existingSub.Segment || '').toString().split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
       const mergedCsv = canonicalSegmentCsv([...existingSegs, ...segmentsArr]);
 
       if (existingStatus !== 'unsubscribed') {
@@ -645,57 +921,43 @@ app.post('/api/subscribers', async (req, res) => {
         if (mergedCsv === existingCanonical) {
           return res.json({ success: true, message: 'Already subscribed', data: { email, segments: mergedCsv, status: existingStatus } });
         }
-        if (idxSegment !== -1) existingRows[existingRowIndex][idxSegment] = mergedCsv;
-        if (idxUpdated !== -1) existingRows[existingRowIndex][idxUpdated] = now;
-        const lastCol = String.fromCharCode(65 + headers.length - 1);
-        await sheets.spreadsheets.values.update({ spreadsheetId: SPREADSHEET_ID(), range: `Subscribers!A${existingRowIndex + 1}:${lastCol}${existingRowIndex + 1}`, valueInputOption: 'RAW', requestBody: { values: [existingRows[existingRowIndex]] } });
+        await storage.update('Subscribers', sameEmail, { Segment: mergedCsv, Updated_At: now });
         return res.json({ success: true, message: 'Subscription updated', data: { email, segments: mergedCsv, status: existingStatus } });
       }
 
       if (confirmedAt) {
-        if (idxSegment !== -1) existingRows[existingRowIndex][idxSegment] = mergedCsv;
-        if (idxStatus !== -1) existingRows[existingRowIndex][idxStatus] = 'active';
-        if (idxUnsubAt !== -1) existingRows[existingRowIndex][idxUnsubAt] = '';
-        if (idxUpdated !== -1) existingRows[existingRowIndex][idxUpdated] = now;
-        const lastCol = String.fromCharCode(65 + headers.length - 1);
-        await sheets.spreadsheets.values.update({ spreadsheetId: SPREADSHEET_ID(), range: `Subscribers!A${existingRowIndex + 1}:${lastCol}${existingRowIndex + 1}`, valueInputOption: 'RAW', requestBody: { values: [existingRows[existingRowIndex]] } });
+        await storage.update('Subscribers', sameEmail, { Segment: mergedCsv, Status: 'active', Unsubscribed_At: '', Updated_At: now });
         return res.json({ success: true, message: 'Subscription reactivated', data: { email, segments: mergedCsv, status: 'active' } });
       }
     }
 
     // New subscriber or unsubscribed-never-confirmed: create pending row
-    const outRow = new Array(headers.length).fill('');
-    if (existingRowIndex !== -1) {
-      const existing = existingRows[existingRowIndex] || [];
-      for (let i = 0; i < outRow.length; i++) outRow[i] = existing[i] ?? '';
-    }
-    const set = (headerName, value) => { const i = colIndex(headerName); if (i !== -1) outRow[i] = value ?? ''; };
     const subscriberId = `SUB-${Date.now()}`;
-    const confirmToken = makeToken(16);
-    const unsubToken = makeToken(16);
-
-    set('Subscriber_ID', subscriberId); set('Email', email); set('Name', name || '');
-    set('Segment', canonicalSegmentCsv(segmentsArr)); set('Status', 'pending');
-    set('Source_IP', req.ip || ''); set('Subscribed_At', now);
-    set('Confirm_Token', confirmToken); set('Unsub_Token', unsubToken);
-    set('Company', company || ''); set('Role', role || '');
-    set('Notes', ''); set('Updated_At', now); set('Confirmed_At', '');
-    set('Unsubscribed_At', ''); set('Email_Frequency', 'weekly');
-    set('Paused_At', ''); set('Resume_At', '');
-
-    if (existingRowIndex === -1) {
-      await sheets.spreadsheets.values.append({ spreadsheetId: SPREADSHEET_ID(), range: 'Subscribers!A:Z', valueInputOption: 'RAW', insertDataOption: 'INSERT_ROWS', requestBody: { values: [outRow] } });
+    const record = {
+      Subscriber_ID: subscriberId, Email: email, Name: name || '',
+      Segment: canonicalSegmentCsv(segmentsArr), Status: 'pending',
+      Source_IP: req.ip || '', Subscribed_At: now,
+      Confirm_Token: '', Unsub_Token: '',
+      Company: company || '', Role: role || '',
+      Notes: '', Updated_At: now, Confirmed_At: '',
+      Unsubscribed_At: '', Email_Frequency: 'weekly',
+      Paused_At: '', Resume_At: ''
+    };
+
+    if (!existingSub) {
+      await storage.append('Subscribers', record);
     } else {
-      const lastCol = String.fromCharCode(65 + headers.length - 1);
-      await sheets.spreadsheets.values.update({ spreadsheetId: SPREADSHEET_ID(), range: `Subscribers!A${existingRowIndex + 1}:${lastCol}${existingRowIndex + 1}`, valueInputOption: 'RAW', requestBody: { values: [outRow] } });
+      await storage.update('Subscribers', sameEmail, record);
     }
 
     // Send confirmation email
     const apiBaseUrl = (process.env.PUBLIC_API_BASE_URL || '').trim() || 'https://sfp-newsletter-automation-production.up.railway.app';
-    const confirmUrl = `${apiBaseUrl}/api/confirm?token=${encodeURIComponent(confirmToken)}`;
-    const unsubUrlAll = `${apiBaseUrl}/api/unsubscribe?token=${encodeURIComponent(unsubToken)}&segment=all`;
-    const unsubUrlPro = `${apiBaseUrl}/api/unsubscribe?token=${encodeURIComponent(unsubToken)}&segment=pro`;
-    const unsubUrlDriver = `${apiBaseUrl}/api/unsubscribe?token=${encodeURIComponent(unsubToken)}&segment=driver`;
+    const keys = keysFromEnv(process.env);
+    const linkUrl = async (route, action, seg) => `${apiBaseUrl}/api/${route}?token=${encodeURIComponent(await signLinkToken({ subscriberId, action, segment: seg, email }, keys))}`;
+    const confirmUrl = await linkUrl('confirm', 'confirm', 'all');
+    const unsubUrlAll = await linkUrl('unsubscribe', 'unsubscribe', 'all');
+    const unsubUrlPro = await linkUrl('unsubscribe', 'unsubscribe', 'pro');
+    const unsubUrlDriver = await linkUrl('unsubscribe', 'unsubscribe', 'driver');
     const safeName = (name || '').trim() || 'there';
     const hasPro = segmentsArr.includes('pro'), hasDriver = segmentsArr.includes('driver');
     const brandName = hasPro && hasDriver ? 'Safe Freight Intel' : hasDriver ? 'Safe Freight Mate' : 'CoR Intel Weekly';
@@ -732,7 +994,7 @@ ${unsubscribeHtml}
 <tr><td style="padding:14px 6px 0;text-align:center;font-family:Arial,sans-serif;font-size:11px;color:#9ca3af;">You are receiving this because an address was entered at safefreightprogram.com.</td></tr>
 </table></td></tr></table></body></html>`;
 
-    await sendResendEmail({ to: email, subject, html });
+    await sendEmail({ to: email, subject, html });
     return res.json({ success: true, message: 'Subscriber created — confirmation email sent', data: { subscriberId, email, name: name || '', segments: segmentsArr, status: 'pending' } });
   } catch (error) {
     console.error('Error adding subscriber:', error);
@@ -747,32 +1009,23 @@ app.post('/api/admin/subscriber', async (req, res) => {
     if (!email) return res.status(400).json({ success: false, error: 'Email is required' });
     if (!segment) return res.status(400).json({ success: false, error: 'Segment is required' });
 
-    const sheets = await getSheetsClient();
-    const existing = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Subscribers!A:Z' });
-    const rows = existing.data.values || [];
-    const headers = (rows[0] || []).map(h => (h || '').toString().trim());
-    const colIdx = (n) => headers.findIndex(h => h.toLowerCase() === n.toLowerCase());
     const now = new Date().toISOString();
-    const unsubToken = makeToken(16);
-    const subscriberId = `SUB-${Date.now()}`;
-    const emailIdx = colIdx('Email');
-    const existingRow = rows.findIndex((r, i) => i > 0 && (r[emailIdx] || '').toLowerCase() === email.toLowerCase());
-    const outRow = new Array(headers.length).fill('');
-    if (existingRow !== -1) { const er = rows[existingRow] || []; for (let i = 0; i < outRow.length; i++) outRow[i] = er[i] ?? ''; }
-    const set = (col, val) => { const i = colIdx(col); if (i !== -1) outRow[i] = val ?? ''; };
-    set('Subscriber_ID', existingRow !== -1 ? (rows[existingRow][colIdx('Subscriber_ID')] || subscriberId) : subscriberId);
-    set('Email', email.trim().toLowerCase()); set('Name', name || '');
-    set('Segment', canonicalSegmentCsv(segment.split(','))); set('Status', status || 'active');
-    set('Subscribed_At', existingRow !== -1 ? (rows[existingRow][colIdx('Subscribed_At')] || now) : now);
-    set('Confirmed_At', now); set('Unsub_Token', existingRow !== -1 ? (rows[existingRow][colIdx('Unsub_Token')] || unsubToken) : unsubToken);
-    set('Company', company || ''); set('Role', role || ''); set('Updated_At', now);
-    set('Unsubscribed_At', ''); set('Paused_At', ''); set('Resume_At', '');
-
-    if (existingRow !== -1) {
-      const lastCol = String.fromCharCode(65 + headers.length - 1);
-      await sheets.spreadsheets.values.update({ spreadsheetId: SPREADSHEET_ID(), range: `Subscribers!A${existingRow + 1}:${lastCol}${existingRow + 1}`, valueInputOption: 'RAW', requestBody: { values: [outRow] } });
+    const sameEmail = r => (r.Email || '').toLowerCase() === email.toLowerCase();
+    const existingSub = await storage.find('Subscribers', sameEmail);
+    const record = {
+      Subscriber_ID: existingSub?.Subscriber_ID || `SUB-${Date.now()}`,
+      Email: email.trim().toLowerCase(), Name: name || '',
+      Segment: canonicalSegmentCsv(segment.split(',')), Status: status || 'active',
+      Subscribed_At: existingSub?.Subscribed_At || now,
+      Confirmed_At: now, Unsub_Token: existingSub?.Unsub_Token || '',
+      Company: company || '', Role: role || '', Updated_At: now,
+      Unsubscribed_At: '', Paused_At: '', Resume_At: ''
+    };
+
+    if (existingSub) {
+      await storage.update('Subscribers', sameEmail, record);
     } else {
-      await sheets.spreadsheets.values.append({ spreadsheetId: SPREADSHEET_ID(), range: 'Subscribers!A:Z', valueInputOption: 'RAW', insertDataOption: 'INSERT_ROWS', requestBody: { values: [outRow] } });
+      await storage.append('Subscribers', record);
     }
     return res.json({ success: true, message: `Subscriber ${email} added/updated as active` });
   } catch (e) {
@@ -786,23 +1039,9 @@ app.post('/api/admin/subscriber/activate', async (req, res) => {
   try {
     const { email } = req.body || {};
     if (!email) return res.status(400).json({ success: false, error: 'Email required' });
-    const sheets = await getSheetsClient();
-    const resp = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Subscribers!A:Z' });
-    const rows = resp.data.values || [];
-    const headers = (rows[0] || []).map(h => (h || '').trim());
-    const emailIdx = headers.findIndex(h => h.toLowerCase() === 'email');
-    const statusIdx = headers.findIndex(h => h.toLowerCase() === 'status');
-    const confirmedIdx = headers.findIndex(h => h.toLowerCase() === 'confirmed_at');
-    const updatedIdx = headers.findIndex(h => h.toLowerCase() === 'updated_at');
-    const rowIdx = rows.findIndex((r, i) => i > 0 && (r[emailIdx] || '').toLowerCase() === email.toLowerCase());
-    if (rowIdx === -1) return res.status(404).json({ success: false, error: 'Subscriber not found' });
-    const row = [...rows[rowIdx]];
     const now = new Date().toISOString();
-    if (statusIdx !== -1) row[statusIdx] = 'active';
-    if (confirmedIdx !== -1) row[confirmedIdx] = now;
-    if (updatedIdx !== -1) row[updatedIdx] = now;
-    const lastCol = String.fromCharCode(65 + headers.length - 1);
-    await sheets.spreadsheets.values.update({ spreadsheetId: SPREADSHEET_ID(), range: `Subscribers!A${rowIdx + 1}:${lastCol}${rowIdx + 1}`, valueInputOption: 'RAW', requestBody: { values: [row] } });
+    const updated = await storage.update('Subscribers', r => (r.Email || '').toLowerCase() === email.toLowerCase(), { Status: 'active', Confirmed_At: now, Updated_At: now });
+    if (!updated) return res.status(404).json({ success: false, error: 'Subscriber not found' });
     return res.json({ success: true, message: `${email} activated` });
   } catch (e) {
     return res.status(500).json({ success: false, error: e.message });
@@ -844,27 +1083,13 @@ app.put('/api/subscribers/:email', async (req, res) => {
       resolvedSegmentCsv = canonicalSegmentCsv(segment.split(','));
     }
 
-    const sheets = await getSheetsClient();
-    const response = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Subscribers!A:Z' });
-    const rows = response.data.values || [];
-    if (rows.length < 2) return res.status(404).json({ success: false, error: 'Subscriber not found' });
-
-    const headers = (rows[0] || []).map(h => (h || '').trim());
-    const col = (n) => headers.findIndex(h => h.toLowerCase() === n.toLowerCase());
-    const emailIdx = col('Email');
-
-    let targetRowIndex = -1;
-    for (let i = 1; i < rows.length; i++) {
-      if ((rows[i][emailIdx] || '').toLowerCase() === targetEmail.toLowerCase()) {
-        targetRowIndex = i; break;
-      }
-    }
-    if (targetRowIndex === -1) return res.status(404).json({ success: false, error: 'Subscriber not found' });
+    const sameEmail = r => (r.Email || '').toLowerCase() === targetEmail.toLowerCase();
+    const existing = await storage.find('Subscribers', sameEmail);
+    if (!existing) return res.status(404).json({ success: false, error: 'Subscriber not found' });
 
-    // Clone the row and update only provided fields
-    const row = [...rows[targetRowIndex]];
-    while (row.length < headers.length) row.push('');
-    const set = (n, v) => { const i = col(n); if (i !== -1 && v !== undefined && v !== null) row[i] = v; };
+    // Update only provided fields
+    const patch = {};
+    const set = (n, v) => { if (v !== undefined && v !== null) patch[n] = v; };
 
     set('Name', name);
     set('Segment', resolvedSegmentCsv);
@@ -873,15 +1098,10 @@ app.put('/api/subscribers/:email', async (req, res) => {
     set('Role', role);
     set('Updated_At', new Date().toISOString());
 
-    const lastCol = String.fromCharCode(65 + headers.length - 1);
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: SPREADSHEET_ID(),
-      range: `Subscribers!A${targetRowIndex + 1}:${lastCol}${targetRowIndex + 1}`,
-      valueInputOption: 'RAW',
-      requestBody: { values: [row] }
-    });
+    await storage.update('Subscribers', sameEmail, patch);
+    const row = { ...existing, ...patch };
 
-    res.json({ success: true, message: 'Subscriber updated', data: { email: targetEmail, segment: resolvedSegmentCsv || row[col('Segment')] || '', status: row[col('Status')] || '', updatedAt: row[col('Updated_At')] || '' } });
+    res.json({ success: true, message: 'Subscriber updated', data: { email: targetEmail, segment: resolvedSegmentCsv || row.Segment || '', status: row.Status || '', updatedAt: row.Updated_At || '' } });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -902,27 +1122,21 @@ app.put('/api/subscriber/:id', async (req, res) => {
 });
 
 // DELETE subscriber with audit trail
+// Removes the subscriber row and returns a snapshot of it (null if not found)
+async function deleteSubscriberByEmail(targetEmail) {
+  const sameEmail = r => (r.Email || '').toLowerCase() === targetEmail.toLowerCase();
+  const snapshot = await storage.find('Subscribers', sameEmail);
+  if (!snapshot) return null;
+  await storage.remove('Subscribers', sameEmail);
+  return snapshot;
+}
+
 app.delete('/api/subscribers/:email', async (req, res) => {
   try {
     const targetEmail = decodeURIComponent(req.params.email);
-    const sheets = await getSheetsClient();
-    const response = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Subscribers!A:Z' });
-    const rows = response.data.values || [];
-    const headers = rows[0] || [];
-    let targetRowIndex = -1, subscriberData = null;
-    for (let i = 1; i < rows.length; i++) {
-      if ((rows[i][1] || '').toLowerCase() === targetEmail.toLowerCase()) { targetRowIndex = i; subscriberData = rows[i]; break; }
-    }
-    if (targetRowIndex === -1) return res.status(404).json({ success: false, error: 'Subscriber not found' });
-
-    const metaResp = await sheets.spreadsheets.get({ spreadsheetId: SPREADSHEET_ID() });
-    const subSheet = metaResp.data.sheets.find(s => s.properties.title === 'Subscribers');
-    const sheetId = subSheet ? subSheet.properties.sheetId : 0;
-    const snapshot = {};
-    headers.forEach((h, i) => { snapshot[h] = subscriberData[i] || ''; });
-
-    await sheets.spreadsheets.batchUpdate({ spreadsheetId: SPREADSHEET_ID(), requestBody: { requests: [{ deleteDimension: { range: { sheetId, dimension: 'ROWS', startIndex: targetRowIndex, endIndex: targetRowIndex + 1 } } }] } });
-    await writeSubscriptionAudit(sheets, { action: 'deleted', email: targetEmail, metadata: JSON.stringify({ deleted_by: 'admin_dashboard', subscriber_id: snapshot['Subscriber_ID'] || '', name: snapshot['Name'] || '', segment: snapshot['Segment'] || '', subscribed_at: snapshot['Subscribed_At'] || '' }), ip: req.ip || '', ua: req.headers['user-agent'] || '' });
+    const snapshot = await deleteSubscriberByEmail(targetEmail);
+    if (!snapshot) return res.status(404).json({ success: false, error: 'Subscriber not found' });
+    await writeSubscriptionAudit({ action: 'deleted', email: targetEmail, metadata: JSON.stringify({ deleted_by: 'admin_dashboard', subscriber_id: snapshot.Subscriber_ID || '', name: snapshot.Name || '', segment: snapshot.Segment || '', subscribed_at: snapshot.Subscribed_At || '' }), ip: req.ip || '', ua: req.headers['user-agent'] || '' });
     res.json({ success: true, message: 'Subscriber deleted', data: { email: targetEmail } });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -931,26 +1145,11 @@ app.delete('/api/subscribers/:email', async (req, res) => {
 
 // Alias
 app.delete('/api/subscriber/:id', async (req, res) => {
-  req.params.email = req.params.id;
-  // Forward to main delete handler via direct call
   try {
     const targetEmail = decodeURIComponent(req.params.id);
-    const sheets = await getSheetsClient();
-    const response = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Subscribers!A:Z' });
-    const rows = response.data.values || [];
-    const headers = rows[0] || [];
-    let targetRowIndex = -1, subscriberData = null;
-    for (let i = 1; i < rows.length; i++) {
-      if ((rows[i][1] || '').toLowerCase() === targetEmail.toLowerCase()) { targetRowIndex = i; subscriberData = rows[i]; break; }
-    }
-    if (targetRowIndex === -1) return res.status(404).json({ success: false, error: 'Not found' });
-    const metaResp = await sheets.spreadsheets.get({ spreadsheetId: SPREADSHEET_ID() });
-    const subSheet = metaResp.data.sheets.find(s => s.properties.title === 'Subscribers');
-    const sheetId = subSheet ? subSheet.properties.sheetId : 0;
-    const snapshot = {};
-    headers.forEach((h, i) => { snapshot[h] = subscriberData[i] || ''; });
-    await sheets.spreadsheets.batchUpdate({ spreadsheetId: SPREADSHEET_ID(), requestBody: { requests: [{ deleteDimension: { range: { sheetId, dimension: 'ROWS', startIndex: targetRowIndex, endIndex: targetRowIndex + 1 } } }] } });
-    await writeSubscriptionAudit(sheets, { action: 'deleted', email: targetEmail, metadata: JSON.stringify({ deleted_by: 'admin_dashboard', subscriber_id: snapshot['Subscriber_ID'] || '' }), ip: req.ip || '', ua: req.headers['user-agent'] || '' });
+    const snapshot = await deleteSubscriberByEmail(targetEmail);
+    if (!snapshot) return res.status(404).json({ success: false, error: 'Not found' });
+    await writeSubscriptionAudit({ action: 'deleted', email: targetEmail, metadata: JSON.stringify({ deleted_by: 'admin_dashboard', subscriber_id: snapshot.Subscriber_ID || '' }), ip: req.ip || '', ua: req.headers['user-agent'] || '' });
     return res.json({ success: true, data: { email: targetEmail } });
   } catch (e) {
     return res.status(500).json({ success: false, error: e.message });
@@ -960,16 +1159,13 @@ app.delete('/api/subscriber/:id', async (req, res) => {
 // CSV download
 app.get('/api/subscribers/csv', async (req, res) => {
   try {
-    const sheets = await getSheetsClient(true);
-    const response = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Subscribers!A:Z' });
-    const rows = response.data.values || [];
+    const rows = await storage.list('Subscribers');
     if (rows.length === 0) { res.setHeader('Content-Type', 'text/csv'); res.setHeader('Content-Disposition', 'attachment; filename="subscribers.csv"'); return res.send(''); }
-    const headers = rows[0];
+    const headers = Object.keys(rows[0]);
     const seg = (req.query.segment || '').toLowerCase();
-    const segIdx = headers.findIndex(h => h.toLowerCase() === 'segment');
-    const dataRows = rows.slice(1).filter(row => !seg || segIdx === -1 || (row[segIdx] || '').toLowerCase().includes(seg));
+    const dataRows = rows.filter(row => !seg || (row.Segment || '').toLowerCase().includes(seg));
     const csvEscape = val => '"' + (val || '').toString().replace(/"/g, '""') + '"';
-    const csvLines = [headers.map(csvEscape).join(','), ...dataRows.map(row => headers.map((_, i) => csvEscape(row[i] || '')).join(','))];
+    const csvLines = [headers.map(csvEscape).join(','), ...dataRows.map(row => headers.map(h => csvEscape(row[h] || '')).join(','))];
     const filename = seg ? `subscribers-${seg}.csv` : 'subscribers.csv';
     res.setHeader('Content-Type', 'text/csv; charset=utf-8');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
@@ -979,35 +1175,93 @@ app.get('/api/subscribers/csv', async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// SUPPRESSIONS — addresses excluded from bulk sends (see ./suppressions)
+// ─────────────────────────────────────────────────────────────────────────────
+app.get('/api/suppressions', async (req, res) => {
+  try {
+    const list = await suppressions.listSuppressions({ includeLifted: req.query.include_lifted === 'true' });
+    res.json({ success: true, data: list, count: list.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/suppressions', async (req, res) => {
+  try {
+    const { email, reason = 'manual', detail = '' } = req.body || {};
+    const actor = requestActor(req);
+    const added = await suppressions.suppress(email, { reason, detail, source: `admin:${actor}` });
+    if (!added) return res.status(409).json({ success: false, error: `${email} is already suppressed` });
+    await writeSubscriptionAudit({ action: 'suppressed', email: added.email, metadata: JSON.stringify({ reason, detail, by: actor }), ip: req.ip || '', ua: req.headers['user-agent'] || '' });
+    res.json({ success: true, data: added });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/suppressions/:email/lift', async (req, res) => {
+  try {
+    const email = decodeURIComponent(req.params.email);
+    const actor = requestActor(req);
+    const notes = String(req.body?.notes || '');
+    await suppressions.liftSuppression(email, { actor, notes });
+    await writeSubscriptionAudit({ action: 'suppression_lifted', email, metadata: JSON.stringify({ by: actor, notes }), ip: req.ip || '', ua: req.headers['user-agent'] || '' });
+    res.json({ success: true, data: { email } });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // CONFIRM / UNSUBSCRIBE / PAUSE (public — no auth)
 // ─────────────────────────────────────────────────────────────────────────────
+const LINK_ERRORS = {
+  expired: [410, 'This link has expired. Use the link in a more recent email, or email hello@safefreightprogram.com.au'],
+  not_found: [404, 'Token not found'],
+  missing_token: [400, 'Missing token']
+};
+
+// Resolves a link token to its Subscribers row. Signed tokens (./linkTokens) name the
+// subscriber, action and segment; static tokens from emails sent before signing still
+// match Confirm_Token/Unsub_Token unless LINK_TOKEN_ALLOW_LEGACY=false.
+// Returns { row, match, segment } or { error } — see LINK_ERRORS.
+async function resolveLinkToken(token, action, legacyColumn) {
+  if (isSignedToken(token)) {
+    const result = await verifyLinkToken(token, keysFromEnv(process.env), { action });
+    if (!result.ok) return { error: result.reason };
+    const match = r => (r.Subscriber_ID || '') === result.subscriberId;
+    const row = await storage.find('Subscribers', match);
+    return row ? { row, match, segment: result.segment } : { error: 'not_found' };
+  }
+  if (process.env.LINK_TOKEN_ALLOW_LEGACY === 'false') return { error: 'legacy' };
+  const match = r => (r[legacyColumn] || '') === token;
+  const row = await storage.find('Subscribers', match);
+  return row ? { row, match, segment: null } : { error: 'not_found' };
+}
+
+function linkError(error) {
+  return LINK_ERRORS[error] || [400, 'Invalid link'];
+}
+
+function sendLinkError(res, error) {
+  const [status, message] = linkError(error);
+  return res.status(status).send(message);
+}
+
 app.get('/api/confirm', async (req, res) => {
   try {
     const token = (req.query.token || '').toString().trim();
     if (!token) return res.status(400).send('Missing token');
-    const sheets = await getSheetsClient();
-    const resp = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Subscribers!A:Z' });
-    const rows = resp.data.values || [];
-    if (rows.length < 2) return res.status(404).send('Token not found');
-    const headers = (rows[0] || []).map(h => (h || '').toString().trim());
-    const col = (n) => headers.findIndex(h => h.toLowerCase() === n.toLowerCase());
-    const idxConfirm = col('Confirm_Token'), idxStatus = col('Status');
-    const idxUpdated = col('Updated_At'), idxConfirmedAt = col('Confirmed_At');
-    const idxEmail = col('Email'), idxSegment = col('Segment');
-    if ([idxConfirm, idxStatus, idxUpdated, idxConfirmedAt].some(i => i === -1)) return res.status(500).send('Sheet headers missing required columns');
-    const rowIndex = rows.findIndex((r, i) => i >= 1 && (r[idxConfirm] || '') === token);
-    if (rowIndex === -1) return res.status(404).send('Token not found');
-    const row = rows[rowIndex];
+    const { row, match: byToken, error } = await resolveLinkToken(token, 'confirm', 'Confirm_Token');
+    if (error) return sendLinkError(res, error);
     const now = new Date().toISOString();
-    const currentStatus = (row[idxStatus] || '').toString().toLowerCase();
-    const email0 = idxEmail !== -1 ? (row[idxEmail] || '') : '';
-    const segment0 = idxSegment !== -1 ? (row[idxSegment] || '') : '';
+    const currentStatus = (row.Status || '').toString().toLowerCase();
+    const email0 = row.Email || '';
+    const segment0 = row.Segment || '';
     if (currentStatus === 'active') return res.redirect(`https://www.safefreightprogram.com/subscribe-confirmed?email=${encodeURIComponent(email0)}&segments=${encodeURIComponent(segment0)}&mode=already`);
     if (currentStatus !== 'pending') return res.redirect('https://www.safefreightprogram.com/subscribe-confirmed?mode=already');
-    row[idxStatus] = 'active'; row[idxConfirmedAt] = now; row[idxUpdated] = now;
-    const lastCol = String.fromCharCode(65 + headers.length - 1);
-    await sheets.spreadsheets.values.update({ spreadsheetId: SPREADSHEET_ID(), range: `Subscribers!A${rowIndex + 1}:${lastCol}${rowIndex + 1}`, valueInputOption: 'RAW', requestBody: { values: [row] } });
+    await storage.update('Subscribers', byToken, { Status: 'active', Confirmed_At: now, Updated_At: now });
     return res.redirect(`https://www.safefreightprogram.com/subscribe-confirmed?email=${encodeURIComponent(email0)}&segments=${encodeURIComponent(segment0)}`);
   } catch (e) {
     console.error('Confirm error:', e);
@@ -1019,31 +1273,21 @@ app.get('/api/unsubscribe', async (req, res) => {
   try {
     const token = (req.query.token || '').toString().trim();
     if (!token) return res.status(400).send('Missing token');
-    const target = ['pro', 'driver', 'all'].includes(req.query.segment) ? req.query.segment : 'all';
-    const sheets = await getSheetsClient();
-    const resp = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Subscribers!A:Z' });
-    const rows = resp.data.values || [];
-    if (rows.length < 2) return res.status(404).send('Token not found');
-    const headers = (rows[0] || []).map(h => (h || '').toString().trim());
-    const col = (n) => headers.findIndex(h => h.toLowerCase() === n.toLowerCase());
-    const idxUnsub = col('Unsub_Token'), idxStatus = col('Status');
-    const idxUpdated = col('Updated_At'), idxUnsubAt = col('Unsubscribed_At');
-    const idxEmail = col('Email'), idxSegment = col('Segment');
-    const rowIndex = rows.findIndex((r, i) => i >= 1 && (r[idxUnsub] || '') === token);
-    if (rowIndex === -1) return res.status(404).send('Token not found');
-    const row = rows[rowIndex];
+    const { row, match: byToken, segment, error } = await resolveLinkToken(token, 'unsubscribe', 'Unsub_Token');
+    if (error) return sendLinkError(res, error);
+    // Signed tokens carry their segment; legacy links pass it in the query string
+    const target = segment || (['pro', 'driver', 'all'].includes(req.query.segment) ? req.query.segment : 'all');
     const now = new Date().toISOString();
-    const currentStatus = (row[idxStatus] || '').toString().toLowerCase();
-    const email = (row[idxEmail] || '');
+    const currentStatus = (row.Status || '').toString().toLowerCase();
+    const email = row.Email || '';
     if (currentStatus === 'unsubscribed') return res.redirect(`https://www.safefreightprogram.com/unsubscribe-confirmed?email=${encodeURIComponent(email)}&segment=${encodeURIComponent(target)}&already=1`);
-    const segments = (row[idxSegment] || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    const segments = (row.Segment || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
     const nextSegments = target === 'all' ? [] : segments.filter(s => s !== target);
     const nextCsv = canonicalSegmentCsv(nextSegments);
-    row[idxSegment] = nextCsv; row[idxUpdated] = now;
-    if (nextSegments.length === 0) { row[idxStatus] = 'unsubscribed'; row[idxUnsubAt] = now; }
-    else { row[idxStatus] = 'active'; row[idxUnsubAt] = ''; }
-    const lastCol = String.fromCharCode(65 + headers.length - 1);
-    await sheets.spreadsheets.values.update({ spreadsheetId: SPREADSHEET_ID(), range: `Subscribers!A${rowIndex + 1}:${lastCol}${rowIndex + 1}`, valueInputOption: 'RAW', requestBody: { values: [row] } });
+    const patch = { Segment: nextCsv, Updated_At: now };
+    if (nextSegments.length === 0) { patch.Status = 'unsubscribed'; patch.Unsubscribed_At = now; }
+    else { patch.Status = 'active'; patch.Unsubscribed_At = ''; }
+    await storage.update('Subscribers', byToken, patch);
     return res.redirect(`https://www.safefreightprogram.com/unsubscribe-confirmed?email=${encodeURIComponent(email)}&segments=${encodeURIComponent(nextCsv)}&segment=${encodeURIComponent(target)}`);
   } catch (e) {
     console.error('Unsubscribe error:', e);
@@ -1055,24 +1299,13 @@ app.get('/api/pause', async (req, res) => {
   try {
     const token = (req.query.token || '').toString().trim();
     if (!token) return res.status(400).send('Missing token');
-    const sheets = await getSheetsClient();
-    const resp = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Subscribers!A:Z' });
-    const rows = resp.data.values || [];
-    if (rows.length < 2) return res.status(404).send('Token not found');
-    const headers = rows[0].map(h => (h || '').toString().trim());
-    const col = n => headers.findIndex(h => h.toLowerCase() === n.toLowerCase());
-    const idxUnsub = col('Unsub_Token'), idxPaused = col('Paused_At'), idxResume = col('Resume_At');
-    const idxUpdated = col('Updated_At'), idxEmail = col('Email');
-    const rowIndex = rows.findIndex((r, i) => i >= 1 && (r[idxUnsub] || '') === token);
-    if (rowIndex === -1) return res.status(404).send('Token not found');
-    const row = [...rows[rowIndex]];
+    const { row, match: byToken, error } = await resolveLinkToken(token, 'pause', 'Unsub_Token');
+    if (error) return sendLinkError(res, error);
     const now = new Date();
     const resumeAt = new Date(now.getTime() + 28 * 24 * 60 * 60 * 1000);
-    row[idxPaused] = now.toISOString(); row[idxResume] = resumeAt.toISOString(); row[idxUpdated] = now.toISOString();
-    const email = row[idxEmail] || '';
-    const lastCol = String.fromCharCode(65 + headers.length - 1);
-    await sheets.spreadsheets.values.update({ spreadsheetId: SPREADSHEET_ID(), range: `Subscribers!A${rowIndex + 1}:${lastCol}${rowIndex + 1}`, valueInputOption: 'RAW', requestBody: { values: [row] } });
-    await writeSubscriptionAudit(sheets, { action: 'paused', email, metadata: JSON.stringify({ resume_at: resumeAt.toISOString(), duration_days: 28 }), ip: req.ip || '', ua: req.headers['user-agent'] || '' });
+    const email = row.Email || '';
+    await storage.update('Subscribers', byToken, { Paused_At: now.toISOString(), Resume_At: resumeAt.toISOString(), Updated_At: now.toISOString() });
+    await writeSubscriptionAudit({ action: 'paused', email, metadata: JSON.stringify({ resume_at: resumeAt.toISOString(), duration_days: 28 }), ip: req.ip || '', ua: req.headers['user-agent'] || '' });
     const resumeFormatted = resumeAt.toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Australia/Sydney' });
     return res.redirect(`https://www.safefreightprogram.com/paused?email=${encodeURIComponent(email)}&resume=${encodeURIComponent(resumeFormatted)}`);
   } catch (e) {
@@ -1081,19 +1314,109 @@ app.get('/api/pause', async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// PREFERENCE CENTRE (public — `preferences` link token, see ./preferences)
+// ─────────────────────────────────────────────────────────────────────────────
+// Applies submitted preferences, writing one Subscription_Audit row per change.
+// Returns the updated row and the audit actions taken.
+async function applyPreferences(req, row, match, input) {
+  const { patch, audits } = preferences.buildPreferenceChanges(row, input);
+  if (audits.length === 0) return { row, changes: [] };
+  await storage.update('Subscribers', match, patch);
+  for (const audit of audits) {
+    await writeSubscriptionAudit({ action: audit.action, email: row.Email || '', metadata: JSON.stringify(audit.metadata), ip: req.ip || '', ua: req.headers['user-agent'] || '' });
+  }
+  return { row: { ...row, ...patch }, changes: audits.map(a => a.action) };
+}
+
+async function sendPreferencePage(res, status, row, token, extra = {}) {
+  const unsubscribeToken = isSignedToken(token)
+    ? await signLinkToken({ subscriberId: row.Subscriber_ID, action: 'unsubscribe', segment: 'all', email: row.Email }, keysFromEnv(process.env))
+    : token;
+  return res.status(status)
+    .set('Content-Security-Policy', "default-src 'self'; img-src 'self' https: data:; style-src 'self' 'unsafe-inline'; form-action 'self'")
+    .set('Cache-Control', 'no-store')
+    .send(preferences.renderPreferencePage(row, { token, unsubscribeToken, ...extra }));
+}
+
+app.get('/preferences', async (req, res) => {
+  try {
+    const token = (req.query.token || '').toString().trim();
+    if (!token) return res.status(400).send('Missing token');
+    const { row, error } = await resolveLinkToken(token, 'preferences', 'Unsub_Token');
+    if (error) return sendLinkError(res, error);
+    return sendPreferencePage(res, 200, row, token);
+  } catch (e) {
+    console.error('Preferences error:', e);
+    return res.status(500).send('Preferences unavailable — email hello@safefreightprogram.com.au');
+  }
+});
+
+// HTML form post — unticked checkboxes aren't submitted, so no `segments` means none chosen
+app.post('/preferences', async (req, res) => {
+  try {
+    const token = (req.query.token || '').toString().trim();
+    if (!token) return res.status(400).send('Missing token');
+    const { row, match, error } = await resolveLinkToken(token, 'preferences', 'Unsub_Token');
+    if (error) return sendLinkError(res, error);
+    const input = { ...req.body, segments: req.body.segments || [] };
+    try {
+      const result = await applyPreferences(req, row, match, input);
+      return sendPreferencePage(res, 200, result.row, token, { message: result.changes.length ? 'Your preferences have been saved.' : 'No changes to save.' });
+    } catch (e) {
+      if (!e.status) throw e;
+      return sendPreferencePage(res, e.status, row, token, { error: e.message });
+    }
+  } catch (e) {
+    console.error('Preferences update error:', e);
+    return res.status(500).send('Preferences update failed — email hello@safefreightprogram.com.au');
+  }
+});
+
+// JSON equivalents: GET returns everything held about the subscriber, POST takes
+// { segments, frequency, pause, name, company, role } (all optional)
+app.get('/api/preferences', async (req, res) => {
+  try {
+    const token = (req.query.token || '').toString().trim();
+    const { row, error } = token ? await resolveLinkToken(token, 'preferences', 'Unsub_Token') : { error: 'missing_token' };
+    if (error) {
+      const [status, message] = linkError(error);
+      return res.status(status).json({ success: false, error: message });
+    }
+    res.set('Cache-Control', 'no-store');
+    return res.json({ success: true, data: preferences.subscriberData(row) });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+app.post('/api/preferences', async (req, res) => {
+  try {
+    const token = (req.query.token || req.body.token || '').toString().trim();
+    const { row, match, error } = token ? await resolveLinkToken(token, 'preferences', 'Unsub_Token') : { error: 'missing_token' };
+    if (error) {
+      const [status, message] = linkError(error);
+      return res.status(status).json({ success: false, error: message });
+    }
+    const input = { ...req.body };
+    delete input.token;
+    const result = await applyPreferences(req, row, match, input);
+    return res.json({ success: true, data: { ...preferences.subscriberData(result.row), changes: result.changes } });
+  } catch (e) {
+    return res.status(e.status || 500).json({ success: false, error: e.message });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // ARTICLES
 // ─────────────────────────────────────────────────────────────────────────────
 app.get('/api/articles', async (req, res) => {
   try {
     const { limit = 50, unused_only = false } = req.query;
-    const sheets = await getSheetsClient(true);
-    const response = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Article_Archive!A:P' });
-    const rows = response.data.values || [];
-    const headers = rows[0] || [];
-    let articles = rows.slice(1, parseInt(limit) + 1).map(row => {
+    const rows = await storage.list('Article_Archive');
+    let articles = rows.slice(0, parseInt(limit)).map(row => {
       const a = {};
-      headers.forEach((h, i) => { a[h.toLowerCase().replace(/\s+/g, '_')] = row[i] || ''; });
+      Object.entries(row).forEach(([h, v]) => { a[h.toLowerCase().replace(/\s+/g, '_')] = v || ''; });
       return a;
     });
     if (unused_only === 'true') articles = articles.filter(a => !a.used_in_issue || a.used_in_issue === '');
@@ -1108,10 +1431,8 @@ app.get('/api/articles', async (req, res) => {
 // ─────────────────────────────────────────────────────────────────────────────
 app.get('/api/newsletters', async (req, res) => {
   try {
-    const sheets = await getSheetsClient(true);
-    const response = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Content_Archive!A:J' });
-    const rows = response.data.values || [];
-    const newsletters = rows.slice(1, 21).map(row => ({ id: row[0] || '', segment: row[1] || '', subject: row[2] || '', published_at: row[3] || '', sent_count: parseInt(row[4]) || 0, open_rate: parseFloat(row[6]) || 0, click_rate: parseFloat(row[7]) || 0 }));
+    const rows = await storage.list('Content_Archive');
+    const newsletters = rows.slice(0, 20).map(row => ({ id: row.Issue_ID || '', segment: row.Segment || '', subject: row.Subject || '', published_at: row.Published_At || '', sent_count: parseInt(row.Sent_Count) || 0, open_rate: parseFloat(row.Open_Rate) || 0, click_rate: parseFloat(row.Click_Rate) || 0 }));
     res.json({ success: true, data: newsletters, count: newsletters.length });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -1121,6 +1442,9 @@ app.get('/api/newsletters', async (req, res) => {
 // ─────────────────────────────────────────────────────────────────────────────
 // ANALYTICS
 // ─────────────────────────────────────────────────────────────────────────────
+// Resend pushes delivery/bounce/complaint/open/click events here as they happen
+setupResendWebhookRoutes(app);
+
 async function fetchResendEngagement(resendIds) {
   const apiKey = process.env.RESEND_API_KEY;
   if (!apiKey || resendIds.length === 0) return [];
@@ -1137,23 +1461,23 @@ async function fetchResendEngagement(resendIds) {
   return results;
 }
 
+// Summarises opens/clicks polled from Resend for the dashboard. Read-only: Engagement_Tracking
+// rows come from the webhook (./resendWebhooks) and our own tracking (./tracking), so
+// writing polled events there as well would count each one twice.
 async function buildEngagementSummary(days = 30) {
-  const sheets = await getSheetsClient();
   const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
-  const sendLogResp = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Send_Log!A:F' });
-  const sendRows = (sendLogResp.data.values || []).slice(1).filter(r => r[0] >= cutoff && r[4] !== 'true');
+  const sendRows = (await storage.list('Send_Log')).filter(r => r.Timestamp >= cutoff && r.Is_Test !== 'true');
   const allResendIds = [], issueMap = {};
   for (const row of sendRows) {
-    try { const notes = JSON.parse(row[5] || '{}'); (notes.resend_ids || []).forEach(id => { allResendIds.push(id); issueMap[id] = { issue_id: notes.issue_id, segment: row[1] }; }); } catch (e) { /* skip */ }
+    try { const notes = JSON.parse(row.Notes || '{}'); (notes.resend_ids || []).forEach(id => { allResendIds.push(id); issueMap[id] = { issue_id: notes.issue_id, segment: row.Segment }; }); } catch (e) { /* skip */ }
   }
   if (allResendIds.length === 0) return { message: 'No send data yet', bySource: {}, byCategory: {}, byIssue: [] };
   const emailEvents = await fetchResendEngagement(allResendIds);
-  const archiveResp = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Content_Archive!A:J' });
   const articleMap = {};
-  for (const row of (archiveResp.data.values || []).slice(1)) {
-    try { const articles = JSON.parse(row[8] || '[]'); articles.forEach(a => { if (a.url) articleMap[a.url] = { source: a.source || 'Unknown', category: a.category || 'Unknown', title: a.title || '', issue_id: row[0] }; }); } catch (e) { /* skip */ }
+  for (const row of await storage.list('Content_Archive')) {
+    try { const articles = JSON.parse(row.Content_JSON || '[]'); articles.forEach(a => { if (a.url) articleMap[a.url] = { source: a.source || 'Unknown', category: a.category || 'Unknown', title: a.title || '', issue_id: row.Issue_ID }; }); } catch (e) { /* skip */ }
   }
-  const bySource = {}, byCategory = {}, byIssue = {}, engagementRows = [];
+  const bySource = {}, byCategory = {}, byIssue = {};
   for (const email of emailEvents) {
     const ctx = issueMap[email.id] || {};
     const issueId = ctx.issue_id || 'unknown';
@@ -1172,13 +1496,10 @@ async function buildEngagementSummary(days = 30) {
       if (!byCategory[cat]) byCategory[cat] = { impressions: 0, clicks: 0 };
       bySource[src].impressions++; bySource[src].clicks++;
       byCategory[cat].impressions++; byCategory[cat].clicks++;
-      engagementRows.push([email.to, issueId, 'click', new Date().toISOString(), '', '', cat, article.title]);
     }
-    if (opened) engagementRows.push([email.to, issueId, 'open', new Date().toISOString(), '', '', '', '']);
   }
   Object.values(bySource).forEach(s => { s.click_rate = s.impressions > 0 ? ((s.clicks / s.impressions) * 100).toFixed(1) + '%' : '0%'; });
   Object.values(byCategory).forEach(c => { c.click_rate = c.impressions > 0 ? ((c.clicks / c.impressions) * 100).toFixed(1) + '%' : '0%'; });
-  if (engagementRows.length > 0) await sheets.spreadsheets.values.append({ spreadsheetId: SPREADSHEET_ID(), range: 'Engagement_Tracking!A:H', valueInputOption: 'RAW', requestBody: { values: engagementRows } });
   const issueList = Object.entries(byIssue).map(([id, d]) => ({ issue_id: id, sent: d.sent, opened: d.opened, open_rate: d.sent > 0 ? ((d.opened / d.sent) * 100).toFixed(1) + '%' : '0%', unique_clicks: d.clicked_urls.size, click_events: d.click_events, clicked_articles: [...d.clicked_urls].map(u => articleMap[u]?.title || u).filter(Boolean) })).sort((a, b) => b.issue_id.localeCompare(a.issue_id));
   return { bySource, byCategory, byIssue: issueList, emailsFetched: emailEvents.length };
 }
@@ -1186,17 +1507,28 @@ async function buildEngagementSummary(days = 30) {
 app.get('/api/analytics/summary', async (req, res) => {
   try {
     const subscriberData = await emailSender.testEmailSystem();
-    const sheets = await getSheetsClient(true);
-    const analyticsResp = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Issues_Analytics!A:I' });
-    const analyticsRows = (analyticsResp.data.values || []).slice(1, 11);
-    const issues = analyticsRows.map(r => ({ issue_id: r[0], segment: r[1], subject: r[2], sent: r[4], open_rate: r[6], clicks: r[7] }));
-    const totalSent = issues.reduce((s, i) => s + (parseInt(i.sent) || 0), 0);
-    res.json({ success: true, data: { subscribers: { total: subscriberData.totalSubscribers || 0, pro: subscriberData.proSubscribers || 0, driver: subscriberData.driverSubscribers || 0 }, recent_issues: issues, emailsSent7d: totalSent, successRate: 100, articlesScraped: issues.length, systemUptime: 99.9, system: { status: 'operational', email_configured: !!process.env.RESEND_API_KEY } }, timestamp: new Date().toISOString() });
+    const analyticsRows = (await storage.list('Issues_Analytics')).slice(0, 10);
+    const issues = analyticsRows.map(r => ({ issue_id: r.Issue_ID, segment: r.Segment, subject: r.Subject, sent: r.Sent, open_rate: r.Open_Rate, clicks: r.Clicks }));
+    // Headline numbers come from recorded metrics (./metrics), last 7 days
+    const week = await metrics.summariseMetrics(7);
+    res.json({ success: true, data: { subscribers: { total: subscriberData.totalSubscribers || 0, pro: subscriberData.proSubscribers || 0, driver: subscriberData.driverSubscribers || 0 }, recent_issues: issues, emailsSent7d: week.emailsSent, emailsFailed7d: week.emailsFailed, emailsBounced7d: week.emailsBounced, successRate: week.successRate, bounceRate: week.bounceRate, articlesScraped: week.articlesSaved, scrapeRuns7d: week.scrapeRuns, llmCalls7d: week.llmCalls, uptimeSeconds: Math.round(process.uptime()), metrics: week.totals, system: { status: 'operational', email_configured: getTransport().isConfigured() } }, timestamp: new Date().toISOString() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Time-bucketed operational metrics: ?days=7&bucket=hour|day|week (or ?since=&until=), optional &segment=
+app.get('/api/metrics', async (req, res) => {
+  try {
+    const { since, until, bucket = 'day', segment } = req.query;
+    const days = parseInt(req.query.days || 7);
+    const data = await metrics.getMetrics({ since: since || new Date(Date.now() - days * 86400000), until, bucket, segment });
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 app.post('/api/analytics/engagement', async (req, res) => {
   try {
     const days = parseInt(req.query.days || req.body?.days || 30);
@@ -1209,16 +1541,15 @@ app.post('/api/analytics/engagement', async (req, res) => {
 
 app.get('/api/analytics/engagement', async (req, res) => {
   try {
-    const sheets = await getSheetsClient(true);
-    const [analyticsResp, engTrackResp] = await Promise.all([
-      sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Issues_Analytics!A:I' }),
-      sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Engagement_Tracking!A:H' })
+    const [analyticsRows, engTrackRows] = await Promise.all([
+      storage.list('Issues_Analytics'),
+      storage.list('Engagement_Tracking')
     ]);
-    const issues = (analyticsResp.data.values || []).slice(1).map(r => ({ issue_id: r[0], segment: r[1], subject: r[2], published: r[3], sent: r[4], open_rate: r[6], clicks: r[7] }));
+    const issues = analyticsRows.map(r => ({ issue_id: r.Issue_ID, segment: r.Segment, subject: r.Subject, published: r.Published_At, sent: r.Sent, open_rate: r.Open_Rate, clicks: r.Clicks }));
     const byCategory = {};
-    const engRows = (engTrackResp.data.values || []).slice(1).filter(r => r[2] === 'click');
-    for (const row of engRows) { const cat = row[6] || 'Unknown'; byCategory[cat] = (byCategory[cat] || 0) + 1; }
-    res.json({ success: true, data: { issues, by_category: byCategory, total_click_events: engRows.length, note: engRows.length === 0 ? 'No engagement data yet — POST to /api/analytics/engagement to pull from Resend' : null } });
+    const engRows = engTrackRows.filter(r => r.Event_Type === 'click');
+    for (const row of engRows) { const cat = row.Category || 'Unknown'; byCategory[cat] = (byCategory[cat] || 0) + 1; }
+    res.json({ success: true, data: { issues, by_category: byCategory, total_click_events: engRows.length, note: engRows.length === 0 ? 'No engagement data yet — point a Resend webhook at /api/webhooks/resend' : null } });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -1231,7 +1562,7 @@ app.get('/api/status', async (req, res) => {
   try {
     const emailStatus = await emailSender.verifyConnection();
     const subscriberTest = await emailSender.testEmailSystem();
-    res.json({ status: 'running', version: '3.0.0', uptime: process.uptime(), environment: process.env.NODE_ENV || 'production', services: { email: { configured: !!process.env.RESEND_API_KEY, connected: emailStatus, subscribers: subscriberTest.totalSubscribers || 0 }, sheets: { configured: !!process.env.GOOGLE_SHEETS_ID, connected: subscriberTest.smtpWorking }, openai: { configured: !!process.env.OPENAI_API_KEY } }, currentTime: new Date().toLocaleString('en-AU', { timeZone: 'Australia/Sydney' }), timestamp: new Date().toISOString() });
+    res.json({ status: 'running', version: '3.0.0', uptime: process.uptime(), environment: process.env.NODE_ENV || 'production', services: { email: { transport: getTransport().name, configured: getTransport().isConfigured(), connected: emailStatus, subscribers: subscriberTest.totalSubscribers || 0 }, sheets: { configured: !!process.env.GOOGLE_SHEETS_ID, connected: subscriberTest.smtpWorking }, openai: { configured: !!process.env.OPENAI_API_KEY } }, currentTime: new Date().toLocaleString('en-AU', { timeZone: 'Australia/Sydney' }), timestamp: new Date().toISOString() });
   } catch (error) {
     res.status(500).json({ status: 'error', error: error.message, timestamp: new Date().toISOString() });
   }
@@ -1240,14 +1571,14 @@ app.get('/api/status', async (req, res) => {
 app.get('/api/email-status', async (req, res) => {
   try {
     const connectionVerified = await emailSender.verifyConnection();
-    res.json({ success: true, configuration: { emailConfigured: !!process.env.RESEND_API_KEY, recipientsConfigured: !!process.env.NEWSLETTER_RECIPIENTS, connectionVerified, fromAddress: process.env.EMAIL_FROM || 'Not configured', environment: process.env.NODE_ENV || 'production' }, timestamp: new Date().toISOString() });
+    res.json({ success: true, configuration: { emailTransport: getTransport().name, emailConfigured: getTransport().isConfigured(), recipientsConfigured: !!process.env.NEWSLETTER_RECIPIENTS, connectionVerified, fromAddress: process.env.EMAIL_FROM || 'Not configured', environment: process.env.NODE_ENV || 'production' }, timestamp: new Date().toISOString() });
   } catch (error) {
-    res.status(500).json({ success: false, configuration: { emailConfigured: !!process.env.RESEND_API_KEY, connectionVerified: false }, error: error.message, timestamp: new Date().toISOString() });
+    res.status(500).json({ success: false, configuration: { emailTransport: getTransport().name, emailConfigured: getTransport().isConfigured(), connectionVerified: false }, error: error.message, timestamp: new Date().toISOString() });
   }
 });
 
 app.get('/api/config', (req, res) => {
-  res.json({ success: true, data: { scheduling: scheduler.getConfiguration(), email: { configured: !!process.env.RESEND_API_KEY, provider: 'resend', from_address: process.env.EMAIL_FROM || 'newsletter@safefreightprogram.com' }, sheets: { configured: !!process.env.GOOGLE_SHEETS_ID, spreadsheet_id: process.env.GOOGLE_SHEETS_ID ? '✓ Connected' : '✗ Not configured' }, openai: { configured: !!process.env.OPENAI_API_KEY, model: 'gpt-4o' } } });
+  res.json({ success: true, data: { scheduling: scheduler.getConfiguration(), email: { configured: getTransport().isConfigured(), provider: getTransport().name, from_address: process.env.EMAIL_FROM || 'newsletter@safefreightprogram.com' }, sheets: { configured: !!process.env.GOOGLE_SHEETS_ID, spreadsheet_id: process.env.GOOGLE_SHEETS_ID ? '✓ Connected' : '✗ Not configured' }, openai: { configured: !!process.env.OPENAI_API_KEY, model: 'gpt-4o' } } });
 });
 
 app.get('/api/debug', (req, res) => {
@@ -1258,12 +1589,13 @@ app.get('/api/test/connection', async (req, res) => {
   const tests = {};
   try {
     tests.sheets = { configured: !!process.env.GOOGLE_SHEETS_ID };
-    if (process.env.GOOGLE_CLIENT_EMAIL) {
+    tests.storage = { backend: storage.name };
+    if (storage.name !== 'sheets' || process.env.GOOGLE_CLIENT_EMAIL) {
       try {
-        const sheets = await getSheetsClient(true);
-        await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID(), range: 'Subscribers!A1:A1' });
-        tests.sheets.connected = true;
-      } catch (e) { tests.sheets.connected = false; tests.sheets.error = e.message; }
+        await storage.ping();
+        tests.storage.connected = true;
+      } catch (e) { tests.storage.connected = false; tests.storage.error = e.message; }
+      if (storage.name === 'sheets') tests.sheets.connected = tests.storage.connected;
     }
     try { tests.email = await emailSender.testEmailSystem(); } catch (e) { tests.email = { error: e.message }; }
     tests.openai = { configured: !!process.env.OPENAI_API_KEY };
@@ -1276,7 +1608,7 @@ app.get('/api/test/connection', async (req, res) => {
 app.post('/api/test/scrape', async (req, res) => {
   try {
     const startTime = Date.now();
-    const results = await scrapeAllSources();
+    const results = await scrapeAllSources({ trigger: 'test' });
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
     res.json({ success: true, message: 'Scraping test completed', data: { articles_found: results.articles?.length || 0, duration: `${duration}s`, errors: results.errors?.length || 0, sample_titles: results.articles?.slice(0, 3).map(a => a.title) || [] } });
   } catch (error) {
@@ -1289,6 +1621,7 @@ app.post('/api/test/newsletter', async (req, res) => {
     const { segment = 'pro' } = req.body;
     const gen = new NewsletterGenerator();
     const newsletter = await gen.generateNewsletter(segment, false);
+    await issues.releaseIssue(newsletter.issueId).catch(() => {});
     res.json({ success: true, message: 'Newsletter generated (not sent)', data: { segment, subject: newsletter.subject, articles_count: newsletter.articles?.length || 0, html_length: newsletter.html?.length || 0 } });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -1336,11 +1669,13 @@ if (process.env.NODE_ENV === 'production') {
 
   // Override scheduler's config save to use Google Sheets instead of /tmp
   // The scheduler still loads from /tmp on first start — we'll seed it from Sheets on startup
-  scheduler.onJobComplete = async (jobType) => {
+  scheduler.onJobComplete = async (jobType, result) => {
     const now = new Date().toISOString();
     if (jobType === 'scraping') {
       systemState.lastScrape = { timestamp: now, trigger: 'scheduled' };
       await logSystemEvent('scrape_completed', { trigger: 'scheduled' });
+    } else if (jobType === 'newsletter' && result?.awaitingApproval) {
+      await logSystemEvent('newsletter_awaiting_approval', { drafts: result.awaitingApproval, trigger: 'scheduled' });
     } else if (jobType === 'newsletter') {
       systemState.lastSent.pro = { timestamp: now, trigger: 'scheduled', subject: 'CoR Intel Weekly' };
       systemState.lastSent.driver = { timestamp: now, trigger: 'scheduled', subject: 'Safe Freight Mate' };
@@ -1351,13 +1686,16 @@ if (process.env.NODE_ENV === 'production') {
   scheduler.initialize();
   setupAdvancedSchedulingEndpoints(app, scheduler);
 
+  // Pending approvals auto-send once their deadline passes
+  setInterval(processApprovalDeadlines, 5 * 60 * 1000);
+
   // After scheduler is running, load config from Sheets and apply it
   loadScheduleConfigFromSheets().then(sheetsConfig => {
     if (sheetsConfig) {
       try {
         if (sheetsConfig.scraping) scheduler.updateSchedule('scraping', sheetsConfig.scraping);
         if (sheetsConfig.newsletter) scheduler.updateSchedule('newsletter', sheetsConfig.newsletter);
-        console.log('✅ Schedule config applied from Google Sheets');
+        console.log('✅ Schedule config applied from storage');
       } catch (e) {
         console.warn('Could not apply Sheets schedule config:', e.message);
       }
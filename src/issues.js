@@ -0,0 +1,163 @@
+// Issue registry — one canonical ID and number for every newsletter issue.
+//
+// An issue is registered when it is generated. Its Issue_ID is `<segment>-<number>`,
+// numbered per segment (`pro-42` is "CoR Intel Weekly #42"), and that one ID is used as
+// the draft id, the Content_Archive row, the Send_Log / Send_Ledger key, the Resend
+// issue_id tag, the utm_campaign on article links and the web archive URL — so events,
+// sends and content can be joined on it.
+//
+// Deleting or rejecting a draft before it is sent releases its number; the next issue
+// for that segment takes it back while it is still above the last sent issue, so
+// discarded previews don't leave gaps in the published run. A number that has been in
+// any email, test sends included, is never reused: its view-in-browser and tracking links
+// must keep pointing at that issue, so releasing it discards it instead. Issues from
+// before the registry (`pro-2026-03-02`, `NL_pro_…`) keep their old ids.
+//
+// An issue generated to be sent right away is tagged with its send slot (segment + UTC
+// day, the key issue ids used before the registry). A scheduler retry or re-trigger for the
+// same slot resumes that issue instead of registering a new one, so its Send_Ledger and
+// idempotency keys stay the same and nobody gets the issue twice.
+const { getStorage } = require('./storage');
+
+const ISSUE_SEGMENTS = ['pro', 'driver'];
+const NEWSLETTER_TITLES = { pro: 'CoR Intel Weekly', driver: 'Safe Freight Mate' };
+
+let allocation = Promise.resolve();
+
+function issueError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function issueLabel(segment, number) {
+  return `${NEWSLETTER_TITLES[segment] || segment} #${number}`;
+}
+
+// { segment, number } for registry ids, null for older ids
+function parseIssueId(issueId) {
+  const match = /^(pro|driver)-(\d+)$/.exec(String(issueId || ''));
+  return match ? { segment: match[1], number: parseInt(match[2], 10) } : null;
+}
+
+const numberOf = row => parseInt(row.Issue_Number, 10) || 0;
+
+function rowToIssue(row) {
+  return {
+    issueId: row.Issue_ID,
+    segment: row.Segment,
+    number: numberOf(row),
+    label: row.Label || issueLabel(row.Segment, numberOf(row)),
+    status: row.Status || 'draft',
+    createdAt: row.Created_At,
+    sentAt: row.Sent_At || null,
+    emailedAt: row.Emailed_At || null,
+    sendSlot: row.Send_Slot || null
+  };
+}
+
+// Before the registry existed issues were only recorded in Content_Archive; the first
+// registered issue of a segment continues the count from there
+async function archivedIssueCount(segment) {
+  const rows = await getStorage().list('Content_Archive');
+  const sent = rows.filter(r => (r.Segment || '').toLowerCase() === segment && r.Issue_ID && parseInt(r.Sent_Count) > 0);
+  return new Set(sent.map(r => r.Issue_ID)).size;
+}
+
+async function allocate(segment, slot) {
+  const storage = getStorage();
+  const rows = (await storage.list('Issues')).filter(r => r.Segment === segment);
+  const now = new Date().toISOString();
+
+  const lastSent = Math.max(0, ...rows.filter(r => r.Status === 'sent').map(numberOf));
+  const reusable = rows.filter(r => r.Status === 'released' && numberOf(r) > lastSent).sort((a, b) => numberOf(a) - numberOf(b))[0];
+  if (reusable) {
+    // Nothing was emailed under a released number, but its archived preview must not
+    // be mistaken for the new issue
+    await storage.remove('Content_Archive', r => r.Issue_ID === reusable.Issue_ID);
+    const patch = { Status: 'draft', Created_At: now, Sent_At: '', Emailed_At: '', Send_Slot: slot };
+    await storage.update('Issues', r => r.Issue_ID === reusable.Issue_ID, patch);
+    return rowToIssue({ ...reusable, ...patch });
+  }
+
+  const number = rows.length > 0 ? Math.max(...rows.map(numberOf)) + 1 : await archivedIssueCount(segment) + 1;
+  const row = {
+    Issue_ID: `${segment}-${number}`, Segment: segment, Issue_Number: number,
+    Label: issueLabel(segment, number), Status: 'draft', Created_At: now, Sent_At: '', Emailed_At: '',
+    Send_Slot: slot
+  };
+  await storage.append('Issues', row);
+  return rowToIssue(row);
+}
+
+// Registers the next issue for a segment. Allocations run one at a time so two
+// generations in flight can't take the same number. Pass `slot` (sendSlot()) for an issue
+// that is about to be sent.
+function createIssue(segment, { slot = '' } = {}) {
+  if (!ISSUE_SEGMENTS.includes(segment)) return Promise.reject(issueError(`Invalid segment: ${segment}`));
+  const next = allocation.then(() => allocate(segment, slot));
+  allocation = next.catch(() => {});
+  return next;
+}
+
+function sendSlot(segment, date = new Date()) {
+  return `${segment}-${date.toISOString().split('T')[0]}`;
+}
+
+// The issue already opened for a segment's send slot, or null. A released number was
+// never emailed, so there is nothing to resume.
+async function getSlotIssue(segment, date = new Date()) {
+  const slot = sendSlot(segment, date);
+  const row = await getStorage().find('Issues', r => r.Send_Slot === slot && r.Status !== 'released');
+  return row ? rowToIssue(row) : null;
+}
+
+async function getIssue(issueId) {
+  const row = await getStorage().find('Issues', r => r.Issue_ID === issueId);
+  return row ? rowToIssue(row) : null;
+}
+
+// Newest first
+async function listIssues({ segment } = {}) {
+  const rows = await getStorage().list('Issues');
+  return rows
+    .filter(r => !segment || r.Segment === segment)
+    .map(rowToIssue)
+    .sort((a, b) => a.segment.localeCompare(b.segment) || b.number - a.number);
+}
+
+// Called once recipients have actually received the issue; the number is final from here
+async function markIssueSent(issueId) {
+  return getStorage().update('Issues', r => r.Issue_ID === issueId && r.Status !== 'sent', {
+    Status: 'sent', Sent_At: new Date().toISOString()
+  });
+}
+
+// Called before any email (a test send too) goes out carrying the issue's id;
+// EmailSender.sendBulkEmails calls it before the first delivery
+async function markIssueEmailed(issueId) {
+  return getStorage().update('Issues', r => r.Issue_ID === issueId && !r.Emailed_At, {
+    Emailed_At: new Date().toISOString()
+  });
+}
+
+// Gives an unsent issue's number back (draft deleted or rejected). A number that has
+// already been emailed is discarded instead, so it is never handed out again.
+async function releaseIssue(issueId) {
+  const storage = getStorage();
+  const discarded = await storage.update('Issues', r => r.Issue_ID === issueId && r.Status === 'draft' && r.Emailed_At, { Status: 'discarded' });
+  const released = await storage.update('Issues', r => r.Issue_ID === issueId && r.Status === 'draft' && !r.Emailed_At, { Status: 'released' });
+  return discarded + released;
+}
+
+module.exports = {
+  ISSUE_SEGMENTS,
+  issueLabel,
+  parseIssueId,
+  createIssue,
+  sendSlot,
+  getSlotIssue,
+  getIssue,
+  listIssues,
+  markIssueSent,
+  markIssueEmailed,
+  releaseIssue
+};
@@ -0,0 +1,126 @@
+// Signed, expiring tokens for subscriber links (confirm / unsubscribe / pause / preferences).
+//
+// Token = `<keyId>.<payload>.<signature>`, base64url throughout. The payload is JSON
+// { sid: Subscriber_ID, act: action, seg: segment, exp: unix seconds } and the
+// signature is HMAC-SHA256 over `<keyId>.<payload>`. Unsubscribe and pause tokens also
+// carry `em` (the address), which the Cloudflare function passes on to Apps Script.
+//
+// Keys come from LINK_TOKEN_KEYS as `id:secret,id:secret`. The first key signs; every
+// listed key verifies, so rotating means prepending a new key and dropping the old one
+// once links signed with it have expired. LINK_TOKEN_SECRET alone is accepted as a
+// single key with id `k1`.
+//
+// Uses only Web Crypto, btoa/atob and TextEncoder so the same file runs in Node and in
+// the Cloudflare function (functions/api/unsubscribe.js). Keep it free of Node imports.
+
+const LINK_ACTIONS = ['confirm', 'unsubscribe', 'pause', 'preferences'];
+const LINK_SEGMENTS = ['pro', 'driver', 'all'];
+
+// Unsubscribe links must keep working long after the email was sent (Spam Act 2003)
+const DEFAULT_TTL_DAYS = { confirm: 7, unsubscribe: 365, pause: 365, preferences: 365 };
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+let ephemeralKeys = null;
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function parseKeys(spec) {
+  return String(spec || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const sep = entry.indexOf(':');
+      if (sep <= 0 || sep === entry.length - 1) throw new Error('LINK_TOKEN_KEYS entries must look like id:secret');
+      return { id: entry.slice(0, sep).trim(), secret: entry.slice(sep + 1).trim() };
+    });
+}
+
+// `env` is process.env in Node or the Worker's env binding. Outside production a random
+// per-process key is used when nothing is configured (links die on restart).
+function keysFromEnv(env = {}) {
+  const keys = env.LINK_TOKEN_KEYS
+    ? parseKeys(env.LINK_TOKEN_KEYS)
+    : env.LINK_TOKEN_SECRET ? [{ id: 'k1', secret: env.LINK_TOKEN_SECRET }] : [];
+  if (keys.length > 0) return keys;
+  if (env.NODE_ENV === 'production' || !env.NODE_ENV) throw new Error('LINK_TOKEN_KEYS not configured');
+  if (!ephemeralKeys) {
+    console.warn('⚠️ LINK_TOKEN_KEYS not set — using a temporary key; subscriber links will stop working on restart');
+    ephemeralKeys = [{ id: 'dev', secret: toBase64Url(crypto.getRandomValues(new Uint8Array(32))) }];
+  }
+  return ephemeralKeys;
+}
+
+function importKey(secret, usage) {
+  return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [usage]);
+}
+
+async function signLinkToken({ subscriberId, action, segment = 'all', email, ttlDays }, keys) {
+  if (!subscriberId) throw new Error('subscriberId is required');
+  if (!LINK_ACTIONS.includes(action)) throw new Error(`Invalid link action: ${action}`);
+  if (!LINK_SEGMENTS.includes(segment)) throw new Error(`Invalid link segment: ${segment}`);
+  const [key] = keys;
+  if (!key) throw new Error('No signing key');
+
+  const days = ttlDays ?? DEFAULT_TTL_DAYS[action];
+  const exp = Math.floor(Date.now() / 1000) + Math.round(days * 86400);
+  const claims = { sid: subscriberId, act: action, seg: segment, exp };
+  if (email) claims.em = email;
+  const payload = toBase64Url(encoder.encode(JSON.stringify(claims)));
+  const signed = `${key.id}.${payload}`;
+  const signature = await crypto.subtle.sign('HMAC', await importKey(key.secret, 'sign'), encoder.encode(signed));
+  return `${signed}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+// Old static Unsub_Token / Confirm_Token values have no dots
+function isSignedToken(token) {
+  return String(token || '').split('.').length === 3;
+}
+
+// Returns { ok: true, subscriberId, action, segment, email, expiresAt } or { ok: false, reason }
+// with reason one of malformed | unknown_key | bad_signature | expired | wrong_action.
+async function verifyLinkToken(token, keys, { action } = {}) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return { ok: false, reason: 'malformed' };
+  const [keyId, payload, signature] = parts;
+
+  const key = keys.find(k => k.id === keyId);
+  if (!key) return { ok: false, reason: 'unknown_key' };
+
+  let valid = false;
+  try {
+    valid = await crypto.subtle.verify('HMAC', await importKey(key.secret, 'verify'), fromBase64Url(signature), encoder.encode(`${keyId}.${payload}`));
+  } catch (e) {
+    return { ok: false, reason: 'malformed' };
+  }
+  if (!valid) return { ok: false, reason: 'bad_signature' };
+
+  let claims;
+  try { claims = JSON.parse(decoder.decode(fromBase64Url(payload))); } catch (e) { return { ok: false, reason: 'malformed' }; }
+  if (!claims.sid || !LINK_ACTIONS.includes(claims.act) || !LINK_SEGMENTS.includes(claims.seg)) return { ok: false, reason: 'malformed' };
+  if (!(claims.exp * 1000 > Date.now())) return { ok: false, reason: 'expired' };
+  if (action && claims.act !== action) return { ok: false, reason: 'wrong_action' };
+
+  return { ok: true, subscriberId: claims.sid, action: claims.act, segment: claims.seg, email: claims.em || '', expiresAt: new Date(claims.exp * 1000).toISOString() };
+}
+
+module.exports = {
+  LINK_ACTIONS,
+  LINK_SEGMENTS,
+  DEFAULT_TTL_DAYS,
+  parseKeys,
+  keysFromEnv,
+  signLinkToken,
+  verifyLinkToken,
+  isSignedToken
+};
@@ -0,0 +1,99 @@
+// Operational metrics — counts of what the system actually did, for the dashboards.
+//
+// Every recorded metric is one Metrics row (Timestamp, Metric, Value, Segment, Issue_ID).
+// Writers record where the work happens:
+//   scrape_runs, scrape_errors, articles_found   EnhancedNewsScraper.scrapeAllSources
+//   articles_saved                               SheetsManager.saveArticles
+//   emails_sent, emails_failed                   EmailSender.sendBulkEmails
+//   emails_bounced, emails_complained            Resend webhook (./resendWebhooks)
+//   llm_calls, llm_failed, llm_tokens            NewsletterGenerator.createChatCompletion
+// getMetrics() sums them into UTC hour/day/week buckets; /api/metrics and
+// /api/analytics/summary (main app and server.js) both read from here.
+const { getStorage } = require('./storage');
+
+const METRIC_NAMES = [
+  'scrape_runs', 'scrape_errors', 'articles_found', 'articles_saved',
+  'emails_sent', 'emails_failed', 'emails_bounced', 'emails_complained',
+  'llm_calls', 'llm_failed', 'llm_tokens'
+];
+
+const BUCKET_MS = { hour: 3600000, day: 86400000, week: 7 * 86400000 };
+
+function metricsError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Records several counts at once, e.g. recordMetrics({ emails_sent: 120, emails_failed: 2 }, { segment }).
+// Zero counts are skipped. Never throws — a metrics write must not fail the work it measures.
+async function recordMetrics(counts, { segment = '', issueId = '' } = {}) {
+  const timestamp = new Date().toISOString();
+  const rows = Object.entries(counts)
+    .filter(([name, value]) => METRIC_NAMES.includes(name) && Number(value) > 0)
+    .map(([name, value]) => ({ Timestamp: timestamp, Metric: name, Value: Number(value), Segment: segment, Issue_ID: issueId }));
+  if (rows.length === 0) return 0;
+  try {
+    return await getStorage().append('Metrics', rows);
+  } catch (e) {
+    console.warn('Metrics write failed (non-fatal):', e.message);
+    return 0;
+  }
+}
+
+function emptyTotals() {
+  return Object.fromEntries(METRIC_NAMES.map(name => [name, 0]));
+}
+
+// Sums metrics between `since` and `until` (defaults: the last 7 days) into buckets.
+// Returns { since, until, bucket, totals, series: [{ start, ...totals }] } with every
+// bucket present, oldest first, so charts don't need to fill gaps.
+async function getMetrics({ since, until, bucket = 'day', segment } = {}) {
+  const step = BUCKET_MS[bucket];
+  if (!step) throw metricsError(`bucket must be one of ${Object.keys(BUCKET_MS).join(', ')}`);
+  const end = until ? new Date(until) : new Date();
+  const start = since ? new Date(since) : new Date(end.getTime() - 7 * BUCKET_MS.day);
+  if (isNaN(start) || isNaN(end) || start > end) throw metricsError('Invalid time range');
+  if ((end - start) / step > 1000) throw metricsError('Too many buckets — use a larger bucket or a shorter range');
+
+  const firstBucket = Math.floor(start.getTime() / step) * step;
+  const series = [];
+  for (let t = firstBucket; t <= end.getTime(); t += step) series.push({ start: new Date(t).toISOString(), ...emptyTotals() });
+
+  const totals = emptyTotals();
+  const rows = await getStorage().list('Metrics');
+  for (const row of rows) {
+    const time = new Date(row.Timestamp).getTime();
+    if (!(time >= start.getTime() && time <= end.getTime()) || !METRIC_NAMES.includes(row.Metric)) continue;
+    if (segment && row.Segment !== segment) continue;
+    const value = Number(row.Value) || 0;
+    totals[row.Metric] += value;
+    series[Math.floor((time - firstBucket) / step)][row.Metric] += value;
+  }
+  return { since: start.toISOString(), until: end.toISOString(), bucket, totals, series };
+}
+
+// Headline numbers for the last `days` days
+async function summariseMetrics(days = 7) {
+  const { totals, since, until } = await getMetrics({ since: new Date(Date.now() - days * BUCKET_MS.day), bucket: 'day' });
+  const attempted = totals.emails_sent + totals.emails_failed;
+  return {
+    since,
+    until,
+    emailsSent: totals.emails_sent,
+    emailsFailed: totals.emails_failed,
+    emailsBounced: totals.emails_bounced,
+    // null rather than a flattering 100% when nothing was sent
+    successRate: attempted > 0 ? Math.round((totals.emails_sent / attempted) * 1000) / 10 : null,
+    bounceRate: totals.emails_sent > 0 ? Math.round((totals.emails_bounced / totals.emails_sent) * 1000) / 10 : null,
+    scrapeRuns: totals.scrape_runs,
+    articlesSaved: totals.articles_saved,
+    llmCalls: totals.llm_calls,
+    totals
+  };
+}
+
+module.exports = {
+  METRIC_NAMES,
+  recordMetrics,
+  getMetrics,
+  summariseMetrics
+};
@@ -0,0 +1,226 @@
+// Subscriber preference centre — editions, frequency, pause length and profile
+// details, reached from the "Manage preferences" link in every issue (signed
+// `preferences` link token, see ./linkTokens). Routes live in index.js next to
+// confirm/unsubscribe/pause; this module validates changes and renders the page.
+
+const SEGMENTS = ['pro', 'driver'];
+const FREQUENCIES = ['weekly', 'fortnightly', 'monthly'];
+const PAUSE_WEEKS = [1, 2, 4, 8, 12];
+const PROFILE_FIELDS = { name: 'Name', company: 'Company', role: 'Role' };
+const PROFILE_MAX_LENGTH = 120;
+
+const EDITION_NAMES = { pro: 'CoR Intel Weekly', driver: 'Safe Freight Mate' };
+
+function preferenceError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function rowSegments(row) {
+  return (row.Segment || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+function rowFrequency(row) {
+  const frequency = (row.Email_Frequency || '').toString().trim().toLowerCase();
+  return FREQUENCIES.includes(frequency) ? frequency : 'weekly';
+}
+
+function isPaused(row, now = new Date()) {
+  return Boolean(row.Paused_At) && (!row.Resume_At || new Date(row.Resume_At) > now);
+}
+
+// Issues go out weekly (Mondays); fortnightly readers get even ISO weeks and monthly
+// readers the first issue of each month, both on the Sydney calendar.
+function isDueForIssue(frequency, date = new Date()) {
+  const [y, m, d] = date.toLocaleDateString('en-CA', { timeZone: 'Australia/Sydney' }).split('-').map(Number);
+  if (frequency === 'monthly') return d <= 7;
+  if (frequency === 'fortnightly') {
+    const day = new Date(Date.UTC(y, m - 1, d));
+    day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+    const week = Math.ceil(((day - Date.UTC(day.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+    return week % 2 === 0;
+  }
+  return true;
+}
+
+// Everything held about a subscriber, minus legacy link tokens
+function subscriberData(row) {
+  return {
+    subscriberId: row.Subscriber_ID || '',
+    email: row.Email || '',
+    name: row.Name || '',
+    company: row.Company || '',
+    role: row.Role || '',
+    segments: rowSegments(row),
+    status: row.Status || '',
+    emailFrequency: rowFrequency(row),
+    subscribedAt: row.Subscribed_At || '',
+    confirmedAt: row.Confirmed_At || '',
+    pausedAt: row.Paused_At || '',
+    resumeAt: row.Resume_At || '',
+    unsubscribedAt: row.Unsubscribed_At || '',
+    signupIp: row.Source_IP || '',
+    notes: row.Notes || '',
+    updatedAt: row.Updated_At || ''
+  };
+}
+
+// Turns submitted preferences into a Subscribers patch plus one audit entry per change.
+// `input` fields are all optional: segments (array or csv), frequency, pause
+// ('' = leave, 'resume', or a number of weeks from PAUSE_WEEKS), name, company, role.
+function buildPreferenceChanges(row, input, now = new Date()) {
+  const patch = {};
+  const audits = [];
+  const nowIso = now.toISOString();
+
+  if (input.segments !== undefined) {
+    const requested = (Array.isArray(input.segments) ? input.segments : String(input.segments).split(','))
+      .map(s => String(s).trim().toLowerCase())
+      .filter(Boolean);
+    if (requested.some(s => !SEGMENTS.includes(s))) throw preferenceError('Editions must be "pro" and/or "driver"');
+    if (requested.length === 0) throw preferenceError('Choose at least one edition, or use the unsubscribe link to stop all emails');
+    const next = SEGMENTS.filter(s => requested.includes(s));
+    const current = SEGMENTS.filter(s => rowSegments(row).includes(s));
+    const status = (row.Status || '').toLowerCase();
+    if (next.join(',') !== current.join(',') || status === 'unsubscribed') {
+      patch.Segment = next.join(',');
+      // Previously confirmed readers can re-subscribe from here; never-confirmed stay pending
+      if (status === 'unsubscribed' && row.Confirmed_At) {
+        patch.Status = 'active';
+        patch.Unsubscribed_At = '';
+      }
+      audits.push({ action: 'segments_changed', metadata: { from: current, to: next } });
+    }
+  }
+
+  if (input.frequency !== undefined && input.frequency !== '') {
+    const frequency = String(input.frequency).trim().toLowerCase();
+    if (!FREQUENCIES.includes(frequency)) throw preferenceError(`Frequency must be one of ${FREQUENCIES.join(', ')}`);
+    if (frequency !== rowFrequency(row)) {
+      patch.Email_Frequency = frequency;
+      audits.push({ action: 'frequency_changed', metadata: { from: rowFrequency(row), to: frequency } });
+    }
+  }
+
+  if (input.pause !== undefined && input.pause !== '') {
+    if (input.pause === 'resume') {
+      if (isPaused(row, now)) {
+        patch.Paused_At = '';
+        patch.Resume_At = '';
+        audits.push({ action: 'resumed', metadata: { source: 'preferences' } });
+      }
+    } else {
+      const weeks = parseInt(input.pause, 10);
+      if (!PAUSE_WEEKS.includes(weeks)) throw preferenceError(`Pause must be one of ${PAUSE_WEEKS.join(', ')} weeks`);
+      const resumeAt = new Date(now.getTime() + weeks * 7 * 24 * 60 * 60 * 1000).toISOString();
+      patch.Paused_At = nowIso;
+      patch.Resume_At = resumeAt;
+      audits.push({ action: 'paused', metadata: { resume_at: resumeAt, duration_days: weeks * 7, source: 'preferences' } });
+    }
+  }
+
+  const profileChanges = {};
+  for (const [field, column] of Object.entries(PROFILE_FIELDS)) {
+    if (input[field] === undefined) continue;
+    const value = String(input[field]).trim();
+    if (value.length > PROFILE_MAX_LENGTH) throw preferenceError(`${column} must be ${PROFILE_MAX_LENGTH} characters or fewer`);
+    if (value !== (row[column] || '')) {
+      patch[column] = value;
+      profileChanges[field] = { from: row[column] || '', to: value };
+    }
+  }
+  if (Object.keys(profileChanges).length > 0) audits.push({ action: 'profile_updated', metadata: profileChanges });
+
+  if (audits.length > 0) patch.Updated_At = nowIso;
+  return { patch, audits };
+}
+
+function formatDate(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Australia/Sydney' });
+}
+
+// `token` authorises the form post; `unsubscribeToken` backs the unsubscribe link
+function renderPreferencePage(row, { token, unsubscribeToken, message = '', error = '' } = {}) {
+  const data = subscriberData(row);
+  const paused = isPaused(row);
+  const tokenParam = encodeURIComponent(token);
+  const checkbox = seg => `<label style="display:block;margin:6px 0;"><input type="checkbox" name="segments" value="${seg}"${data.segments.includes(seg) ? ' checked' : ''}> ${EDITION_NAMES[seg]}</label>`;
+  const option = (value, label, selected) => `<option value="${value}"${selected ? ' selected' : ''}>${label}</option>`;
+  const input = field => `<label style="display:block;margin:8px 0;">${PROFILE_FIELDS[field]}<br><input type="text" name="${field}" value="${escapeHtml(data[field])}" maxlength="${PROFILE_MAX_LENGTH}" style="width:100%;padding:8px;border:1px solid #d1d5db;border-radius:6px;box-sizing:border-box;"></label>`;
+  const heldRows = [
+    ['Email', data.email], ['Name', data.name], ['Company', data.company], ['Role', data.role],
+    ['Editions', data.segments.map(s => EDITION_NAMES[s] || s).join(', ') || '—'], ['Status', data.status],
+    ['Frequency', data.emailFrequency], ['Subscribed', formatDate(data.subscribedAt)], ['Confirmed', formatDate(data.confirmedAt)],
+    ['Paused until', paused ? formatDate(data.resumeAt) : '—'], ['Sign-up IP address', data.signupIp || '—'], ['Last updated', formatDate(data.updatedAt)]
+  ].map(([label, value]) => `<tr><td style="padding:4px 12px 4px 0;color:#6b7280;">${label}</td><td style="padding:4px 0;">${escapeHtml(value)}</td></tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en-AU">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>Newsletter preferences - Safe Freight Program</title>
+</head>
+<body style="margin:0;padding:0;background:#f8fafc;font-family:system-ui,-apple-system,'Segoe UI',Roboto,Arial,sans-serif;color:#111827;">
+  <div style="background:#1e40af;color:#ffffff;padding:24px 16px;text-align:center;">
+    <img src="https://www.safefreightprogram.com/assets/email/sfp-logo-small.png" width="60" height="60" alt="Safe Freight Program" style="display:block;margin:0 auto 12px;">
+    <h1 style="margin:0;font-size:24px;">Newsletter preferences</h1>
+    <p style="margin:6px 0 0;opacity:.85;">${escapeHtml(data.email)}</p>
+  </div>
+  <div style="max-width:560px;margin:0 auto;padding:24px 16px;">
+    ${message ? `<p style="background:#d1fae5;border:1px solid #6ee7b7;padding:12px;border-radius:8px;">${escapeHtml(message)}</p>` : ''}
+    ${error ? `<p style="background:#fee2e2;border:1px solid #fca5a5;padding:12px;border-radius:8px;">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="/preferences?token=${tokenParam}" style="background:#ffffff;border:1px solid #e5e7eb;border-radius:8px;padding:20px;">
+      <h2 style="font-size:17px;margin:0 0 8px;">Editions</h2>
+      ${SEGMENTS.map(checkbox).join('\n      ')}
+      <h2 style="font-size:17px;margin:20px 0 8px;">How often</h2>
+      <select name="frequency" style="padding:8px;border:1px solid #d1d5db;border-radius:6px;">
+        ${option('weekly', 'Every week', data.emailFrequency === 'weekly')}
+        ${option('fortnightly', 'Every second week', data.emailFrequency === 'fortnightly')}
+        ${option('monthly', 'First issue of each month', data.emailFrequency === 'monthly')}
+      </select>
+      <h2 style="font-size:17px;margin:20px 0 8px;">Take a break</h2>
+      ${paused ? `<p style="margin:0 0 8px;color:#92400e;">Paused until ${escapeHtml(formatDate(data.resumeAt))}.</p>` : ''}
+      <select name="pause" style="padding:8px;border:1px solid #d1d5db;border-radius:6px;">
+        ${option('', paused ? 'Keep current pause' : 'Keep receiving issues', true)}
+        ${paused ? option('resume', 'Resume now', false) : ''}
+        ${PAUSE_WEEKS.map(w => option(String(w), `Pause for ${w} week${w === 1 ? '' : 's'}`, false)).join('\n        ')}
+      </select>
+      <h2 style="font-size:17px;margin:20px 0 8px;">Your details</h2>
+      ${Object.keys(PROFILE_FIELDS).map(input).join('\n      ')}
+      <button type="submit" style="margin-top:16px;background:#1e40af;color:#ffffff;border:0;border-radius:6px;padding:10px 18px;font-size:15px;cursor:pointer;">Save preferences</button>
+    </form>
+    <div style="background:#ffffff;border:1px solid #e5e7eb;border-radius:8px;padding:20px;margin-top:16px;">
+      <h2 style="font-size:17px;margin:0 0 8px;">What we hold about you</h2>
+      <table style="font-size:14px;border-collapse:collapse;">
+${heldRows}
+      </table>
+      <p style="font-size:13px;color:#6b7280;margin-bottom:0;"><a href="/api/preferences?token=${tokenParam}" style="color:#1e40af;">Download as JSON</a> · We also keep a log of subscription changes and email opens/clicks for these newsletters.</p>
+    </div>
+    <p style="font-size:13px;color:#6b7280;text-align:center;margin-top:24px;">
+      <a href="/api/unsubscribe?token=${encodeURIComponent(unsubscribeToken || token)}" style="color:#6b7280;">Unsubscribe from everything</a> ·
+      Questions? <a href="mailto:hello@safefreightprogram.com.au" style="color:#6b7280;">hello@safefreightprogram.com.au</a>
+    </p>
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = {
+  FREQUENCIES,
+  PAUSE_WEEKS,
+  isDueForIssue,
+  subscriberData,
+  buildPreferenceChanges,
+  renderPreferencePage
+};
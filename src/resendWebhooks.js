@@ -0,0 +1,273 @@
+// Resend webhook ingestion — delivery, bounce, complaint, open and click events pushed
+// by Resend as they happen, instead of polling /emails/{id} one message at a time.
+//
+// Resend signs webhooks with Svix: headers svix-id, svix-timestamp and svix-signature
+// ("v1,<base64 HMAC-SHA256 of `${id}.${timestamp}.${body}`>", space-separated when
+// the secret is being rotated). RESEND_WEBHOOK_SECRET is the `whsec_…` signing secret
+// from the Resend dashboard.
+//
+// Each event is stored once per svix-id in Email_Events (recipient, issue, message id)
+// and mirrored into Engagement_Tracking, with click URLs matched back to the issue's
+// articles in Content_Archive. Hard bounces and complaints add the address to the
+// suppression list (./suppressions).
+//
+// Replay recorded payloads (bare Resend events, arrays of them, or { headers, body }
+// captures written by RESEND_WEBHOOK_RECORD_DIR):
+//   node src/resendWebhooks.js replay <file|dir>                  ingest into storage
+//   node src/resendWebhooks.js replay <file|dir> --url <base>     sign + POST to a running server
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getStorage } = require('./storage');
+const { suppress } = require('./suppressions');
+const { recordMetrics } = require('./metrics');
+
+const SIGNATURE_TOLERANCE_SEC = 5 * 60;
+
+// Resend event type → Engagement_Tracking Event_Type
+const EVENT_TYPES = {
+  'email.delivered': 'delivered',
+  'email.bounced': 'bounce',
+  'email.complained': 'complaint',
+  'email.opened': 'open',
+  'email.clicked': 'click'
+};
+
+function webhookError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function secretBytes(secret) {
+  const value = String(secret || '').trim();
+  return Buffer.from(value.startsWith('whsec_') ? value.slice(6) : value, 'base64');
+}
+
+function signPayload(secret, id, timestamp, body) {
+  return crypto.createHmac('sha256', secretBytes(secret)).update(`${id}.${timestamp}.${body}`).digest('base64');
+}
+
+// Throws a 401 unless one of the svix-signature entries matches and the timestamp is fresh
+function verifySignature(rawBody, headers, secret, { now = Date.now() } = {}) {
+  const id = headers['svix-id'];
+  const timestamp = headers['svix-timestamp'];
+  const signatures = String(headers['svix-signature'] || '').split(' ');
+  if (!id || !timestamp || !headers['svix-signature']) throw webhookError('Missing webhook signature headers', 401);
+  if (Math.abs(now / 1000 - parseInt(timestamp, 10)) > SIGNATURE_TOLERANCE_SEC) throw webhookError('Webhook timestamp outside tolerance', 401);
+
+  const expected = Buffer.from(signPayload(secret, id, timestamp, rawBody));
+  const matched = signatures.some(entry => {
+    const [version, signature] = entry.split(',');
+    if (version !== 'v1' || !signature) return false;
+    const given = Buffer.from(signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+  if (!matched) throw webhookError('Invalid webhook signature', 401);
+  return id;
+}
+
+function tagValue(tags, name) {
+  if (Array.isArray(tags)) return tags.find(t => t.name === name)?.value || '';
+  return (tags && tags[name]) || '';
+}
+
+// Article URLs in issues carry utm_* parameters; compare without them
+function stripTracking(url) {
+  try {
+    const parsed = new URL(url);
+    [...parsed.searchParams.keys()].filter(k => k.startsWith('utm_')).forEach(k => parsed.searchParams.delete(k));
+    return parsed.toString().replace(/\?$/, '');
+  } catch (e) {
+    return url || '';
+  }
+}
+
+// Transient bounces (full mailbox, greylisting) don't suppress; anything else does
+function isHardBounce(payload) {
+  return payload.type === 'email.bounced' && String(payload.data?.bounce?.type || '').toLowerCase() !== 'transient';
+}
+
+// Flattens a Resend payload into one Email_Events record (null for types we don't track)
+function normaliseEvent(payload, eventId) {
+  const eventType = EVENT_TYPES[payload?.type];
+  if (!eventType) return null;
+  const data = payload.data || {};
+  const detail = eventType === 'bounce' ? data.bounce?.message || data.bounce?.type || ''
+    : eventType === 'click' ? data.click?.userAgent || ''
+      : '';
+  return {
+    Event_ID: eventId,
+    Received_At: new Date().toISOString(),
+    Event_Type: eventType,
+    Message_ID: data.email_id || '',
+    Email: (Array.isArray(data.to) ? data.to[0] : data.to || '').toLowerCase(),
+    Issue_ID: tagValue(data.tags, 'issue_id'),
+    Segment: tagValue(data.tags, 'newsletter'),
+    Timestamp: data.click?.timestamp || payload.created_at || new Date().toISOString(),
+    URL: data.click?.link || '',
+    Detail: detail
+  };
+}
+
+async function articleForClick(issueId, url) {
+  if (!issueId || !url) return null;
+  const target = stripTracking(url);
+  const rows = (await getStorage().list('Content_Archive')).filter(r => r.Issue_ID === issueId);
+  for (const row of rows) {
+    let articles = [];
+    try { articles = JSON.parse(row.Content_JSON || '[]'); } catch (e) { /* unreadable content */ }
+    const article = articles.find(a => a.url && stripTracking(a.url) === target);
+    if (article) return article;
+  }
+  return null;
+}
+
+// Stores one verified Resend event. Returns { stored, duplicate, event } — replays of an
+// already-stored svix-id are acknowledged without writing anything.
+async function ingestEvent(payload, eventId) {
+  const storage = getStorage();
+  const event = normaliseEvent(payload, eventId);
+  if (!event) return { stored: false, duplicate: false, event: null };
+  if (await storage.find('Email_Events', r => r.Event_ID === eventId)) return { stored: false, duplicate: true, event };
+
+  // Before the event row, so a failed write here is retried by Resend rather than deduped
+  if ((isHardBounce(payload) || event.Event_Type === 'complaint') && event.Email.includes('@')) {
+    await suppress(event.Email, {
+      reason: event.Event_Type === 'complaint' ? 'complaint' : 'hard_bounce',
+      detail: event.Detail,
+      source: 'resend_webhook',
+      issueId: event.Issue_ID
+    });
+  }
+
+  await storage.append('Email_Events', event);
+  if (event.Event_Type === 'bounce' || event.Event_Type === 'complaint') {
+    await recordMetrics({ [event.Event_Type === 'bounce' ? 'emails_bounced' : 'emails_complained']: 1 }, { segment: event.Segment, issueId: event.Issue_ID });
+  }
+
+  const article = event.Event_Type === 'click' ? await articleForClick(event.Issue_ID, event.URL) : null;
+  try {
+    await storage.append('Engagement_Tracking', {
+      Email: event.Email,
+      Issue_ID: event.Issue_ID,
+      Event_Type: event.Event_Type,
+      Timestamp: event.Timestamp,
+      Article_URL: event.URL,
+      Source: article?.source || '',
+      Category: article?.category || '',
+      Article_Title: article?.title || ''
+    });
+  } catch (e) {
+    console.warn('Engagement_Tracking write failed (non-fatal):', e.message);
+  }
+  return { stored: true, duplicate: false, event };
+}
+
+// Saves the verified request for later replay when RESEND_WEBHOOK_RECORD_DIR is set
+function recordPayload(eventId, rawBody) {
+  const dir = process.env.RESEND_WEBHOOK_RECORD_DIR;
+  if (!dir) return;
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const capture = { headers: { 'svix-id': eventId }, body: JSON.parse(rawBody) };
+    fs.writeFileSync(path.join(dir, `${eventId.replace(/[^\w-]/g, '_')}.json`), JSON.stringify(capture, null, 2));
+  } catch (e) {
+    console.warn('Webhook recording failed (non-fatal):', e.message);
+  }
+}
+
+function setupResendWebhookRoutes(app) {
+  // Needs req.rawBody (captured by the express.json verify hook in index.js)
+  app.post('/api/webhooks/resend', async (req, res) => {
+    const secret = process.env.RESEND_WEBHOOK_SECRET;
+    if (!secret) {
+      console.warn('⚠️ Resend webhook received but RESEND_WEBHOOK_SECRET is not set — ignoring');
+      return res.status(503).json({ success: false, error: 'Webhook not configured' });
+    }
+    try {
+      const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+      const eventId = verifySignature(rawBody, req.headers, secret);
+      recordPayload(eventId, rawBody);
+      const result = await ingestEvent(req.body, eventId);
+      res.json({ success: true, data: { eventId, stored: result.stored, duplicate: result.duplicate } });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ success: false, error: error.message });
+      console.error('Resend webhook error:', error.message);
+      // 5xx makes Resend retry the delivery later
+      res.status(500).json({ success: false, error: 'Webhook processing failed' });
+    }
+  });
+}
+
+// ── Replay tool ──────────────────────────────────────────────────────────────
+function loadRecordings(target) {
+  const files = fs.statSync(target).isDirectory()
+    ? fs.readdirSync(target).filter(f => f.endsWith('.json')).sort().map(f => path.join(target, f))
+    : [target];
+  const recordings = [];
+  for (const file of files) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const item of Array.isArray(parsed) ? parsed : [parsed]) {
+      const body = item.body || item;
+      // Uncaptured payloads get a content-derived id so replaying twice stays idempotent
+      const id = item.headers?.['svix-id'] || `replay_${crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex').slice(0, 24)}`;
+      recordings.push({ id, body, file });
+    }
+  }
+  return recordings;
+}
+
+async function replay(target, { url } = {}) {
+  const recordings = loadRecordings(target);
+  const totals = { events: recordings.length, stored: 0, duplicate: 0, ignored: 0, failed: 0 };
+  for (const { id, body, file } of recordings) {
+    try {
+      if (url) {
+        const secret = process.env.RESEND_WEBHOOK_SECRET;
+        if (!secret) throw new Error('RESEND_WEBHOOK_SECRET is required to replay against a server');
+        const raw = JSON.stringify(body);
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const resp = await fetch(`${url.replace(/\/$/, '')}/api/webhooks/resend`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'svix-id': id, 'svix-timestamp': timestamp, 'svix-signature': `v1,${signPayload(secret, id, timestamp, raw)}` },
+          body: raw
+        });
+        const result = await resp.json().catch(() => ({}));
+        if (!resp.ok) throw new Error(result.error || `HTTP ${resp.status}`);
+        totals[result.data.stored ? 'stored' : result.data.duplicate ? 'duplicate' : 'ignored']++;
+      } else {
+        const result = await ingestEvent(body, id);
+        totals[result.stored ? 'stored' : result.duplicate ? 'duplicate' : 'ignored']++;
+      }
+    } catch (e) {
+      totals.failed++;
+      console.error(`❌ ${path.basename(file)} (${id}): ${e.message}`);
+    }
+  }
+  return totals;
+}
+
+if (require.main === module) {
+  const [command, target, ...rest] = process.argv.slice(2);
+  const urlIndex = rest.indexOf('--url');
+  if (command !== 'replay' || !target) {
+    console.error('Usage: node src/resendWebhooks.js replay <file|dir> [--url http://localhost:3000]');
+    process.exit(1);
+  }
+  replay(target, { url: urlIndex >= 0 ? rest[urlIndex + 1] : undefined }).then(totals => {
+    console.log('✅ Replay complete:', totals);
+    process.exit(totals.failed > 0 ? 1 : 0);
+  }).catch(error => {
+    console.error('❌ Replay failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  EVENT_TYPES,
+  verifySignature,
+  signPayload,
+  normaliseEvent,
+  ingestEvent,
+  replay,
+  setupResendWebhookRoutes
+};
@@ -0,0 +1,112 @@
+// Local cache of scraped pages and feeds, for conditional GETs.
+//
+// Each source URL's last 200 response is kept as one JSON file (body, ETag,
+// Last-Modified) under SCRAPE_CACHE_DIR (default data/scrape-cache). The scraper sends
+// If-None-Match / If-Modified-Since from it, and a 304 means the page hasn't changed since
+// it was last parsed, so the source is recorded as `unchanged` and not parsed again. A 200 is
+// only stored once the articles parsed from it are saved (EnhancedNewsScraper.commitResponseCache).
+// Entries not fetched for config.scraping.responseCache.maxAgeDays are pruned after each run.
+//
+// Cache failures are never fatal — the scraper just falls back to a full request.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+function settings() {
+  return { enabled: true, maxAgeDays: 7, ...config.scraping.responseCache };
+}
+
+function cacheDir() {
+  return path.resolve(process.env.SCRAPE_CACHE_DIR || path.join(__dirname, '../data/scrape-cache'));
+}
+
+function cacheFile(url) {
+  return path.join(cacheDir(), `${crypto.createHash('sha256').update(url).digest('hex').slice(0, 32)}.json`);
+}
+
+// The cached entry for a URL, or null
+async function getCachedResponse(url) {
+  if (!settings().enabled) return null;
+  try {
+    const entry = JSON.parse(await fs.promises.readFile(cacheFile(url), 'utf8'));
+    return entry.url === url ? entry : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Request headers that let the server answer 304 Not Modified
+function conditionalHeaders(entry) {
+  const headers = {};
+  if (entry?.etag) headers['If-None-Match'] = entry.etag;
+  if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+  return headers;
+}
+
+async function writeEntry(entry) {
+  try {
+    await fs.promises.mkdir(cacheDir(), { recursive: true });
+    await fs.promises.writeFile(cacheFile(entry.url), JSON.stringify(entry));
+  } catch (e) {
+    console.warn('Scrape cache write failed (non-fatal):', e.message);
+  }
+}
+
+// Stores a 200 response (axios response object)
+async function storeResponse(url, response) {
+  if (!settings().enabled || response.status !== 200 || typeof response.data !== 'string') return;
+  const now = new Date().toISOString();
+  await writeEntry({
+    url,
+    fetchedAt: now,
+    checkedAt: now,
+    etag: response.headers?.etag || null,
+    lastModified: response.headers?.['last-modified'] || null,
+    contentType: response.headers?.['content-type'] || null,
+    body: response.data
+  });
+}
+
+// Records a 304 against the cached entry; servers may send fresher validators with it
+async function markNotModified(entry, response) {
+  await writeEntry({
+    ...entry,
+    checkedAt: new Date().toISOString(),
+    etag: response.headers?.etag || entry.etag,
+    lastModified: response.headers?.['last-modified'] || entry.lastModified
+  });
+}
+
+// Removes entries not checked within maxAgeDays. Returns the number removed.
+async function pruneCache({ maxAgeDays = settings().maxAgeDays } = {}) {
+  const cutoff = Date.now() - maxAgeDays * 86400000;
+  let removed = 0;
+  let files = [];
+  try {
+    files = (await fs.promises.readdir(cacheDir())).filter(f => f.endsWith('.json'));
+  } catch (e) {
+    return 0; // no cache yet
+  }
+  for (const file of files) {
+    const fullPath = path.join(cacheDir(), file);
+    try {
+      const { mtimeMs } = await fs.promises.stat(fullPath);
+      if (mtimeMs < cutoff) {
+        await fs.promises.unlink(fullPath);
+        removed++;
+      }
+    } catch (e) {
+      console.warn(`Scrape cache prune failed for ${file} (non-fatal):`, e.message);
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  getCachedResponse,
+  conditionalHeaders,
+  storeResponse,
+  markNotModified,
+  pruneCache
+};
@@ -0,0 +1,190 @@
+// Scrape run history — what every scrape did, source by source.
+//
+// EnhancedNewsScraper.scrapeAllSources records one Scrape_Runs row per run and one
+// Scrape_Source_Results row per source it tried: status (ok / empty / unchanged / error),
+// HTTP code, duration, the selector that matched, raw / accepted / rejected counts and why
+// articles were rejected (see EnhancedNewsScraper.articleRejectReason). sourceHealth() rolls the
+// results up per source so repeated 404s and timeouts show on the dashboard instead of
+// only in the console.
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+// `unchanged` is a 304 Not Modified answer to a conditional request (./responseCache)
+const SOURCE_STATUSES = ['ok', 'empty', 'unchanged', 'error'];
+const TIMELINE_LENGTH = 20;
+
+function newRunId(startedAt) {
+  return `scrape_${startedAt.replace(/\D/g, '').slice(0, 14)}_${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function parseReasons(value) {
+  try {
+    return JSON.parse(value || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+const toInt = value => parseInt(value, 10) || 0;
+
+function rowToRun(row) {
+  return {
+    runId: row.Run_ID,
+    startedAt: row.Started_At,
+    finishedAt: row.Finished_At,
+    durationMs: toInt(row.Duration_Ms),
+    trigger: row.Trigger || '',
+    sources: toInt(row.Sources),
+    succeeded: toInt(row.Succeeded),
+    failed: toInt(row.Failed),
+    empty: toInt(row.Empty),
+    unchanged: toInt(row.Unchanged),
+    articlesRaw: toInt(row.Articles_Raw),
+    articlesAccepted: toInt(row.Articles_Accepted),
+    articlesKept: toInt(row.Articles_Kept),
+    error: row.Error || null
+  };
+}
+
+function rowToSourceResult(row) {
+  return {
+    source: row.Source,
+    url: row.URL,
+    type: row.Type,
+    status: row.Status,
+    httpStatus: toInt(row.HTTP_Status) || null,
+    durationMs: toInt(row.Duration_Ms),
+    selector: row.Selector || null,
+    raw: toInt(row.Raw),
+    accepted: toInt(row.Accepted),
+    rejected: toInt(row.Rejected),
+    rejectReasons: parseReasons(row.Reject_Reasons),
+    error: row.Error || null,
+    startedAt: row.Started_At
+  };
+}
+
+// Stores a finished run. `sources` are the scraper's per-source diagnostics. Returns the
+// Run_ID, or null if the write failed — history must never fail the scrape itself.
+async function recordScrapeRun({ startedAt, finishedAt = new Date().toISOString(), trigger = '', sources = [], articlesKept = 0, error = '' }) {
+  const runId = newRunId(startedAt);
+  const count = status => sources.filter(s => s.status === status).length;
+  const run = {
+    Run_ID: runId,
+    Started_At: startedAt,
+    Finished_At: finishedAt,
+    Duration_Ms: new Date(finishedAt) - new Date(startedAt),
+    Trigger: trigger,
+    Sources: sources.length,
+    Succeeded: count('ok'),
+    Failed: count('error'),
+    Empty: count('empty'),
+    Articles_Raw: sources.reduce((sum, s) => sum + s.raw, 0),
+    Articles_Accepted: sources.reduce((sum, s) => sum + s.accepted, 0),
+    Articles_Kept: articlesKept,
+    Error: error,
+    Unchanged: count('unchanged')
+  };
+  const results = sources.map(s => ({
+    Run_ID: runId,
+    Source: s.source,
+    URL: s.url,
+    Type: s.type,
+    Status: s.status,
+    HTTP_Status: s.httpStatus || '',
+    Duration_Ms: s.durationMs,
+    Selector: s.selector || '',
+    Raw: s.raw,
+    Accepted: s.accepted,
+    Rejected: s.rejected,
+    Reject_Reasons: JSON.stringify(s.rejectReasons || {}),
+    Error: s.error || '',
+    Started_At: s.startedAt
+  }));
+
+  try {
+    const storage = getStorage();
+    if (results.length > 0) await storage.append('Scrape_Source_Results', results);
+    await storage.append('Scrape_Runs', run);
+    return runId;
+  } catch (e) {
+    console.warn('Scrape run history write failed (non-fatal):', e.message);
+    return null;
+  }
+}
+
+// Newest first
+async function listRuns({ limit = 20 } = {}) {
+  const rows = await getStorage().list('Scrape_Runs');
+  return rows
+    .map(rowToRun)
+    .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)))
+    .slice(0, limit);
+}
+
+async function getRun(runId) {
+  const storage = getStorage();
+  const row = await storage.find('Scrape_Runs', r => r.Run_ID === runId);
+  if (!row) return null;
+  const sources = (await storage.list('Scrape_Source_Results')).filter(r => r.Run_ID === runId).map(rowToSourceResult);
+  return { ...rowToRun(row), sourceResults: sources };
+}
+
+// Per-source health over the last `days` days, failing sources first. `timeline` is the
+// most recent statuses, oldest first; `consecutiveFailures` counts errors since the last
+// run that didn't error.
+async function sourceHealth({ days = 30 } = {}) {
+  const since = new Date(Date.now() - days * 86400000).toISOString();
+  const rows = (await getStorage().list('Scrape_Source_Results'))
+    .filter(r => String(r.Started_At) >= since)
+    .map(rowToSourceResult)
+    .sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+
+  const bySource = new Map();
+  for (const result of rows) {
+    if (!bySource.has(result.source)) bySource.set(result.source, []);
+    bySource.get(result.source).push(result);
+  }
+
+  const health = [...bySource.entries()].map(([source, results]) => {
+    const last = results[results.length - 1];
+    const counts = Object.fromEntries(SOURCE_STATUSES.map(status => [status, results.filter(r => r.status === status).length]));
+    const rejectReasons = {};
+    for (const r of results) {
+      for (const [reason, n] of Object.entries(r.rejectReasons)) rejectReasons[reason] = (rejectReasons[reason] || 0) + n;
+    }
+    let consecutiveFailures = 0;
+    for (let i = results.length - 1; i >= 0 && results[i].status === 'error'; i--) consecutiveFailures++;
+
+    return {
+      source,
+      url: last.url,
+      type: last.type,
+      runs: results.length,
+      ...counts,
+      // An unchanged page was fetched fine, it just had nothing new
+      successRate: Math.round(((counts.ok + counts.unchanged) / results.length) * 1000) / 10,
+      lastStatus: last.status,
+      lastHttpStatus: last.httpStatus,
+      lastError: last.error,
+      lastRunAt: last.startedAt,
+      lastSelector: last.selector,
+      lastOkAt: [...results].reverse().find(r => r.status === 'ok')?.startedAt || null,
+      avgDurationMs: Math.round(results.reduce((sum, r) => sum + r.durationMs, 0) / results.length),
+      articlesAccepted: results.reduce((sum, r) => sum + r.accepted, 0),
+      rejectReasons,
+      consecutiveFailures,
+      timeline: results.slice(-TIMELINE_LENGTH).map(r => ({ at: r.startedAt, status: r.status, httpStatus: r.httpStatus }))
+    };
+  });
+
+  return health.sort((a, b) => b.consecutiveFailures - a.consecutiveFailures || a.successRate - b.successRate || a.source.localeCompare(b.source));
+}
+
+module.exports = {
+  SOURCE_STATUSES,
+  recordScrapeRun,
+  listRuns,
+  getRun,
+  sourceHealth
+};
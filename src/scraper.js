@@ -2,63 +2,203 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const config = require('../config/config');
 const SheetsManager = require('../config/sheets');
+const { recordMetrics } = require('./metrics');
+const { recordScrapeRun } = require('./scrapeRuns');
+const sourceQuarantine = require('./sourceQuarantine');
+const responseCache = require('./responseCache');
+const sourceRegistry = require('./sourceRegistry');
+
+// Fields tried, in order, for each article field of a JSON source without a fieldMap entry
+const JSON_FIELDS = {
+  title: ['title', 'title.rendered', 'headline', 'name'],
+  url: ['url', 'link', 'permalink', 'href'],
+  summary: ['summary', 'excerpt', 'excerpt.rendered', 'description', 'teaser'],
+  date: ['date', 'publishedAt', 'published_at', 'published', 'pubDate', 'created']
+};
+
+// html, rss, sitemap or json — config entries may still mark feeds with `isRss`
+function sourceType(source) {
+  return source.isRss ? 'rss' : source.type || 'html';
+}
+
+// Per-source diagnostics filled in by scrapeSource / scrapeRssSource and stored by
+// ./scrapeRuns. rejectReasons counts articleRejectReason() keys.
+function sourceDiagnostics(source) {
+  return {
+    source: source.name,
+    url: source.url,
+    type: sourceType(source),
+    status: 'empty',
+    httpStatus: null,
+    durationMs: 0,
+    selector: null,
+    raw: 0,
+    accepted: 0,
+    rejected: 0,
+    rejectReasons: {},
+    error: null,
+    startedAt: new Date().toISOString()
+  };
+}
+
+function countReason(reasons, reason) {
+  reasons[reason] = (reasons[reason] || 0) + 1;
+}
+
+// "a.b.0.c" → obj.a.b[0].c, or undefined
+function valueAtPath(obj, path) {
+  return String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+// ISO string for a date string or Unix timestamp (seconds or milliseconds), or null
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  const date = /^\d{10}$/.test(text) ? new Date(Number(text) * 1000)
+    : /^\d{13}$/.test(text) ? new Date(Number(text))
+      : new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// `size` concurrency slots, handed out in the order they are asked for. acquire() resolves
+// to the slot's release function.
+function concurrencySlots(size) {
+  let free = size;
+  const waiting = [];
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next(release);
+    else free++;
+  };
+  return {
+    acquire() {
+      if (free > 0) {
+        free--;
+        return Promise.resolve(release);
+      }
+      return new Promise(resolve => waiting.push(resolve));
+    }
+  };
+}
+
+// JSON APIs often return rendered HTML (WordPress title.rendered, excerpts)
+function htmlToText(value) {
+  return value ? cheerio.load(String(value), null, false).root().text().trim() : '';
+}
 
 class EnhancedNewsScraper {
   constructor() {
     this.config = config;
     this.results = [];
     this.errors = [];
+    this.sourceResults = [];
+    this.runId = null;
+    this.skippedSources = [];
+    this.quarantine = { quarantined: [], restored: [] };
+    this.domainQueues = new Map();
+    this.pendingResponses = new Map();
     this.sheetsManager = new SheetsManager();
   }
 
-  async scrapeAllSources() {
-    console.log(`🚀 Starting enhanced scraping of ${config.sources.length} Australian transport sources...`);
-    
+  // `trigger` ('manual', 'scheduled', 'cli') is stored with the run history. Up to
+  // rateLimiting.maxConcurrentSources sources are scraped at once; `onProgress` is called
+  // with a progress snapshot as each source starts and finishes.
+  async scrapeAllSources({ trigger = 'cli', onProgress } = {}) {
     const startTime = Date.now();
-    const allArticles = [];
-    let totalProcessed = 0;
+    const startedAt = new Date(startTime).toISOString();
     let totalSuccessful = 0;
 
+    // Sources come from the editable registry (./sourceRegistry)
+    const sources = await sourceRegistry.loadScraperSources();
+    console.log(`🚀 Starting enhanced scraping of ${sources.length} Australian transport sources...`);
+
     // Filter enabled sources and sort by priority
-    const enabledSources = config.sources
+    const enabledSources = sources
       .filter(source => source.enabled !== false)
       .sort((a, b) => b.priority - a.priority);
+    const concurrency = Math.max(1, config.rateLimiting.maxConcurrentSources || 1);
 
-    console.log(`📊 Processing ${enabledSources.length} enabled sources (${config.sources.length - enabledSources.length} disabled)`);
+    console.log(`📊 Processing ${enabledSources.length} enabled sources (${sources.length - enabledSources.length} disabled), ${concurrency} at a time`);
 
-    // Process sources with rate limiting
-    for (const source of enabledSources) {
+    // Quarantined sources sit out until their next probe is due
+    const quarantined = await sourceQuarantine.getActiveQuarantines();
+    this.skippedSources = [];
+
+    // Kept in priority order (not completion order) so deduplication stays deterministic
+    const articlesBySource = enabledSources.map(() => []);
+    const progress = { total: enabledSources.length, completed: 0, running: [], skipped: 0, unchanged: 0, failed: 0, articlesFound: 0 };
+    const report = () => {
+      if (onProgress) onProgress({ ...progress, running: [...progress.running] });
+    };
+    report();
+
+    const slots = concurrencySlots(concurrency);
+    await Promise.all(enabledSources.map(async (source, index) => {
+      const label = `[${index + 1}/${enabledSources.length}]`;
+      const held = quarantined.get(source.name);
+      if (held && !sourceQuarantine.isProbeDue(held)) {
+        console.log(`⏸️ ${label} ${source.name}: quarantined (${held.reason})${held.nextProbeAt ? ` — next probe ${held.nextProbeAt}` : ''}`);
+        this.skippedSources.push(source.name);
+        progress.completed++;
+        progress.skipped++;
+        report();
+        return;
+      }
+
+      const diagnostics = sourceDiagnostics(source);
+      this.sourceResults.push(diagnostics);
+      // The domain turn comes before a slot, so sources queued behind a busy host (the NHVR
+      // pages all share one) don't hold slots that sources on other hosts could use
+      const releaseDomain = await this.domainTurn(source.url);
+      const releaseSlot = await slots.acquire();
+      diagnostics.startedAt = new Date().toISOString();
+      const sourceStart = Date.now();
+      progress.running.push(source.name);
+      report();
       try {
-        console.log(`\n🔍 [${totalProcessed + 1}/${enabledSources.length}] Processing ${source.name} (Priority: ${source.priority})`);
+        console.log(`\n${held ? '🩺' : '🔍'} ${label} ${held ? 'Probing quarantined source' : 'Processing'} ${source.name} (Priority: ${source.priority})`);
         
-        const articles = await this.scrapeSource(source);
+        // Probes skip the response cache: a 304 is `unchanged`, which never lifts a quarantine
+        const articles = await this.withSourceTimeout(signal => this.scrapeSource(source, diagnostics, { signal, cache: !held }));
+        diagnostics.durationMs = Date.now() - sourceStart;
+        diagnostics.status = diagnostics.error ? 'error'
+          : diagnostics.httpStatus === 304 ? 'unchanged'
+            : articles && articles.length > 0 ? 'ok' : 'empty';
         
         if (articles && articles.length > 0) {
-          allArticles.push(...articles);
+          articlesBySource[index] = articles;
           totalSuccessful++;
+          progress.articlesFound += articles.length;
           console.log(`✅ ${source.name}: Found ${articles.length} articles`);
+        } else if (diagnostics.status === 'unchanged') {
+          progress.unchanged++;
+          console.log(`💤 ${source.name}: Unchanged since the last scrape`);
         } else {
           console.log(`⚠️ ${source.name}: No articles found`);
         }
-
-        totalProcessed++;
-
-        // Rate limiting delay between sources
-        if (totalProcessed < enabledSources.length) {
-          console.log(`⏳ Waiting ${config.rateLimiting.delayBetweenSources/1000}s before next source...`);
-          await this.delay(config.rateLimiting.delayBetweenSources);
-        }
+        if (diagnostics.error) progress.failed++;
 
       } catch (error) {
+        diagnostics.durationMs = Date.now() - sourceStart;
+        diagnostics.status = 'error';
+        diagnostics.error = error.message;
         this.errors.push({
           source: source.name,
           error: error.message,
           url: source.url
         });
+        progress.failed++;
         console.error(`❌ ${source.name}: ${error.message}`);
-        totalProcessed++;
+      } finally {
+        releaseSlot();
+        releaseDomain();
+        progress.running = progress.running.filter(name => name !== source.name);
+        progress.completed++;
+        report();
       }
-    }
+    }));
+
+    const allArticles = articlesBySource.flat();
 
     // Process and deduplicate articles
     const processedArticles = this.processArticles(allArticles);
@@ -69,7 +209,9 @@ class EnhancedNewsScraper {
     
     console.log(`\n📈 SCRAPING COMPLETE`);
     console.log(`⏱️ Duration: ${duration} seconds`);
-    console.log(`🎯 Sources processed: ${totalProcessed}/${enabledSources.length} (${totalSuccessful} successful)`);
+    console.log(`🎯 Sources processed: ${progress.completed}/${enabledSources.length} (${totalSuccessful} successful)`);
+    if (this.skippedSources.length > 0) console.log(`⏸️ Quarantined (skipped): ${this.skippedSources.join(', ')}`);
+    if (progress.unchanged > 0) console.log(`💤 Unchanged since last scrape (304): ${progress.unchanged}`);
     console.log(`📄 Raw articles found: ${allArticles.length}`);
     console.log(`✨ Processed articles: ${processedArticles.length}`);
     console.log(`⭐ High relevance (>10): ${processedArticles.filter(a => a.relevanceScore > 10).length}`);
@@ -82,6 +224,12 @@ class EnhancedNewsScraper {
       });
     }
 
+    await recordMetrics({ scrape_runs: 1, scrape_errors: this.errors.length, articles_found: processedArticles.length });
+    this.runId = await recordScrapeRun({ startedAt, trigger, sources: this.sourceResults, articlesKept: processedArticles.length });
+    this.quarantine = await sourceQuarantine.applyRunResults(this.sourceResults);
+    const pruned = await responseCache.pruneCache();
+    if (pruned > 0) console.log(`🧹 Pruned ${pruned} stale cached responses`);
+
     // Show top articles
     console.log(`\n🏆 TOP ARTICLES BY RELEVANCE:`);
     processedArticles
@@ -94,177 +242,455 @@ class EnhancedNewsScraper {
     return processedArticles;
   }
 
-  async scrapeSource(source) {
+  // `options` as for fetchSource (`signal` cancels the requests)
+  async scrapeSource(source, diagnostics = sourceDiagnostics(source), options = {}) {
     // Route RSS sources to dedicated parser
-    if (source.isRss || source.type === 'rss') {
-      return this.scrapeRssSource(source);
+    if (sourceType(source) === 'rss') {
+      return this.scrapeRssSource(source, diagnostics, options);
+    }
+    if (['sitemap', 'json'].includes(sourceType(source))) {
+      return this.scrapeStructuredSource(source, diagnostics, options);
     }
 
-    const articles = [];
-    
     try {
       console.log(`   🌐 Fetching ${source.url}...`);
       
-      // Request with enhanced headers and error handling
-      const response = await axios.get(source.url, {
-        headers: {
-          'User-Agent': config.scraping.userAgent,
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-AU,en-US;q=0.9,en;q=0.8',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'Cache-Control': 'no-cache',
-          'Pragma': 'no-cache',
-          'Upgrade-Insecure-Requests': '1'
-        },
-        timeout: config.scraping.timeout,
-        maxRedirects: 5,
-        validateStatus: (status) => status < 400
-      });
+      const response = await this.fetchSource(source.url, this.requestHeaders(source), diagnostics, options);
 
+      if (!response) {
+        console.log(`   💤 Not modified since the last scrape — skipping parse`);
+        return [];
+      }
       console.log(`   ✅ Response received (${response.status}) - ${response.data.length} chars`);
 
-      const $ = cheerio.load(response.data);
+      return this.parseHtml(response.data, source, diagnostics);
+
+    } catch (error) {
+      if (error.response) diagnostics.httpStatus = error.response.status;
+      throw this.fetchError(error);
+    }
+  }
+
+  // A readable error for a failed request
+  fetchError(error) {
+    if (error.code === 'ECONNABORTED') {
+      return new Error(`Timeout after ${config.scraping.timeout}ms`);
+    } else if (error.response) {
+      return new Error(`HTTP ${error.response.status}: ${error.response.statusText}`);
+    } else if (error.code === 'ENOTFOUND') {
+      return new Error('Domain not found - check URL');
+    } else {
+      return new Error(`Network error: ${error.message}`);
+    }
+  }
+
+  // Request headers for a source's page, feed or listing
+  requestHeaders(source) {
+    const type = sourceType(source);
+    if (type === 'rss') {
+      return {
+        'User-Agent': config.scraping.userAgent,
+        'Accept': 'application/rss+xml, application/xml, text/xml, */*'
+      };
+    }
+    if (type === 'sitemap') {
+      return { 'User-Agent': config.scraping.userAgent, 'Accept': 'application/xml, text/xml, */*' };
+    }
+    if (type === 'json') {
+      return { 'User-Agent': config.scraping.userAgent, 'Accept': 'application/json, */*' };
+    }
+    return {
+      'User-Agent': config.scraping.userAgent,
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-AU,en-US;q=0.9,en;q=0.8',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Upgrade-Insecure-Requests': '1'
+    };
+  }
+
+  // Extracts articles from a fetched page. `trace`, if given, collects every selector tried
+  // and every item extracted with its validation outcome (the selector sandbox, ./sourceSandbox).
+  parseHtml(html, source, diagnostics = sourceDiagnostics(source), trace = null) {
+    const articles = [];
+    const $ = cheerio.load(html);
       
-      // Try multiple selector strategies
-      const selectors = [
-        source.selector,
-        'article',
-        '.post',
-        '.news-item',
-        '.entry',
-        '.story',
-        'h2 a, h3 a',
-        '.title a',
-        '[href*="/news/"]',
-        '[href*="/article/"]'
-      ].filter(Boolean);
-
-      let elementsFound = false;
-
-      for (const selector of selectors) {
-        const elements = $(selector);
-        console.log(`   🔎 Testing selector "${selector}": ${elements.length} elements`);
+    // Try multiple selector strategies
+    const selectors = [
+      source.selector,
+      'article',
+      '.post',
+      '.news-item',
+      '.entry',
+      '.story',
+      'h2 a, h3 a',
+      '.title a',
+      '[href*="/news/"]',
+      '[href*="/article/"]'
+    ].filter(Boolean);
+
+    let elementsFound = false;
+    const attempts = [];
+
+    for (const selector of selectors) {
+      const elements = $(selector);
+      console.log(`   🔎 Testing selector "${selector}": ${elements.length} elements`);
+      if (trace) trace.selectors.push({ selector, elements: elements.length });
         
-        if (elements.length > 0) {
-          let articleCount = 0;
+      if (elements.length > 0) {
+        let articleCount = 0;
+        const attempt = { selector, raw: 0, rejectReasons: {} };
+        attempts.push(attempt);
           
-          elements.each((i, element) => {
-            if (articleCount >= config.scraping.maxArticlesPerSource) {
-              return false; // Break out of each loop
-            }
+        elements.each((i, element) => {
+          if (articleCount >= config.scraping.maxArticlesPerSource) {
+            return false; // Break out of each loop
+          }
             
-            const $el = $(element);
-            const extractedData = this.extractArticleData($el, source, $);
+          const $el = $(element);
+          const extractedData = this.extractArticleData($el, source, $);
+          attempt.raw++;
             
-            if (this.validateArticleData(extractedData, source)) {
-              articles.push(extractedData);
-              articleCount++;
-            }
-          });
-          
-          if (articles.length > 0) {
-            elementsFound = true;
-            break; // Found articles, no need to try other selectors
+          const reason = this.articleRejectReason(extractedData, source);
+          if (trace) trace.items.push({ selector, ...extractedData, valid: !reason, rejectReason: reason });
+          if (reason) {
+            countReason(attempt.rejectReasons, reason);
+          } else {
+            articles.push(extractedData);
+            articleCount++;
           }
+        });
+          
+        if (articles.length > 0) {
+          elementsFound = true;
+          break; // Found articles, no need to try other selectors
         }
       }
+    }
 
-      if (!elementsFound) {
-        console.log(`   ❌ No valid articles found with any selector`);
-        this.logPageStructure($, source.name);
-      }
+    // Counts from the selector that matched; if none did, from every selector tried
+    const counted = elementsFound ? attempts.slice(-1) : attempts;
+    diagnostics.selector = elementsFound ? attempts[attempts.length - 1].selector : null;
+    diagnostics.raw = counted.reduce((sum, a) => sum + a.raw, 0);
+    diagnostics.accepted = articles.length;
+    diagnostics.rejected = diagnostics.raw - articles.length;
+    for (const attempt of counted) {
+      for (const [reason, n] of Object.entries(attempt.rejectReasons)) diagnostics.rejectReasons[reason] = (diagnostics.rejectReasons[reason] || 0) + n;
+    }
+
+    if (!elementsFound) {
+      console.log(`   ❌ No valid articles found with any selector`);
+      this.logPageStructure($, source.name);
+    }
+
+    return articles;
+  }
+
+  async scrapeRssSource(source, diagnostics = sourceDiagnostics(source), options = {}) {
+    try {
+      console.log(`   📡 Fetching RSS: ${source.url}...`);
+      const response = await this.fetchSource(source.url, this.requestHeaders(source), diagnostics, options);
 
+      if (!response) {
+        console.log(`   💤 Feed not modified since the last scrape — skipping parse`);
+        return [];
+      }
+      const articles = this.parseRss(response.data, source, diagnostics);
+      console.log(`   ✅ RSS parsed: ${articles.length} articles from ${source.name}`);
       return articles;
 
     } catch (error) {
-      if (error.code === 'ECONNABORTED') {
-        throw new Error(`Timeout after ${config.scraping.timeout}ms`);
-      } else if (error.response) {
-        throw new Error(`HTTP ${error.response.status}: ${error.response.statusText}`);
-      } else if (error.code === 'ENOTFOUND') {
-        throw new Error('Domain not found - check URL');
-      } else {
-        throw new Error(`Network error: ${error.message}`);
-      }
+      console.error(`   ❌ RSS error for ${source.name}: ${error.message}`);
+      if (error.response) diagnostics.httpStatus = error.response.status;
+      diagnostics.error = error.message;
+      return [];
     }
   }
 
-
-  async scrapeRssSource(source) {
+  // Extracts articles from a fetched feed; `trace` as for parseHtml
+  parseRss(xml, source, diagnostics = sourceDiagnostics(source), trace = null) {
     const articles = [];
-    try {
-      console.log(`   📡 Fetching RSS: ${source.url}...`);
-      const response = await axios.get(source.url, {
-        headers: { 'User-Agent': config.scraping.userAgent, 'Accept': 'application/rss+xml, application/xml, text/xml, */*' },
-        timeout: config.scraping.timeout
-      });
+    diagnostics.selector = 'item';
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const items = $('item');
+    console.log(`   ✅ RSS response — ${items.length} items found`);
+    if (trace) trace.selectors.push({ selector: 'item', elements: items.length });
+    const reject = (item, reason) => {
+      countReason(diagnostics.rejectReasons, reason);
+      if (trace) trace.items.push({ selector: 'item', ...item, valid: false, rejectReason: reason });
+    };
 
-      const $ = cheerio.load(response.data, { xmlMode: true });
-      const items = $('item');
-      console.log(`   ✅ RSS response — ${items.length} items found`);
-
-      items.each((i, el) => {
-        if (articles.length >= config.scraping.maxArticlesPerSource) return false;
-        const $el = $(el);
-
-        const title = $el.find('title').first().text().trim()
-          .replace('<![CDATA[', '').replace(']]>', '');
-        const link = $el.find('link').first().text().trim() ||
-          $el.find('link').first().attr('href');
-        const summary = $el.find('description').first().text().trim()
-          .replace(/<[^>]+>/g, '')  // strip HTML tags from description
-          .replace('<![CDATA[', '').replace(']]>', '')
-          .substring(0, 500);
-
-        if (!title || !link) return;
-
-        // Apply requireKeywords filter if configured
-        if (source.requireKeywords && source.requireKeywords.length > 0) {
-          const text = (title + ' ' + summary).toLowerCase();
-          const hasKeyword = source.requireKeywords.some(k => text.includes(k.toLowerCase()));
-          if (!hasKeyword) {
-            console.log(`   ⏭️ Skipped (no compliance keywords): ${title.substring(0, 50)}`);
-            return; // skip this item
-          }
-        }
+    items.each((i, el) => {
+      if (articles.length >= config.scraping.maxArticlesPerSource) return false;
+      const $el = $(el);
+      diagnostics.raw++;
+
+      const title = $el.find('title').first().text().trim()
+        .replace('<![CDATA[', '').replace(']]>', '');
+      const link = $el.find('link').first().text().trim() ||
+        $el.find('link').first().attr('href');
+      const summary = $el.find('description').first().text().trim()
+        .replace(/<[^>]+>/g, '')  // strip HTML tags from description
+        .replace('<![CDATA[', '').replace(']]>', '')
+        .substring(0, 500);
+
+      if (!title || !link) {
+        reject({ title, url: link || null, summary }, 'missing_fields');
+        return;
+      }
 
-        // Apply excludeKeywords filter if configured
-        if (source.excludeKeywords && source.excludeKeywords.length > 0) {
-          const text = (title + ' ' + summary).toLowerCase();
-          const matchedExclude = source.excludeKeywords.find(k => text.includes(k.toLowerCase()));
-          if (matchedExclude) {
-            console.log(`   ⏭️ Skipped (excluded keyword "${matchedExclude}"): ${title.substring(0, 50)}`);
-            return; // skip this item
-          }
+      // Apply requireKeywords filter if configured
+      if (source.requireKeywords && source.requireKeywords.length > 0) {
+        const text = (title + ' ' + summary).toLowerCase();
+        const hasKeyword = source.requireKeywords.some(k => text.includes(k.toLowerCase()));
+        if (!hasKeyword) {
+          console.log(`   ⏭️ Skipped (no compliance keywords): ${title.substring(0, 50)}`);
+          reject({ title, url: link, summary }, 'no_required_keyword');
+          return; // skip this item
         }
+      }
 
-        // Extract publish date from RSS <pubDate>
-        const pubDateRaw = $el.find('pubDate').first().text().trim();
-        const pubDate = pubDateRaw ? new Date(pubDateRaw) : new Date();
-        const publishedAt = (!isNaN(pubDate.getTime())) ? pubDate.toISOString() : null;
+      // Apply excludeKeywords filter if configured
+      if (source.excludeKeywords && source.excludeKeywords.length > 0) {
+        const text = (title + ' ' + summary).toLowerCase();
+        const matchedExclude = source.excludeKeywords.find(k => text.includes(k.toLowerCase()));
+        if (matchedExclude) {
+          console.log(`   ⏭️ Skipped (excluded keyword "${matchedExclude}"): ${title.substring(0, 50)}`);
+          reject({ title, url: link, summary }, 'excluded_keyword');
+          return; // skip this item
+        }
+      }
 
-        const relevanceScore = this.calculateRelevanceScore(title, summary, source);
-        articles.push({
-          source: source.name,
-          title: this.cleanText(title),
-          url: link,
-          summary: this.cleanText(summary),
-          category: source.category || 'industry',
-          priority: source.priority,
-          relevanceScore,
-          publishedDate: pubDate,
-          publishedAt,              // ISO string for template rendering
-          scrapedAt: new Date()
-        });
-      });
+      // Extract publish date from RSS <pubDate>
+      const pubDateRaw = $el.find('pubDate').first().text().trim();
+      const pubDate = pubDateRaw ? new Date(pubDateRaw) : new Date();
+      const publishedAt = (!isNaN(pubDate.getTime())) ? pubDate.toISOString() : null;
+
+      const relevanceScore = this.calculateRelevanceScore(title, summary, source);
+      const article = {
+        source: source.name,
+        title: this.cleanText(title),
+        url: link,
+        summary: this.cleanText(summary),
+        category: source.category || 'industry',
+        priority: source.priority,
+        relevanceScore,
+        publishedDate: pubDate,
+        publishedAt,              // ISO string for template rendering
+        scrapedAt: new Date()
+      };
+      articles.push(article);
+      if (trace) trace.items.push({ selector: 'item', ...article, valid: true, rejectReason: null });
+    });
 
-      console.log(`   ✅ RSS parsed: ${articles.length} articles from ${source.name}`);
-      return articles;
+    diagnostics.accepted = articles.length;
+    diagnostics.rejected = diagnostics.raw - articles.length;
+    return articles;
+  }
 
+  // Sitemap and JSON sources list their articles as structured data — for sites whose
+  // listing pages are rendered by JavaScript and have no anchors to find
+  async scrapeStructuredSource(source, diagnostics = sourceDiagnostics(source), options = {}) {
+    console.log(`   🗂️ Fetching ${sourceType(source)} listing: ${source.url}...`);
+    let body;
+    try {
+      body = await this.fetchListing(source, diagnostics, options);
     } catch (error) {
-      console.error(`   ❌ RSS error for ${source.name}: ${error.message}`);
+      if (error.response) diagnostics.httpStatus = error.response.status;
+      throw this.fetchError(error);
+    }
+    if (body === null) {
+      console.log(`   💤 Not modified since the last scrape — skipping parse`);
       return [];
     }
+    return this.parseListing(body, source, diagnostics);
+  }
+
+  // The body to parse for any source type, or null if it is unchanged (304). A sitemap
+  // index is resolved to its most recently modified child sitemaps, concatenated.
+  // `options` as for fetchSource.
+  async fetchListing(source, diagnostics = sourceDiagnostics(source), options = {}) {
+    const response = await this.fetchSource(source.url, this.requestHeaders(source), diagnostics, options);
+    if (!response) return null;
+    const body = String(response.data);
+    if (sourceType(source) !== 'sitemap') return body;
+
+    const $ = cheerio.load(body, { xmlMode: true });
+    if ($('sitemapindex').length === 0) return body;
+    const { maxChildSitemaps } = { maxChildSitemaps: 3, ...config.scraping.sitemap };
+    // Newest lastmod first; without lastmods, later-listed sitemaps are usually newer
+    const children = $('sitemap').map((i, el) => ({
+      loc: $(el).children('loc').text().trim(),
+      lastmod: parseDate($(el).children('lastmod').text()) || ''
+    })).get()
+      .filter(child => child.loc)
+      .reverse()
+      .sort((a, b) => b.lastmod.localeCompare(a.lastmod))
+      .slice(0, maxChildSitemaps);
+    console.log(`   🗺️ Sitemap index — reading the ${children.length} most recent child sitemap(s)`);
+
+    const bodies = [];
+    for (const child of children) {
+      const childResponse = await this.fetchSource(this.makeAbsoluteUrl(child.loc, source.url), this.requestHeaders(source), {}, { ...options, cache: false });
+      bodies.push(String(childResponse.data));
+    }
+    return bodies.join('\n');
+  }
+
+  // Parses a fetched body with the parser for the source's type; `trace` as for parseHtml.
+  // `now` is when the body was fetched — fixture replays pass the recording time.
+  parseListing(body, source, diagnostics = sourceDiagnostics(source), trace = null, now = new Date()) {
+    switch (sourceType(source)) {
+      case 'rss': return this.parseRss(body, source, diagnostics, trace);
+      case 'sitemap': return this.parseSitemap(body, source, diagnostics, trace, now);
+      case 'json': return this.parseJson(body, source, diagnostics, trace);
+      default: return this.parseHtml(body, source, diagnostics, trace);
+    }
+  }
+
+  // Article URLs from an XML sitemap or Google News sitemap, newest first. URLs not matching
+  // the source's `urlPattern`, or last modified (news: published) more than `maxAgeDays` ago,
+  // are dropped before counting. Plain sitemaps carry no titles, so the URL slug is used.
+  // The age is counted back from `now`.
+  parseSitemap(xml, source, diagnostics = sourceDiagnostics(source), trace = null, now = new Date()) {
+    const maxAgeDays = source.maxAgeDays || { maxAgeDays: 14, ...config.scraping.sitemap }.maxAgeDays;
+    const cutoff = new Date(new Date(now).getTime() - maxAgeDays * 86400000).toISOString();
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const entries = $('url').map((i, el) => {
+      const $el = $(el);
+      return {
+        url: $el.children('loc').text().trim(),
+        title: $el.find('news\\:title').first().text().trim(),
+        summary: '',
+        publishedAt: parseDate($el.find('news\\:publication_date').first().text()) || parseDate($el.children('lastmod').text())
+      };
+    }).get();
+
+    const candidates = entries
+      .filter(entry => entry.url && (!source.urlPattern || source.urlPattern.test(entry.url)))
+      .filter(entry => !entry.publishedAt || entry.publishedAt >= cutoff)
+      .sort((a, b) => String(b.publishedAt || '').localeCompare(String(a.publishedAt || '')))
+      .map(entry => ({ ...entry, title: entry.title || this.titleFromUrl(entry.url) }));
+    const filter = `within ${maxAgeDays} days${source.urlPattern ? `, matching ${source.urlPattern}` : ''}`;
+    console.log(`   🗺️ Sitemap: ${entries.length} URLs, ${candidates.length} ${filter}`);
+    if (trace) trace.selectors.push({ selector: 'url', elements: entries.length }, { selector: filter, elements: candidates.length });
+    return this.collectStructured(candidates, source, diagnostics, trace, 'url');
+  }
+
+  // Articles from a JSON endpoint, e.g. a WordPress REST API. `itemsPath` is the dot path to
+  // the list of items (none for a top-level list); `fieldMap` maps title / url / summary /
+  // date to dot paths within an item, otherwise the usual field names are tried (JSON_FIELDS).
+  parseJson(body, source, diagnostics = sourceDiagnostics(source), trace = null) {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (e) {
+      throw new Error(`Invalid JSON: ${e.message}`);
+    }
+    const items = source.itemsPath ? valueAtPath(data, source.itemsPath) : data;
+    const selector = source.itemsPath || '(top level)';
+    if (!Array.isArray(items)) throw new Error(`No list of items at ${selector}`);
+    console.log(`   🗂️ JSON: ${items.length} items at ${selector}`);
+    if (trace) trace.selectors.push({ selector, elements: items.length });
+
+    const field = (item, name) => {
+      const paths = source.fieldMap?.[name] ? [source.fieldMap[name]] : JSON_FIELDS[name];
+      for (const path of paths) {
+        const value = valueAtPath(item, path);
+        if (value !== undefined && value !== null && value !== '' && typeof value !== 'object') return String(value);
+      }
+      return '';
+    };
+    const candidates = items
+      .filter(item => item && typeof item === 'object')
+      .map(item => ({
+        title: htmlToText(field(item, 'title')),
+        url: this.makeAbsoluteUrl(field(item, 'url'), source.url),
+        summary: htmlToText(field(item, 'summary')).substring(0, 500),
+        publishedAt: parseDate(field(item, 'date'))
+      }));
+    return this.collectStructured(candidates, source, diagnostics, trace, selector);
+  }
+
+  // Validates sitemap / JSON items the way scraped ones are, including requireKeywords
+  collectStructured(candidates, source, diagnostics, trace, selector) {
+    const articles = [];
+    diagnostics.selector = selector;
+    for (const candidate of candidates) {
+      if (articles.length >= config.scraping.maxArticlesPerSource) break;
+      diagnostics.raw++;
+      const article = {
+        source: source.name,
+        title: this.cleanText(candidate.title),
+        url: candidate.url,
+        summary: this.cleanText(candidate.summary),
+        category: source.category || 'industry',
+        priority: source.priority,
+        relevanceScore: this.calculateRelevanceScore(candidate.title || '', candidate.summary || '', source),
+        publishedDate: candidate.publishedAt ? new Date(candidate.publishedAt) : new Date(),
+        publishedAt: candidate.publishedAt,
+        scrapedAt: new Date()
+      };
+      const text = `${article.title} ${article.summary}`.toLowerCase();
+      const reason = source.requireKeywords?.length > 0 && !source.requireKeywords.some(k => text.includes(k.toLowerCase()))
+        ? 'no_required_keyword'
+        : this.articleRejectReason(article, source);
+      if (trace) trace.items.push({ selector, ...article, valid: !reason, rejectReason: reason });
+      if (reason) {
+        countReason(diagnostics.rejectReasons, reason);
+      } else {
+        articles.push(article);
+      }
+    }
+    diagnostics.accepted = articles.length;
+    diagnostics.rejected = diagnostics.raw - articles.length;
+    return articles;
+  }
+
+  // ".../news/2026/10/heavy-vehicle-rules-change.html" → "Heavy vehicle rules change"
+  titleFromUrl(url) {
+    try {
+      const slug = new URL(url).pathname.split('/').filter(Boolean).pop() || '';
+      const words = decodeURIComponent(slug).replace(/\.[a-z0-9]+$/i, '').replace(/[-_+]+/g, ' ').trim();
+      return words.charAt(0).toUpperCase() + words.slice(1);
+    } catch (e) {
+      return '';
+    }
+  }
+
+  // GETs a source page or feed — conditionally when there is a cached copy (./responseCache).
+  // Returns the axios response, or null for 304 Not Modified (nothing new to parse).
+  // A 200 is only held in pendingResponses: commitResponseCache() stores it once the run's
+  // articles are saved, so a run that fails before saving fetches the page in full next time.
+  // `cache: false` neither reads nor writes the cache; an aborted `signal` cancels the request.
+  async fetchSource(url, headers, diagnostics, { cache = true, signal } = {}) {
+    const cached = cache ? await responseCache.getCachedResponse(url) : null;
+    const response = await axios.get(url, {
+      headers: { ...headers, ...responseCache.conditionalHeaders(cached) },
+      timeout: config.scraping.timeout,
+      maxRedirects: 5,
+      responseType: 'text', // JSON sources are parsed (and cached) as text like any other
+      validateStatus: (status) => status < 400,
+      signal
+    });
+    // Aborted while the response was being read: nothing from it may be recorded
+    if (signal?.aborted) throw new Error('Request aborted');
+
+    diagnostics.httpStatus = response.status;
+    if (response.status === 304) {
+      if (cached) await responseCache.markNotModified(cached, response);
+      return null;
+    }
+    if (cache) this.pendingResponses.set(url, response);
+    return response;
+  }
+
+  // Stores the responses fetched by this scraper in the response cache. Call it once the
+  // articles parsed from them are saved.
+  async commitResponseCache() {
+    for (const [url, response] of this.pendingResponses) {
+      await responseCache.storeResponse(url, response);
+    }
+    this.pendingResponses.clear();
   }
 
   extractArticleData($el, source, $) {
@@ -380,12 +806,18 @@ class EnhancedNewsScraper {
   }
 
   validateArticleData(article, source) {
+    return !this.articleRejectReason(article, source);
+  }
+
+  // Why an extracted article is rejected — a short key recorded in the run
+  // diagnostics — or null if it is accepted
+  articleRejectReason(article, source) {
     // Check excludeTitlePatterns if configured on source
     if (source.excludeTitlePatterns && article.title) {
       const excluded = source.excludeTitlePatterns.some(p => p.test(article.title));
       if (excluded) {
         console.log(`   ⏭️ Excluded by title pattern: ${article.title.substring(0, 50)}`);
-        return false;
+        return 'title_pattern';
       }
     }
 
@@ -395,26 +827,26 @@ class EnhancedNewsScraper {
       const matchedExclude = source.excludeKeywords.find(k => text.includes(k.toLowerCase()));
       if (matchedExclude) {
         console.log(`   ⏭️ Skipped (excluded keyword "${matchedExclude}"): ${article.title.substring(0, 50)}`);
-        return false;
+        return 'excluded_keyword';
       }
     }
     const filters = config.contentFilters;
     
     // Basic required fields
     if (!article.title || !article.url) {
-      return false;
+      return 'missing_fields';
     }
 
     // Title length validation
     if (article.title.length < filters.minTitleLength || 
         article.title.length > filters.maxTitleLength) {
-      return false;
+      return 'title_length';
     }
 
     // URL domain validation
-    if (!this.isAllowedDomain(article.url)) {
+    if (!this.isAllowedDomain(article.url, source)) {
       console.warn(`   ⚠️ Rejected URL from unauthorized domain: ${article.url}`);
-      return false;
+      return 'domain';
     }
 
     // Content exclusion patterns
@@ -422,22 +854,26 @@ class EnhancedNewsScraper {
     for (const pattern of filters.excludePatterns) {
       if (pattern.test(fullText)) {
         console.log(`   🚫 Excluded by pattern ${pattern}: ${article.title.substring(0, 50)}...`);
-        return false;
+        return 'exclude_pattern';
       }
     }
 
     // Minimum relevance threshold
     if (article.relevanceScore < 3) {
       console.log(`   📊 Low relevance (${article.relevanceScore}): ${article.title.substring(0, 50)}...`);
-      return false;
+      return 'low_relevance';
     }
 
-    return true;
+    return null;
   }
 
-  isAllowedDomain(url) {
+  // Articles must link to an allowed domain or to the source's own site, so sources
+  // added through the registry don't also need a config change
+  isAllowedDomain(url, source) {
     try {
       const urlObj = new URL(url);
+      const ownDomain = source ? new URL(source.url).hostname.replace(/^www\./, '') : null;
+      if (ownDomain && urlObj.hostname.includes(ownDomain)) return true;
       return config.allowedDomains.some(domain => 
         urlObj.hostname.includes(domain)
       );
@@ -600,6 +1036,46 @@ class EnhancedNewsScraper {
   async delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
+
+  // Per-domain politeness: sources on the same host are fetched one after another with
+  // rateLimiting.delayBetweenRequests between them. Resolves to a release function once it
+  // is this source's turn; call it when the source is done.
+  async domainTurn(url) {
+    let host = url;
+    try { host = new URL(url).hostname; } catch (e) { /* unparseable URL: queue on its own */ }
+    const previous = this.domainQueues.get(host) || Promise.resolve();
+    let release;
+    const done = new Promise(resolve => { release = resolve; });
+    const turn = previous.then(() => done).then(() => this.delay(config.rateLimiting.delayBetweenRequests || 0));
+    this.domainQueues.set(host, turn);
+    await previous;
+    return release;
+  }
+
+  // Caps the whole source (fetch, retries and parsing) at scraping.sourceTimeout. `run`
+  // gets an AbortSignal that is aborted at the limit, and the timeout error is only thrown
+  // once the aborted work has settled — so the source's domain turn isn't released while
+  // its request is still open, and nothing it does lands after the error is recorded.
+  async withSourceTimeout(run) {
+    const limit = config.scraping.sourceTimeout;
+    const controller = new AbortController();
+    const work = run(controller.signal);
+    if (!limit) return work;
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(true), limit);
+    });
+    try {
+      const timedOut = await Promise.race([work.then(() => false, () => false), timeout]);
+      if (!timedOut) return await work;
+      const error = new Error(`Source timed out after ${limit}ms`);
+      controller.abort(error);
+      await work.catch(() => {});
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
 }
 
 // Main execution function
@@ -618,10 +1094,11 @@ async function runEnhancedScrapeAndSave() {
     
     // Run enhanced scraping
     console.log('\n📡 Starting enhanced multi-source scraping...');
-    const articles = await scraper.scrapeAllSources();
+    const articles = await scraper.scrapeAllSources({ trigger: 'cli' });
     
     if (articles.length === 0) {
       console.log('⚠️ No articles found. Check source configurations and network connectivity.');
+      await scraper.commitResponseCache();
       return;
     }
     
@@ -647,10 +1124,11 @@ async function runEnhancedScrapeAndSave() {
     // Save only the truly new articles
     console.log('\n💾 Saving new articles to database...');
     const finalSavedArticles = await sheetsManager.saveArticles(savedArticles);
+    await scraper.commitResponseCache();
     
     // Final summary
     console.log(`\n🎉 ENHANCED SCRAPING COMPLETE`);
-    console.log(`📊 Sources processed: ${config.sources.filter(s => s.enabled !== false).length}`);
+    console.log(`📊 Sources processed: ${scraper.sourceResults.length}`);
     console.log(`📄 Total articles scraped: ${articles.length}`);
     console.log(`💾 New articles saved: ${finalSavedArticles.length}`);
     console.log(`🔄 Duplicates skipped: ${skippedCount}`);
@@ -696,23 +1174,45 @@ async function runEnhancedScrapeAndSave() {
   }
 }
 
+// Progress of the current (or last) scrape started through scrapeAllSources() below, for
+// GET /api/scrape/progress. Only one such scrape runs at a time.
+let scrapeProgress = null;
+
+function getScrapeProgress() {
+  return scrapeProgress;
+}
+
 // Railway compatibility wrapper function
-async function scrapeAllSources() {
+async function scrapeAllSources({ trigger = 'manual' } = {}) {
+  if (scrapeProgress?.status === 'running') {
+    throw Object.assign(new Error(`A ${scrapeProgress.trigger} scrape is already running`), { status: 409 });
+  }
   console.log('🔄 Railway scraper wrapper called');
+  const scraper = new EnhancedNewsScraper();
+  const startedAt = new Date().toISOString();
+  const progress = scrapeProgress = { status: 'running', trigger, startedAt, finishedAt: null, total: 0, completed: 0, running: [], skipped: 0, unchanged: 0, failed: 0, articlesFound: 0 };
   
   try {
-    const scraper = new EnhancedNewsScraper();
-    const articles = await scraper.scrapeAllSources();
+    const articles = await scraper.scrapeAllSources({ trigger, onProgress: snapshot => Object.assign(progress, snapshot) });
+    Object.assign(progress, { status: 'completed', finishedAt: new Date().toISOString(), articlesKept: articles.length, runId: scraper.runId });
     
     return {
       success: true,
       articles: articles,
       count: articles.length,
       timestamp: new Date().toISOString(),
-      errors: scraper.errors
+      errors: scraper.errors,
+      runId: scraper.runId,
+      sources: scraper.sourceResults,
+      quarantine: { skipped: scraper.skippedSources, ...scraper.quarantine },
+      // Call once the articles are saved (EnhancedNewsScraper.commitResponseCache)
+      commitResponseCache: () => scraper.commitResponseCache()
     };
   } catch (error) {
     console.error('❌ Scraper wrapper error:', error);
+    Object.assign(progress, { status: 'failed', finishedAt: new Date().toISOString(), error: error.message });
+    // Keep a record of runs that died before the scraper could store their history
+    if (!scraper.runId) await recordScrapeRun({ startedAt, trigger, sources: scraper.sourceResults, error: error.message });
     throw error;
   }
 }
@@ -732,5 +1232,8 @@ if (require.main === module) {
 module.exports = { 
   EnhancedNewsScraper, 
   runEnhancedScrapeAndSave,
-  scrapeAllSources  // <-- This is what index.js needs
+  scrapeAllSources,  // <-- This is what index.js needs
+  getScrapeProgress,
+  sourceDiagnostics,
+  sourceType
 };
@@ -0,0 +1,74 @@
+// Send ledger — which recipients have received which issue.
+//
+// One Send_Ledger row is appended per delivery attempt outcome; the latest row for an
+// (Issue_ID, email) pair wins. EmailSender.sendBulkEmails consults it before sending,
+// so re-running a send for the same issue (scheduler retry, a second click on Send,
+// resuming a partial send) only delivers to recipients who haven't had it yet.
+// Single test sends are never recorded.
+const { getStorage } = require('./storage');
+
+function recipientKey(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function rowToEntry(row) {
+  return {
+    email: row.Email,
+    subscriberId: row.Subscriber_ID || '',
+    status: row.Status,
+    message_id: row.Message_ID,
+    attempts: parseInt(row.Attempts) || 0,
+    error: row.Error,
+    job_id: row.Job_ID,
+    updated_at: row.Updated_At
+  };
+}
+
+function summarise(recipients) {
+  const list = Object.values(recipients);
+  return {
+    sent: list.filter(r => r.status === 'sent').length,
+    failed: list.filter(r => r.status === 'failed').length
+  };
+}
+
+// Latest entry per recipient for one issue, plus sent/failed counts
+async function getIssueLedger(issueId) {
+  const rows = await getStorage().list('Send_Ledger');
+  const recipients = {};
+  for (const row of rows) {
+    if (row.Issue_ID === issueId) recipients[recipientKey(row.Email)] = rowToEntry(row);
+  }
+  return { issueId, ...summarise(recipients), recipients };
+}
+
+// { issueId: { sent, failed } } for every issue in the ledger
+async function summariseIssues() {
+  const rows = await getStorage().list('Send_Ledger');
+  const byIssue = {};
+  for (const row of rows) {
+    if (!byIssue[row.Issue_ID]) byIssue[row.Issue_ID] = {};
+    byIssue[row.Issue_ID][recipientKey(row.Email)] = { status: row.Status };
+  }
+  return Object.fromEntries(Object.entries(byIssue).map(([id, recipients]) => [id, summarise(recipients)]));
+}
+
+function ledgerRow(issueId, { email, subscriberId = '', segment = '', status, messageId = '', attempts = 0, error = '', jobId = '' }) {
+  return {
+    Issue_ID: issueId, Email: email, Subscriber_ID: subscriberId, Segment: segment, Status: status,
+    Message_ID: messageId, Attempts: attempts, Error: error, Job_ID: jobId, Updated_At: new Date().toISOString()
+  };
+}
+
+async function recordDeliveries(rows) {
+  if (rows.length === 0) return 0;
+  return getStorage().append('Send_Ledger', rows);
+}
+
+module.exports = {
+  recipientKey,
+  getIssueLedger,
+  summariseIssues,
+  ledgerRow,
+  recordDeliveries
+};
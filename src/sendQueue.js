@@ -0,0 +1,88 @@
+// Bulk send primitives: token-bucket rate limiting, bounded concurrency and
+// retry with exponential backoff. Used by EmailSender.sendBulkEmails.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Classic token bucket — `ratePerSec` tokens refill continuously up to `burst`
+class TokenBucket {
+  constructor(ratePerSec, burst = ratePerSec) {
+    this.rate = Math.max(ratePerSec, 0.1);
+    this.capacity = Math.max(burst, 1);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.pending = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+    this.lastRefill = now;
+  }
+
+  // Resolves once a token is available. Callers are served in arrival order.
+  take() {
+    this.pending = this.pending.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        await sleep(Math.ceil(((1 - this.tokens) / this.rate) * 1000));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    return this.pending;
+  }
+}
+
+// Connection failures and timeouts (Node/axios codes, plus nodemailer's ECONNECTION/ESOCKET)
+const RETRYABLE_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT',
+  'EPIPE', 'EAI_AGAIN', 'ECONNECTION', 'ESOCKET'
+];
+
+// 429 and 5xx responses plus network failures are worth retrying; other 4xx are not, and
+// neither is an error with no status or network code (bad config, a bug) — it would fail again
+function isRetryable(error) {
+  const status = error.status || error.response?.status;
+  if (status === 429) return true;
+  if (status >= 500) return true;
+  if (status) return false;
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+function backoffDelay(attempt, { baseDelayMs = 1000, maxDelayMs = 30000 } = {}, retryAfterMs = 0) {
+  const exp = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  const jitter = Math.random() * exp * 0.25;
+  return Math.max(retryAfterMs, Math.round(exp + jitter));
+}
+
+async function withRetry(fn, { maxRetries = 4, baseDelayMs = 1000, maxDelayMs = 30000, onRetry } = {}) {
+  let attempt = 0;
+  for (;;) {
+    attempt++;
+    try {
+      return { result: await fn(attempt), attempts: attempt };
+    } catch (error) {
+      if (attempt > maxRetries || !isRetryable(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+      const delay = backoffDelay(attempt, { baseDelayMs, maxDelayMs }, error.retryAfterMs || 0);
+      if (onRetry) onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+// Runs `worker(item, index)` over items with at most `concurrency` in flight
+async function runWithConcurrency(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
+module.exports = { TokenBucket, isRetryable, backoffDelay, withRetry, runWithConcurrency, sleep };
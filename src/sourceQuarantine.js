@@ -0,0 +1,239 @@
+// Automatic source quarantine — takes broken sources out of the scrape rotation and puts
+// them back when they recover, instead of someone setting `enabled: false` in config.
+//
+// After each run (EnhancedNewsScraper.scrapeAllSources) the source's recent results in
+// Scrape_Source_Results are checked: `failureThreshold` errors in a row, or
+// `emptyThreshold` runs in a row without a single accepted article, quarantine it
+// (config.quarantine, overridable from the environment). A quarantined source is skipped
+// except for a probe every `probeIntervalHours`; the first probe that yields articles
+// restores it. Editors can also quarantine or restore a source by hand from the dashboard;
+// a source quarantined by hand is never probed and stays out until it is restored by hand.
+//
+// Each quarantine is one Source_Quarantine row (Status quarantined → restored), so the
+// table doubles as the history. Quarantines and recoveries are emailed to
+// SOURCE_ALERT_EMAILS (falling back to REVIEWER_EMAILS).
+const config = require('../config/config');
+const { getStorage } = require('./storage');
+const { getTransport } = require('./transports');
+const { getReviewers } = require('./approvals');
+const { getSourceByName } = require('./sourceRegistry');
+
+const QUARANTINE_REASONS = {
+  failing: 'Failing',
+  no_articles: 'No articles',
+  manual: 'Quarantined by hand'
+};
+
+function quarantineError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function settings() {
+  return { failureThreshold: 3, emptyThreshold: 5, probeIntervalHours: 24, ...config.quarantine };
+}
+
+function rowToEntry(row) {
+  return {
+    source: row.Source,
+    status: row.Status,
+    reason: row.Reason,
+    detail: row.Detail || '',
+    quarantinedAt: row.Quarantined_At,
+    lastProbeAt: row.Last_Probe_At || null,
+    nextProbeAt: row.Next_Probe_At || null,
+    probeCount: parseInt(row.Probe_Count) || 0,
+    restoredAt: row.Restored_At || null,
+    restoredBy: row.Restored_By || null
+  };
+}
+
+function nextProbe(from = new Date()) {
+  return new Date(from.getTime() + settings().probeIntervalHours * 3600000).toISOString();
+}
+
+// Source name → active quarantine entry. An unreadable table quarantines nothing rather
+// than stopping the scrape.
+async function getActiveQuarantines() {
+  try {
+    const rows = await getStorage().list('Source_Quarantine');
+    return new Map(rows.filter(r => r.Status === 'quarantined').map(r => [r.Source, rowToEntry(r)]));
+  } catch (e) {
+    console.warn('Source quarantine read failed (non-fatal):', e.message);
+    return new Map();
+  }
+}
+
+function isProbeDue(entry, now = new Date()) {
+  return entry.reason !== 'manual' && (!entry.nextProbeAt || new Date(entry.nextProbeAt) <= now);
+}
+
+// Newest first; `includeRestored` adds past quarantines
+async function listQuarantines({ includeRestored = false } = {}) {
+  const rows = await getStorage().list('Source_Quarantine');
+  return rows
+    .filter(r => includeRestored || r.Status === 'quarantined')
+    .map(rowToEntry)
+    .sort((a, b) => String(b.quarantinedAt).localeCompare(String(a.quarantinedAt)));
+}
+
+function alertRecipients() {
+  const configured = (process.env.SOURCE_ALERT_EMAILS || '').split(',').map(e => e.trim()).filter(e => e.includes('@'));
+  return configured.length > 0 ? configured : getReviewers();
+}
+
+function dashboardUrl() {
+  const base = (process.env.PUBLIC_API_BASE_URL || '').trim() || 'https://sfp-newsletter-automation-production.up.railway.app';
+  return `${base.replace(/\/$/, '')}/admin`;
+}
+
+async function alertEditors(subject, body) {
+  const recipients = alertRecipients();
+  const from = process.env.EMAIL_FROM;
+  if (recipients.length === 0 || !from) {
+    console.warn(`⚠️ No SOURCE_ALERT_EMAILS/REVIEWER_EMAILS/EMAIL_FROM configured — not emailing "${subject}"`);
+    return 0;
+  }
+  const html = `${body}<p><a href="${dashboardUrl()}">Source Health in the dashboard</a></p>`;
+  let notified = 0;
+  for (const to of recipients) {
+    try {
+      await getTransport().send({ from, to, subject, html });
+      notified++;
+    } catch (e) {
+      console.warn(`Source alert to ${to} failed (non-fatal):`, e.message);
+    }
+  }
+  return notified;
+}
+
+function quarantinedAlert(entry) {
+  const probe = entry.nextProbeAt
+    ? `It will be probed again at <strong>${new Date(entry.nextProbeAt).toLocaleString('en-AU', { timeZone: 'Australia/Sydney' })} AEST</strong> and restored automatically once it returns articles.`
+    : 'It will stay out until it is restored from the dashboard.';
+  return alertEditors(`[Source quarantined] ${entry.source}`, `
+    <p>The news source <strong>${entry.source}</strong> has been taken out of the scrape rotation.</p>
+    <p><strong>Reason:</strong> ${QUARANTINE_REASONS[entry.reason] || entry.reason}${entry.detail ? ` — ${entry.detail}` : ''}</p>
+    <p>${probe}</p>`);
+}
+
+function restoredAlert(entry, { probes, actor }) {
+  return alertEditors(`[Source restored] ${entry.source}`, `
+    <p>The news source <strong>${entry.source}</strong> is back in the scrape rotation.</p>
+    <p>${actor === 'auto' ? `It returned articles again after ${probes} probe(s).` : `Restored by ${actor}.`}
+    It had been quarantined since ${new Date(entry.quarantinedAt).toLocaleDateString('en-AU')} (${QUARANTINE_REASONS[entry.reason] || entry.reason}).</p>`);
+}
+
+async function startQuarantine(source, reason, detail) {
+  const now = new Date();
+  const row = {
+    Source: source, Status: 'quarantined', Reason: reason, Detail: detail,
+    Quarantined_At: now.toISOString(), Last_Probe_At: '', Next_Probe_At: reason === 'manual' ? '' : nextProbe(now),
+    Probe_Count: 0, Restored_At: '', Restored_By: ''
+  };
+  await getStorage().append('Source_Quarantine', row);
+  const entry = rowToEntry(row);
+  console.log(`🚧 ${source} quarantined (${reason})${entry.nextProbeAt ? ` — next probe ${entry.nextProbeAt}` : ''}`);
+  await quarantinedAlert(entry);
+  return entry;
+}
+
+async function endQuarantine(entry, actor) {
+  const patch = { Status: 'restored', Restored_At: new Date().toISOString(), Restored_By: actor };
+  await getStorage().update('Source_Quarantine', r => r.Source === entry.source && r.Status === 'quarantined', patch);
+  console.log(`✅ ${entry.source} restored from quarantine (${actor})`);
+  await restoredAlert(entry, { probes: entry.probeCount, actor });
+  return { ...entry, status: 'restored', restoredAt: patch.Restored_At, restoredBy: actor };
+}
+
+// Trailing runs of errors and of article-less runs for a source, ignoring anything
+// before it was last restored so an old streak can't re-quarantine it straight away.
+// Unchanged (304) runs say nothing new either way and are skipped.
+function streaks(results, since) {
+  const recent = results
+    .filter(r => r.Status !== 'unchanged' && (!since || String(r.Started_At) > since))
+    .sort((a, b) => String(a.Started_At).localeCompare(String(b.Started_At)));
+  let errors = 0;
+  let noArticles = 0;
+  for (let i = recent.length - 1; i >= 0 && recent[i].Status === 'error'; i--) errors++;
+  for (let i = recent.length - 1; i >= 0 && recent[i].Status !== 'ok'; i--) noArticles++;
+  return { errors, noArticles, last: recent[recent.length - 1] };
+}
+
+// Applies one run's per-source results: probes either restore a quarantined source or
+// push its next probe back, and healthy sources that crossed a threshold are
+// quarantined. Returns { quarantined, restored } source names. Never throws.
+async function applyRunResults(sourceResults) {
+  const outcome = { quarantined: [], restored: [] };
+  try {
+    const storage = getStorage();
+    const { failureThreshold, emptyThreshold } = settings();
+    const [active, episodes, history] = await Promise.all([
+      getActiveQuarantines(),
+      storage.list('Source_Quarantine'),
+      storage.list('Scrape_Source_Results')
+    ]);
+
+    for (const result of sourceResults) {
+      const entry = active.get(result.source);
+      if (entry) {
+        if (result.status === 'ok') {
+          await endQuarantine({ ...entry, probeCount: entry.probeCount + 1 }, 'auto');
+          outcome.restored.push(result.source);
+        } else {
+          await storage.update('Source_Quarantine', r => r.Source === result.source && r.Status === 'quarantined', {
+            Last_Probe_At: new Date().toISOString(), Next_Probe_At: nextProbe(), Probe_Count: entry.probeCount + 1
+          });
+          console.log(`🚧 ${result.source} still failing its quarantine probe (${result.error || 'no articles'})`);
+        }
+        continue;
+      }
+
+      const lastRestored = episodes
+        .filter(r => r.Source === result.source && r.Restored_At)
+        .map(r => r.Restored_At)
+        .sort()
+        .pop();
+      const { errors, noArticles, last } = streaks(history.filter(r => r.Source === result.source), lastRestored);
+      if (errors >= failureThreshold) {
+        await startQuarantine(result.source, 'failing', `${errors} failed runs in a row, last: ${last?.Error || result.error || 'error'}`);
+        outcome.quarantined.push(result.source);
+      } else if (noArticles >= emptyThreshold) {
+        await startQuarantine(result.source, 'no_articles', `${noArticles} runs in a row without a usable article`);
+        outcome.quarantined.push(result.source);
+      }
+    }
+  } catch (e) {
+    console.warn('Source quarantine update failed (non-fatal):', e.message);
+  }
+  return outcome;
+}
+
+async function findSource(name) {
+  const source = await getSourceByName(name);
+  if (!source) throw quarantineError(`Unknown source: ${name}`, 404);
+  return source;
+}
+
+async function quarantineSource(name, { actor = 'admin', notes = '' } = {}) {
+  await findSource(name);
+  const active = await getActiveQuarantines();
+  if (active.has(name)) throw quarantineError(`${name} is already quarantined`, 409);
+  return startQuarantine(name, 'manual', [notes, `by ${actor}`].filter(Boolean).join(' — '));
+}
+
+async function restoreSource(name, { actor = 'admin' } = {}) {
+  await findSource(name);
+  const entry = (await getActiveQuarantines()).get(name);
+  if (!entry) throw quarantineError(`${name} is not quarantined`, 409);
+  return endQuarantine(entry, actor);
+}
+
+module.exports = {
+  QUARANTINE_REASONS,
+  getActiveQuarantines,
+  isProbeDue,
+  listQuarantines,
+  applyRunResults,
+  quarantineSource,
+  restoreSource
+};
@@ -0,0 +1,422 @@
+// Source registry — the news sources the scraper reads, editable without a deploy.
+//
+// Sources live in the Sources table, one row per source, with keyword lists and
+// excludeTitlePatterns stored as JSON. The first time the registry is read while the table
+// is empty it is seeded from config.sources; from then on the table is the source of truth
+// and the config list is only a fallback for when storage can't be read.
+//
+// Sources are HTML pages (CSS selectors), RSS feeds, XML sitemaps (urlPattern, maxAgeDays)
+// or JSON endpoints (itemsPath, fieldMap) — see EnhancedNewsScraper.parseListing.
+//
+// Every change is validated (URL, type, priority, CSS selectors parsed with cheerio, regex
+// patterns compiled) and appended to Source_History with the fields that changed (before and
+// after) and who made the change. Deletions also store a snapshot of the removed source, as
+// nothing else keeps it.
+//
+// Source health (./scrapeRuns) and quarantine (./sourceQuarantine) are keyed by source
+// name, so renaming a source starts its health history afresh.
+const cheerio = require('cheerio');
+const config = require('../config/config');
+const { getStorage } = require('./storage');
+
+const SOURCE_TYPES = ['html', 'rss', 'sitemap', 'json'];
+const SELECTOR_FIELDS = ['selector', 'titleSelector', 'linkSelector', 'summarySelector'];
+const LIST_FIELDS = ['requireKeywords', 'excludeKeywords', 'excludeTitlePatterns'];
+const LISTING_FIELDS = ['urlPattern', 'maxAgeDays', 'itemsPath', 'fieldMap'];
+const FIELD_MAP_KEYS = ['title', 'url', 'summary', 'date'];
+const EDITABLE_FIELDS = ['name', 'url', 'type', 'priority', 'category', 'enabled', ...SELECTOR_FIELDS, ...LIST_FIELDS, ...LISTING_FIELDS, 'segmentTag', 'notes'];
+const JSON_PATH = /^[\w$-]+(\.[\w$-]+)*$/;
+
+let seeding = null;
+
+function sourceError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'source';
+}
+
+// RegExp → "/body/flags" for storage; strings pass through
+function patternToString(pattern) {
+  return pattern instanceof RegExp ? pattern.toString() : String(pattern);
+}
+
+// Patterns are reused across .test() calls, and with these flags each call would resume
+// from the previous match's lastIndex and skip strings that match
+const STATEFUL_FLAGS = /[gy]/g;
+
+// "/body/flags" or a bare pattern → RegExp. Throws on an invalid pattern. `g` and `y` are
+// dropped (validateSource rejects them; rows saved before that still compile safely).
+function compilePattern(value) {
+  const match = /^\/(.*)\/([a-z]*)$/s.exec(value);
+  return match ? new RegExp(match[1], match[2].replace(STATEFUL_FLAGS, '')) : new RegExp(value);
+}
+
+// Validation for a stored pattern: compiles, and has no stateful flags
+function checkPattern(value) {
+  const flags = /^\/.*\/([a-z]*)$/s.exec(value)?.[1] || '';
+  if (/[gy]/.test(flags)) throw new Error(`the g and y flags are not allowed (${value})`);
+  compilePattern(value);
+}
+
+function parseList(value) {
+  try {
+    const list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function parseObject(value) {
+  try {
+    const object = JSON.parse(value || 'null');
+    return object && typeof object === 'object' && !Array.isArray(object) ? object : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function rowToSource(row) {
+  return {
+    id: row.Source_ID,
+    name: row.Name,
+    url: row.URL,
+    type: row.Type || 'html',
+    priority: parseInt(row.Priority, 10) || 5,
+    category: row.Category || 'industry',
+    enabled: String(row.Enabled) !== 'false',
+    selector: row.Selector || null,
+    titleSelector: row.Title_Selector || null,
+    linkSelector: row.Link_Selector || null,
+    summarySelector: row.Summary_Selector || null,
+    requireKeywords: parseList(row.Require_Keywords),
+    excludeKeywords: parseList(row.Exclude_Keywords),
+    excludeTitlePatterns: parseList(row.Exclude_Title_Patterns),
+    urlPattern: row.Url_Pattern || null,
+    maxAgeDays: parseInt(row.Max_Age_Days, 10) || null,
+    itemsPath: row.Items_Path || null,
+    fieldMap: parseObject(row.Field_Map),
+    segmentTag: row.Segment_Tag || null,
+    notes: row.Notes || '',
+    updatedAt: row.Updated_At || null,
+    updatedBy: row.Updated_By || null
+  };
+}
+
+function sourceToRow(source) {
+  return {
+    Source_ID: source.id,
+    Name: source.name,
+    URL: source.url,
+    Type: source.type,
+    Priority: source.priority,
+    Category: source.category,
+    Enabled: source.enabled ? 'true' : 'false',
+    Selector: source.selector || '',
+    Title_Selector: source.titleSelector || '',
+    Link_Selector: source.linkSelector || '',
+    Summary_Selector: source.summarySelector || '',
+    Require_Keywords: JSON.stringify(source.requireKeywords || []),
+    Exclude_Keywords: JSON.stringify(source.excludeKeywords || []),
+    Exclude_Title_Patterns: JSON.stringify(source.excludeTitlePatterns || []),
+    Segment_Tag: source.segmentTag || '',
+    Notes: source.notes || '',
+    Updated_At: source.updatedAt || '',
+    Updated_By: source.updatedBy || '',
+    Url_Pattern: source.urlPattern || '',
+    Max_Age_Days: source.maxAgeDays || '',
+    Items_Path: source.itemsPath || '',
+    Field_Map: source.fieldMap ? JSON.stringify(source.fieldMap) : ''
+  };
+}
+
+// The shape EnhancedNewsScraper expects: patterns compiled, empty lists dropped
+function toScraperSource(source) {
+  const scraperSource = { ...source };
+  for (const field of LIST_FIELDS) {
+    if (scraperSource[field].length === 0) delete scraperSource[field];
+  }
+  if (scraperSource.excludeTitlePatterns) scraperSource.excludeTitlePatterns = scraperSource.excludeTitlePatterns.map(compilePattern);
+  if (scraperSource.urlPattern) scraperSource.urlPattern = compilePattern(scraperSource.urlPattern);
+  return scraperSource;
+}
+
+// config.sources entry → registry source
+function fromConfig(source) {
+  return {
+    name: source.name,
+    url: source.url,
+    type: source.isRss ? 'rss' : source.type || 'html',
+    priority: source.priority,
+    category: source.category || 'industry',
+    enabled: source.enabled !== false,
+    selector: source.selector || null,
+    titleSelector: source.titleSelector || null,
+    linkSelector: source.linkSelector || null,
+    summarySelector: source.summarySelector || null,
+    requireKeywords: source.requireKeywords || [],
+    excludeKeywords: source.excludeKeywords || [],
+    excludeTitlePatterns: (source.excludeTitlePatterns || []).map(patternToString),
+    urlPattern: source.urlPattern ? patternToString(source.urlPattern) : null,
+    maxAgeDays: source.maxAgeDays || null,
+    itemsPath: source.itemsPath || null,
+    fieldMap: source.fieldMap || null,
+    segmentTag: source.segmentTag || null,
+    notes: ''
+  };
+}
+
+function toStringList(value, field) {
+  const list = typeof value === 'string' ? value.split(/\r?\n|,/) : value;
+  if (!Array.isArray(list)) throw sourceError(`${field} must be a list`);
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+// { title, url, summary, date } → dot paths; empty entries dropped, null if none are left
+function validateFieldMap(value) {
+  let map = value;
+  if (typeof map === 'string') {
+    if (!map.trim()) return null;
+    try {
+      map = JSON.parse(map);
+    } catch (e) {
+      throw sourceError('fieldMap must be a JSON object');
+    }
+  }
+  if (!map) return null;
+  if (typeof map !== 'object' || Array.isArray(map)) throw sourceError('fieldMap must be an object');
+  const cleaned = {};
+  for (const [key, path] of Object.entries(map)) {
+    if (!FIELD_MAP_KEYS.includes(key)) throw sourceError(`fieldMap keys must be ${FIELD_MAP_KEYS.join(', ')}`);
+    const trimmed = path ? String(path).trim() : '';
+    if (!trimmed) continue;
+    if (!JSON_PATH.test(trimmed)) throw sourceError(`fieldMap.${key} must be a dot path such as title.rendered`);
+    cleaned[key] = trimmed;
+  }
+  return Object.keys(cleaned).length > 0 ? cleaned : null;
+}
+
+// Checks and normalises a full source. Throws a 400 naming the first bad field.
+function validateSource(input) {
+  const source = { ...input };
+
+  source.name = String(source.name || '').trim();
+  if (!source.name || source.name.length > 100) throw sourceError('name is required (at most 100 characters)');
+
+  let url;
+  try {
+    url = new URL(String(source.url || ''));
+  } catch (e) {
+    throw sourceError('url must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw sourceError('url must be an absolute http(s) URL');
+  source.url = url.toString();
+
+  source.type = source.type || 'html';
+  if (!SOURCE_TYPES.includes(source.type)) throw sourceError(`type must be one of ${SOURCE_TYPES.join(', ')}`);
+
+  source.priority = Number(source.priority);
+  if (!Number.isInteger(source.priority) || source.priority < 1 || source.priority > 10) throw sourceError('priority must be a whole number from 1 to 10');
+
+  source.category = String(source.category || 'industry').trim();
+  if (!/^[a-z_]+$/.test(source.category)) throw sourceError('category must be lower-case letters and underscores');
+
+  source.enabled = source.enabled !== false && source.enabled !== 'false';
+
+  const $ = cheerio.load('');
+  for (const field of SELECTOR_FIELDS) {
+    source[field] = source[field] ? String(source[field]).trim() : null;
+    if (!source[field]) continue;
+    try {
+      $(source[field]);
+    } catch (e) {
+      throw sourceError(`${field} is not a valid CSS selector: ${e.message}`);
+    }
+  }
+
+  for (const field of LIST_FIELDS) source[field] = toStringList(source[field] || [], field);
+  for (const pattern of source.excludeTitlePatterns) {
+    try {
+      checkPattern(pattern);
+    } catch (e) {
+      throw sourceError(`excludeTitlePatterns: ${e.message}`);
+    }
+  }
+
+  source.urlPattern = source.urlPattern ? String(source.urlPattern).trim() : null;
+  if (source.urlPattern) {
+    try {
+      checkPattern(source.urlPattern);
+    } catch (e) {
+      throw sourceError(`urlPattern: ${e.message}`);
+    }
+  }
+
+  if (source.maxAgeDays === undefined || source.maxAgeDays === null || source.maxAgeDays === '') {
+    source.maxAgeDays = null;
+  } else {
+    source.maxAgeDays = Number(source.maxAgeDays);
+    if (!Number.isInteger(source.maxAgeDays) || source.maxAgeDays < 1 || source.maxAgeDays > 365) throw sourceError('maxAgeDays must be a whole number from 1 to 365');
+  }
+
+  source.itemsPath = source.itemsPath ? String(source.itemsPath).trim() : null;
+  if (source.itemsPath && !JSON_PATH.test(source.itemsPath)) throw sourceError('itemsPath must be a dot path such as data.items');
+  source.fieldMap = validateFieldMap(source.fieldMap);
+
+  source.segmentTag = source.segmentTag || null;
+  if (source.segmentTag && !['pro', 'driver'].includes(source.segmentTag)) throw sourceError('segmentTag must be pro or driver');
+  source.notes = String(source.notes || '').slice(0, 1000);
+  return source;
+}
+
+// Field → [before, after] for every editable field that differs
+function diffSources(before, after) {
+  const changes = {};
+  for (const field of EDITABLE_FIELDS) {
+    const a = before ? before[field] ?? null : null;
+    const b = after ? after[field] ?? null : null;
+    if (JSON.stringify(a) !== JSON.stringify(b)) changes[field] = [a, b];
+  }
+  return changes;
+}
+
+async function recordHistory(action, source, { actor = 'admin', changes = {} } = {}) {
+  try {
+    await getStorage().append('Source_History', {
+      Timestamp: new Date().toISOString(),
+      Source_ID: source.id,
+      Name: source.name,
+      Action: action,
+      Actor: actor,
+      Changes: JSON.stringify(changes),
+      Snapshot: action === 'deleted' ? JSON.stringify(source) : ''
+    });
+  } catch (e) {
+    console.warn('Source_History write failed (non-fatal):', e.message);
+  }
+}
+
+async function seedFromConfig() {
+  const storage = getStorage();
+  if ((await storage.list('Sources')).length > 0) return 0;
+  const now = new Date().toISOString();
+  const ids = new Set();
+  const sources = config.sources.map(entry => {
+    const source = { ...validateSource(fromConfig(entry)), updatedAt: now, updatedBy: 'config' };
+    let id = slugify(source.name);
+    for (let n = 2; ids.has(id); n++) id = `${slugify(source.name)}-${n}`;
+    ids.add(id);
+    return { ...source, id };
+  });
+  await storage.append('Sources', sources.map(sourceToRow));
+  for (const source of sources) await recordHistory('seeded', source, { actor: 'config' });
+  console.log(`🌱 Source registry seeded with ${sources.length} sources from config/config.js`);
+  return sources.length;
+}
+
+// Seeds once; concurrent first reads share the same seeding
+function ensureSeeded() {
+  if (!seeding) seeding = seedFromConfig().catch(error => { seeding = null; throw error; });
+  return seeding;
+}
+
+// Every source, highest priority first
+async function listSources() {
+  await ensureSeeded();
+  const rows = await getStorage().list('Sources');
+  return rows.map(rowToSource).sort((a, b) => b.priority - a.priority || a.name.localeCompare(b.name));
+}
+
+async function getSource(id) {
+  await ensureSeeded();
+  const row = await getStorage().find('Sources', r => r.Source_ID === id);
+  return row ? rowToSource(row) : null;
+}
+
+async function getSourceByName(name) {
+  return (await listSources()).find(s => s.name === name) || null;
+}
+
+// Sources for a scrape. Falls back to config.sources if the registry can't be read.
+async function loadScraperSources() {
+  try {
+    return (await listSources()).map(toScraperSource);
+  } catch (e) {
+    console.warn('⚠️ Source registry unavailable, using config/config.js sources:', e.message);
+    return config.sources;
+  }
+}
+
+async function assertNameFree(name, exceptId) {
+  const clash = (await listSources()).find(s => s.name.toLowerCase() === name.toLowerCase() && s.id !== exceptId);
+  if (clash) throw sourceError(`A source named "${clash.name}" already exists`, 409);
+}
+
+async function createSource(input, { actor = 'admin' } = {}) {
+  const source = validateSource(input);
+  await assertNameFree(source.name);
+  const existingIds = new Set((await listSources()).map(s => s.id));
+  let id = slugify(source.name);
+  for (let n = 2; existingIds.has(id); n++) id = `${slugify(source.name)}-${n}`;
+
+  const created = { ...source, id, updatedAt: new Date().toISOString(), updatedBy: actor };
+  await getStorage().append('Sources', sourceToRow(created));
+  await recordHistory('created', created, { actor, changes: diffSources(null, created) });
+  return created;
+}
+
+// Applies a partial update. Recorded as enabled/disabled when that is all that changed.
+async function updateSource(id, patch, { actor = 'admin' } = {}) {
+  const existing = await getSource(id);
+  if (!existing) throw sourceError('Source not found', 404);
+  const editable = Object.fromEntries(Object.entries(patch || {}).filter(([field]) => EDITABLE_FIELDS.includes(field)));
+  const updated = validateSource({ ...existing, ...editable });
+  if (updated.name !== existing.name) await assertNameFree(updated.name, id);
+
+  const changes = diffSources(existing, updated);
+  if (Object.keys(changes).length === 0) return existing;
+  const saved = { ...updated, id, updatedAt: new Date().toISOString(), updatedBy: actor };
+  await getStorage().update('Sources', r => r.Source_ID === id, sourceToRow(saved));
+  const fields = Object.keys(changes);
+  const action = fields.length === 1 && fields[0] === 'enabled' ? (saved.enabled ? 'enabled' : 'disabled') : 'updated';
+  await recordHistory(action, saved, { actor, changes });
+  return saved;
+}
+
+async function deleteSource(id, { actor = 'admin' } = {}) {
+  const existing = await getSource(id);
+  if (!existing) throw sourceError('Source not found', 404);
+  await getStorage().remove('Sources', r => r.Source_ID === id);
+  await recordHistory('deleted', existing, { actor });
+  return existing;
+}
+
+// Newest first; all sources when id is omitted
+async function getSourceHistory(id) {
+  const rows = await getStorage().list('Source_History');
+  return rows
+    .filter(r => !id || r.Source_ID === id)
+    .map(r => {
+      let changes = {};
+      try { changes = JSON.parse(r.Changes || '{}'); } catch (e) { /* unreadable change set */ }
+      return { timestamp: r.Timestamp, sourceId: r.Source_ID, name: r.Name, action: r.Action, actor: r.Actor, changes };
+    })
+    .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  validateSource,
+  compilePattern,
+  listSources,
+  getSource,
+  getSourceByName,
+  loadScraperSources,
+  toScraperSource,
+  createSource,
+  updateSource,
+  deleteSource,
+  getSourceHistory
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { getSchema } = require('./schemas');
+
+// Local JSON storage — one file per table under STORAGE_DIR.
+// Values are stored as strings so records look the same as rows read back from Sheets.
+function toCell(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+class FileStorage {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.dir = path.resolve(options.dir || process.env.STORAGE_DIR || path.join(__dirname, '../../data/store'));
+    this._queues = new Map();
+  }
+
+  filePath(table) {
+    return path.join(this.dir, `${table}.json`);
+  }
+
+  normalise(table, record) {
+    const out = {};
+    for (const name of getSchema(table).columns) out[name] = '';
+    for (const [key, value] of Object.entries(record)) {
+      const match = getSchema(table).columns.find(c => c.toLowerCase() === key.toLowerCase());
+      out[match || key] = toCell(value);
+    }
+    return out;
+  }
+
+  async read(table) {
+    getSchema(table);
+    try {
+      const raw = await fs.promises.readFile(this.filePath(table), 'utf8');
+      const rows = JSON.parse(raw);
+      return Array.isArray(rows) ? rows : [];
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+
+  async write(table, rows) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const file = this.filePath(table);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(rows, null, 2));
+    await fs.promises.rename(tmp, file);
+  }
+
+  // Serialise read-modify-write cycles per table so concurrent requests can't clobber each other
+  mutate(table, fn) {
+    const prev = this._queues.get(table) || Promise.resolve();
+    const next = prev.catch(() => {}).then(async () => {
+      const rows = await this.read(table);
+      const { rows: out, result } = await fn(rows);
+      if (out) await this.write(table, out);
+      return result;
+    });
+    this._queues.set(table, next);
+    return next;
+  }
+
+  async list(table) {
+    await (this._queues.get(table) || Promise.resolve()).catch(() => {});
+    const rows = await this.read(table);
+    return rows.map(r => this.normalise(table, r));
+  }
+
+  async append(table, records) {
+    const list = Array.isArray(records) ? records : [records];
+    if (list.length === 0) return 0;
+    return this.mutate(table, rows => ({
+      rows: rows.concat(list.map(r => this.normalise(table, r))),
+      result: list.length
+    }));
+  }
+
+  async update(table, predicate, patch) {
+    return this.mutate(table, rows => {
+      let count = 0;
+      const out = rows.map(row => {
+        const record = this.normalise(table, row);
+        if (!predicate(record)) return row;
+        const changes = typeof patch === 'function' ? patch(record) : patch;
+        if (!changes) return row;
+        count++;
+        return this.normalise(table, { ...record, ...changes });
+      });
+      return { rows: count ? out : null, result: count };
+    });
+  }
+
+  async remove(table, predicate) {
+    return this.mutate(table, rows => {
+      const out = rows.filter(row => !predicate(this.normalise(table, row)));
+      const count = rows.length - out.length;
+      return { rows: count ? out : null, result: count };
+    });
+  }
+
+  async replaceAll(table, records) {
+    return this.mutate(table, () => ({
+      rows: records.map(r => this.normalise(table, r)),
+      result: records.length
+    }));
+  }
+
+  async ensureTable(table) {
+    getSchema(table);
+    if (!fs.existsSync(this.filePath(table))) await this.mutate(table, rows => ({ rows, result: 0 }));
+  }
+
+  async ping() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    return true;
+  }
+}
+
+module.exports = { FileStorage };
@@ -0,0 +1,68 @@
+// Storage layer — every subsystem reads and writes tables through this interface
+// instead of calling the Sheets API directly.
+//
+// STORAGE_BACKEND=sheets (default) — Google Sheets tabs, as in production
+// STORAGE_BACKEND=file             — JSON files under STORAGE_DIR (default data/store),
+//                                    for running the pipeline offline and in tests
+//
+// Both adapters expose the same record-based API; records are plain objects
+// keyed by the column names in ./schemas.js:
+//   list(table)                      → [record]
+//   find(table, predicate)           → record | null
+//   append(table, record | [record]) → count
+//   update(table, predicate, patch)  → count   (patch may be an object or fn(record) → object)
+//   upsert(table, predicate, record) → 'updated' | 'inserted'
+//   remove(table, predicate)         → count
+//   replaceAll(table, [record])      → count
+//   ping()                           → true | throws
+const { SheetsStorage, columnLetter } = require('./sheetsStorage');
+const { FileStorage } = require('./fileStorage');
+const { SCHEMAS, getSchema } = require('./schemas');
+
+async function find(table, predicate) {
+  const rows = await this.list(table);
+  return rows.find(predicate) || null;
+}
+
+async function upsert(table, predicate, record) {
+  const updated = await this.update(table, predicate, record);
+  if (updated > 0) return 'updated';
+  await this.append(table, record);
+  return 'inserted';
+}
+
+function createStorage(backend = process.env.STORAGE_BACKEND || 'sheets', options = {}) {
+  let storage;
+  switch (String(backend).toLowerCase()) {
+    case 'file':
+    case 'local':
+      storage = new FileStorage(options);
+      break;
+    case 'sheets':
+    case 'google':
+      storage = new SheetsStorage(options);
+      break;
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend} (expected "sheets" or "file")`);
+  }
+  storage.find = find;
+  storage.upsert = upsert;
+  return storage;
+}
+
+let instance = null;
+
+function getStorage() {
+  if (!instance) {
+    instance = createStorage();
+    console.log(`🗄️  Storage backend: ${instance.name}`);
+  }
+  return instance;
+}
+
+// Swap the shared instance (used by offline tooling)
+function setStorage(storage) {
+  instance = storage;
+}
+
+module.exports = { createStorage, getStorage, setStorage, SCHEMAS, getSchema, columnLetter };
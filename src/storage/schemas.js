@@ -0,0 +1,114 @@
+// Table definitions shared by every storage backend.
+// Column order matches the existing Google Sheets tabs — the Sheets adapter
+// maps by header name first and falls back to these positions, so tabs that
+// were created by hand (or have blank header cells) keep working.
+// `headerless` tabs have no header row (Schedule_Config is plain key/value rows).
+
+const SCHEMAS = {
+  Subscribers: {
+    columns: [
+      'Subscriber_ID', 'Email', 'Name', 'Segment', 'Status', 'Source_IP',
+      'Subscribed_At', 'Confirm_Token', 'Unsub_Token', 'Company', 'Role', 'Notes',
+      'Updated_At', 'Confirmed_At', 'Unsubscribed_At', 'Email_Frequency',
+      'Paused_At', 'Resume_At'
+    ]
+  },
+  Subscription_Audit: {
+    columns: ['Timestamp', 'Action', 'Email', 'Metadata', 'IP_Address', 'User_Agent']
+  },
+  Events_Log: {
+    columns: ['Timestamp', 'Event', 'Issue_ID', 'Segment', 'Source', 'Status', 'Metadata']
+  },
+  Schedule_Config: {
+    columns: ['Key', 'Value'],
+    headerless: true
+  },
+  Article_Archive: {
+    columns: [
+      'ID', 'Date_Collected', 'Source', 'Title', 'URL',
+      'Published_Date', 'Summary', 'Used_In_Issue', 'Content_Hash',
+      'Relevance_Score', 'Segment_Tag', 'Body', 'Body_Status'
+    ]
+  },
+  Send_Log: {
+    columns: ['Timestamp', 'Segment', 'Sent_Count', 'Failed_Count', 'Is_Test', 'Notes']
+  },
+  Send_Ledger: {
+    columns: ['Issue_ID', 'Email', 'Subscriber_ID', 'Segment', 'Status', 'Message_ID', 'Attempts', 'Error', 'Job_ID', 'Updated_At']
+  },
+  Newsletter_Drafts: {
+    columns: ['Draft_ID', 'Segment', 'Status', 'Subject', 'Articles_Count', 'Generated_At', 'Updated_At', 'Approved_At', 'Sent_At', 'Approval_Deadline', 'Approved_By']
+  },
+  Approval_Audit: {
+    columns: ['Timestamp', 'Draft_ID', 'Segment', 'Action', 'Actor', 'Notes']
+  },
+  Newsletter_Draft_Content: {
+    columns: ['Draft_ID', 'Part', 'Chunk']
+  },
+  Issues: {
+    columns: ['Issue_ID', 'Segment', 'Issue_Number', 'Label', 'Status', 'Created_At', 'Sent_At', 'Emailed_At', 'Send_Slot']
+  },
+  Content_Archive: {
+    columns: [
+      'Issue_ID', 'Segment', 'Subject', 'Published_At',
+      'Sent_Count', 'Failed_Count', 'Open_Rate', 'Click_Rate', 'Content_JSON'
+    ]
+  },
+  Email_Events: {
+    columns: ['Event_ID', 'Received_At', 'Event_Type', 'Message_ID', 'Email', 'Issue_ID', 'Segment', 'Timestamp', 'URL', 'Detail']
+  },
+  Suppressions: {
+    columns: ['Email', 'Reason', 'Detail', 'Source', 'Issue_ID', 'Suppressed_At', 'Lifted_At', 'Lifted_By', 'Lift_Notes']
+  },
+  Engagement_Tracking: {
+    columns: ['Email', 'Issue_ID', 'Event_Type', 'Timestamp', 'Article_URL', 'Source', 'Category', 'Article_Title']
+  },
+  Metrics: {
+    columns: ['Timestamp', 'Metric', 'Value', 'Segment', 'Issue_ID']
+  },
+  Scrape_Runs: {
+    columns: [
+      'Run_ID', 'Started_At', 'Finished_At', 'Duration_Ms', 'Trigger', 'Sources', 'Succeeded',
+      'Failed', 'Empty', 'Articles_Raw', 'Articles_Accepted', 'Articles_Kept', 'Error', 'Unchanged'
+    ]
+  },
+  Scrape_Source_Results: {
+    columns: [
+      'Run_ID', 'Source', 'URL', 'Type', 'Status', 'HTTP_Status', 'Duration_Ms', 'Selector',
+      'Raw', 'Accepted', 'Rejected', 'Reject_Reasons', 'Error', 'Started_At'
+    ]
+  },
+  Sources: {
+    columns: [
+      'Source_ID', 'Name', 'URL', 'Type', 'Priority', 'Category', 'Enabled', 'Selector', 'Title_Selector',
+      'Link_Selector', 'Summary_Selector', 'Require_Keywords', 'Exclude_Keywords', 'Exclude_Title_Patterns',
+      'Segment_Tag', 'Notes', 'Updated_At', 'Updated_By', 'Url_Pattern', 'Max_Age_Days', 'Items_Path', 'Field_Map'
+    ]
+  },
+  Source_History: {
+    columns: ['Timestamp', 'Source_ID', 'Name', 'Action', 'Actor', 'Changes', 'Snapshot']
+  },
+  Source_Quarantine: {
+    columns: [
+      'Source', 'Status', 'Reason', 'Detail', 'Quarantined_At', 'Last_Probe_At', 'Next_Probe_At',
+      'Probe_Count', 'Restored_At', 'Restored_By'
+    ]
+  },
+  Issues_Analytics: {
+    columns: ['Issue_ID', 'Segment', 'Subject', 'Published_At', 'Sent', 'Delivered', 'Open_Rate', 'Clicks', 'Unsubscribes']
+  },
+  Newsletter_Analytics: {
+    columns: [
+      'Timestamp', 'Newsletter_ID', 'Event_Type', 'Article_Index',
+      'Target_URL', 'Email', 'IP_Address', 'User_Agent', 'Details'
+    ]
+  }
+};
+
+function getSchema(table) {
+  const schema = SCHEMAS[table];
+  if (!schema) throw new Error(`Unknown storage table: ${table}`);
+  return schema;
+}
+
+module.exports = { SCHEMAS, getSchema };
@@ -0,0 +1,232 @@
+const { google } = require('googleapis');
+const { getSchema } = require('./schemas');
+
+// Column index → A1 letter (0 → A, 25 → Z, 26 → AA)
+function columnLetter(index) {
+  let n = index + 1;
+  let letters = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+function toCell(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+class SheetsStorage {
+  constructor(options = {}) {
+    this.name = 'sheets';
+    this.spreadsheetId = options.spreadsheetId || process.env.GOOGLE_SHEETS_ID;
+    this.clientEmail = options.clientEmail || process.env.GOOGLE_CLIENT_EMAIL;
+    this.privateKey = options.privateKey || process.env.GOOGLE_PRIVATE_KEY;
+    this._client = null;
+    this._sheetIds = new Map();
+  }
+
+  async client() {
+    if (this._client) return this._client;
+    if (!this.spreadsheetId || !this.clientEmail || !this.privateKey) {
+      throw new Error('Google Sheets storage requires GOOGLE_SHEETS_ID, GOOGLE_CLIENT_EMAIL and GOOGLE_PRIVATE_KEY');
+    }
+    const auth = await google.auth.getClient({
+      credentials: {
+        client_email: this.clientEmail,
+        private_key: this.privateKey.replace(/\\n/g, '\n')
+      },
+      scopes: ['https://www.googleapis.com/auth/spreadsheets']
+    });
+    this._client = google.sheets({ version: 'v4', auth });
+    return this._client;
+  }
+
+  // Reads a tab and works out where each schema column lives.
+  // Columns are matched by header name (case-insensitive); schema columns with no
+  // matching header fall back to their schema position. Extra header columns that
+  // are not in the schema are kept so updates never drop data.
+  async readTable(table) {
+    const schema = getSchema(table);
+    const sheets = await this.client();
+    let values;
+    try {
+      const resp = await sheets.spreadsheets.values.get({ spreadsheetId: this.spreadsheetId, range: `${table}!A:ZZ` });
+      values = resp.data.values || [];
+    } catch (e) {
+      if (/Unable to parse range/i.test(e.message)) return { exists: false, headers: [], columns: {}, rows: [] };
+      throw e;
+    }
+
+    const headers = schema.headerless ? [] : (values[0] || []).map(h => String(h || '').trim());
+    const rows = schema.headerless ? values : values.slice(1);
+    const columns = {};
+    const claimed = new Set();
+
+    schema.columns.forEach(name => {
+      const idx = headers.findIndex(h => h.toLowerCase() === name.toLowerCase());
+      if (idx >= 0) { columns[name] = idx; claimed.add(idx); }
+    });
+    schema.columns.forEach((name, pos) => {
+      if (columns[name] === undefined && !claimed.has(pos)) { columns[name] = pos; claimed.add(pos); }
+    });
+    headers.forEach((h, idx) => {
+      if (h && !claimed.has(idx) && columns[h] === undefined) columns[h] = idx;
+    });
+
+    return { exists: true, headers, columns, rows };
+  }
+
+  rowToRecord(layout, row) {
+    const record = {};
+    for (const [name, idx] of Object.entries(layout.columns)) {
+      record[name] = row[idx] !== undefined ? row[idx] : '';
+    }
+    return record;
+  }
+
+  recordToRow(layout, record, baseRow = []) {
+    const row = [...baseRow];
+    const lookup = {};
+    Object.keys(layout.columns).forEach(name => { lookup[name.toLowerCase()] = layout.columns[name]; });
+    for (const [key, value] of Object.entries(record)) {
+      const idx = lookup[key.toLowerCase()];
+      if (idx === undefined) continue;
+      while (row.length <= idx) row.push('');
+      row[idx] = toCell(value);
+    }
+    const width = Math.max(...Object.values(layout.columns), -1) + 1;
+    while (row.length < width) row.push('');
+    return row;
+  }
+
+  async ensureTable(table) {
+    const layout = await this.readTable(table);
+    if (layout.exists && (layout.headers.length || getSchema(table).headerless)) return layout;
+
+    const schema = getSchema(table);
+    const sheets = await this.client();
+    if (!layout.exists) {
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.spreadsheetId,
+        requestBody: { requests: [{ addSheet: { properties: { title: table } } }] }
+      });
+      console.log(`📄 Created sheet tab: ${table}`);
+    }
+    if (!schema.headerless) {
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: `${table}!A1`,
+        valueInputOption: 'RAW',
+        requestBody: { values: [schema.columns] }
+      });
+    }
+    return this.readTable(table);
+  }
+
+  async getSheetId(table) {
+    if (this._sheetIds.has(table)) return this._sheetIds.get(table);
+    const sheets = await this.client();
+    const meta = await sheets.spreadsheets.get({ spreadsheetId: this.spreadsheetId });
+    for (const s of meta.data.sheets || []) this._sheetIds.set(s.properties.title, s.properties.sheetId);
+    if (!this._sheetIds.has(table)) throw new Error(`Sheet tab not found: ${table}`);
+    return this._sheetIds.get(table);
+  }
+
+  firstDataRow(table) {
+    return getSchema(table).headerless ? 1 : 2;
+  }
+
+  async list(table) {
+    const layout = await this.readTable(table);
+    return layout.rows
+      .filter(row => row.some(cell => cell !== '' && cell !== undefined))
+      .map(row => this.rowToRecord(layout, row));
+  }
+
+  async append(table, records) {
+    const list = Array.isArray(records) ? records : [records];
+    if (list.length === 0) return 0;
+    const layout = await this.ensureTable(table);
+    const sheets = await this.client();
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: this.spreadsheetId,
+      range: `${table}!A:${columnLetter(Math.max(layout.headers.length, getSchema(table).columns.length) - 1)}`,
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: { values: list.map(r => this.recordToRow(layout, r)) }
+    });
+    return list.length;
+  }
+
+  async update(table, predicate, patch) {
+    const layout = await this.readTable(table);
+    if (!layout.exists) return 0;
+    const sheets = await this.client();
+    const first = this.firstDataRow(table);
+    const data = [];
+
+    layout.rows.forEach((row, i) => {
+      const record = this.rowToRecord(layout, row);
+      if (!predicate(record)) return;
+      const changes = typeof patch === 'function' ? patch(record) : patch;
+      if (!changes) return;
+      const newRow = this.recordToRow(layout, changes, row);
+      const rowNum = i + first;
+      data.push({ range: `${table}!A${rowNum}:${columnLetter(newRow.length - 1)}${rowNum}`, values: [newRow] });
+    });
+
+    if (data.length === 0) return 0;
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId: this.spreadsheetId,
+      requestBody: { valueInputOption: 'RAW', data }
+    });
+    return data.length;
+  }
+
+  async remove(table, predicate) {
+    const layout = await this.readTable(table);
+    if (!layout.exists) return 0;
+    const first = this.firstDataRow(table);
+    const indexes = [];
+    layout.rows.forEach((row, i) => {
+      if (predicate(this.rowToRecord(layout, row))) indexes.push(i + first - 1);
+    });
+    if (indexes.length === 0) return 0;
+
+    const sheetId = await this.getSheetId(table);
+    const sheets = await this.client();
+    // Delete bottom-up so earlier deletions don't shift later row indexes
+    const requests = indexes.sort((a, b) => b - a).map(startIndex => ({
+      deleteDimension: { range: { sheetId, dimension: 'ROWS', startIndex, endIndex: startIndex + 1 } }
+    }));
+    await sheets.spreadsheets.batchUpdate({ spreadsheetId: this.spreadsheetId, requestBody: { requests } });
+    return indexes.length;
+  }
+
+  async replaceAll(table, records) {
+    const layout = await this.ensureTable(table);
+    const sheets = await this.client();
+    const first = this.firstDataRow(table);
+    await sheets.spreadsheets.values.clear({ spreadsheetId: this.spreadsheetId, range: `${table}!A${first}:ZZ` });
+    if (records.length === 0) return 0;
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: this.spreadsheetId,
+      range: `${table}!A${first}`,
+      valueInputOption: 'RAW',
+      requestBody: { values: records.map(r => this.recordToRow(layout, r)) }
+    });
+    return records.length;
+  }
+
+  async ping() {
+    const sheets = await this.client();
+    await sheets.spreadsheets.values.get({ spreadsheetId: this.spreadsheetId, range: 'Subscribers!A1:A1' });
+    return true;
+  }
+}
+
+module.exports = { SheetsStorage, columnLetter };
@@ -0,0 +1,93 @@
+// Suppression list — addresses that must not receive bulk sends.
+//
+// Hard bounces and spam complaints reported by the Resend webhook are suppressed
+// automatically; admins can add addresses by hand and lift suppressions from the
+// dashboard. EmailSender.sendBulkEmails drops suppressed recipients, so every bulk
+// path (scheduled, send-by-ID, approval) honours the list. Single test sends don't.
+//
+// A row is active until Lifted_At is set; lifted rows stay for the audit trail.
+const { getStorage } = require('./storage');
+
+const SUPPRESSION_REASONS = ['hard_bounce', 'complaint', 'manual'];
+
+function suppressionError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function normaliseEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function rowToSuppression(row) {
+  return {
+    email: row.Email,
+    reason: row.Reason,
+    detail: row.Detail || '',
+    source: row.Source || '',
+    issueId: row.Issue_ID || '',
+    suppressedAt: row.Suppressed_At,
+    liftedAt: row.Lifted_At || null,
+    liftedBy: row.Lifted_By || null,
+    liftNotes: row.Lift_Notes || ''
+  };
+}
+
+const isActive = row => !row.Lifted_At;
+
+// Newest first; lifted suppressions only when asked for
+async function listSuppressions({ includeLifted = false } = {}) {
+  const rows = await getStorage().list('Suppressions');
+  return rows
+    .filter(r => includeLifted || isActive(r))
+    .map(rowToSuppression)
+    .sort((a, b) => (b.suppressedAt || '').localeCompare(a.suppressedAt || ''));
+}
+
+async function getSuppressedEmails() {
+  const rows = await getStorage().list('Suppressions');
+  return new Set(rows.filter(isActive).map(r => normaliseEmail(r.Email)));
+}
+
+// Adds an active suppression. Returns null if the address is already suppressed.
+async function suppress(email, { reason, detail = '', source = 'admin', issueId = '' } = {}) {
+  const address = normaliseEmail(email);
+  if (!address.includes('@')) throw suppressionError('A valid email is required');
+  if (!SUPPRESSION_REASONS.includes(reason)) throw suppressionError(`Reason must be one of ${SUPPRESSION_REASONS.join(', ')}`);
+
+  const storage = getStorage();
+  if (await storage.find('Suppressions', r => normaliseEmail(r.Email) === address && isActive(r))) return null;
+  const row = {
+    Email: address, Reason: reason, Detail: String(detail).slice(0, 500), Source: source,
+    Issue_ID: issueId, Suppressed_At: new Date().toISOString(), Lifted_At: '', Lifted_By: '', Lift_Notes: ''
+  };
+  await storage.append('Suppressions', row);
+  console.log(`🚫 Suppressed ${address} (${reason}${detail ? `: ${detail}` : ''})`);
+  return rowToSuppression(row);
+}
+
+async function liftSuppression(email, { actor = 'admin', notes = '' } = {}) {
+  const address = normaliseEmail(email);
+  const updated = await getStorage().update('Suppressions', r => normaliseEmail(r.Email) === address && isActive(r), {
+    Lifted_At: new Date().toISOString(), Lifted_By: actor, Lift_Notes: notes
+  });
+  if (updated === 0) throw suppressionError(`${address} is not suppressed`, 404);
+  return updated;
+}
+
+// Splits recipients into those that may be mailed and those on the list
+async function filterSuppressed(subscribers) {
+  const suppressed = await getSuppressedEmails();
+  if (suppressed.size === 0) return { allowed: subscribers, suppressed: [] };
+  const allowed = [], blocked = [];
+  for (const s of subscribers) (suppressed.has(normaliseEmail(s.email)) ? blocked : allowed).push(s);
+  return { allowed, suppressed: blocked };
+}
+
+module.exports = {
+  SUPPRESSION_REASONS,
+  listSuppressions,
+  getSuppressedEmails,
+  suppress,
+  liftSuppression,
+  filterSuppressed
+};
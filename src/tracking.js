@@ -0,0 +1,152 @@
+// First-party open and click tracking, served by this app.
+//
+//   GET /track/open?i=<issue>&s=<subscriber>&k=<key>&sig=…              1×1 gif
+//   GET /track/click?i=<issue>&s=<subscriber>&a=<article #>&u=<url>&k=&sig=…   302 to u
+//
+// Every parameter is covered by an HMAC (keys from LINK_TOKEN_KEYS, see ./linkTokens), so
+// /track/click only redirects to URLs we signed into an email — it is not an open
+// redirect — and each event is attributed to the subscriber and article actually sent.
+//
+// The generator marks article links with data-track="<n>" and leaves an <!--{{OPEN_PIXEL}}-->
+// comment where the pixel goes (a comment, so previews of the draft don't request it);
+// personaliseTracking() turns those into signed per-recipient URLs and a 1×1 image in
+// EmailSender.sendSingleEmail. Events go to Newsletter_Analytics (raw) and
+// Engagement_Tracking (with the article's title, source and category).
+//
+// EMAIL_TRACKING=resend leaves links untracked and switches Resend's tracking back on.
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { keysFromEnv } = require('./linkTokens');
+
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+const SIGNATURE_LENGTH = 22; // 128 bits of base64url
+
+function firstPartyTracking() {
+  return (process.env.EMAIL_TRACKING || 'first_party').toLowerCase() !== 'resend';
+}
+
+function apiBaseUrl() {
+  return ((process.env.PUBLIC_API_BASE_URL || '').trim() || 'https://sfp-newsletter-automation-production.up.railway.app').replace(/\/$/, '');
+}
+
+function hmac(secret, parts) {
+  return crypto.createHmac('sha256', secret).update(parts.join('|')).digest('base64url').slice(0, SIGNATURE_LENGTH);
+}
+
+function signedQuery(kind, params) {
+  const [key] = keysFromEnv(process.env);
+  const { i = '', s = '', a = '', u = '' } = params;
+  const query = new URLSearchParams({ i, s, ...(kind === 'click' && { a: String(a), u }), k: key.id });
+  query.set('sig', hmac(key.secret, [kind, i, s, a, u]));
+  return query.toString();
+}
+
+// Returns the verified { issueId, subscriberId, articleIndex, url } or null
+function verifyQuery(kind, query) {
+  const { i = '', s = '', a = '', u = '', k, sig } = query;
+  if (typeof sig !== 'string' || typeof k !== 'string') return null;
+  const key = keysFromEnv(process.env).find(entry => entry.id === k);
+  if (!key) return null;
+  const expected = Buffer.from(hmac(key.secret, [kind, i, s, kind === 'click' ? a : '', kind === 'click' ? u : '']));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  return { issueId: String(i), subscriberId: String(s), articleIndex: kind === 'click' ? parseInt(a, 10) || null : null, url: String(u) };
+}
+
+function openPixelUrl({ issueId, subscriberId }) {
+  return `${apiBaseUrl()}/track/open?${signedQuery('open', { i: issueId, s: subscriberId })}`;
+}
+
+function clickUrl({ issueId, subscriberId, articleIndex, url }) {
+  return `${apiBaseUrl()}/track/click?${signedQuery('click', { i: issueId, s: subscriberId, a: articleIndex, u: url })}`;
+}
+
+const decodeAttr = value => value.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#0?39;/g, "'");
+const encodeAttr = value => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+function openPixelTag(src) {
+  return `<img src="${src}" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0;">`;
+}
+
+// Rewrites data-track article links and puts the open pixel in for one recipient. With
+// tracking off the markers are stripped and no pixel is added.
+function personaliseTracking(html, { issueId, subscriberId = '' }) {
+  const enabled = firstPartyTracking();
+  return html
+    .replace(/<!--\{\{OPEN_PIXEL\}\}-->/g, () => enabled ? openPixelTag(encodeAttr(openPixelUrl({ issueId, subscriberId }))) : '')
+    .replace(/href="([^"]+)"(\s+)data-track="(\d+)"/g, (match, href, space, index) => {
+      if (!enabled) return `href="${href}"`;
+      return `href="${encodeAttr(clickUrl({ issueId, subscriberId, articleIndex: parseInt(index, 10), url: decodeAttr(href) }))}"`;
+    });
+}
+
+async function articleFor(issueId, articleIndex) {
+  if (!issueId || !articleIndex) return null;
+  const row = await getStorage().find('Content_Archive', r => r.Issue_ID === issueId);
+  try {
+    return JSON.parse(row?.Content_JSON || '[]')[articleIndex - 1] || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function recordEvent(eventType, event, req) {
+  const storage = getStorage();
+  const timestamp = new Date().toISOString();
+  const subscriber = event.subscriberId ? await storage.find('Subscribers', r => r.Subscriber_ID === event.subscriberId) : null;
+  const email = (subscriber?.Email || '').toLowerCase();
+  const article = eventType === 'click' ? await articleFor(event.issueId, event.articleIndex) : null;
+
+  await storage.append('Newsletter_Analytics', {
+    Timestamp: timestamp,
+    Newsletter_ID: event.issueId,
+    Event_Type: eventType,
+    Article_Index: event.articleIndex || '',
+    Target_URL: event.url,
+    Email: email,
+    IP_Address: req.ip || '',
+    User_Agent: req.get('user-agent') || '',
+    Details: JSON.stringify({ subscriber_id: event.subscriberId, source: 'first_party' })
+  });
+  await storage.append('Engagement_Tracking', {
+    Email: email,
+    Issue_ID: event.issueId,
+    Event_Type: eventType,
+    Timestamp: timestamp,
+    Article_URL: event.url,
+    Source: article?.source || '',
+    Category: article?.category || '',
+    Article_Title: article?.title || ''
+  });
+}
+
+function setupTrackingRoutes(app) {
+  // Always answers with the pixel; unsigned or tampered requests just aren't recorded
+  app.get('/track/open', (req, res) => {
+    const event = verifyQuery('open', req.query);
+    res.set({
+      'Content-Type': 'image/gif',
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    }).send(PIXEL);
+    if (event) recordEvent('open', event, req).catch(e => console.warn('Open tracking failed (non-fatal):', e.message));
+  });
+
+  app.get('/track/click', (req, res) => {
+    const event = verifyQuery('click', req.query);
+    if (!event || !/^https?:\/\//i.test(event.url)) {
+      return res.status(400).set('Content-Type', 'text/plain; charset=utf-8').send('This link is invalid or has been modified.');
+    }
+    res.redirect(302, event.url);
+    recordEvent('click', event, req).catch(e => console.warn('Click tracking failed (non-fatal):', e.message));
+  });
+}
+
+module.exports = {
+  firstPartyTracking,
+  openPixelUrl,
+  clickUrl,
+  verifyQuery,
+  personaliseTracking,
+  setupTrackingRoutes
+};
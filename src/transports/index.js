@@ -0,0 +1,100 @@
+// Email transports — everything that sends mail goes through getTransport().
+//
+// EMAIL_TRANSPORT picks the provider, or a comma-separated failover chain:
+//   EMAIL_TRANSPORT=resend        (default) Resend HTTP API
+//   EMAIL_TRANSPORT=smtp          nodemailer against SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//   EMAIL_TRANSPORT=outbox        write messages to OUTBOX_DIR (default data/outbox), nothing is sent
+//   EMAIL_TRANSPORT=resend,smtp   use Resend, fall back to SMTP when Resend is down
+//
+// Every transport exposes:
+//   send({ from, to, subject, html, text, headers, tags, tracking, idempotencyKey }) → { id, provider }
+//   verify() → true | throws
+//   isConfigured() → boolean
+// Errors carry an HTTP-style `status` (and `retryAfterMs` where known) so the send queue can
+// decide whether to retry.
+const { ResendTransport } = require('./resendTransport');
+const { SmtpTransport } = require('./smtpTransport');
+const { OutboxTransport } = require('./outboxTransport');
+
+function createTransport(name, options = {}) {
+  switch (String(name).trim().toLowerCase()) {
+    case 'resend': return new ResendTransport(options);
+    case 'smtp': return new SmtpTransport(options);
+    case 'outbox':
+    case 'file': return new OutboxTransport(options);
+    default: throw new Error(`Unknown email transport: ${name} (expected resend, smtp or outbox)`);
+  }
+}
+
+// Connection failures that happen before the provider could have accepted anything
+const PRE_ACCEPTANCE_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ECONNECTION'];
+
+// Only fail over when the message certainly wasn't accepted: the provider answered 5xx or
+// couldn't be reached at all. 4xx means the message itself was rejected and would fail
+// everywhere, and 429 is left to the queue's backoff. Timeouts and dropped connections
+// (ETIMEDOUT, ECONNABORTED, ECONNRESET) are ambiguous — Resend may already have the
+// message, and SMTP ignores the idempotency key — so they fail here and the send queue
+// retries them through the same chain, where Resend de-duplicates the retry.
+function shouldFailover(error) {
+  if (error.status) return error.status >= 500;
+  return PRE_ACCEPTANCE_CODES.includes(error.code);
+}
+
+// Tries each transport in order until one accepts the message
+class FailoverTransport {
+  constructor(transports) {
+    this.transports = transports;
+    this.name = transports.map(t => t.name).join(',');
+  }
+
+  isConfigured() {
+    return this.transports.some(t => t.isConfigured());
+  }
+
+  async verify() {
+    const errors = [];
+    for (const t of this.transports) {
+      try { return await t.verify(); } catch (e) { errors.push(`${t.name}: ${e.message}`); }
+    }
+    throw new Error(errors.join('; '));
+  }
+
+  async send(message) {
+    const candidates = this.transports.filter(t => t.isConfigured());
+    if (candidates.length === 0) throw new Error(`No email transport configured (${this.name})`);
+    let lastError;
+    for (let i = 0; i < candidates.length; i++) {
+      try {
+        return await candidates[i].send(message);
+      } catch (error) {
+        lastError = error;
+        if (i === candidates.length - 1 || !shouldFailover(error)) throw error;
+        console.warn(`⚠️ ${candidates[i].name} transport failed (${error.message}) — failing over to ${candidates[i + 1].name}`);
+      }
+    }
+    throw lastError;
+  }
+}
+
+function createTransportChain(spec = process.env.EMAIL_TRANSPORT || 'resend') {
+  const names = String(spec).split(',').map(s => s.trim()).filter(Boolean);
+  const transports = names.map(n => createTransport(n));
+  return transports.length === 1 ? transports[0] : new FailoverTransport(transports);
+}
+
+let instance = null;
+
+function getTransport() {
+  if (!instance) {
+    instance = createTransportChain();
+    console.log(`📧 Email transport: ${instance.name}`);
+  }
+  return instance;
+}
+
+// Swap the shared instance (used by offline tooling)
+function setTransport(transport) {
+  instance = transport;
+}
+
+module.exports = { createTransport, createTransportChain, getTransport, setTransport, FailoverTransport };
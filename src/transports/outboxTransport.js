@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each message to OUTBOX_DIR instead of sending it — for offline runs and tests.
+// One JSON file per message (full envelope) plus the rendered HTML alongside it.
+class OutboxTransport {
+  constructor(options = {}) {
+    this.name = 'outbox';
+    this.dir = path.resolve(options.dir || process.env.OUTBOX_DIR || path.join(__dirname, '../../data/outbox'));
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async verify() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    return true;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const id = `outbox-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const envelope = { id, created_at: new Date().toISOString(), ...message };
+    await fs.promises.writeFile(path.join(this.dir, `${id}.json`), JSON.stringify(envelope, null, 2));
+    if (message.html) await fs.promises.writeFile(path.join(this.dir, `${id}.html`), message.html);
+    return { id, provider: this.name };
+  }
+
+  // Messages currently in the outbox, oldest first
+  async list() {
+    let files = [];
+    try { files = await fs.promises.readdir(this.dir); } catch (e) { return []; }
+    const messages = [];
+    for (const f of files.filter(f => f.endsWith('.json')).sort()) {
+      try { messages.push(JSON.parse(await fs.promises.readFile(path.join(this.dir, f), 'utf8'))); } catch (e) { /* skip */ }
+    }
+    return messages;
+  }
+}
+
+module.exports = { OutboxTransport };
@@ -0,0 +1,67 @@
+const axios = require('axios');
+
+// Resend HTTP API — the production transport
+class ResendTransport {
+  constructor(options = {}) {
+    this.name = 'resend';
+    this.apiKey = options.apiKey || process.env.RESEND_API_KEY;
+    this.apiUrl = options.apiUrl || 'https://api.resend.com/emails';
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async verify() {
+    if (!this.apiKey) throw new Error('RESEND_API_KEY not configured');
+    // Skip API call to avoid rate limiting
+    return true;
+  }
+
+  async send(message) {
+    if (!this.apiKey) throw new Error('RESEND_API_KEY not configured');
+
+    const payload = {
+      from: message.from,
+      to: Array.isArray(message.to) ? message.to : [message.to],
+      subject: message.subject,
+      html: message.html
+    };
+    if (message.text) payload.text = message.text;
+    if (message.headers) payload.headers = message.headers;
+    if (message.tags) payload.tags = message.tags;
+    if (message.tracking) {
+      // Enable tracking so we can pull engagement data back from Resend API
+      payload.open_tracking = true;
+      payload.click_tracking = true;
+    }
+
+    const headers = {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json'
+    };
+    // Resend de-duplicates requests with the same key, so a retried/resumed send can't deliver twice
+    if (message.idempotencyKey) headers['Idempotency-Key'] = message.idempotencyKey;
+
+    try {
+      const response = await axios.post(this.apiUrl, payload, { headers, timeout: 30000 });
+      return { ...response.data, id: response.data.id, provider: this.name };
+    } catch (error) {
+      let sendError;
+      if (error.response) {
+        sendError = new Error(`Resend API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+        sendError.status = error.response.status;
+        const retryAfter = parseFloat(error.response.headers?.['retry-after']);
+        if (!isNaN(retryAfter)) sendError.retryAfterMs = retryAfter * 1000;
+      } else if (error.code === 'ECONNABORTED') {
+        sendError = new Error('Email send timeout');
+      } else {
+        sendError = new Error(`Network error: ${error.message}`);
+      }
+      if (error.code) sendError.code = error.code; // the send queue retries network codes
+      throw sendError;
+    }
+  }
+}
+
+module.exports = { ResendTransport };
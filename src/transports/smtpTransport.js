@@ -0,0 +1,64 @@
+const nodemailer = require('nodemailer');
+
+// SMTP via nodemailer — fallback provider, and for local SMTP catchers (MailHog, smtp4dev) in tests
+class SmtpTransport {
+  constructor(options = {}) {
+    this.name = 'smtp';
+    this.host = options.host || process.env.SMTP_HOST;
+    this.port = parseInt(options.port || process.env.SMTP_PORT || '587');
+    this.secure = options.secure ?? (process.env.SMTP_SECURE === 'true' || this.port === 465);
+    this.user = options.user || process.env.SMTP_USER;
+    this.pass = options.pass || process.env.SMTP_PASS;
+    this._transporter = null;
+  }
+
+  isConfigured() {
+    return !!this.host;
+  }
+
+  transporter() {
+    if (!this.host) throw new Error('SMTP_HOST not configured');
+    if (!this._transporter) {
+      this._transporter = nodemailer.createTransport({
+        host: this.host,
+        port: this.port,
+        secure: this.secure,
+        auth: this.user ? { user: this.user, pass: this.pass } : undefined
+      });
+    }
+    return this._transporter;
+  }
+
+  async verify() {
+    await this.transporter().verify();
+    return true;
+  }
+
+  async send(message) {
+    const headers = { ...(message.headers || {}) };
+    if (message.tags) headers['X-SFP-Tags'] = message.tags.map(t => `${t.name}=${t.value}`).join('; ');
+    if (message.idempotencyKey) headers['X-SFP-Idempotency-Key'] = message.idempotencyKey;
+
+    try {
+      const info = await this.transporter().sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        headers
+      });
+      return { id: info.messageId, provider: this.name, accepted: info.accepted, rejected: info.rejected };
+    } catch (error) {
+      const sendError = new Error(`SMTP error: ${error.message}`);
+      // SMTP 4xx replies are transient and 5xx permanent — map onto HTTP-style
+      // statuses so the send queue retries (or gives up) the same way as for Resend
+      if (error.responseCode >= 500) sendError.status = 422;
+      else if (error.responseCode >= 400) sendError.status = 503;
+      if (error.code) sendError.code = error.code; // ECONNECTION, ETIMEDOUT, … for the send queue
+      throw sendError;
+    }
+  }
+}
+
+module.exports = { SmtpTransport };
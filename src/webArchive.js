@@ -0,0 +1,182 @@
+// Public web archive of sent issues, rendered from Content_Archive.
+//
+//   GET /archive                     links to each newsletter's index
+//   GET /archive/:segment            every published issue for pro | driver, newest first
+//   GET /archive/:segment/:issueId   one issue — the email's "View in browser" link
+//
+// Only issues that actually went out (Sent_Count > 0) are public; previews never are.
+// Issue ids are the Content_Archive Issue_ID — `pro-42` for registry issues (./issues),
+// which also answer to their bare number (`/archive/pro/42`). Older date-style ids
+// (`pro-2026-03-02`) resolve to that day's issue.
+const { getStorage } = require('./storage');
+const { parseIssueId } = require('./issues');
+const NewsletterGenerator = require('./generator');
+
+const NEWSLETTERS = {
+  pro: { title: 'CoR Intel Weekly', tagline: 'Chain of Responsibility Intelligence' },
+  driver: { title: 'Safe Freight Mate', tagline: 'Weekly safety & road intel for Australian drivers' }
+};
+
+let generator = null;
+function getGenerator() {
+  if (!generator) generator = new NewsletterGenerator();
+  return generator;
+}
+
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function publicBaseUrl() {
+  return ((process.env.PUBLIC_API_BASE_URL || '').trim() || 'https://sfp-newsletter-automation-production.up.railway.app').replace(/\/$/, '');
+}
+
+function rowToIssue(row) {
+  let articles = [];
+  try { articles = JSON.parse(row.Content_JSON || '[]'); } catch (e) { /* unreadable content — show empty issue */ }
+  return {
+    issueId: row.Issue_ID,
+    issueNumber: parseIssueId(row.Issue_ID)?.number || null,
+    segment: (row.Segment || '').toLowerCase(),
+    subject: row.Subject || '',
+    publishedAt: row.Published_At || '',
+    sentCount: parseInt(row.Sent_Count) || 0,
+    articles: Array.isArray(articles) ? articles : []
+  };
+}
+
+// Sent issues for a segment, one per Issue_ID (latest row wins), newest first
+async function getPublishedIssues(segment) {
+  const rows = await getStorage().list('Content_Archive');
+  const byId = new Map();
+  for (const row of rows) {
+    const issue = rowToIssue(row);
+    if (issue.segment !== segment || issue.sentCount === 0 || !issue.issueId) continue;
+    const existing = byId.get(issue.issueId);
+    if (!existing || existing.publishedAt < issue.publishedAt) byId.set(issue.issueId, issue);
+  }
+  return [...byId.values()].sort((a, b) => b.publishedAt.localeCompare(a.publishedAt));
+}
+
+async function findIssue(segment, issueId) {
+  const issues = await getPublishedIssues(segment);
+  const exact = issues.find(i => i.issueId === issueId || (/^\d+$/.test(issueId) && i.issueId === `${segment}-${parseInt(issueId, 10)}`));
+  if (exact) return exact;
+  const dateMatch = issueId.match(new RegExp(`^${segment}-(\\d{4}-\\d{2}-\\d{2})$`));
+  if (dateMatch) return issues.find(i => i.publishedAt.startsWith(dateMatch[1])) || null;
+  return null;
+}
+
+function issueUrl(issue) {
+  return `${publicBaseUrl()}/archive/${issue.segment}/${encodeURIComponent(issue.issueId)}`;
+}
+
+// The email template in web-view mode, plus share metadata for LinkedIn and friends
+function renderIssuePage(issue) {
+  const { title } = NEWSLETTERS[issue.segment];
+  const html = getGenerator().buildComplianceNewsletterHTML(issue.articles, issue.segment, { date: issue.publishedAt, webView: true, ...(issue.issueNumber && { issueId: issue.issueId, issueNumber: issue.issueNumber }) });
+  const description = issue.articles.map(a => a.title).filter(Boolean).slice(0, 3).join(' · ');
+  const meta = `
+  <link rel="canonical" href="${issueUrl(issue)}">
+  <meta property="og:type" content="article">
+  <meta property="og:site_name" content="Safe Freight Program">
+  <meta property="og:title" content="${escapeHtml(issue.subject || title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:url" content="${issueUrl(issue)}">
+  <meta property="og:image" content="https://www.safefreightprogram.com/assets/email/sfp-logo-small.png">
+  <meta name="twitter:card" content="summary">
+</head>`;
+  return html
+    .replace(/<title>[^<]*<\/title>/, `<title>${escapeHtml(issue.subject || title)}</title>`)
+    .replace('</head>', meta);
+}
+
+function renderPage(pageTitle, body, head = '') {
+  return `<!DOCTYPE html>
+<html lang="en-AU">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(pageTitle)}</title>${head}
+</head>
+<body style="margin:0;padding:0;background:#f8fafc;font-family:system-ui,-apple-system,'Segoe UI',Roboto,Arial,sans-serif;color:#111827;">
+  <div style="background:#1e40af;color:#ffffff;padding:28px 16px;text-align:center;">
+    <img src="https://www.safefreightprogram.com/assets/email/sfp-logo-small.png" width="60" height="60" alt="Safe Freight Program" style="display:block;margin:0 auto 12px;">
+    <h1 style="margin:0;font-size:28px;">${escapeHtml(pageTitle)}</h1>
+  </div>
+  <div style="max-width:640px;margin:0 auto;padding:24px 16px;">
+${body}
+    <p style="margin-top:32px;font-size:13px;color:#6b7280;text-align:center;">
+      <a href="https://www.safefreightprogram.com/subscribe.html" style="color:#1e40af;">Subscribe free</a> to get new issues by email.
+    </p>
+  </div>
+</body>
+</html>`;
+}
+
+function renderIndexPage(segment, issues) {
+  const { title, tagline } = NEWSLETTERS[segment];
+  const items = issues.length === 0
+    ? '<p style="color:#6b7280;">No issues published yet.</p>'
+    : issues.map(issue => {
+      const date = new Date(issue.publishedAt).toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Australia/Sydney' });
+      return `    <div style="background:#ffffff;border:1px solid #e5e7eb;border-radius:8px;padding:16px;margin-bottom:12px;">
+      <a href="/archive/${segment}/${encodeURIComponent(issue.issueId)}" style="color:#1e40af;font-size:17px;font-weight:600;text-decoration:none;">${escapeHtml(issue.subject || `${title} — ${date}`)}</a>
+      <div style="color:#6b7280;font-size:13px;margin-top:4px;">${escapeHtml(date)} · ${issue.articles.length} articles</div>
+    </div>`;
+    }).join('\n');
+  const feeds = `
+  <link rel="alternate" type="application/rss+xml" title="${escapeHtml(title)} (RSS)" href="/feeds/${segment}.xml">
+  <link rel="alternate" type="application/atom+xml" title="${escapeHtml(title)} (Atom)" href="/feeds/${segment}.atom">`;
+  const intro = `    <p style="color:#374151;margin-top:0;">${escapeHtml(tagline)} — every past issue. Follow via <a href="/feeds/${segment}.xml" style="color:#1e40af;">RSS</a> or <a href="/feeds/${segment}.atom" style="color:#1e40af;">Atom</a>.</p>`;
+  return renderPage(`${title} archive`, `${intro}\n${items}`, feeds);
+}
+
+function sendPage(res, status, html) {
+  res.status(status)
+    .set('Content-Type', 'text/html; charset=utf-8')
+    // Issues use inline styles and images hosted on safefreightprogram.com
+    .set('Content-Security-Policy', "default-src 'self'; img-src 'self' https: data:; style-src 'self' 'unsafe-inline'")
+    .set('Cache-Control', 'public, max-age=300')
+    .send(html);
+}
+
+function setupArchiveRoutes(app) {
+  app.get('/archive', (req, res) => {
+    const links = Object.entries(NEWSLETTERS).map(([segment, n]) =>
+      `    <p><a href="/archive/${segment}" style="color:#1e40af;font-size:18px;font-weight:600;">${escapeHtml(n.title)}</a><br><span style="color:#6b7280;font-size:14px;">${escapeHtml(n.tagline)}</span></p>`
+    ).join('\n');
+    sendPage(res, 200, renderPage('Newsletter archive', links));
+  });
+
+  app.get('/archive/:segment', async (req, res) => {
+    const { segment } = req.params;
+    if (!NEWSLETTERS[segment]) return sendPage(res, 404, renderPage('Not found', '    <p>No such newsletter.</p>'));
+    try {
+      sendPage(res, 200, renderIndexPage(segment, await getPublishedIssues(segment)));
+    } catch (error) {
+      console.error('Archive index error:', error.message);
+      sendPage(res, 500, renderPage('Archive unavailable', '    <p>The archive could not be loaded. Please try again shortly.</p>'));
+    }
+  });
+
+  app.get('/archive/:segment/:issueId', async (req, res) => {
+    const { segment, issueId } = req.params;
+    if (!NEWSLETTERS[segment]) return sendPage(res, 404, renderPage('Not found', '    <p>No such newsletter.</p>'));
+    try {
+      const issue = await findIssue(segment, issueId);
+      if (!issue) return sendPage(res, 404, renderPage('Issue not found', `    <p>That issue isn't in the archive. <a href="/archive/${segment}" style="color:#1e40af;">See all ${escapeHtml(NEWSLETTERS[segment].title)} issues</a>.</p>`));
+      sendPage(res, 200, renderIssuePage(issue));
+    } catch (error) {
+      console.error('Archive issue error:', error.message);
+      sendPage(res, 500, renderPage('Archive unavailable', '    <p>The archive could not be loaded. Please try again shortly.</p>'));
+    }
+  });
+}
+
+module.exports = { NEWSLETTERS, publicBaseUrl, getPublishedIssues, findIssue, issueUrl, setupArchiveRoutes };
@@ -6,19 +6,19 @@ async function checkColumns() {
   try {
     await sheetsManager.initialize();
     
-    // Load headers
-    await sheetsManager.contentSheet.loadHeaderRow();
+    const rows = await sheetsManager.storage.list('Article_Archive');
+    const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
     
-    console.log('Actual column headers in Content_Archive:');
-    sheetsManager.contentSheet.headerValues.forEach((header, i) => {
+    console.log('Actual column headers in Article_Archive:');
+    headers.forEach((header, i) => {
       console.log(`${i + 1}. ${header}`);
     });
     
-    console.log(`\nTotal columns: ${sheetsManager.contentSheet.headerValues.length}`);
+    console.log(`\nTotal columns: ${headers.length}`);
     
   } catch (error) {
     console.error('Error:', error.message);
   }
 }
 
-checkColumns();
\ No newline at end of file
+checkColumns();
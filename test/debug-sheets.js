@@ -1,32 +1,25 @@
 const SheetsManager = require('../config/sheets');
+const { SCHEMAS } = require('../src/storage');
 
 async function debugSheets() {
   const sheetsManager = new SheetsManager();
   
   try {
-    console.log('Testing Google Sheets connection...');
+    console.log('Testing storage connection...');
     
     await sheetsManager.initialize();
     
-    // Log sheet info
-    console.log('Document title:', sheetsManager.doc.title);
-    console.log('Document ID:', sheetsManager.doc.spreadsheetId);
+    console.log('Storage backend:', sheetsManager.storage.name);
     
-    // List all sheets
-    console.log('\nAvailable sheets:');
-    Object.keys(sheetsManager.doc.sheetsByTitle).forEach(title => {
-      console.log(`- ${title}`);
-    });
-    
-    // Test the content sheet specifically
-    if (sheetsManager.contentSheet) {
-      console.log(`\nContent_Archive sheet:`)
-      console.log(`- Row count: ${sheetsManager.contentSheet.rowCount}`);
-      console.log(`- Column count: ${sheetsManager.contentSheet.columnCount}`);
-      
-      // Try to read a few rows
-      const rows = await sheetsManager.contentSheet.getRows({ limit: 5 });
-      console.log(`- Data rows: ${rows.length}`);
+    // Row count for every known table
+    console.log('\nTables:');
+    for (const table of Object.keys(SCHEMAS)) {
+      try {
+        const rows = await sheetsManager.storage.list(table);
+        console.log(`- ${table}: ${rows.length} rows`);
+      } catch (e) {
+        console.log(`- ${table}: error (${e.message})`);
+      }
     }
     
   } catch (error) {
@@ -34,4 +27,4 @@ async function debugSheets() {
   }
 }
 
-debugSheets();
\ No newline at end of file
+debugSheets();
@@ -0,0 +1,81 @@
+// Records test fixtures: fetches each enabled source's page or feed and stores it with what
+// the scraper currently extracts from it (./sourceFixtures).
+//
+//   npm run fixtures:record                         every enabled source
+//   npm run fixtures:record -- --source "NHVR Latest News"
+//   npm run fixtures:record -- --update             re-derive expectations from the stored
+//                                                   pages after an intended change, no network
+//   npm run fixtures:record -- --registry           sources from the Sources table instead
+//                                                   of config/config.js
+//
+// Review the resulting diff before committing: a recorded fixture is what `npm test`
+// holds the scraper to from then on.
+const config = require('../config/config');
+const { EnhancedNewsScraper, sourceDiagnostics } = require('../src/scraper');
+const { loadSources, readFixtures, writeFixture } = require('./sourceFixtures');
+
+function parseArgs(argv) {
+  const args = { update: argv.includes('--update'), registry: argv.includes('--registry'), source: null };
+  const i = argv.indexOf('--source');
+  if (i !== -1) args.source = argv[i + 1];
+  return args;
+}
+
+async function record(sources) {
+  const scraper = new EnhancedNewsScraper();
+  let recorded = 0;
+  for (const source of sources) {
+    const diagnostics = sourceDiagnostics(source);
+    try {
+      const body = await scraper.fetchListing(source, diagnostics, { cache: false });
+      const fixture = writeFixture(source, { body, httpStatus: diagnostics.httpStatus, recordedAt: new Date().toISOString() });
+      console.log(`✅ ${source.name}: ${fixture.expected.items.length} items, ${fixture.expected.accepted} accepted`);
+      recorded++;
+    } catch (error) {
+      console.error(`❌ ${source.name}: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+    }
+    await scraper.delay(config.rateLimiting.delayBetweenRequests);
+  }
+  return recorded;
+}
+
+function update(sources, only) {
+  const byName = new Map(sources.map(s => [s.name, s]));
+  let updated = 0;
+  for (const fixture of readFixtures()) {
+    if (only && fixture.source !== only) continue;
+    const source = byName.get(fixture.source);
+    if (!source) {
+      console.warn(`⚠️ ${fixture.file}: no source named "${fixture.source}" — delete the fixture if it was removed`);
+      continue;
+    }
+    const next = writeFixture(source, fixture);
+    console.log(`🔄 ${source.name}: ${next.expected.items.length} items, ${next.expected.accepted} accepted`);
+    updated++;
+  }
+  return updated;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const sources = await loadSources({ registry: args.registry });
+
+  if (args.update) {
+    console.log(`\n📁 Updated ${update(sources, args.source)} fixture(s)`);
+    return;
+  }
+
+  const selected = args.source
+    ? sources.filter(s => s.name === args.source)
+    : sources.filter(s => s.enabled !== false);
+  if (selected.length === 0) throw new Error(args.source ? `Unknown source: ${args.source}` : 'No enabled sources');
+  console.log(`🎞️ Recording ${selected.length} source fixture(s)...\n`);
+  const recorded = await record(selected);
+  console.log(`\n📁 Recorded ${recorded}/${selected.length} fixture(s)`);
+  if (recorded < selected.length) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error('❌ Fixture recording failed:', error.message);
+  process.exit(1);
+});
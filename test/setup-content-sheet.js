@@ -6,24 +6,15 @@ async function setupContentSheet() {
   try {
     await sheetsManager.initialize();
     
-    // Check if we have the right sheet structure
-    console.log('Current Content_Archive headers:', sheetsManager.contentSheet.headerValues);
+    // Create the archive tables with their header rows if they don't exist yet
+    await sheetsManager.storage.ensureTable('Article_Archive');
+    await sheetsManager.storage.ensureTable('Content_Archive');
     
-    // Create new sheet with proper structure for articles
-    const articleSheet = await sheetsManager.doc.addSheet({
-      title: 'Article_Archive',
-      headerValues: [
-        'ID', 'Date_Collected', 'Source', 'Title', 'URL', 
-        'Published_Date', 'Summary', 'Used_In_Issue', 'Content_Hash', 
-        'Relevance_Score', 'Segment_Tag'
-      ]
-    });
-    
-    console.log('Created Article_Archive sheet for storing scraped articles');
+    console.log('Article_Archive and Content_Archive are ready');
     
   } catch (error) {
     console.error('Setup error:', error.message);
   }
 }
 
-setupContentSheet();
\ No newline at end of file
+setupContentSheet();
@@ -0,0 +1,124 @@
+// Source fixtures — recorded pages and feeds replayed through EnhancedNewsScraper offline.
+//
+// Each fixture is two files in test/fixtures/sources: the page, feed or listing as it was
+// fetched (<slug>.html / .xml / .json) and <slug>.fixture.json with what the scraper
+// extracted from it when it was recorded — the selector that matched and every item's title, URL, date and filter
+// outcome ('accepted' or an articleRejectReason key). test/record-fixtures.js writes them,
+// test/test-system.js replays them and reports any difference.
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { EnhancedNewsScraper, sourceDiagnostics, sourceType } = require('../src/scraper');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'sources');
+const BODY_EXTENSIONS = { html: 'html', rss: 'xml', sitemap: 'xml', json: 'json' };
+
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Sources from config/config.js, or from the Sources table with `registry`
+async function loadSources({ registry = false } = {}) {
+  if (!registry) return config.sources;
+  return require('../src/sourceRegistry').loadScraperSources();
+}
+
+// Runs fn with the scraper's per-item console output muted
+function quietly(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+// Parses a recorded body the way a scrape at `recordedAt` would, so sitemap age cutoffs
+// don't move as the fixture gets older. Feeds without a <pubDate> are dated "now" by the
+// scraper, so dates at or after the replay started are recorded as null.
+function replay(source, body, recordedAt) {
+  const scraper = new EnhancedNewsScraper();
+  const diagnostics = sourceDiagnostics(source);
+  const trace = { selectors: [], items: [] };
+  const startedAt = new Date().toISOString();
+  quietly(() => scraper.parseListing(body, source, diagnostics, trace, recordedAt ? new Date(recordedAt) : new Date()));
+  return {
+    matchedSelector: diagnostics.selector,
+    accepted: diagnostics.accepted,
+    items: trace.items.map(item => ({
+      title: item.title || '',
+      url: item.url || null,
+      publishedAt: item.publishedAt && item.publishedAt < startedAt ? item.publishedAt : null,
+      outcome: item.valid ? 'accepted' : item.rejectReason
+    }))
+  };
+}
+
+function readFixtures() {
+  if (!fs.existsSync(FIXTURE_DIR)) return [];
+  return fs.readdirSync(FIXTURE_DIR)
+    .filter(file => file.endsWith('.fixture.json'))
+    .sort()
+    .map(file => {
+      const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+      return { ...fixture, file, body: fs.readFileSync(path.join(FIXTURE_DIR, fixture.bodyFile), 'utf8') };
+    });
+}
+
+function writeFixture(source, { body, httpStatus, recordedAt }) {
+  const slug = slugify(source.name);
+  const bodyFile = `${slug}.${BODY_EXTENSIONS[sourceType(source)] || 'html'}`;
+  const fixture = {
+    source: source.name,
+    url: source.url,
+    type: sourceType(source),
+    recordedAt,
+    httpStatus,
+    bodyFile,
+    expected: replay(source, body, recordedAt)
+  };
+  fs.mkdirSync(FIXTURE_DIR, { recursive: true });
+  fs.writeFileSync(path.join(FIXTURE_DIR, bodyFile), body);
+  fs.writeFileSync(path.join(FIXTURE_DIR, `${slug}.fixture.json`), JSON.stringify(fixture, null, 2) + '\n');
+  return fixture;
+}
+
+// Human-readable differences between a recorded expectation and a replay, [] if none
+function compare(expected, actual) {
+  const differences = [];
+  if (expected.matchedSelector !== actual.matchedSelector) {
+    differences.push(`matched selector: ${JSON.stringify(expected.matchedSelector)} → ${JSON.stringify(actual.matchedSelector)}`);
+  }
+  if (expected.accepted !== actual.accepted) differences.push(`accepted articles: ${expected.accepted} → ${actual.accepted}`);
+  if (expected.items.length !== actual.items.length) differences.push(`items extracted: ${expected.items.length} → ${actual.items.length}`);
+  const count = Math.max(expected.items.length, actual.items.length);
+  for (let i = 0; i < count; i++) {
+    const a = expected.items[i];
+    const b = actual.items[i];
+    if (!a) {
+      differences.push(`#${i + 1} new item: "${b.title}" (${b.outcome})`);
+      continue;
+    }
+    if (!b) {
+      differences.push(`#${i + 1} missing item: "${a.title}" (${a.outcome})`);
+      continue;
+    }
+    for (const field of ['title', 'url', 'publishedAt', 'outcome']) {
+      if (a[field] !== b[field]) differences.push(`#${i + 1} ${field}: ${JSON.stringify(a[field])} → ${JSON.stringify(b[field])}`);
+    }
+  }
+  return differences;
+}
+
+module.exports = {
+  FIXTURE_DIR,
+  slugify,
+  loadSources,
+  replay,
+  readFixtures,
+  writeFixture,
+  compare
+};
@@ -0,0 +1,59 @@
+// Offline regression suite (`npm test`): replays every recorded source fixture through
+// EnhancedNewsScraper with the current source settings and fails if any title, URL, date
+// or filter outcome differs from what was recorded (./sourceFixtures), or if an enabled
+// source has no fixture at all. No network needed.
+//
+//   npm test                    settings from config/config.js
+//   npm test -- --registry      settings from the Sources table
+//   npm test -- --source "NHVR Latest News"
+//
+// An intended change (new selector, keyword list) is accepted with
+// `npm run fixtures:record -- --update`; a redesigned site needs a fresh recording.
+const { loadSources, readFixtures, replay, compare } = require('./sourceFixtures');
+
+const MAX_DIFFERENCES_SHOWN = 10;
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const only = argv.includes('--source') ? argv[argv.indexOf('--source') + 1] : null;
+  const sources = await loadSources({ registry: argv.includes('--registry') });
+  const byName = new Map(sources.map(s => [s.name, s]));
+  const fixtures = readFixtures().filter(f => !only || f.source === only);
+
+  console.log(`🧪 Replaying ${fixtures.length} source fixture(s)\n`);
+  let failed = 0;
+  for (const fixture of fixtures) {
+    const source = byName.get(fixture.source);
+    if (!source) {
+      console.log(`❌ ${fixture.source} — no such source (fixture ${fixture.file})`);
+      failed++;
+      continue;
+    }
+    const differences = compare(fixture.expected, replay(source, fixture.body, fixture.recordedAt));
+    if (differences.length === 0) {
+      console.log(`✅ ${fixture.source} — ${fixture.expected.items.length} items, ${fixture.expected.accepted} accepted`);
+      continue;
+    }
+    failed++;
+    console.log(`❌ ${fixture.source} — ${differences.length} difference(s) from the recording of ${fixture.recordedAt}`);
+    differences.slice(0, MAX_DIFFERENCES_SHOWN).forEach(d => console.log(`     ${d}`));
+    if (differences.length > MAX_DIFFERENCES_SHOWN) console.log(`     … and ${differences.length - MAX_DIFFERENCES_SHOWN} more`);
+  }
+
+  // An enabled source without a recording is untested, so it fails the run
+  const recorded = new Set(readFixtures().map(f => f.source));
+  const missing = only ? [] : sources.filter(s => s.enabled !== false && !recorded.has(s.name));
+  if (missing.length > 0) {
+    console.log(`\n❌ ${missing.length} enabled source(s) have no fixture — record them with npm run fixtures:record:`);
+    missing.forEach(s => console.log(`     ${s.name}`));
+  }
+
+  const ok = failed === 0 && missing.length === 0;
+  console.log(`\n${ok ? '✅' : '❌'} ${fixtures.length - failed}/${fixtures.length} source fixture(s) passed${missing.length > 0 ? `, ${missing.length} enabled source(s) not recorded` : ''}`);
+  if (!ok) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error('❌ Test run failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempEnv, startServer } = require('./helpers');
+
+const env = useTempEnv();
+const config = require('../../config/config');
+const { extractArticleText, fetchArticleBodies } = require('../../src/articleBodies');
+
+test.after(env.cleanup);
+
+const paragraph = n => `<p>Paragraph ${n} of the story: the regulator says operators, schedulers and loaders all share responsibility for fatigue, speed and load restraint under the Chain of Responsibility rules.</p>`;
+const story = [1, 2, 3, 4].map(paragraph).join('\n');
+
+const page = body => `<!doctype html><html><head><title>t</title><script>var x = 1;</script></head><body>
+  <nav><a href="/">Home</a> <a href="/news">News</a></nav>
+  ${body}
+  <footer><p>Copyright 2026 National Heavy Vehicle Regulator, all rights reserved, terms and privacy apply.</p></footer>
+</body></html>`;
+
+test('extractArticleText takes the marked-up article body without page chrome', () => {
+  const text = extractArticleText(page(`<div itemprop="articleBody">${story}
+    <div class="share-bar"><p>Share this story with your colleagues on every social network there is.</p></div>
+  </div>`));
+  assert.ok(text.startsWith('Paragraph 1 of the story'));
+  assert.ok(text.includes('Paragraph 4 of the story'));
+  assert.strictEqual(text.split('\n\n').length, 4);
+  assert.ok(!/Home|Copyright|Share this story|var x/.test(text));
+});
+
+test('extractArticleText falls back to paragraph scoring when there is no content markup', () => {
+  const text = extractArticleText(page(`
+    <div class="teasers"><article><p>Teaser one</p></article><article><p>Teaser two</p></article></div>
+    <div id="x1"><div id="x2">${story}</div></div>
+    <div id="x3"><p><a href="/a">A linked list of other stories, all of them links, nothing else at all here</a></p></div>`));
+  assert.ok(text.startsWith('Paragraph 1 of the story'));
+  assert.ok(!text.includes('Teaser'));
+  assert.ok(!text.includes('linked list'));
+});
+
+test('extractArticleText returns nothing for pages with too little text', () => {
+  assert.strictEqual(extractArticleText(page('<article><p>Subscribe to read this story.</p></article>')), '');
+});
+
+test('fetchArticleBodies fills body and bodyStatus and counts outcomes', async () => {
+  const server = await startServer({
+    '/story': (req, res) => { res.writeHead(200, { 'Content-Type': 'text/html' }); res.end(page(`<article>${story}</article>`)); },
+    '/paywall': (req, res) => { res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }); res.end(page('<article><p>Subscribe.</p></article>')); },
+    '/report.pdf': (req, res) => { res.writeHead(200, { 'Content-Type': 'application/pdf' }); res.end('%PDF-1.4'); }
+  });
+  const delay = config.rateLimiting.delayBetweenRequests;
+  config.rateLimiting.delayBetweenRequests = 0;
+  try {
+    const articles = [
+      { url: `${server.url}/story` },
+      { url: `${server.url}/paywall` },
+      { url: `${server.url}/report.pdf` },
+      { url: `${server.url}/gone` },
+      { url: `${server.url}/kept`, body: 'Already fetched' }
+    ];
+    const counts = await fetchArticleBodies(articles);
+    assert.deepStrictEqual(counts, { ok: 1, short: 1, unsupported: 1, failed: 1 });
+    assert.deepStrictEqual(articles.map(a => a.bodyStatus), ['ok', 'short', 'unsupported', 'failed', undefined]);
+    assert.ok(articles[0].body.startsWith('Paragraph 1 of the story'));
+    assert.strictEqual(articles[4].body, 'Already fetched');
+    assert.ok(!server.requests.some(r => r.url === '/kept'));
+  } finally {
+    config.rateLimiting.delayBetweenRequests = delay;
+    await server.close();
+  }
+});
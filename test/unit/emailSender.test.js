@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempEnv } = require('./helpers');
+
+const env = useTempEnv({ EMAIL_FROM: 'newsletter@example.com' });
+const { getStorage } = require('../../src/storage');
+const { getTransport } = require('../../src/transports');
+const { suppress } = require('../../src/suppressions');
+const { getIssueLedger } = require('../../src/sendLedger');
+const { createIssue, getIssue } = require('../../src/issues');
+const { verifyLinkToken, keysFromEnv } = require('../../src/linkTokens');
+const EmailSender = require('../../src/emailSender');
+
+test.after(env.cleanup);
+
+const newsletter = {
+  issueId: 'pro-9',
+  segment: 'pro',
+  subject: 'CoR Intel Weekly #9',
+  html: '<p>Hi {{NAME}}</p><a href="https://www.nhvr.gov.au/a" data-track="1">Story</a><a href="{{UNSUBSCRIBE_URL}}">Unsubscribe</a>'
+};
+
+const subscribers = [
+  { email: 'one@example.com', name: 'One', subscriberId: 'SUB-1' },
+  { email: 'ONE@example.com ', name: 'One again', subscriberId: 'SUB-1' },
+  { email: 'two@example.com', name: 'Two', subscriberId: 'SUB-2' },
+  { email: 'bounced@example.com', name: 'Bounced', subscriberId: 'SUB-3' }
+];
+
+const fast = { concurrency: 2, ratePerSec: 100 };
+
+test('sendBulkEmails de-duplicates, skips suppressed addresses and records the ledger', async () => {
+  for (let i = 0; i < 9; i++) await createIssue('pro');
+  await suppress('bounced@example.com', { reason: 'hard_bounce', source: 'resend_webhook' });
+  const sender = new EmailSender();
+  const result = await sender.sendBulkEmails(newsletter, subscribers, fast);
+
+  assert.deepStrictEqual([result.sentCount, result.failedCount, result.skippedCount, result.suppressedCount], [2, 0, 0, 1]);
+  const messages = await getTransport().list();
+  assert.deepStrictEqual(messages.map(m => m.to[0]).sort(), ['one@example.com', 'two@example.com']);
+  assert.ok(messages.every(m => m.idempotencyKey === `pro-9:${m.to[0]}`));
+  assert.ok(messages.every(m => m.tags.some(t => t.name === 'issue_id' && t.value === 'pro-9')));
+
+  const ledger = await getIssueLedger('pro-9');
+  assert.deepStrictEqual([ledger.sent, ledger.failed], [2, 0]);
+  // The number has been in inboxes, so it can never be handed out again
+  assert.ok((await getIssue('pro-9')).emailedAt);
+});
+
+test('each recipient gets their own signed unsubscribe link and tracked article links', async () => {
+  const message = (await getTransport().list()).find(m => m.to[0] === 'two@example.com');
+  assert.ok(message.html.includes('<p>Hi Two</p>'));
+  assert.ok(message.html.includes('/track/click?'));
+  assert.ok(!message.html.includes('data-track'));
+
+  const token = decodeURIComponent(/\/api\/unsubscribe\?token=([^"&]+)/.exec(message.html)[1]);
+  const verified = await verifyLinkToken(token, keysFromEnv(process.env), { action: 'unsubscribe' });
+  assert.deepStrictEqual([verified.subscriberId, verified.email], ['SUB-2', 'two@example.com']);
+  assert.strictEqual(message.headers['List-Unsubscribe'], `<https://news.example.test/api/unsubscribe?token=${encodeURIComponent(token)}>`);
+});
+
+test('a second send of the same issue only reaches recipients who have not had it', async () => {
+  const sender = new EmailSender();
+  const result = await sender.sendBulkEmails(newsletter, [...subscribers, { email: 'three@example.com', subscriberId: 'SUB-4' }], fast);
+  assert.deepStrictEqual([result.sentCount, result.skippedCount], [1, 2]);
+  assert.strictEqual((await getTransport().list()).length, 3);
+});
+
+test('failed recipients are recorded and retried on the next send', async () => {
+  const sender = new EmailSender();
+  const send = sender.transport.send.bind(sender.transport);
+  sender.transport.send = async () => { throw Object.assign(new Error('Invalid recipient'), { status: 422 }); };
+  const failed = await sender.sendBulkEmails(newsletter, [{ email: 'four@example.com', subscriberId: 'SUB-5' }], fast);
+  assert.deepStrictEqual([failed.success, failed.failedCount], [false, 1]);
+  assert.strictEqual((await getIssueLedger('pro-9')).recipients['four@example.com'].status, 'failed');
+
+  sender.transport.send = send;
+  const retried = await sender.sendBulkEmails(newsletter, [{ email: 'four@example.com', subscriberId: 'SUB-5' }], fast);
+  assert.deepStrictEqual([retried.sentCount, retried.skippedCount], [1, 0]);
+  assert.strictEqual((await getStorage().list('Send_Ledger')).filter(r => r.Email === 'four@example.com').length, 2);
+});
@@ -0,0 +1,58 @@
+// Shared setup for the unit tests (`node --test test/unit/`). Call useTempEnv() before
+// requiring anything from src/: it points file storage, the scrape cache and the outbox at
+// a fresh temp directory and sets a fixed link-token key, so tests never touch data/ or the
+// network. Each test file runs in its own process, so the environment doesn't leak.
+//
+// The app's console.log/warn progress lines are muted (TEST_VERBOSE=1 keeps them): besides
+// the noise, Node 20's runner can fail to parse a test file's output when it is mixed in.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+function useTempEnv(extra = {}) {
+  if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfp-unit-'));
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    STORAGE_BACKEND: 'file',
+    STORAGE_DIR: path.join(dir, 'store'),
+    SCRAPE_CACHE_DIR: path.join(dir, 'scrape-cache'),
+    OUTBOX_DIR: path.join(dir, 'outbox'),
+    EMAIL_TRANSPORT: 'outbox',
+    LINK_TOKEN_KEYS: 'k2:unit-test-secret-2,k1:unit-test-secret-1',
+    PUBLIC_API_BASE_URL: 'https://news.example.test',
+    ...extra
+  });
+  return {
+    dir,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+// Local HTTP server for fetch tests. `routes` maps a path to (req, res) => void.
+// Resolves to { url, requests, close }.
+function startServer(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    const handler = routes[req.url.split('?')[0]];
+    if (!handler) {
+      res.writeHead(404);
+      return res.end('not found');
+    }
+    handler(req, res);
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+module.exports = { useTempEnv, startServer };
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempEnv } = require('./helpers');
+
+const env = useTempEnv();
+const { getStorage } = require('../../src/storage');
+const {
+  createIssue, getIssue, markIssueSent, markIssueEmailed, releaseIssue, parseIssueId, sendSlot, getSlotIssue
+} = require('../../src/issues');
+
+test.after(env.cleanup);
+
+test('issues are numbered per segment', async () => {
+  const first = await createIssue('pro');
+  const driver = await createIssue('driver');
+  assert.deepStrictEqual([first.issueId, first.label, driver.issueId], ['pro-1', 'CoR Intel Weekly #1', 'driver-1']);
+  assert.deepStrictEqual(parseIssueId('pro-12'), { segment: 'pro', number: 12 });
+  assert.strictEqual(parseIssueId('pro-2026-03-02'), null);
+  await assert.rejects(createIssue('weekly'), error => error.status === 400);
+});
+
+test('concurrent generations never share a number', async () => {
+  const issues = await Promise.all([createIssue('pro'), createIssue('pro'), createIssue('pro')]);
+  assert.deepStrictEqual(issues.map(i => i.number), [2, 3, 4]);
+});
+
+test('a released number that was never emailed is reused, with its old preview removed', async () => {
+  await getStorage().append('Content_Archive', { Issue_ID: 'pro-4', Segment: 'pro', Sent_Count: 0 });
+  assert.strictEqual(await releaseIssue('pro-4'), 1);
+  assert.strictEqual((await getIssue('pro-4')).status, 'released');
+
+  const reused = await createIssue('pro');
+  assert.deepStrictEqual([reused.issueId, reused.status], ['pro-4', 'draft']);
+  assert.strictEqual(await getStorage().find('Content_Archive', r => r.Issue_ID === 'pro-4'), null);
+});
+
+test('a number that has been in an email is discarded, never reused', async () => {
+  await markIssueEmailed('pro-4');
+  await releaseIssue('pro-4');
+  assert.strictEqual((await getIssue('pro-4')).status, 'discarded');
+  assert.strictEqual((await createIssue('pro')).issueId, 'pro-5');
+});
+
+test('numbers at or below the last sent issue are not reused', async () => {
+  await releaseIssue('pro-2');
+  await markIssueSent('pro-3');
+  assert.strictEqual(await releaseIssue('pro-3'), 0);
+  assert.strictEqual((await getIssue('pro-3')).status, 'sent');
+  assert.strictEqual((await createIssue('pro')).issueId, 'pro-6');
+});
+
+test('an issue opened for a send slot is found again for a retry of that slot', async () => {
+  const day = new Date('2026-10-19T20:00:00.000Z');
+  assert.strictEqual(sendSlot('driver', day), 'driver-2026-10-19');
+  assert.strictEqual(await getSlotIssue('driver', day), null);
+
+  const opened = await createIssue('driver', { slot: sendSlot('driver', day) });
+  assert.strictEqual((await getSlotIssue('driver', day)).issueId, opened.issueId);
+  assert.strictEqual(await getSlotIssue('driver', new Date('2026-10-26T20:00:00.000Z')), null);
+
+  // Emailed and then discarded after a failed send: a retry still resumes it
+  await markIssueEmailed(opened.issueId);
+  await releaseIssue(opened.issueId);
+  assert.strictEqual((await getSlotIssue('driver', day)).status, 'discarded');
+});
+
+test('a released slot issue is not resumed, and its number loses the slot when reused', async () => {
+  const day = new Date('2026-11-02T20:00:00.000Z');
+  const opened = await createIssue('driver', { slot: sendSlot('driver', day) });
+  await releaseIssue(opened.issueId);
+  assert.strictEqual(await getSlotIssue('driver', day), null);
+
+  const reused = await createIssue('driver');
+  assert.deepStrictEqual([reused.issueId, reused.sendSlot], [opened.issueId, null]);
+});
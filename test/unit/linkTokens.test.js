@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseKeys, keysFromEnv, signLinkToken, verifyLinkToken, isSignedToken } = require('../../src/linkTokens');
+
+const keys = parseKeys('k2:second-secret,k1:first-secret');
+
+test('a signed token verifies and carries its claims', async () => {
+  const token = await signLinkToken({ subscriberId: 'SUB-1', action: 'unsubscribe', segment: 'pro', email: 'a@example.com' }, keys);
+  assert.ok(isSignedToken(token));
+  assert.ok(token.startsWith('k2.'));
+  const verified = await verifyLinkToken(token, keys, { action: 'unsubscribe' });
+  assert.strictEqual(verified.ok, true);
+  assert.strictEqual(verified.subscriberId, 'SUB-1');
+  assert.strictEqual(verified.segment, 'pro');
+  assert.strictEqual(verified.email, 'a@example.com');
+});
+
+test('tokens without an email verify with an empty email', async () => {
+  const token = await signLinkToken({ subscriberId: 'SUB-1', action: 'preferences' }, keys);
+  const verified = await verifyLinkToken(token, keys);
+  assert.strictEqual(verified.ok, true);
+  assert.strictEqual(verified.email, '');
+});
+
+test('tampered, expired and misused tokens are rejected', async () => {
+  const token = await signLinkToken({ subscriberId: 'SUB-1', action: 'pause' }, keys);
+  const [keyId, payload, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sid: 'SUB-2', act: 'pause', seg: 'all', exp: 9999999999 })).toString('base64url');
+
+  assert.strictEqual((await verifyLinkToken(`${keyId}.${forged}.${signature}`, keys)).reason, 'bad_signature');
+  assert.strictEqual((await verifyLinkToken(`k9.${payload}.${signature}`, keys)).reason, 'unknown_key');
+  assert.strictEqual((await verifyLinkToken('legacy-static-token', keys)).reason, 'malformed');
+  assert.strictEqual((await verifyLinkToken(token, keys, { action: 'unsubscribe' })).reason, 'wrong_action');
+
+  const expired = await signLinkToken({ subscriberId: 'SUB-1', action: 'confirm', ttlDays: -1 }, keys);
+  assert.strictEqual((await verifyLinkToken(expired, keys)).reason, 'expired');
+});
+
+test('rotation: tokens signed with an older listed key still verify, dropped keys do not', async () => {
+  const oldKeys = parseKeys('k1:first-secret');
+  const token = await signLinkToken({ subscriberId: 'SUB-1', action: 'unsubscribe' }, oldKeys);
+  assert.strictEqual((await verifyLinkToken(token, keys)).ok, true);
+  assert.strictEqual((await verifyLinkToken(token, parseKeys('k2:second-secret'))).reason, 'unknown_key');
+});
+
+test('keysFromEnv', () => {
+  assert.deepStrictEqual(keysFromEnv({ LINK_TOKEN_SECRET: 's3cret' }), [{ id: 'k1', secret: 's3cret' }]);
+  assert.throws(() => keysFromEnv({ NODE_ENV: 'production' }), /LINK_TOKEN_KEYS not configured/);
+  assert.throws(() => parseKeys('no-separator'), /id:secret/);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempEnv } = require('./helpers');
+
+const env = useTempEnv();
+const { getStorage } = require('../../src/storage');
+const { signPayload, verifySignature, ingestEvent } = require('../../src/resendWebhooks');
+
+test.after(env.cleanup);
+
+const SECRET = `whsec_${Buffer.from('unit-test-webhook-secret').toString('base64')}`;
+
+function signedHeaders(body, { id = 'msg_1', timestamp = Math.floor(Date.now() / 1000), secret = SECRET } = {}) {
+  return { 'svix-id': id, 'svix-timestamp': String(timestamp), 'svix-signature': `v1,${signPayload(secret, id, timestamp, body)}` };
+}
+
+function event(type, data = {}) {
+  return {
+    type,
+    created_at: '2026-10-01T00:00:00.000Z',
+    data: { email_id: 'em_1', to: ['Driver@Example.com'], tags: { issue_id: 'pro-7', newsletter: 'pro' }, ...data }
+  };
+}
+
+test('verifySignature accepts a correctly signed body and returns the event id', () => {
+  const body = JSON.stringify(event('email.delivered'));
+  assert.strictEqual(verifySignature(body, signedHeaders(body), SECRET), 'msg_1');
+
+  // Any one of several space-separated signatures (secret rotation) is enough
+  const headers = signedHeaders(body);
+  headers['svix-signature'] = `v1,bm90LXRoZS1zaWduYXR1cmU= ${headers['svix-signature']}`;
+  assert.strictEqual(verifySignature(body, headers, SECRET), 'msg_1');
+});
+
+test('verifySignature rejects tampered bodies, other secrets, stale timestamps and missing headers', () => {
+  const body = JSON.stringify(event('email.delivered'));
+  const rejects = (...args) => assert.throws(() => verifySignature(...args), error => error.status === 401);
+  rejects(`${body} `, signedHeaders(body), SECRET);
+  rejects(body, signedHeaders(body, { secret: 'whsec_b3RoZXI=' }), SECRET);
+  rejects(body, signedHeaders(body, { timestamp: Math.floor(Date.now() / 1000) - 3600 }), SECRET);
+  rejects(body, { 'svix-id': 'msg_1' }, SECRET);
+});
+
+test('ingestEvent stores an event once per svix-id and mirrors clicks into Engagement_Tracking', async () => {
+  const storage = getStorage();
+  await storage.append('Content_Archive', {
+    Issue_ID: 'pro-7',
+    Content_JSON: JSON.stringify([{ title: 'Fatigue rules change', url: 'https://www.nhvr.gov.au/news/1', source: 'NHVR', category: 'compliance' }])
+  });
+
+  const click = event('email.clicked', { click: { link: 'https://www.nhvr.gov.au/news/1?utm_source=sfp&utm_campaign=pro-7', timestamp: '2026-10-01T01:00:00.000Z' } });
+  const first = await ingestEvent(click, 'msg_click');
+  assert.strictEqual(first.stored, true);
+  const again = await ingestEvent(click, 'msg_click');
+  assert.deepStrictEqual([again.stored, again.duplicate], [false, true]);
+
+  const events = await storage.list('Email_Events');
+  assert.strictEqual(events.filter(r => r.Event_ID === 'msg_click').length, 1);
+  assert.strictEqual(events[0].Email, 'driver@example.com');
+
+  const engagement = (await storage.list('Engagement_Tracking')).filter(r => r.Event_Type === 'click');
+  assert.strictEqual(engagement.length, 1);
+  assert.strictEqual(engagement[0].Article_Title, 'Fatigue rules change');
+  assert.strictEqual(engagement[0].Source, 'NHVR');
+});
+
+test('hard bounces and complaints suppress the address, transient bounces do not', async () => {
+  const storage = getStorage();
+  await ingestEvent(event('email.bounced', { to: ['soft@example.com'], bounce: { type: 'Transient', message: 'Mailbox full' } }), 'msg_soft');
+  await ingestEvent(event('email.bounced', { to: ['hard@example.com'], bounce: { type: 'Permanent', message: 'No such user' } }), 'msg_hard');
+  await ingestEvent(event('email.complained', { to: ['angry@example.com'] }), 'msg_complaint');
+
+  const suppressed = await storage.list('Suppressions');
+  assert.deepStrictEqual(suppressed.map(r => [r.Email, r.Reason]).sort(), [
+    ['angry@example.com', 'complaint'],
+    ['hard@example.com', 'hard_bounce']
+  ]);
+});
+
+test('unknown event types are ignored', async () => {
+  const result = await ingestEvent({ type: 'email.sent', data: {} }, 'msg_sent');
+  assert.deepStrictEqual(result, { stored: false, duplicate: false, event: null });
+});
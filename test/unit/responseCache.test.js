@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempEnv } = require('./helpers');
+
+const env = useTempEnv();
+const { getCachedResponse, conditionalHeaders, storeResponse, markNotModified, pruneCache } = require('../../src/responseCache');
+
+test.after(env.cleanup);
+
+const URL_A = 'https://www.nhvr.gov.au/news';
+const ok = (body, headers = {}) => ({ status: 200, data: body, headers });
+
+test('a stored 200 comes back with its validators as conditional headers', async () => {
+  assert.strictEqual(await getCachedResponse(URL_A), null);
+  assert.deepStrictEqual(conditionalHeaders(null), {});
+
+  await storeResponse(URL_A, ok('<html>v1</html>', { etag: '"v1"', 'last-modified': 'Wed, 01 Oct 2026 00:00:00 GMT' }));
+  const entry = await getCachedResponse(URL_A);
+  assert.strictEqual(entry.body, '<html>v1</html>');
+  assert.deepStrictEqual(conditionalHeaders(entry), { 'If-None-Match': '"v1"', 'If-Modified-Since': 'Wed, 01 Oct 2026 00:00:00 GMT' });
+});
+
+test('non-200 and non-text responses are not cached', async () => {
+  await storeResponse('https://example.com/missing', { status: 404, data: 'gone', headers: {} });
+  await storeResponse('https://example.com/json', ok({ items: [] }));
+  assert.strictEqual(await getCachedResponse('https://example.com/missing'), null);
+  assert.strictEqual(await getCachedResponse('https://example.com/json'), null);
+});
+
+test('markNotModified keeps the body and takes fresher validators', async () => {
+  const entry = await getCachedResponse(URL_A);
+  await markNotModified(entry, { status: 304, headers: { etag: '"v2"' } });
+  const updated = await getCachedResponse(URL_A);
+  assert.strictEqual(updated.body, '<html>v1</html>');
+  assert.strictEqual(updated.etag, '"v2"');
+  assert.strictEqual(updated.lastModified, entry.lastModified);
+  assert.strictEqual(updated.fetchedAt, entry.fetchedAt);
+});
+
+test('pruneCache removes entries not checked within maxAgeDays', async () => {
+  await storeResponse('https://example.com/old', ok('old'));
+  const dir = process.env.SCRAPE_CACHE_DIR;
+  const [oldFile] = fs.readdirSync(dir).filter(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')).url === 'https://example.com/old');
+  const tenDaysAgo = new Date(Date.now() - 10 * 86400000);
+  fs.utimesSync(path.join(dir, oldFile), tenDaysAgo, tenDaysAgo);
+
+  assert.strictEqual(await pruneCache({ maxAgeDays: 7 }), 1);
+  assert.strictEqual(await getCachedResponse('https://example.com/old'), null);
+  assert.ok(await getCachedResponse(URL_A));
+});
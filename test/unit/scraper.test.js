@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempEnv, startServer } = require('./helpers');
+
+const env = useTempEnv();
+const config = require('../../config/config');
+const sourceRegistry = require('../../src/sourceRegistry');
+const responseCache = require('../../src/responseCache');
+const { EnhancedNewsScraper } = require('../../src/scraper');
+
+test.after(env.cleanup);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('sources waiting for a busy domain do not hold concurrency slots', async () => {
+  const sources = [
+    { name: 'NHVR 1', url: 'https://www.nhvr.gov.au/news/1', priority: 10 },
+    { name: 'NHVR 2', url: 'https://www.nhvr.gov.au/news/2', priority: 9 },
+    { name: 'NHVR 3', url: 'https://www.nhvr.gov.au/news/3', priority: 8 },
+    { name: 'Other', url: 'https://www.fullyloaded.com.au/news', priority: 1 }
+  ];
+  const saved = { load: sourceRegistry.loadScraperSources, rate: { ...config.rateLimiting } };
+  sourceRegistry.loadScraperSources = async () => sources;
+  Object.assign(config.rateLimiting, { maxConcurrentSources: 2, delayBetweenRequests: 0 });
+
+  const started = {};
+  const scraper = new EnhancedNewsScraper();
+  const t0 = Date.now();
+  scraper.scrapeSource = async (source) => {
+    started[source.name] = Date.now() - t0;
+    await sleep(50);
+    return [];
+  };
+  try {
+    await scraper.scrapeAllSources();
+  } finally {
+    sourceRegistry.loadScraperSources = saved.load;
+    Object.assign(config.rateLimiting, saved.rate);
+  }
+
+  // The second slot goes to the other domain straight away rather than queueing on NHVR
+  assert.ok(started.Other < 40, `Other started at ${started.Other}ms`);
+  assert.ok(started['NHVR 2'] >= 50 && started['NHVR 3'] >= 100);
+});
+
+test('a page is cached only once its articles are saved, and a 304 is not parsed', async () => {
+  const server = await startServer({
+    '/news': (req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304);
+        return res.end();
+      }
+      res.writeHead(200, { 'content-type': 'text/html', etag: '"v1"' });
+      res.end('<html><body><article><h2><a href="/news/one">Heavy vehicle safety update</a></h2></article></body></html>');
+    }
+  });
+  const url = `${server.url}/news`;
+  try {
+    const first = new EnhancedNewsScraper();
+    assert.ok(await first.fetchSource(url, {}, {}));
+    // The run failed before saving: nothing is cached, so the next run fetches in full
+    assert.strictEqual(await responseCache.getCachedResponse(url), null);
+
+    const second = new EnhancedNewsScraper();
+    assert.ok(await second.fetchSource(url, {}, {}));
+    await second.commitResponseCache();
+    assert.strictEqual((await responseCache.getCachedResponse(url)).etag, '"v1"');
+
+    const diagnostics = {};
+    assert.strictEqual(await new EnhancedNewsScraper().fetchSource(url, {}, diagnostics), null);
+    assert.strictEqual(diagnostics.httpStatus, 304);
+    assert.deepStrictEqual(server.requests.map(r => r.headers['if-none-match'] || null), [null, null, '"v1"']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('sitemap ages are counted back from the time the listing was fetched', () => {
+  const source = { name: 'Sitemap', url: 'https://www.nhvr.gov.au/sitemap.xml', type: 'sitemap', maxAgeDays: 14, priority: 5 };
+  const xml = `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+    <url><loc>https://www.nhvr.gov.au/news/heavy-vehicle-fatigue-rules-update</loc><lastmod>2026-03-10</lastmod></url>
+    <url><loc>https://www.nhvr.gov.au/news/old-truck-road-notice</loc><lastmod>2026-01-05</lastmod></url>
+  </urlset>`;
+  const scraper = new EnhancedNewsScraper();
+  const trace = { selectors: [], items: [] };
+  scraper.parseListing(xml, source, undefined, trace, new Date('2026-03-12T00:00:00Z'));
+  assert.deepStrictEqual(trace.items.map(item => item.url), ['https://www.nhvr.gov.au/news/heavy-vehicle-fatigue-rules-update']);
+  // Months later, both entries are past the cutoff
+  assert.strictEqual(scraper.parseSitemap(xml, source).length, 0);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isRetryable, withRetry, runWithConcurrency, TokenBucket, sleep } = require('../../src/sendQueue');
+
+const httpError = status => Object.assign(new Error(`HTTP ${status}`), { status });
+const networkError = code => Object.assign(new Error(code), { code });
+
+test('isRetryable retries 429, 5xx and network failures only', () => {
+  assert.strictEqual(isRetryable(httpError(429)), true);
+  assert.strictEqual(isRetryable(httpError(500)), true);
+  assert.strictEqual(isRetryable(httpError(503)), true);
+  assert.strictEqual(isRetryable({ response: { status: 502 } }), true);
+  assert.strictEqual(isRetryable(networkError('ECONNRESET')), true);
+  assert.strictEqual(isRetryable(networkError('ETIMEDOUT')), true);
+
+  assert.strictEqual(isRetryable(httpError(400)), false);
+  assert.strictEqual(isRetryable(httpError(422)), false);
+  assert.strictEqual(isRetryable(new Error('Cannot read properties of undefined')), false);
+  assert.strictEqual(isRetryable(networkError('ERR_INVALID_ARG_TYPE')), false);
+});
+
+test('withRetry retries retryable errors and reports the attempt count', async () => {
+  let calls = 0;
+  const { result, attempts } = await withRetry(async () => {
+    calls++;
+    if (calls < 3) throw httpError(503);
+    return 'sent';
+  }, { maxRetries: 4, baseDelayMs: 1, maxDelayMs: 2 });
+  assert.strictEqual(result, 'sent');
+  assert.strictEqual(attempts, 3);
+});
+
+test('withRetry gives up at once on a non-retryable error', async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw httpError(422);
+  }, { maxRetries: 4, baseDelayMs: 1 }), error => error.status === 422 && error.attempts === 1);
+  assert.strictEqual(calls, 1);
+});
+
+test('withRetry stops after maxRetries', async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw networkError('ECONNRESET');
+  }, { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 2 }), error => error.attempts === 3);
+  assert.strictEqual(calls, 3);
+});
+
+test('runWithConcurrency keeps at most `concurrency` workers in flight', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const done = [];
+  await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await sleep(5);
+    done.push(item);
+    inFlight--;
+  });
+  assert.strictEqual(peak, 3);
+  assert.deepStrictEqual(done.sort(), [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('TokenBucket holds callers back once the burst is spent', async () => {
+  const bucket = new TokenBucket(20, 2);
+  const started = Date.now();
+  for (let i = 0; i < 4; i++) await bucket.take();
+  // Two from the burst, then two refills at 20/s ≈ 100ms
+  assert.ok(Date.now() - started >= 80);
+});
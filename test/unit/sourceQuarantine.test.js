@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempEnv } = require('./helpers');
+
+const env = useTempEnv({ SOURCE_ALERT_EMAILS: 'editor@example.com', EMAIL_FROM: 'alerts@example.com' });
+const config = require('../../config/config');
+const { getStorage } = require('../../src/storage');
+const { getTransport } = require('../../src/transports');
+const {
+  applyRunResults, getActiveQuarantines, isProbeDue, listQuarantines, quarantineSource, restoreSource
+} = require('../../src/sourceQuarantine');
+
+test.after(env.cleanup);
+
+const { failureThreshold, emptyThreshold } = config.quarantine;
+// Runs start in the past so a restore (stamped with the real time) comes after them
+let clock = Date.now() - 1000 * 3600000;
+
+// Records one run's result for a source the way scrapeAllSources does, then applies it
+async function run(source, status, error = '') {
+  clock += 3600000;
+  await getStorage().append('Scrape_Source_Results', { Run_ID: `run-${clock}`, Source: source, Status: status, Error: error, Started_At: new Date(clock).toISOString() });
+  return applyRunResults([{ source, status, error }]);
+}
+
+test('a source is quarantined after failureThreshold errors in a row', async () => {
+  for (let i = 1; i < failureThreshold; i++) {
+    assert.deepStrictEqual((await run('Failing Source', 'error', 'HTTP 500')).quarantined, []);
+  }
+  assert.deepStrictEqual((await run('Failing Source', 'error', 'HTTP 500')).quarantined, ['Failing Source']);
+
+  const entry = (await getActiveQuarantines()).get('Failing Source');
+  assert.strictEqual(entry.reason, 'failing');
+  assert.ok(entry.nextProbeAt);
+  assert.strictEqual(isProbeDue(entry, new Date()), false);
+  assert.strictEqual(isProbeDue(entry, new Date(Date.parse(entry.nextProbeAt) + 1)), true);
+
+  const alerts = await getTransport().list();
+  assert.ok(alerts.some(m => m.subject === '[Source quarantined] Failing Source' && m.to === 'editor@example.com'));
+});
+
+test('a success resets the streak; unchanged runs neither count nor reset it', async () => {
+  await run('Flaky Source', 'error');
+  await run('Flaky Source', 'ok');
+  for (let i = 1; i < failureThreshold; i++) await run('Flaky Source', 'error');
+  await run('Flaky Source', 'unchanged');
+  assert.strictEqual((await getActiveQuarantines()).has('Flaky Source'), false);
+  assert.deepStrictEqual((await run('Flaky Source', 'error')).quarantined, ['Flaky Source']);
+});
+
+test('a source is quarantined after emptyThreshold runs without articles', async () => {
+  for (let i = 1; i < emptyThreshold; i++) await run('Quiet Source', i % 2 ? 'empty' : 'error');
+  assert.deepStrictEqual((await run('Quiet Source', 'empty')).quarantined, ['Quiet Source']);
+  assert.strictEqual((await getActiveQuarantines()).get('Quiet Source').reason, 'no_articles');
+});
+
+test('a failed probe pushes the next probe back; a successful one restores the source', async () => {
+  const before = (await getActiveQuarantines()).get('Failing Source');
+  assert.deepStrictEqual(await applyRunResults([{ source: 'Failing Source', status: 'error', error: 'HTTP 500' }]), { quarantined: [], restored: [] });
+  const probed = (await getActiveQuarantines()).get('Failing Source');
+  assert.strictEqual(probed.probeCount, before.probeCount + 1);
+  assert.ok(probed.lastProbeAt);
+
+  assert.deepStrictEqual((await applyRunResults([{ source: 'Failing Source', status: 'ok' }])).restored, ['Failing Source']);
+  assert.strictEqual((await getActiveQuarantines()).has('Failing Source'), false);
+  const [history] = (await listQuarantines({ includeRestored: true })).filter(q => q.source === 'Failing Source');
+  assert.deepStrictEqual([history.status, history.restoredBy], ['restored', 'auto']);
+
+  // The old streak is behind the restore, so one more error doesn't re-quarantine it
+  clock = Date.now();
+  assert.deepStrictEqual((await run('Failing Source', 'error')).quarantined, []);
+});
+
+test('manual quarantines are never probed and need a manual restore', async () => {
+  const name = config.sources[0].name;
+  const entry = await quarantineSource(name, { actor: 'editor@example.com', notes: 'site redesign' });
+  assert.strictEqual(entry.reason, 'manual');
+  assert.strictEqual(isProbeDue(entry, new Date('2100-01-01')), false);
+  await assert.rejects(quarantineSource(name), error => error.status === 409);
+
+  const restored = await restoreSource(name, { actor: 'editor@example.com' });
+  assert.strictEqual(restored.restoredBy, 'editor@example.com');
+  await assert.rejects(restoreSource(name), error => error.status === 409);
+  await assert.rejects(quarantineSource('No Such Source'), error => error.status === 404);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempEnv } = require('./helpers');
+
+const env = useTempEnv();
+const { personaliseTracking, verifyQuery, clickUrl, openPixelUrl } = require('../../src/tracking');
+
+test.after(env.cleanup);
+
+const queryOf = url => Object.fromEntries(new URL(url.replace(/&amp;/g, '&')).searchParams);
+
+const html = [
+  '<a href="https://www.nhvr.gov.au/news?a=1&amp;utm_source=sfp" data-track="2">Story</a>',
+  '<a href="https://example.com/untracked">Footer</a>',
+  '<!--{{OPEN_PIXEL}}-->'
+].join('\n');
+
+test('personaliseTracking signs article links and adds the open pixel', () => {
+  const out = personaliseTracking(html, { issueId: 'pro-7', subscriberId: 'SUB-1' });
+  assert.ok(!out.includes('data-track'));
+  assert.ok(!out.includes('OPEN_PIXEL'));
+  assert.ok(out.includes('href="https://example.com/untracked"'));
+
+  const click = /href="(https:\/\/news\.example\.test\/track\/click[^"]+)"/.exec(out)[1];
+  assert.deepStrictEqual(verifyQuery('click', queryOf(click)), {
+    issueId: 'pro-7', subscriberId: 'SUB-1', articleIndex: 2, url: 'https://www.nhvr.gov.au/news?a=1&utm_source=sfp'
+  });
+
+  const pixel = /<img src="(https:\/\/news\.example\.test\/track\/open[^"]+)"/.exec(out)[1];
+  assert.strictEqual(verifyQuery('open', queryOf(pixel)).subscriberId, 'SUB-1');
+});
+
+test('with EMAIL_TRACKING=resend links are left alone and no pixel is added', () => {
+  process.env.EMAIL_TRACKING = 'resend';
+  try {
+    const out = personaliseTracking(html, { issueId: 'pro-7', subscriberId: 'SUB-1' });
+    assert.ok(out.includes('href="https://www.nhvr.gov.au/news?a=1&amp;utm_source=sfp">'));
+    assert.ok(!out.includes('<img'));
+    assert.ok(!out.includes('OPEN_PIXEL'));
+  } finally {
+    delete process.env.EMAIL_TRACKING;
+  }
+});
+
+test('verifyQuery rejects tampered parameters and unknown keys', () => {
+  const query = queryOf(clickUrl({ issueId: 'pro-7', subscriberId: 'SUB-1', articleIndex: 1, url: 'https://example.com/a' }));
+  assert.ok(verifyQuery('click', query));
+  assert.strictEqual(verifyQuery('click', { ...query, u: 'https://evil.example/' }), null);
+  assert.strictEqual(verifyQuery('click', { ...query, s: 'SUB-2' }), null);
+  assert.strictEqual(verifyQuery('click', { ...query, k: 'k9' }), null);
+  assert.strictEqual(verifyQuery('click', { ...query, sig: undefined }), null);
+  // An open signature can't be replayed as a click
+  assert.strictEqual(verifyQuery('click', queryOf(openPixelUrl({ issueId: 'pro-7', subscriberId: 'SUB-1' }))), null);
+});
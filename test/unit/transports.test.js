@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempEnv } = require('./helpers');
+
+const env = useTempEnv();
+const { FailoverTransport } = require('../../src/transports');
+
+test.after(env.cleanup);
+
+// A transport that fails with `error` (or succeeds when it is null) and counts its sends
+function fakeTransport(name, error = null) {
+  return {
+    name,
+    sends: 0,
+    isConfigured: () => true,
+    async send() {
+      this.sends++;
+      if (error) throw error;
+      return { id: `${name}-1`, provider: name };
+    }
+  };
+}
+
+const failure = (props) => Object.assign(new Error('send failed'), props);
+
+test('fails over when the first provider could not have accepted the message', async () => {
+  for (const error of [failure({ code: 'ECONNREFUSED' }), failure({ code: 'ENOTFOUND' }), failure({ status: 503 })]) {
+    const smtp = fakeTransport('smtp');
+    const chain = new FailoverTransport([fakeTransport('resend', error), smtp]);
+    assert.strictEqual((await chain.send({})).provider, 'smtp');
+    assert.strictEqual(smtp.sends, 1);
+  }
+});
+
+test('does not fail over on timeouts, dropped connections or rejected messages', async () => {
+  const errors = [
+    failure({ code: 'ETIMEDOUT' }), failure({ code: 'ECONNABORTED' }), failure({ code: 'ECONNRESET' }),
+    failure({}), failure({ status: 422 }), failure({ status: 429 })
+  ];
+  for (const error of errors) {
+    const smtp = fakeTransport('smtp');
+    const chain = new FailoverTransport([fakeTransport('resend', error), smtp]);
+    await assert.rejects(chain.send({}), thrown => thrown === error);
+    assert.strictEqual(smtp.sends, 0);
+  }
+});